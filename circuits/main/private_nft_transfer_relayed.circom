@@ -0,0 +1,75 @@
+pragma circom 2.1.0;
+
+include "../node_modules/circomlib/circuits/poseidon.circom";
+include "../node_modules/circomlib/circuits/comparators.circom";
+include "../utils/babyjubjub/proof_of_ownership.circom";
+include "../utils/nullifier.circom";
+include "../utils/relay_binding.circom";
+
+// F1 (relayed): Private NFT Transfer submitted by a relayer
+// Same statement as main/private_nft_transfer.circom plus the relayer address and
+// fee as public inputs (PrivateNFT.transferNFTRelayed pays `fee` to `relayer`).
+//
+// circom cannot include a file that declares a main component, so the body
+// of PrivateNFTTransfer is repeated verbatim above the relay binding;
+// test/Relayer.test.js fails if the two drift apart.
+template RelayedPrivateNFTTransfer() {
+    // ===== Public Inputs =====
+    signal input oldNftHash;
+    signal input newNftHash;
+    signal input nftId;
+    signal input collectionAddress;
+    signal input nullifier;
+
+    // ===== Private Inputs =====
+    signal input oldOwnerPkX;
+    signal input oldOwnerPkY;
+    signal input oldOwnerSk;
+    signal input oldSalt;
+    signal input newOwnerPkX;
+    signal input newOwnerPkY;
+    signal input newSalt;
+
+    // ===== 1. Verify Old NFT Note =====
+    component oldNft = Poseidon(5);
+    oldNft.inputs[0] <== oldOwnerPkX;
+    oldNft.inputs[1] <== oldOwnerPkY;
+    oldNft.inputs[2] <== nftId;
+    oldNft.inputs[3] <== collectionAddress;
+    oldNft.inputs[4] <== oldSalt;
+    oldNft.out === oldNftHash;
+
+    // ===== 2. Verify Ownership =====
+    component ownership = ProofOfOwnership();
+    ownership.pk[0] <== oldOwnerPkX;
+    ownership.pk[1] <== oldOwnerPkY;
+    ownership.sk <== oldOwnerSk;
+    ownership.valid === 1;
+
+    // ===== 3. Compute Nullifier =====
+    component nullifierCalc = ComputeNullifier();
+    nullifierCalc.itemId <== nftId;
+    nullifierCalc.salt <== oldSalt;
+    nullifierCalc.sk <== oldOwnerSk;
+    nullifierCalc.out === nullifier;
+
+    // ===== 4. Create New NFT Note =====
+    component newNft = Poseidon(5);
+    newNft.inputs[0] <== newOwnerPkX;
+    newNft.inputs[1] <== newOwnerPkY;
+    newNft.inputs[2] <== nftId;
+    newNft.inputs[3] <== collectionAddress;
+    newNft.inputs[4] <== newSalt;
+    newNft.out === newNftHash;
+
+    // ===== Relay Binding =====
+    signal input relayer;
+    signal input fee;
+
+    component relay = RelayBinding();
+    relay.relayer <== relayer;
+    relay.fee <== fee;
+}
+
+component main {public [oldNftHash, newNftHash, nftId, collectionAddress, nullifier, relayer, fee]} =
+    RelayedPrivateNFTTransfer();
@@ -0,0 +1,16 @@
+pragma circom 2.1.0;
+
+// Bind relay parameters to a proof
+// Groth16 proofs commit to every public input, so a relayer (or anyone who
+// sees the bundle in the mempool) cannot change the fee recipient or amount.
+// The squares keep both signals in the constraint system; unconstrained
+// inputs would be optimized out of the verifying key.
+template RelayBinding() {
+    signal input relayer;
+    signal input fee;
+
+    signal relayerSquare;
+    signal feeSquare;
+    relayerSquare <== relayer * relayer;
+    feeSquare <== fee * fee;
+}
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "./NFTNoteBase.sol";
+import "./RelayFees.sol";
 import "./verifiers/IGroth16Verifier.sol";
 
 /**
@@ -12,7 +13,7 @@ import "./verifiers/IGroth16Verifier.sol";
  *      Item Note structure: Poseidon(pkX, pkY, itemId, itemType, itemAttributes, gameId, salt)
  *      Payment Note structure: Poseidon(sellerPkX, sellerPkY, price, paymentToken, paymentSalt)
  */
-contract GamingItemTrade is NFTNoteBase {
+contract GamingItemTrade is NFTNoteBase, RelayFees {
     IGamingItemTradeVerifier public tradeVerifier;
 
     // gameId => itemId => registered
@@ -87,4 +88,43 @@ contract GamingItemTrade is NFTNoteBase {
 
         emit ItemTraded(oldItemHash, newItemHash, nullifier);
     }
+
+    /**
+     * @dev Same as tradeItem, submitted by a relayer. The proof is for the
+     *      relayed circuit, which also binds `relayer` and `fee`.
+     * @param relayer Approved relayer submitting the call, paid the fee from the relay fee pool
+     * @param fee Relay fee in wei (at most MAX_RELAY_FEE)
+     */
+    function tradeItemRelayed(
+        uint256[2] memory a,
+        uint256[2][2] memory b,
+        uint256[2] memory c,
+        bytes32 oldItemHash,
+        bytes32 newItemHash,
+        bytes32 paymentNoteHash,
+        uint256 gameId,
+        bytes32 nullifier,
+        bytes memory encryptedNote,
+        address relayer,
+        uint256 fee
+    ) external noteExists(oldItemHash) nullifierNotUsed(nullifier) {
+        uint256[5] memory publicInputs = [
+            uint256(oldItemHash),
+            uint256(newItemHash),
+            uint256(paymentNoteHash),
+            gameId,
+            uint256(nullifier)
+        ];
+
+        require(
+            _verifyRelayed(a, b, c, publicInputs, relayer, fee),
+            "Invalid trade proof"
+        );
+
+        _spendNote(oldItemHash, nullifier);
+        _createNote(newItemHash, encryptedNote);
+        _payRelayer(relayer, fee);
+
+        emit ItemTraded(oldItemHash, newItemHash, nullifier);
+    }
 }
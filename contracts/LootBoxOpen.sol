@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "./NFTNoteBase.sol";
+import "./RelayFees.sol";
 import "./verifiers/IGroth16Verifier.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 
@@ -13,7 +14,7 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
  *      Box Note structure: Poseidon(pkX, pkY, boxId, boxType, boxSalt)
  *      Outcome Note structure: Poseidon(pkX, pkY, itemId, itemRarity, itemSalt)
  */
-contract LootBoxOpen is NFTNoteBase {
+contract LootBoxOpen is NFTNoteBase, RelayFees {
     ILootBoxVerifier public boxVerifier;
     IERC20 public paymentToken;
     address public admin;
@@ -108,6 +109,45 @@ contract LootBoxOpen is NFTNoteBase {
         emit BoxOpened(boxCommitment, outcomeCommitment, nullifier, vrfOutput);
     }
 
+    /**
+     * @dev Same as openBox, submitted by a relayer. The proof is for the
+     *      relayed circuit, which also binds `relayer` and `fee`.
+     * @param relayer Approved relayer submitting the call, paid the fee from the relay fee pool
+     * @param fee Relay fee in wei (at most MAX_RELAY_FEE)
+     */
+    function openBoxRelayed(
+        uint256[2] memory a,
+        uint256[2][2] memory b,
+        uint256[2] memory c,
+        bytes32 boxCommitment,
+        bytes32 outcomeCommitment,
+        uint256 vrfOutput,
+        uint256 boxId,
+        bytes32 nullifier,
+        bytes memory encryptedNote,
+        address relayer,
+        uint256 fee
+    ) external noteExists(boxCommitment) nullifierNotUsed(nullifier) {
+        uint256[5] memory publicInputs = [
+            uint256(boxCommitment),
+            uint256(outcomeCommitment),
+            vrfOutput,
+            boxId,
+            uint256(nullifier)
+        ];
+
+        require(
+            _verifyRelayed(a, b, c, publicInputs, relayer, fee),
+            "Invalid box opening proof"
+        );
+
+        _spendNote(boxCommitment, nullifier);
+        _createNote(outcomeCommitment, encryptedNote);
+        _payRelayer(relayer, fee);
+
+        emit BoxOpened(boxCommitment, outcomeCommitment, nullifier, vrfOutput);
+    }
+
     /**
      * @dev Get all box IDs owned by a user.
      */
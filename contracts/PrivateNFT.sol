@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "./NFTNoteBase.sol";
+import "./RelayFees.sol";
 import "./verifiers/IGroth16Verifier.sol";
 
 /**
@@ -11,7 +12,7 @@ import "./verifiers/IGroth16Verifier.sol";
  *
  *      NFT Note structure: Poseidon(pkX, pkY, nftId, collectionAddress, salt)
  */
-contract PrivateNFT is NFTNoteBase {
+contract PrivateNFT is NFTNoteBase, RelayFees {
     INFTTransferVerifier public transferVerifier;
 
     // Collection address => nftId => registered
@@ -87,4 +88,43 @@ contract PrivateNFT is NFTNoteBase {
 
         emit NFTTransferred(oldNftHash, newNftHash, nullifier);
     }
+
+    /**
+     * @dev Same as transferNFT, submitted by a relayer. The proof is for the
+     *      relayed circuit, which also binds `relayer` and `fee`.
+     * @param relayer Approved relayer submitting the call, paid the fee from the relay fee pool
+     * @param fee Relay fee in wei (at most MAX_RELAY_FEE)
+     */
+    function transferNFTRelayed(
+        uint256[2] memory a,
+        uint256[2][2] memory b,
+        uint256[2] memory c,
+        bytes32 oldNftHash,
+        bytes32 newNftHash,
+        uint256 nftId,
+        address collectionAddress,
+        bytes32 nullifier,
+        bytes memory encryptedNote,
+        address relayer,
+        uint256 fee
+    ) external noteExists(oldNftHash) nullifierNotUsed(nullifier) {
+        uint256[5] memory publicInputs = [
+            uint256(oldNftHash),
+            uint256(newNftHash),
+            nftId,
+            uint256(uint160(collectionAddress)),
+            uint256(nullifier)
+        ];
+
+        require(
+            _verifyRelayed(a, b, c, publicInputs, relayer, fee),
+            "Invalid transfer proof"
+        );
+
+        _spendNote(oldNftHash, nullifier);
+        _createNote(newNftHash, encryptedNote);
+        _payRelayer(relayer, fee);
+
+        emit NFTTransferred(oldNftHash, newNftHash, nullifier);
+    }
 }
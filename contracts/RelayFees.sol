@@ -0,0 +1,146 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./verifiers/IGroth16Verifier.sol";
+
+/**
+ * @title RelayFees
+ * @dev Relayer support for note operations. A relayer submits the user's
+ *      proof from its own account and is paid `fee` (ETH) out of a sponsor-
+ *      funded pool. Relayed entry points verify against a separate circuit
+ *      whose public inputs also contain [relayer, fee], so neither can be
+ *      changed after the user has generated the proof.
+ *
+ *      The relayer is named by the prover, so fees are only paid to relayers
+ *      approved by `relayAdmin`, only to the relayer submitting the call, and at
+ *      most `relayFeePeriodLimit` per relayer per RELAY_FEE_PERIOD. Otherwise any
+ *      note holder could relay self-transfers to their own address until the
+ *      pool is empty.
+ */
+abstract contract RelayFees {
+    /// @dev Upper bound per relayed call; a prover could otherwise empty the pool in one call
+    uint256 public constant MAX_RELAY_FEE = 0.01 ether;
+    /// @dev Window of relayFeePeriodLimit
+    uint256 public constant RELAY_FEE_PERIOD = 1 days;
+
+    address public relayAdmin;
+    // Verifier of the relayed circuit (feature inputs + [relayer, fee]); unset = relaying disabled
+    IRelayedVerifier public relayVerifier;
+    uint256 public relayFeePool;
+    // Fees a single relayer can collect per RELAY_FEE_PERIOD
+    uint256 public relayFeePeriodLimit = 0.1 ether;
+    mapping(address => bool) public approvedRelayers;
+    // relayer => period (timestamp / RELAY_FEE_PERIOD) => fees paid
+    mapping(address => mapping(uint256 => uint256)) public relayFeesPaid;
+
+    event RelayVerifierSet(address indexed verifier);
+    event RelayerApprovalSet(address indexed relayer, bool approved);
+    event RelayFeePeriodLimitSet(uint256 limit);
+    event RelayFeesDeposited(address indexed sponsor, uint256 amount);
+    event RelayFeesWithdrawn(address indexed to, uint256 amount);
+    event RelayFeePaid(address indexed relayer, uint256 fee);
+
+    modifier onlyRelayAdmin() {
+        require(msg.sender == relayAdmin, "Only relay admin");
+        _;
+    }
+
+    constructor() {
+        relayAdmin = msg.sender;
+    }
+
+    /**
+     * @dev Enable relaying once the relayed circuit's verifier is deployed.
+     */
+    function setRelayVerifier(address _relayVerifier) external onlyRelayAdmin {
+        require(address(relayVerifier) == address(0), "Relay verifier already set");
+        relayVerifier = IRelayedVerifier(_relayVerifier);
+        emit RelayVerifierSet(_relayVerifier);
+    }
+
+    /**
+     * @dev Allow or stop fee payments to a relayer. Zero-fee relays need no approval.
+     */
+    function setRelayerApproved(address relayer, bool approved) external onlyRelayAdmin {
+        approvedRelayers[relayer] = approved;
+        emit RelayerApprovalSet(relayer, approved);
+    }
+
+    function setRelayFeePeriodLimit(uint256 limit) external onlyRelayAdmin {
+        relayFeePeriodLimit = limit;
+        emit RelayFeePeriodLimitSet(limit);
+    }
+
+    /**
+     * @dev Fund relay fees. Anyone can sponsor; deposits are not tied to notes.
+     */
+    function depositRelayFees() external payable {
+        require(msg.value > 0, "No value");
+        relayFeePool += msg.value;
+        emit RelayFeesDeposited(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Take unused (or mistakenly deposited) fees out of the pool.
+     */
+    function withdrawRelayFees(address payable to, uint256 amount) external onlyRelayAdmin {
+        require(amount <= relayFeePool, "Relay fee pool exhausted");
+        relayFeePool -= amount;
+        (bool sent, ) = to.call{value: amount}("");
+        require(sent, "Relay fee withdrawal failed");
+        emit RelayFeesWithdrawn(to, amount);
+    }
+
+    /**
+     * @dev Public inputs of a relayed proof: the feature's five inputs, then relayer and fee.
+     */
+    function _relayedInputs(
+        uint256[5] memory inputs,
+        address relayer,
+        uint256 fee
+    ) internal pure returns (uint256[7] memory relayed) {
+        for (uint256 i = 0; i < 5; i++) {
+            relayed[i] = inputs[i];
+        }
+        relayed[5] = uint256(uint160(relayer));
+        relayed[6] = fee;
+    }
+
+    /**
+     * @dev Fees `relayer` can still collect in the current period.
+     */
+    function relayFeeAllowance(address relayer) external view returns (uint256) {
+        if (!approvedRelayers[relayer]) return 0;
+        uint256 paid = relayFeesPaid[relayer][block.timestamp / RELAY_FEE_PERIOD];
+        uint256 left = paid >= relayFeePeriodLimit ? 0 : relayFeePeriodLimit - paid;
+        return left < relayFeePool ? left : relayFeePool;
+    }
+
+    function _verifyRelayed(
+        uint256[2] memory a,
+        uint256[2][2] memory b,
+        uint256[2] memory c,
+        uint256[5] memory inputs,
+        address relayer,
+        uint256 fee
+    ) internal view returns (bool) {
+        require(address(relayVerifier) != address(0), "Relaying not enabled");
+        return relayVerifier.verifyProof(a, b, c, _relayedInputs(inputs, relayer, fee));
+    }
+
+    function _payRelayer(address relayer, uint256 fee) internal {
+        if (fee == 0) return;
+        require(fee <= MAX_RELAY_FEE, "Relay fee too high");
+        require(approvedRelayers[relayer], "Relayer not approved");
+        require(msg.sender == relayer, "Fee is paid to the submitting relayer only");
+        uint256 period = block.timestamp / RELAY_FEE_PERIOD;
+        uint256 paid = relayFeesPaid[relayer][period] + fee;
+        require(paid <= relayFeePeriodLimit, "Relay fee period limit reached");
+        require(fee <= relayFeePool, "Relay fee pool exhausted");
+        relayFeesPaid[relayer][period] = paid;
+        relayFeePool -= fee;
+        (bool sent, ) = payable(relayer).call{value: fee}("");
+        require(sent, "Relay fee payment failed");
+        emit RelayFeePaid(relayer, fee);
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../verifiers/IGroth16Verifier.sol";
+
+/**
+ * @dev Mock relayed-circuit verifier that always returns true. For unit testing only.
+ */
+contract MockRelayedVerifier is IRelayedVerifier {
+    function verifyProof(
+        uint256[2] memory,
+        uint256[2][2] memory,
+        uint256[2] memory,
+        uint256[7] memory
+    ) external pure override returns (bool) {
+        return true;
+    }
+}
@@ -46,3 +46,13 @@ interface ICardDrawVerifier {
         uint256[5] memory input
     ) external view returns (bool);
 }
+
+// Relayed circuits: 7 public inputs [<feature inputs x5>, relayer, fee]
+interface IRelayedVerifier {
+    function verifyProof(
+        uint256[2] memory a,
+        uint256[2][2] memory b,
+        uint256[2] memory c,
+        uint256[7] memory input
+    ) external view returns (bool);
+}
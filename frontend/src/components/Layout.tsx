@@ -1,5 +1,6 @@
 import { Outlet, Link, useLocation } from "react-router-dom";
 import { useWallet } from "../hooks/useWallet";
+import { getDeployment } from "../lib/contracts";
 
 const NAV_ITEMS = [
   { path: "/", label: "Home", icon: "◆" },
@@ -67,6 +68,7 @@ export function Layout() {
             <div className="flex items-center gap-4">
               <span className="text-xs font-body text-gray-500">
                 Chain <span className="neon-text-cyan">{chainId}</span>
+                {!getDeployment(chainId) && <span className="neon-text-magenta"> (not deployed)</span>}
               </span>
               <span className="glass-panel px-3 py-1.5 text-xs font-mono neon-text-cyan">
                 {address?.slice(0, 6)}...{address?.slice(-4)}
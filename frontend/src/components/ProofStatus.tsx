@@ -1,13 +1,28 @@
+import type { ProofPhase } from "../lib/types";
+
+const PHASE_LABELS: Record<ProofPhase, string> = {
+  witness: "Computing witness",
+  fft: "Polynomial FFT",
+  msm: "Multi-scalar multiplication",
+  done: "Finalizing",
+};
+
 export function ProofStatus({
   isGenerating,
   elapsed,
   error,
   duration,
+  phase,
+  progress,
+  onCancel,
 }: {
   isGenerating: boolean;
   elapsed: number;
   error: string | null;
   duration?: number;
+  phase?: ProofPhase | null;
+  progress?: number;
+  onCancel?: () => void;
 }) {
   if (error) {
     return (
@@ -20,11 +35,31 @@ export function ProofStatus({
 
   if (isGenerating) {
     return (
-      <div className="glass-panel border border-neon-cyan/30 p-3 data-stream-bg flex items-center gap-3">
-        <div className="w-4 h-4 border-2 border-neon-cyan border-t-transparent rounded-full animate-spin" />
-        <span className="text-sm font-display tracking-wider neon-text-cyan">
-          Generating ZK proof... {(elapsed / 1000).toFixed(1)}s
-        </span>
+      <div className="glass-panel border border-neon-cyan/30 p-3 data-stream-bg space-y-2">
+        <div className="flex items-center gap-3">
+          <div className="w-4 h-4 border-2 border-neon-cyan border-t-transparent rounded-full animate-spin" />
+          <span className="text-sm font-display tracking-wider neon-text-cyan">
+            Generating ZK proof... {(elapsed / 1000).toFixed(1)}s
+          </span>
+          {onCancel && (
+            <button onClick={onCancel} className="ml-auto neon-btn neon-btn-magenta text-xs py-1 px-3">
+              Cancel
+            </button>
+          )}
+        </div>
+        {phase && (
+          <div className="space-y-1">
+            <div className="h-1 bg-border-dim rounded overflow-hidden">
+              <div
+                className="h-full bg-neon-cyan transition-all"
+                style={{ width: `${Math.round((progress ?? 0) * 100)}%` }}
+              />
+            </div>
+            <p className="text-[11px] font-mono text-gray-500">
+              {PHASE_LABELS[phase]} — {Math.round((progress ?? 0) * 100)}%
+            </p>
+          </div>
+        )}
       </div>
     );
   }
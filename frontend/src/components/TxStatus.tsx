@@ -3,12 +3,25 @@ export function TxStatus({
   isPending,
   isConfirmed,
   error,
+  preflightError,
 }: {
   txHash: string | null;
   isPending: boolean;
   isConfirmed: boolean;
   error: string | null;
+  /** eth_call revert caught before the wallet was asked to sign */
+  preflightError?: string | null;
 }) {
+  if (preflightError) {
+    return (
+      <div className="glass-panel border border-neon-yellow/50 p-3 text-sm text-neon-yellow font-body">
+        <span className="font-display text-xs tracking-wider neon-text-yellow mr-2">PREFLIGHT</span>
+        Transaction would revert: {preflightError}
+        <p className="text-xs text-gray-500 mt-1">Nothing was signed or sent.</p>
+      </div>
+    );
+  }
+
   if (error) {
     return (
       <div className="glass-panel border border-red-500/50 p-3 text-sm text-red-400 font-body">
@@ -0,0 +1,110 @@
+import { useEffect, useRef, useState } from "react";
+import jsQR from "jsqr";
+import { decodeZkAddress } from "../lib/zkAddress";
+
+/**
+ * Text input for a ZK address with live checksum validation and a camera QR scanner
+ */
+export function ZkAddressInput({
+  value,
+  onChange,
+  placeholder = "zk...",
+  inputClassName = "neon-input",
+}: {
+  value: string;
+  onChange: (value: string) => void;
+  placeholder?: string;
+  inputClassName?: string;
+}) {
+  const [status, setStatus] = useState<{ value: string; error: string | null } | null>(null);
+  const [scanning, setScanning] = useState(false);
+  const [scanError, setScanError] = useState<string | null>(null);
+  const videoRef = useRef<HTMLVideoElement>(null);
+
+  useEffect(() => {
+    if (!value) return;
+    let cancelled = false;
+    decodeZkAddress(value)
+      .then(() => { if (!cancelled) setStatus({ value, error: null }); })
+      .catch((err) => { if (!cancelled) setStatus({ value, error: err instanceof Error ? err.message : "Invalid" }); });
+    return () => { cancelled = true; };
+  }, [value]);
+
+  useEffect(() => {
+    if (!scanning) return;
+    let stream: MediaStream | null = null;
+    let frame = 0;
+    let stopped = false;
+    const canvas = document.createElement("canvas");
+
+    function tick() {
+      const video = videoRef.current;
+      if (stopped || !video) return;
+      if (video.readyState === video.HAVE_ENOUGH_DATA) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const ctx = canvas.getContext("2d", { willReadFrequently: true });
+        if (ctx) {
+          ctx.drawImage(video, 0, 0);
+          const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+          const code = jsQR(image.data, image.width, image.height);
+          if (code?.data) {
+            onChange(code.data.trim());
+            setScanning(false);
+            return;
+          }
+        }
+      }
+      frame = requestAnimationFrame(tick);
+    }
+
+    navigator.mediaDevices
+      .getUserMedia({ video: { facingMode: "environment" } })
+      .then((s) => {
+        stream = s;
+        if (stopped) return;
+        if (videoRef.current) {
+          videoRef.current.srcObject = s;
+          videoRef.current.play().catch(() => {});
+        }
+        frame = requestAnimationFrame(tick);
+      })
+      .catch((err) => {
+        setScanError(err instanceof Error ? err.message : "Camera unavailable");
+        setScanning(false);
+      });
+
+    return () => {
+      stopped = true;
+      cancelAnimationFrame(frame);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [scanning, onChange]);
+
+  const error = value && status?.value === value ? status.error : null;
+  const valid = value && status?.value === value && !status.error;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => onChange(e.target.value.trim())}
+          placeholder={placeholder}
+          className={`${inputClassName} w-full font-mono text-xs`}
+        />
+        <button
+          type="button"
+          onClick={() => { setScanError(null); setScanning((s) => !s); }}
+          className="text-xs font-display tracking-wider px-3 rounded border border-border-dim text-gray-400 hover:text-gray-200 shrink-0"
+        >
+          {scanning ? "CANCEL" : "SCAN QR"}
+        </button>
+      </div>
+      {scanning && <video ref={videoRef} muted playsInline className="w-full max-w-xs rounded border border-border-dim" />}
+      {valid && <p className="text-[10px] font-display tracking-wider neon-text-green">VALID ADDRESS</p>}
+      {(error || scanError) && <p className="text-xs font-body neon-text-magenta">{error || scanError}</p>}
+    </div>
+  );
+}
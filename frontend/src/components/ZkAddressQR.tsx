@@ -0,0 +1,32 @@
+import { useEffect, useState } from "react";
+import QRCode from "qrcode";
+
+/**
+ * QR code of a ZK address, with the address text underneath for copy/paste
+ */
+export function ZkAddressQR({ address, size = 192 }: { address: string; size?: number }) {
+  const [dataUrl, setDataUrl] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(address, { width: size, margin: 1, errorCorrectionLevel: "M" })
+      .then((url) => { if (!cancelled) setDataUrl(url); })
+      .catch(() => { if (!cancelled) setDataUrl(null); });
+    return () => { cancelled = true; };
+  }, [address, size]);
+
+  return (
+    <div className="flex flex-col items-center gap-2">
+      {dataUrl && (
+        <img src={dataUrl} width={size} height={size} alt="ZK address QR code" className="rounded bg-white p-1" />
+      )}
+      <p className="font-mono text-[11px] text-gray-400 break-all text-center">{address}</p>
+      <button
+        onClick={() => navigator.clipboard?.writeText(address)}
+        className="text-[10px] font-display tracking-wider text-gray-500 hover:text-gray-300"
+      >
+        COPY
+      </button>
+    </div>
+  );
+}
@@ -1,45 +1,78 @@
-import { useState, useCallback, useRef } from "react";
-import type { ProofResult } from "../lib/types";
+import { useState, useCallback, useRef, useEffect } from "react";
+import type { CircuitName, ProofResult, ProofPhase, ProveOptions } from "../lib/types";
+import { prefetchCircuit } from "../lib/artifactCache";
+import { verifyProofLocally } from "../lib/preflight";
+import { isMockProver } from "../lib/mockProver";
 
 type ProofState = {
   isGenerating: boolean;
   result: ProofResult | null;
   error: string | null;
   elapsed: number;
+  phase: ProofPhase | null;
+  progress: number;
 };
 
-export function useProofGeneration() {
-  const [state, setState] = useState<ProofState>({
-    isGenerating: false,
-    result: null,
-    error: null,
-    elapsed: 0,
-  });
+const IDLE: ProofState = {
+  isGenerating: false,
+  result: null,
+  error: null,
+  elapsed: 0,
+  phase: null,
+  progress: 0,
+};
+
+/**
+ * Proof generation state for a feature page. Passing the page's circuit
+ * prefetches its wasm/zkey into the artifact cache on mount and verifies
+ * every generated proof against the vkey of the circuit it was generated
+ * for (the page's circuit or its relayed variant) before it is returned.
+ * The mock prover needs neither.
+ */
+export function useProofGeneration(circuitName?: CircuitName) {
+  const [state, setState] = useState<ProofState>(IDLE);
   const timerRef = useRef<ReturnType<typeof setInterval> | null>(null);
+  const abortRef = useRef<AbortController | null>(null);
+
+  useEffect(() => {
+    if (circuitName && !isMockProver()) prefetchCircuit(circuitName);
+  }, [circuitName]);
 
   const generate = useCallback(
     async (
-      proofFn: (inputs: Record<string, unknown>) => Promise<ProofResult>,
+      proofFn: (inputs: Record<string, unknown>, options?: ProveOptions) => Promise<ProofResult>,
       inputs: Record<string, unknown>,
     ): Promise<ProofResult | null> => {
-      setState({ isGenerating: true, result: null, error: null, elapsed: 0 });
+      abortRef.current?.abort();
+      const controller = new AbortController();
+      abortRef.current = controller;
+      setState({ ...IDLE, isGenerating: true, phase: "witness" });
 
       const startTime = Date.now();
+      if (timerRef.current) clearInterval(timerRef.current);
       timerRef.current = setInterval(() => {
         setState((prev) => ({ ...prev, elapsed: Date.now() - startTime }));
       }, 100);
 
       try {
-        const result = await proofFn(inputs);
+        const result = await proofFn(inputs, {
+          signal: controller.signal,
+          onProgress: ({ phase, progress }) => setState((prev) => ({ ...prev, phase, progress })),
+        });
+        if (circuitName && !isMockProver()) await verifyProofLocally(result.circuitName, result);
+        if (controller.signal.aborted) return null;
         clearInterval(timerRef.current!);
         setState({
-          isGenerating: false,
+          ...IDLE,
           result,
-          error: null,
           elapsed: result.duration,
+          phase: "done",
+          progress: 1,
         });
         return result;
       } catch (err) {
+        // reset() already cleared the state of a cancelled proof
+        if (controller.signal.aborted) return null;
         clearInterval(timerRef.current!);
         const message = err instanceof Error ? err.message : "Proof generation failed";
         setState((prev) => ({
@@ -49,14 +82,19 @@ export function useProofGeneration() {
           elapsed: Date.now() - startTime,
         }));
         return null;
+      } finally {
+        if (abortRef.current === controller) abortRef.current = null;
       }
     },
-    [],
+    [circuitName],
   );
 
+  /** Clear the state; a proof still running is cancelled and its worker terminated */
   const reset = useCallback(() => {
+    abortRef.current?.abort();
+    abortRef.current = null;
     if (timerRef.current) clearInterval(timerRef.current);
-    setState({ isGenerating: false, result: null, error: null, elapsed: 0 });
+    setState(IDLE);
   }, []);
 
   return { ...state, generate, reset };
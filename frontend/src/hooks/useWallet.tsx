@@ -1,5 +1,15 @@
-import { useState, useCallback, createContext, useContext, type ReactNode } from 'react';
+import { useState, useCallback, useEffect, createContext, useContext, type ReactNode } from 'react';
 import { BrowserProvider, JsonRpcSigner } from 'ethers';
+import {
+  deriveIdentityFromSigner,
+  deriveKeyAtPath,
+  KEY_PURPOSES,
+  type DerivedKeypair,
+  type KeyPurpose,
+} from '../lib/crypto';
+import { reserveKeyIndex } from '../lib/noteStore';
+import { setActiveChain } from '../lib/contracts';
+import type { Keypair } from '../lib/types';
 
 interface WalletState {
   provider: BrowserProvider | null;
@@ -10,8 +20,16 @@ interface WalletState {
 }
 
 interface WalletContextValue extends WalletState {
+  /** BabyJubJub identity derived from the wallet signature, once requested */
+  zkKeypair: Keypair | null;
   connect: () => Promise<void>;
   disconnect: () => void;
+  /** Ask the wallet to sign the key-derivation message (cached per connection) */
+  deriveZkKeypair: () => Promise<Keypair>;
+  /** Root keypair plus the HD seed behind every note key (for chain rescans) */
+  deriveZkIdentity: () => Promise<{ keypair: Keypair; seed: Uint8Array }>;
+  /** Fresh key at m / purpose / gameId / next index, so notes are unlinkable */
+  deriveNoteKeypair: (purpose: KeyPurpose, gameId?: bigint) => Promise<DerivedKeypair>;
 }
 
 const WalletContext = createContext<WalletContextValue | null>(null);
@@ -24,6 +42,7 @@ export function WalletProvider({ children }: { children: ReactNode }) {
     chainId: null,
     isConnected: false,
   });
+  const [zkIdentity, setZkIdentity] = useState<{ keypair: Keypair; seed: Uint8Array } | null>(null);
 
   const connect = useCallback(async () => {
     if (typeof window.ethereum === 'undefined') {
@@ -38,6 +57,8 @@ export function WalletProvider({ children }: { children: ReactNode }) {
       const address = await signer.getAddress();
       const network = await provider.getNetwork();
 
+      // Contract addresses come from this chain's deployment manifest
+      setActiveChain(Number(network.chainId));
       setWallet({
         provider,
         signer,
@@ -45,12 +66,14 @@ export function WalletProvider({ children }: { children: ReactNode }) {
         chainId: Number(network.chainId),
         isConnected: true,
       });
+      setZkIdentity(null);
     } catch (err) {
       console.error('Failed to connect wallet:', err);
     }
   }, []);
 
   const disconnect = useCallback(() => {
+    setActiveChain(null);
     setWallet({
       provider: null,
       signer: null,
@@ -58,10 +81,46 @@ export function WalletProvider({ children }: { children: ReactNode }) {
       chainId: null,
       isConnected: false,
     });
+    setZkIdentity(null);
   }, []);
 
+  // Reconnect on a network switch so the signer and contract addresses follow the new chain
+  useEffect(() => {
+    const ethereum = window.ethereum;
+    if (!wallet.isConnected || !ethereum?.on) return;
+    const onChainChanged = () => {
+      void connect();
+    };
+    ethereum.on('chainChanged', onChainChanged);
+    return () => ethereum.removeListener?.('chainChanged', onChainChanged);
+  }, [wallet.isConnected, connect]);
+
+  const unlockIdentity = useCallback(async () => {
+    if (zkIdentity) return zkIdentity;
+    if (!wallet.signer) {
+      throw new Error('Connect a wallet before deriving the ZK key');
+    }
+    const identity = await deriveIdentityFromSigner(wallet.signer);
+    setZkIdentity(identity);
+    return identity;
+  }, [wallet.signer, zkIdentity]);
+
+  const deriveZkKeypair = useCallback(async () => (await unlockIdentity()).keypair, [unlockIdentity]);
+
+  const deriveNoteKeypair = useCallback(async (purpose: KeyPurpose, gameId = 0n) => {
+    const { seed } = await unlockIdentity();
+    const index = reserveKeyIndex(wallet.address!, KEY_PURPOSES[purpose], gameId);
+    return deriveKeyAtPath(seed, { purpose, gameId, index });
+  }, [unlockIdentity, wallet.address]);
+
+  const zkKeypair = zkIdentity?.keypair ?? null;
+
   return (
-    <WalletContext.Provider value={{ ...wallet, connect, disconnect }}>
+    <WalletContext.Provider
+      value={{
+        ...wallet, zkKeypair, connect, disconnect, deriveZkKeypair, deriveZkIdentity: unlockIdentity, deriveNoteKeypair,
+      }}
+    >
       {children}
     </WalletContext.Provider>
   );
@@ -0,0 +1,187 @@
+import type { ProverCircuitName } from "./types";
+
+/**
+ * IndexedDB cache for circuit wasm/zkey files, keyed by the content hashes in
+ * /circuits/manifest.json (written by scripts/lib/circuitManifest.js).
+ *
+ * - Every artifact is SHA-256 checked against the manifest before snarkjs
+ *   sees it, whether it came from the network or from IndexedDB.
+ * - After a recompile the manifest lists new hashes; entries no longer listed
+ *   are evicted the first time the manifest is loaded.
+ * - Without a manifest (or without IndexedDB) proving falls back to plain
+ *   URLs / uncached downloads, so a dev build without the manifest still works.
+ */
+
+export type ArtifactKind = "wasm" | "zkey";
+
+export type ManifestEntry = {
+  path: string;
+  sha256: string;
+  size: number;
+};
+
+export type CircuitManifest = {
+  version: number;
+  circuits: Partial<Record<ProverCircuitName, Partial<Record<ArtifactKind, ManifestEntry>>>>;
+};
+
+export class ArtifactIntegrityError extends Error {
+  constructor(path: string, expected: string, actual: string) {
+    super(`Circuit artifact ${path} failed integrity check (expected ${expected.slice(0, 12)}…, got ${actual.slice(0, 12)}…)`);
+    this.name = "ArtifactIntegrityError";
+  }
+}
+
+const CIRCUITS_BASE = "/circuits";
+const MANIFEST_URL = `${CIRCUITS_BASE}/manifest.json`;
+const DB_NAME = "zkdex-artifacts";
+const STORE = "artifacts";
+
+type CachedArtifact = { sha256: string; path: string; data: ArrayBuffer };
+
+let manifestPromise: Promise<CircuitManifest | null> | null = null;
+const inflight = new Map<string, Promise<Uint8Array>>();
+
+/** URL snarkjs fetches when no manifest is available */
+export function artifactUrl(circuitName: ProverCircuitName, kind: ArtifactKind): string {
+  return `${CIRCUITS_BASE}/${circuitName}/${circuitName}.${kind}`;
+}
+
+/** Hex SHA-256 of a buffer */
+export async function sha256Hex(data: ArrayBuffer | Uint8Array): Promise<string> {
+  const digest = await crypto.subtle.digest("SHA-256", data as BufferSource);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Fetch the manifest once per page load (revalidated, never served stale).
+ * Stale cache entries are evicted in the background once it arrives.
+ */
+export function loadManifest(): Promise<CircuitManifest | null> {
+  manifestPromise ??= fetch(MANIFEST_URL, { cache: "no-cache" })
+    .then((res) => (res.ok ? (res.json() as Promise<CircuitManifest>) : null))
+    .catch(() => null)
+    .then((manifest) => {
+      if (manifest) {
+        evictStaleArtifacts(manifest).catch((err) => console.warn("Artifact cache eviction failed:", err));
+      }
+      return manifest;
+    });
+  return manifestPromise;
+}
+
+/** Forget the loaded manifest (next load refetches it) */
+export function resetManifest() {
+  manifestPromise = null;
+}
+
+// ---- IndexedDB ----
+
+function openDb(): Promise<IDBDatabase | null> {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: "sha256" });
+    };
+    request.onsuccess = () => resolve(request.result);
+    // Private browsing or blocked storage: run uncached
+    request.onerror = () => resolve(null);
+  });
+}
+
+function requestToPromise<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore<T>(
+  mode: IDBTransactionMode,
+  fn: (store: IDBObjectStore) => IDBRequest<T>,
+): Promise<T | undefined> {
+  const db = await openDb();
+  if (!db) return undefined;
+  try {
+    return await requestToPromise(fn(db.transaction(STORE, mode).objectStore(STORE)));
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Delete cached artifacts whose hash is not in the manifest
+ * @returns Number of evicted entries
+ */
+export async function evictStaleArtifacts(manifest: CircuitManifest): Promise<number> {
+  const current = new Set<string>();
+  for (const artifacts of Object.values(manifest.circuits)) {
+    for (const entry of Object.values(artifacts ?? {})) {
+      if (entry) current.add(entry.sha256);
+    }
+  }
+  const keys = (await withStore("readonly", (store) => store.getAllKeys())) ?? [];
+  const stale = keys.filter((key) => !current.has(String(key)));
+  for (const key of stale) {
+    await withStore("readwrite", (store) => store.delete(key));
+  }
+  return stale.length;
+}
+
+// ---- Artifacts ----
+
+async function verify(entry: ManifestEntry, data: ArrayBuffer): Promise<boolean> {
+  return (await sha256Hex(data)) === entry.sha256;
+}
+
+async function download(entry: ManifestEntry): Promise<Uint8Array> {
+  // The hash in the query string keeps the HTTP cache from serving a previous build
+  const res = await fetch(`${CIRCUITS_BASE}/${entry.path}?v=${entry.sha256.slice(0, 16)}`);
+  if (!res.ok) throw new Error(`Failed to fetch ${entry.path}: HTTP ${res.status}`);
+  const data = await res.arrayBuffer();
+  const actual = await sha256Hex(data);
+  if (actual !== entry.sha256) throw new ArtifactIntegrityError(entry.path, entry.sha256, actual);
+
+  try {
+    const record: CachedArtifact = { sha256: entry.sha256, path: entry.path, data };
+    await withStore("readwrite", (store) => store.put(record));
+  } catch (err) {
+    // Quota exceeded etc. — the verified bytes are still usable
+    console.warn(`Could not cache ${entry.path}:`, err);
+  }
+  return new Uint8Array(data);
+}
+
+async function load(entry: ManifestEntry): Promise<Uint8Array> {
+  const cached = await withStore("readonly", (store) => store.get(entry.sha256) as IDBRequest<CachedArtifact | undefined>)
+    .catch(() => undefined);
+  if (cached && (await verify(entry, cached.data))) return new Uint8Array(cached.data);
+  // Missing or corrupted: refetch (download() overwrites the bad entry)
+  return download(entry);
+}
+
+/**
+ * Verified artifact bytes for snarkjs, or its plain URL when the manifest
+ * does not list it. Concurrent requests (prefetch + prove) share one download.
+ */
+export async function getArtifact(circuitName: ProverCircuitName, kind: ArtifactKind): Promise<Uint8Array | string> {
+  const entry = (await loadManifest())?.circuits[circuitName]?.[kind];
+  if (!entry) return artifactUrl(circuitName, kind);
+
+  let pending = inflight.get(entry.sha256);
+  if (!pending) {
+    pending = load(entry).finally(() => inflight.delete(entry.sha256));
+    inflight.set(entry.sha256, pending);
+  }
+  return pending;
+}
+
+/**
+ * Warm the cache for a circuit in the background (feature page mount)
+ */
+export function prefetchCircuit(circuitName: ProverCircuitName): void {
+  Promise.all([getArtifact(circuitName, "wasm"), getArtifact(circuitName, "zkey")]).catch((err) =>
+    console.warn(`Prefetch of ${circuitName} artifacts failed:`, err),
+  );
+}
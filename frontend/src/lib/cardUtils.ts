@@ -1,5 +1,7 @@
-import { poseidonHash, randomSalt, generateKeypair } from "./crypto";
-import type { Keypair } from "./types";
+import { poseidonHash, randomSalt, generateKeypair, deriveZkAddress } from "./crypto";
+import type { Keypair, ProveOptions } from "./types";
+import { DrawNote } from "./featureNotes";
+import { encryptForRecipient, hexToBytes } from "./ecdhCrypto";
 import { generateProof } from "./proofGenerator";
 import { CIRCUIT_NAMES, SUITS, RANKS } from "./types";
 
@@ -51,10 +53,14 @@ export type F8SetupResult = {
 };
 
 /**
- * Setup a new card game: generate keypair, shuffle deck, compute commitment
+ * Setup a new card game: shuffle deck, compute commitment.
+ * Uses the given (wallet-derived) keypair, or a throwaway one if omitted.
  */
-export async function setupF8Game(gameId: bigint): Promise<F8SetupResult> {
-  const player = await generateKeypair();
+export async function setupF8Game(
+  gameId: bigint,
+  playerKeypair?: Keypair,
+): Promise<F8SetupResult> {
+  const player = playerKeypair ?? await generateKeypair();
   const shuffleSeed = randomSalt();
   const deckSalt = randomSalt();
 
@@ -70,9 +76,29 @@ export async function setupF8Game(gameId: bigint): Promise<F8SetupResult> {
   };
 }
 
+/**
+ * Deck registration payload: shuffleSeed || deckSalt (32 bytes each).
+ * The player re-derives the deck with fisherYatesShuffle(shuffleSeed).
+ */
+export function serializeDeck(game: F8SetupResult): Uint8Array {
+  const out = new Uint8Array(64);
+  out.set(hexToBytes(game.shuffleSeed.toString(16).padStart(64, "0")), 0);
+  out.set(hexToBytes(game.deckSalt.toString(16).padStart(64, "0")), 32);
+  return out;
+}
+
+/**
+ * Encrypt the deck preimage to the player's viewing key for the registerDeck `encryptedNote` argument
+ */
+export async function encryptDeck(game: F8SetupResult): Promise<string> {
+  const { viewingPk } = await deriveZkAddress(game.player.sk);
+  return encryptForRecipient(serializeDeck(game), viewingPk);
+}
+
 export type F8DrawInputs = {
   drawCommitment: bigint;
   drawnCard: number;
+  drawNote: DrawNote;
   circuitInputs: Record<string, unknown>;
 };
 
@@ -83,15 +109,11 @@ export async function prepareF8Draw(
   game: F8SetupResult,
   drawIndex: number,
 ): Promise<F8DrawInputs> {
-  const handSalt = randomSalt();
   const drawnCard = game.deckCards[drawIndex];
+  const drawNote = new DrawNote({ drawnCard, drawIndex, gameId: game.gameId });
+  const handSalt = drawNote.salt;
 
-  const drawCommitment = await poseidonHash([
-    BigInt(drawnCard),
-    BigInt(drawIndex),
-    game.gameId,
-    handSalt,
-  ]);
+  const drawCommitment = await drawNote.hash();
 
   const circuitInputs = {
     deckCommitment: game.deckCommitment.toString(),
@@ -109,11 +131,11 @@ export async function prepareF8Draw(
     deckSalt: game.deckSalt.toString(),
   };
 
-  return { drawCommitment, drawnCard, circuitInputs };
+  return { drawCommitment, drawnCard, drawNote, circuitInputs };
 }
 
-export async function generateF8Proof(circuitInputs: Record<string, unknown>) {
-  return generateProof(CIRCUIT_NAMES.CARD_DRAW, circuitInputs);
+export async function generateF8Proof(circuitInputs: Record<string, unknown>, options?: ProveOptions) {
+  return generateProof(CIRCUIT_NAMES.CARD_DRAW, circuitInputs, options);
 }
 
 /**
@@ -17,20 +17,74 @@ const ABI_MAP: Record<ContractName, unknown[]> = {
   MockERC20: MockERC20Abi,
 };
 
-const ADDRESS_MAP: Record<ContractName, string> = {
-  PrivateNFT: (deployedAddresses as Record<string, string>).privateNFT,
-  LootBoxOpen: (deployedAddresses as Record<string, string>).lootBoxOpen,
-  GamingItemTrade: (deployedAddresses as Record<string, string>).gamingItemTrade,
-  CardDraw: (deployedAddresses as Record<string, string>).cardDraw,
-  MockERC20: (deployedAddresses as Record<string, string>).mockERC20,
+/** deployedAddresses.json / manifest keys */
+const CONTRACT_KEYS: Record<ContractName, string> = {
+  PrivateNFT: "privateNFT",
+  LootBoxOpen: "lootBoxOpen",
+  GamingItemTrade: "gamingItemTrade",
+  CardDraw: "cardDraw",
+  MockERC20: "mockERC20",
 };
 
+/** Per-chain manifest written by scripts/deploy.js (see scripts/lib/deployManifest.js) */
+export type DeploymentManifest = {
+  version: number;
+  chainId: number;
+  network: string | null;
+  proverMode: string | null;
+  contracts: Record<string, {
+    contract: string;
+    address: string;
+    args: unknown[];
+    txHash: string;
+    blockNumber: number;
+    circuit?: string;
+    vkeyHash?: string | null;
+  }>;
+};
+
+const MANIFESTS: Record<number, DeploymentManifest> = Object.fromEntries(
+  Object.values(
+    import.meta.glob<DeploymentManifest>("../config/deployments/*.json", { eager: true, import: "default" }),
+  ).map((manifest) => [manifest.chainId, manifest]),
+);
+
+// Chain of the connected wallet; set by useWallet
+let activeChainId: number | null = null;
+
+/**
+ * Select the deployment manifest of the connected chain. Until a wallet is
+ * connected (null), addresses come from deployedAddresses.json, the most
+ * recent deployment.
+ */
+export function setActiveChain(chainId: number | null): void {
+  activeChainId = chainId;
+}
+
+/**
+ * Deployment manifest of a chain (default: the connected one), or null if nothing is deployed there
+ */
+export function getDeployment(chainId: number | null = activeChainId): DeploymentManifest | null {
+  return chainId === null ? null : MANIFESTS[chainId] ?? null;
+}
+
 /**
  * Get a contract instance connected to a signer
  */
 export function getContract(name: ContractName, signer: JsonRpcSigner): Contract {
-  const address = ADDRESS_MAP[name];
+  const address = getContractAddress(name);
   const abi = ABI_MAP[name];
-  if (!address) throw new Error(`No deployed address for ${name}`);
+  if (!address) {
+    throw new Error(`No deployed address for ${name}${activeChainId === null ? "" : ` on chain ${activeChainId}`}`);
+  }
   return new Contract(address, abi as never[], signer);
 }
+
+/**
+ * Get the deployed address of a contract on the connected chain, or null if it is not deployed
+ */
+export function getContractAddress(name: ContractName): string | null {
+  const key = CONTRACT_KEYS[name];
+  if (activeChainId === null) return (deployedAddresses as Record<string, string>)[key] || null;
+  return getDeployment()?.contracts[key]?.address ?? null;
+}
@@ -1,5 +1,6 @@
 import { buildBabyjub, buildPoseidon } from "circomlibjs";
-import type { Keypair } from "./types";
+import type { Signer } from "ethers";
+import type { Keypair, ZkAddress } from "./types";
 
 // Singleton instances
 let babyJub: Awaited<ReturnType<typeof buildBabyjub>> | null = null;
@@ -54,6 +55,57 @@ export async function getPublicKey(
   };
 }
 
+/**
+ * Scalar multiplication of an arbitrary BabyJubJub point (used for ECDH)
+ */
+export async function mulPointScalar(
+  point: { x: bigint; y: bigint },
+  scalar: bigint,
+): Promise<{ x: bigint; y: bigint }> {
+  await init();
+  const result = babyJub!.mulPointEscalar([F.e(point.x), F.e(point.y)], scalar);
+  return {
+    x: F.toObject(result[0]),
+    y: F.toObject(result[1]),
+  };
+}
+
+/**
+ * Add two BabyJubJub points
+ */
+export async function addPoints(
+  p1: { x: bigint; y: bigint },
+  p2: { x: bigint; y: bigint },
+): Promise<{ x: bigint; y: bigint }> {
+  await init();
+  const result = babyJub!.addPoint([F.e(p1.x), F.e(p1.y)], [F.e(p2.x), F.e(p2.y)]);
+  return {
+    x: F.toObject(result[0]),
+    y: F.toObject(result[1]),
+  };
+}
+
+/**
+ * Pack a point into 32 bytes (circomlibjs packPoint)
+ */
+export async function packPoint(point: { x: bigint; y: bigint }): Promise<Uint8Array> {
+  await init();
+  return babyJub!.packPoint([F.e(point.x), F.e(point.y)]);
+}
+
+/**
+ * Unpack 32 bytes into a point; null if the bytes are not a curve point
+ */
+export async function unpackPoint(packed: Uint8Array): Promise<{ x: bigint; y: bigint } | null> {
+  await init();
+  const result = babyJub!.unpackPoint(packed);
+  if (!result || !babyJub!.inCurve(result)) return null;
+  return {
+    x: F.toObject(result[0]),
+    y: F.toObject(result[1]),
+  };
+}
+
 /**
  * Generate a full keypair
  */
@@ -63,6 +115,306 @@ export async function generateKeypair(): Promise<Keypair> {
   return { sk, pk };
 }
 
+/**
+ * Id of a spending key in the keystore and the note scanner: the 0x-padded
+ * x-coordinate of its public key (same as scripts/lib/circomlibBabyJub.js keyIdOf)
+ */
+export function keyIdOf(pk: { x: bigint; y: bigint }): string {
+  return toBytes32(pk.x);
+}
+
+// ─── Wallet-derived keys (mirrors scripts/lib/circomlibBabyJub.js) ───
+
+/** EIP-712 domain for key derivation; no chainId so the key is the same on every network */
+export const KEY_DERIVATION_DOMAIN = {
+  name: "NFTGame ZK-DEX",
+  version: "1",
+};
+
+export const KEY_DERIVATION_TYPES = {
+  ZkIdentity: [
+    { name: "purpose", type: "string" },
+    { name: "account", type: "address" },
+  ],
+};
+
+const KEY_DERIVATION_PURPOSE = "Derive my BabyJubJub key. Only sign this on trusted sites.";
+
+export function keyDerivationMessage(account: string) {
+  return { purpose: KEY_DERIVATION_PURPOSE, account };
+}
+
+/**
+ * sk = SHA-512("zkdex-babyjub-sk" || signature) mod subOrder
+ */
+export async function deriveSecretKeyFromSignature(signature: string): Promise<bigint> {
+  await init();
+  const hex = signature.replace(/^0x/, "");
+  if (hex.length !== 130) {
+    throw new Error(`Expected a 65-byte signature, got ${hex.length / 2} bytes`);
+  }
+  const tag = new TextEncoder().encode("zkdex-babyjub-sk");
+  const input = new Uint8Array(tag.length + 65);
+  input.set(tag, 0);
+  for (let i = 0; i < 65; i++) {
+    input[tag.length + i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-512", input));
+  const digestHex = Array.from(digest)
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+  const sk = BigInt("0x" + digestHex) % babyJub!.subOrder;
+  if (sk === 0n) throw new Error("Derived secret key is zero");
+  return sk;
+}
+
+/**
+ * Deterministic keypair for the connected wallet: the same account always
+ * signs the same typed data (RFC 6979) and so recovers the same ZK identity.
+ */
+export async function deriveKeypairFromSigner(
+  signer: Pick<Signer, "getAddress" | "signTypedData">,
+): Promise<Keypair> {
+  return (await deriveIdentityFromSigner(signer)).keypair;
+}
+
+// ─── Hierarchical derivation: master seed → purpose → gameId → index ───
+
+/** Purpose branch per feature; F1 NFTs and F4 boxes use gameId 0 */
+export const KEY_PURPOSES = {
+  nft: 1,
+  lootbox: 4,
+  item: 5,
+  card: 8,
+} as const;
+
+export type KeyPurpose = keyof typeof KEY_PURPOSES;
+
+export const DEFAULT_GAP_LIMIT = 20;
+
+export type HDNode = { key: Uint8Array; chainCode: Uint8Array };
+
+export type DerivedKeypair = Keypair & { path: string };
+
+function hexBytes(hex: string): Uint8Array<ArrayBuffer> {
+  const clean = hex.replace(/^0x/, "");
+  const out = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = parseInt(clean.slice(i * 2, i * 2 + 2), 16);
+  }
+  return out;
+}
+
+async function hmacSha512(key: Uint8Array, data: Uint8Array): Promise<Uint8Array> {
+  const hmacKey = await crypto.subtle.importKey(
+    "raw", key as Uint8Array<ArrayBuffer>, { name: "HMAC", hash: "SHA-512" }, false, ["sign"],
+  );
+  return new Uint8Array(await crypto.subtle.sign("HMAC", hmacKey, data as Uint8Array<ArrayBuffer>));
+}
+
+/**
+ * seed = SHA-512("zkdex-hd-seed" || signature), 64 bytes
+ */
+export async function deriveMasterSeedFromSignature(signature: string): Promise<Uint8Array> {
+  const sig = hexBytes(signature);
+  if (sig.length !== 65) {
+    throw new Error(`Expected a 65-byte signature, got ${sig.length} bytes`);
+  }
+  const tag = new TextEncoder().encode("zkdex-hd-seed");
+  const input = new Uint8Array(tag.length + 65);
+  input.set(tag, 0);
+  input.set(sig, tag.length);
+  return new Uint8Array(await crypto.subtle.digest("SHA-512", input));
+}
+
+/**
+ * Root keypair and HD seed from a single key-derivation signature
+ */
+export async function deriveIdentityFromSigner(
+  signer: Pick<Signer, "getAddress" | "signTypedData">,
+): Promise<{ keypair: Keypair; seed: Uint8Array }> {
+  const account = await signer.getAddress();
+  const signature = await signer.signTypedData(
+    KEY_DERIVATION_DOMAIN,
+    KEY_DERIVATION_TYPES,
+    keyDerivationMessage(account),
+  );
+  const sk = await deriveSecretKeyFromSignature(signature);
+  return {
+    keypair: { sk, pk: await getPublicKey(sk) },
+    seed: await deriveMasterSeedFromSignature(signature),
+  };
+}
+
+/** I = HMAC-SHA512("zkdex-babyjub-hd", seed) */
+export async function masterNodeFromSeed(seed: Uint8Array): Promise<HDNode> {
+  if (seed.length < 16 || seed.length > 64) {
+    throw new Error(`Seed must be 16-64 bytes, got ${seed.length}`);
+  }
+  const I = await hmacSha512(new TextEncoder().encode("zkdex-babyjub-hd"), seed);
+  return { key: I.slice(0, 32), chainCode: I.slice(32) };
+}
+
+/** Hardened child: I = HMAC-SHA512(chainCode, 0x00 || key || index as uint256) */
+export async function deriveChildNode(node: HDNode, index: bigint | number): Promise<HDNode> {
+  const i = BigInt(index);
+  if (i < 0n || i >= 1n << 256n) throw new Error(`Invalid child index: ${index}`);
+
+  const data = new Uint8Array(65);
+  data.set(node.key, 1);
+  data.set(hexBytes(i.toString(16).padStart(64, "0")), 33);
+  const I = await hmacSha512(node.chainCode, data);
+  return { key: I.slice(0, 32), chainCode: I.slice(32) };
+}
+
+/**
+ * Keypair at m / purpose / gameId / index (sk = leaf key mod subOrder)
+ */
+export async function deriveKeyAtPath(
+  seed: Uint8Array,
+  path: { purpose: KeyPurpose | number; gameId?: bigint | number; index: bigint | number },
+): Promise<DerivedKeypair> {
+  await init();
+  const purpose = typeof path.purpose === "string" ? KEY_PURPOSES[path.purpose] : path.purpose;
+  const gameId = BigInt(path.gameId ?? 0n);
+  const index = BigInt(path.index);
+
+  let node = await masterNodeFromSeed(seed);
+  for (const i of [purpose, gameId, index]) {
+    node = await deriveChildNode(node, i);
+  }
+
+  const keyHex = Array.from(node.key)
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+  const sk = BigInt("0x" + keyHex) % babyJub!.subOrder;
+  if (sk === 0n) throw new Error("Derived secret key is zero; use the next index");
+  return { sk, pk: await getPublicKey(sk), path: `m/${purpose}/${gameId}/${index}` };
+}
+
+/**
+ * Walk m / purpose / gameId / 0, 1, 2, ... until `gapLimit` consecutive
+ * indexes are unused. Returns the used keys and the next unused index.
+ */
+export async function discoverKeys(
+  seed: Uint8Array,
+  branch: { purpose: KeyPurpose | number; gameId?: bigint | number },
+  isUsed: (keypair: DerivedKeypair, index: number) => Promise<boolean>,
+  gapLimit = DEFAULT_GAP_LIMIT,
+): Promise<{ used: (DerivedKeypair & { index: number })[]; nextIndex: number }> {
+  const used: (DerivedKeypair & { index: number })[] = [];
+  let nextIndex = 0;
+  for (let index = 0, gap = 0; gap < gapLimit; index++) {
+    const keypair = await deriveKeyAtPath(seed, { ...branch, index });
+    if (await isUsed(keypair, index)) {
+      used.push({ ...keypair, index });
+      nextIndex = index + 1;
+      gap = 0;
+    } else {
+      gap++;
+    }
+  }
+  return { used, nextIndex };
+}
+
+// ─── Viewing keys (mirrors scripts/lib/circomlibBabyJub.js) ───
+
+/** ASCII "zkdex-viewing-key" as a field element */
+export const VIEWING_KEY_DOMAIN = BigInt(
+  "0x" + Array.from(new TextEncoder().encode("zkdex-viewing-key"))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join(""),
+);
+
+/**
+ * vsk = Poseidon(VIEWING_KEY_DOMAIN, sk) mod subOrder. Reads notes, cannot spend.
+ */
+export async function deriveViewingKey(sk: bigint): Promise<bigint> {
+  await init();
+  const vsk = (await poseidonHash([VIEWING_KEY_DOMAIN, sk])) % babyJub!.subOrder;
+  if (vsk === 0n) throw new Error("Derived viewing key is zero");
+  return vsk;
+}
+
+export async function deriveZkAddress(sk: bigint): Promise<ZkAddress> {
+  return {
+    spendingPk: await getPublicKey(sk),
+    viewingPk: await getPublicKey(await deriveViewingKey(sk)),
+  };
+}
+
+export type ViewingKey = { vsk: bigint; spendingPk: { x: bigint; y: bigint } };
+
+/** 0x || vsk(32) || spendingPk.x(32) || spendingPk.y(32) */
+export function encodeViewingKey(vsk: bigint, spendingPk: { x: bigint; y: bigint }): string {
+  return "0x" + [vsk, spendingPk.x, spendingPk.y]
+    .map((v) => v.toString(16).padStart(64, "0"))
+    .join("");
+}
+
+export function decodeViewingKey(encoded: string): ViewingKey {
+  const hex = encoded.trim().replace(/^0x/, "");
+  if (!/^[0-9a-fA-F]{192}$/.test(hex)) throw new Error("Invalid viewing key encoding");
+  return {
+    vsk: BigInt("0x" + hex.slice(0, 64)),
+    spendingPk: { x: BigInt("0x" + hex.slice(64, 128)), y: BigInt("0x" + hex.slice(128)) },
+  };
+}
+
+// ─── Stealth keys (mirrors scripts/lib/circomlibBabyJub.js) ───
+
+/** ASCII "zkdex-stealth" as a field element */
+export const STEALTH_DOMAIN = BigInt(
+  "0x" + Array.from(new TextEncoder().encode("zkdex-stealth"))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join(""),
+);
+
+export type StealthKey = {
+  pk: { x: bigint; y: bigint };
+  ephemeralSk: bigint;
+  ephemeralPk: { x: bigint; y: bigint };
+};
+
+async function stealthTweak(shared: { x: bigint; y: bigint }): Promise<bigint> {
+  await init();
+  return (await poseidonHash([STEALTH_DOMAIN, shared.x, shared.y])) % babyJub!.subOrder;
+}
+
+/**
+ * Sender side: one-time owner key P = spendingPk + H(r·viewingPk)·Base8.
+ * Encrypt the note with the same r (encryptForRecipient ephemeralSk) so R reaches the recipient.
+ */
+export async function createStealthKey(address: ZkAddress, ephemeralSk?: bigint): Promise<StealthKey> {
+  const r = ephemeralSk ?? await randomSecretKey();
+  const tweak = await stealthTweak(await mulPointScalar(address.viewingPk, r));
+  return {
+    pk: await addPoints(address.spendingPk, await getPublicKey(tweak)),
+    ephemeralSk: r,
+    ephemeralPk: await getPublicKey(r),
+  };
+}
+
+/** Viewer side: the one-time key derived from the envelope's ephemeral key */
+export async function deriveStealthPublicKey(
+  vsk: bigint,
+  spendingPk: { x: bigint; y: bigint },
+  ephemeralPk: { x: bigint; y: bigint },
+): Promise<{ x: bigint; y: bigint }> {
+  const tweak = await stealthTweak(await mulPointScalar(ephemeralPk, vsk));
+  return addPoints(spendingPk, await getPublicKey(tweak));
+}
+
+/** Owner side: (sk + H(vsk·R)) mod subOrder */
+export async function recoverStealthSecretKey(
+  sk: bigint,
+  ephemeralPk: { x: bigint; y: bigint },
+): Promise<bigint> {
+  const tweak = await stealthTweak(await mulPointScalar(ephemeralPk, await deriveViewingKey(sk)));
+  return (sk + tweak) % babyJub!.subOrder;
+}
+
 /**
  * Generate a random 31-byte salt (matches test pattern)
  */
@@ -0,0 +1,195 @@
+import { getPublicKey, mulPointScalar, randomSecretKey } from "./crypto";
+
+/**
+ * ECDH note encryption for the browser.
+ * Byte-compatible with scripts/lib/ecdhCrypto.js: ECDH on BabyJubJub,
+ * AES key = SHA-256(shared_x || shared_y), AES-256-GCM via WebCrypto.
+ *
+ * Envelope v1:
+ *   0x01 || epk_x(32B) || epk_y(32B) || nonce(12B) || ciphertext || authTag(16B)
+ */
+
+export const ECDH_VERSION = 0x01;
+
+/** 1(ver) + 32(epk_x) + 32(epk_y) + 12(nonce) + 1(min ct) + 16(tag) */
+export const ECDH_MIN_BYTES = 94;
+
+type Point = { x: bigint; y: bigint };
+
+/** v1: ephemeralSk fixes the ephemeral scalar (the stealth key scalar) */
+export type EncryptOptions = { ephemeralSk?: bigint };
+
+export type EnvelopeFormat = {
+  name: string;
+  minBytes: number;
+  encrypt: (plaintext: Uint8Array, recipientPk: Point, options?: EncryptOptions) => Promise<Uint8Array>;
+  decrypt: (buf: Uint8Array, sk: bigint) => Promise<Uint8Array>;
+  ephemeralKey?: (buf: Uint8Array) => Point;
+};
+
+function bigIntToBytes32(value: bigint): Uint8Array {
+  const hex = value.toString(16).padStart(64, "0");
+  return hexToBytes(hex);
+}
+
+function bytesToBigInt(bytes: Uint8Array): bigint {
+  return BigInt("0x" + bytesToHex(bytes));
+}
+
+export function hexToBytes(hex: string): Uint8Array {
+  const clean = hex.replace(/^0x/, "");
+  const out = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = parseInt(clean.slice(i * 2, i * 2 + 2), 16);
+  }
+  return out;
+}
+
+export function bytesToHex(bytes: Uint8Array): string {
+  return Array.from(bytes)
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/** key = SHA-256(shared_x_32bytes || shared_y_32bytes) */
+async function deriveAESKey(shared: Point, usage: KeyUsage): Promise<CryptoKey> {
+  const material = new Uint8Array(64);
+  material.set(bigIntToBytes32(shared.x), 0);
+  material.set(bigIntToBytes32(shared.y), 32);
+  const digest = await crypto.subtle.digest("SHA-256", material);
+  return crypto.subtle.importKey("raw", digest, "AES-GCM", false, [usage]);
+}
+
+// ─── Envelope v1: ECDH on BabyJubJub + AES-256-GCM ───
+
+async function encryptV1(
+  plaintext: Uint8Array,
+  recipientPk: Point,
+  options: EncryptOptions = {},
+): Promise<Uint8Array> {
+  const esk = options.ephemeralSk ?? await randomSecretKey();
+  const epk = await getPublicKey(esk);
+  const shared = await mulPointScalar(recipientPk, esk);
+  const key = await deriveAESKey(shared, "encrypt");
+
+  const nonce = new Uint8Array(12);
+  crypto.getRandomValues(nonce);
+
+  // WebCrypto appends the 16-byte tag to the ciphertext, same layout as Node
+  const sealed = new Uint8Array(
+    await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv: nonce, tagLength: 128 },
+      key,
+      plaintext as Uint8Array<ArrayBuffer>,
+    ),
+  );
+
+  const out = new Uint8Array(1 + 32 + 32 + 12 + sealed.length);
+  out[0] = ECDH_VERSION;
+  out.set(bigIntToBytes32(epk.x), 1);
+  out.set(bigIntToBytes32(epk.y), 33);
+  out.set(nonce, 65);
+  out.set(sealed, 77);
+  return out;
+}
+
+function ephemeralKeyV1(buf: Uint8Array): Point {
+  return { x: bytesToBigInt(buf.subarray(1, 33)), y: bytesToBigInt(buf.subarray(33, 65)) };
+}
+
+async function decryptV1(buf: Uint8Array, sk: bigint): Promise<Uint8Array> {
+  const epk = ephemeralKeyV1(buf);
+  const nonce = buf.slice(65, 77);
+  const sealed = buf.slice(77);
+
+  const shared = await mulPointScalar(epk, sk);
+  const key = await deriveAESKey(shared, "decrypt");
+  return new Uint8Array(
+    await crypto.subtle.decrypt({ name: "AES-GCM", iv: nonce, tagLength: 128 }, key, sealed),
+  );
+}
+
+// ─── Version registry ───
+
+export const ENVELOPE_VERSIONS = new Map<number, EnvelopeFormat>();
+
+export const DEFAULT_ENVELOPE_VERSION = ECDH_VERSION;
+
+export function registerEnvelopeVersion(version: number, format: EnvelopeFormat) {
+  if (!Number.isInteger(version) || version < 1 || version > 0xff) {
+    throw new Error(`Invalid envelope version: ${version}`);
+  }
+  if (ENVELOPE_VERSIONS.has(version)) {
+    throw new Error(`Envelope version 0x${version.toString(16)} already registered`);
+  }
+  ENVELOPE_VERSIONS.set(version, format);
+}
+
+registerEnvelopeVersion(ECDH_VERSION, {
+  name: "ecdh-babyjubjub-aes256gcm",
+  minBytes: ECDH_MIN_BYTES,
+  encrypt: encryptV1,
+  decrypt: decryptV1,
+  ephemeralKey: ephemeralKeyV1,
+});
+
+/**
+ * Version byte of a hex blob if it is a registered format, otherwise null
+ */
+export function getEnvelopeVersion(hex: string): number | null {
+  const clean = hex.replace(/^0x/, "");
+  if (clean.length < 2) return null;
+  const version = parseInt(clean.slice(0, 2), 16);
+  return ENVELOPE_VERSIONS.has(version) ? version : null;
+}
+
+/**
+ * Encrypt data for a recipient's BabyJubJub public key.
+ * Returns the envelope as 0x-prefixed hex, ready to pass as `bytes`.
+ */
+export async function encryptForRecipient(
+  plaintext: Uint8Array,
+  recipientPk: Point,
+  version: number = DEFAULT_ENVELOPE_VERSION,
+  options: EncryptOptions = {},
+): Promise<string> {
+  const format = ENVELOPE_VERSIONS.get(version);
+  if (!format) throw new Error(`Unknown envelope version: ${version}`);
+  return "0x" + bytesToHex(await format.encrypt(plaintext, recipientPk, options));
+}
+
+/**
+ * Decrypt an envelope with the recipient's secret key.
+ * Returns null on a wrong key, corrupted data or an unknown version.
+ */
+export async function decryptWithSecretKey(
+  encryptedHex: string,
+  sk: bigint,
+): Promise<Uint8Array | null> {
+  try {
+    const buf = hexToBytes(encryptedHex);
+    const format = ENVELOPE_VERSIONS.get(buf[0]);
+    if (!format || buf.length < format.minBytes) return null;
+    return await format.decrypt(buf, sk);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sender's ephemeral public key of an envelope (R of a stealth note), or null
+ */
+export function getEphemeralKey(encryptedHex: string): Point | null {
+  if (!isECDHEncrypted(encryptedHex)) return null;
+  const buf = hexToBytes(encryptedHex);
+  return ENVELOPE_VERSIONS.get(buf[0])!.ephemeralKey?.(buf) ?? null;
+}
+
+/**
+ * True if the hex blob starts with a registered version byte and is long enough
+ */
+export function isECDHEncrypted(hex: string): boolean {
+  const version = getEnvelopeVersion(hex);
+  if (version === null) return false;
+  return hex.replace(/^0x/, "").length >= ENVELOPE_VERSIONS.get(version)!.minBytes * 2;
+}
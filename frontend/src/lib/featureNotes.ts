@@ -0,0 +1,240 @@
+import { poseidonHash, randomSalt } from "./crypto";
+
+/**
+ * Typed notes for the F1/F4/F5/F8 circuits.
+ * Mirrors scripts/lib/FeatureNotes.js: same field order, same hashes,
+ * same serialization (type byte || 32-byte big-endian fields).
+ */
+
+export const SNARK_FIELD =
+  21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+export const NOTE_TYPES = {
+  nft: 0x01,
+  item: 0x02,
+  payment: 0x03,
+  box: 0x04,
+  outcome: 0x05,
+  draw: 0x06,
+} as const;
+
+export type NoteType = keyof typeof NOTE_TYPES;
+
+type FieldValue = bigint | number | string;
+type FieldInput = Record<string, FieldValue | { x: bigint; y: bigint } | undefined>;
+
+export type NoteJSON = { type: NoteType } & Record<string, string>;
+
+function toField(name: string, value: unknown): bigint {
+  if (value === undefined || value === null) {
+    throw new Error(`Missing note field: ${name}`);
+  }
+  let v: bigint;
+  try {
+    v = BigInt(value as FieldValue);
+  } catch {
+    throw new Error(`Invalid note field ${name}: ${String(value)}`);
+  }
+  if (v < 0n || v >= SNARK_FIELD) {
+    throw new Error(`Note field ${name} out of range`);
+  }
+  return v;
+}
+
+/** Field order per note type; the last field is always the salt */
+export const NOTE_FIELDS = {
+  nft: ["pkX", "pkY", "nftId", "collection", "salt"],
+  item: ["pkX", "pkY", "itemId", "itemType", "itemAttributes", "gameId", "salt"],
+  payment: ["pkX", "pkY", "price", "paymentToken", "salt"],
+  box: ["pkX", "pkY", "boxId", "boxType", "salt"],
+  outcome: ["pkX", "pkY", "itemId", "itemRarity", "salt"],
+  draw: ["drawnCard", "drawIndex", "gameId", "handSalt"],
+} as const satisfies Record<NoteType, readonly string[]>;
+
+/** Field hashed with salt and sk for the nullifier; null if not spendable */
+const ID_FIELDS: Record<NoteType, string | null> = {
+  nft: "nftId",
+  item: "itemId",
+  payment: null,
+  box: "boxId",
+  outcome: "itemId",
+  draw: null,
+};
+
+/**
+ * Base class for all feature notes. A missing salt is randomized;
+ * `pk: {x, y}` may be passed instead of pkX/pkY.
+ */
+export class FeatureNote {
+  readonly type: NoteType;
+  protected values: Record<string, bigint> = {};
+
+  constructor(type: NoteType, input: FieldInput) {
+    this.type = type;
+    const raw: Record<string, unknown> = { ...input };
+    const pk = raw.pk as { x: bigint; y: bigint } | undefined;
+    if (pk) {
+      raw.pkX = pk.x;
+      raw.pkY = pk.y;
+    }
+    const saltField = this.fields[this.fields.length - 1];
+    if (raw[saltField] === undefined) raw[saltField] = randomSalt();
+    for (const name of this.fields) {
+      this.values[name] = toField(name, raw[name]);
+    }
+  }
+
+  get fields(): readonly string[] {
+    return NOTE_FIELDS[this.type];
+  }
+
+  get(name: string): bigint {
+    const v = this.values[name];
+    if (v === undefined) throw new Error(`Unknown note field: ${name}`);
+    return v;
+  }
+
+  get salt(): bigint {
+    return this.get(this.fields[this.fields.length - 1]);
+  }
+
+  get pk(): { x: bigint; y: bigint } | null {
+    return "pkX" in this.values
+      ? { x: this.values.pkX, y: this.values.pkY }
+      : null;
+  }
+
+  async hash(): Promise<bigint> {
+    return poseidonHash(this.fields.map((name) => this.values[name]));
+  }
+
+  /** Poseidon(id, salt, sk) */
+  async nullifier(sk: bigint): Promise<bigint> {
+    const idField = ID_FIELDS[this.type];
+    if (!idField) {
+      throw new Error(`${this.constructor.name} is not spendable and has no nullifier`);
+    }
+    return poseidonHash([this.get(idField), this.salt, sk]);
+  }
+
+  serialize(): Uint8Array {
+    const out = new Uint8Array(1 + 32 * this.fields.length);
+    out[0] = NOTE_TYPES[this.type];
+    this.fields.forEach((name, i) => {
+      const hex = this.values[name].toString(16).padStart(64, "0");
+      for (let b = 0; b < 32; b++) {
+        out[1 + 32 * i + b] = parseInt(hex.slice(b * 2, b * 2 + 2), 16);
+      }
+    });
+    return out;
+  }
+
+  toJSON(): NoteJSON {
+    const json: Record<string, string> = { type: this.type };
+    for (const name of this.fields) json[name] = this.values[name].toString();
+    return json as NoteJSON;
+  }
+
+  toCircuitInputs(): Record<string, string> {
+    const fields: Record<string, string> = {};
+    for (const name of this.fields) fields[name] = this.values[name].toString();
+    return fields;
+  }
+}
+
+export class NFTNote extends FeatureNote {
+  constructor(input: FieldInput) {
+    super("nft", input);
+  }
+}
+
+export class ItemNote extends FeatureNote {
+  constructor(input: FieldInput) {
+    super("item", input);
+  }
+}
+
+/** Zero price means no payment note; the circuit expects a zero hash. */
+export class PaymentNote extends FeatureNote {
+  constructor(input: FieldInput) {
+    super("payment", input);
+  }
+
+  async hash(): Promise<bigint> {
+    if (this.get("price") === 0n) return 0n;
+    return super.hash();
+  }
+}
+
+export class BoxNote extends FeatureNote {
+  constructor(input: FieldInput) {
+    super("box", input);
+  }
+}
+
+export class OutcomeNote extends FeatureNote {
+  constructor(input: FieldInput) {
+    super("outcome", input);
+  }
+}
+
+export class DrawNote extends FeatureNote {
+  constructor(input: FieldInput) {
+    super("draw", input);
+  }
+}
+
+const NOTE_CLASSES: Record<NoteType, new (input: FieldInput) => FeatureNote> = {
+  nft: NFTNote,
+  item: ItemNote,
+  payment: PaymentNote,
+  box: BoxNote,
+  outcome: OutcomeNote,
+  draw: DrawNote,
+};
+
+/**
+ * Decode bytes produced by serialize() (Uint8Array or 0x-hex)
+ */
+export function deserializeNote(data: Uint8Array | string): FeatureNote {
+  let bytes: Uint8Array;
+  if (typeof data === "string") {
+    const hex = data.replace(/^0x/, "");
+    bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+    }
+  } else {
+    bytes = data;
+  }
+  if (bytes.length === 0) throw new Error("Empty note data");
+
+  const type = (Object.keys(NOTE_TYPES) as NoteType[]).find(
+    (key) => NOTE_TYPES[key] === bytes[0],
+  );
+  if (!type) throw new Error(`Unknown note type byte: 0x${bytes[0].toString(16)}`);
+
+  const fieldNames = NOTE_FIELDS[type];
+  if (bytes.length !== 1 + 32 * fieldNames.length) {
+    throw new Error(`Invalid ${type} note length: ${bytes.length}`);
+  }
+
+  const input: FieldInput = {};
+  fieldNames.forEach((name, i) => {
+    let hex = "0x";
+    for (const b of bytes.subarray(1 + 32 * i, 33 + 32 * i)) {
+      hex += b.toString(16).padStart(2, "0");
+    }
+    input[name] = BigInt(hex);
+  });
+  return new NOTE_CLASSES[type](input);
+}
+
+/**
+ * Rebuild a note from toJSON() output
+ */
+export function noteFromJSON(json: NoteJSON): FeatureNote {
+  const NoteClass = NOTE_CLASSES[json.type];
+  if (!NoteClass) throw new Error(`Unknown note type: ${json.type}`);
+  return new NoteClass(json);
+}
@@ -0,0 +1,72 @@
+/**
+ * Optional client for the local event indexer (scripts/indexer).
+ * Enabled by setting VITE_INDEXER_URL, e.g. http://localhost:4100.
+ */
+
+const INDEXER_URL: string | undefined = import.meta.env.VITE_INDEXER_URL;
+
+/** Same values as NFTNoteBase.getNoteState: 0 unknown, 1 valid, 2 spent */
+export type IndexedNoteState = 0 | 1 | 2;
+
+export type IndexedNote = {
+  noteHash: string;
+  contract: string;
+  encryptedNote: string;
+  blockNumber: number;
+  logIndex: number;
+  transactionHash: string;
+  spent: boolean;
+};
+
+export type IndexedNotePage = {
+  notes: IndexedNote[];
+  /** `after` cursor of the next page, null on the last page */
+  next: string | null;
+};
+
+export function isIndexerConfigured(): boolean {
+  return !!INDEXER_URL;
+}
+
+async function request<T>(path: string, init?: RequestInit): Promise<T> {
+  if (!INDEXER_URL) throw new Error("Indexer not configured (VITE_INDEXER_URL)");
+  const res = await fetch(INDEXER_URL.replace(/\/$/, "") + path, init);
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(`Indexer: ${body.error || res.statusText}`);
+  }
+  return res.json() as Promise<T>;
+}
+
+/**
+ * Indexer sync status
+ */
+export function getIndexerHealth(): Promise<{ chainId: string | null; lastBlock: number }> {
+  return request("/health");
+}
+
+/**
+ * Look up the state of many notes in one request
+ */
+export async function getNoteStates(noteHashes: string[]): Promise<Record<string, IndexedNoteState>> {
+  const { states } = await request<{ states: Record<string, IndexedNoteState> }>("/notes/states", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ hashes: noteHashes }),
+  });
+  return states;
+}
+
+/**
+ * Page through created notes in chain order. Pass the previous page's `next`
+ * as `after` to continue; a block can span several pages.
+ */
+export function listNotes(
+  options: { fromBlock?: number; after?: string; contract?: string; limit?: number } = {},
+): Promise<IndexedNotePage> {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) params.set(key, String(value));
+  }
+  return request(`/notes?${params}`);
+}
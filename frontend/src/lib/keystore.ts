@@ -0,0 +1,284 @@
+import { scrypt } from "ethers";
+import { getPublicKey, keyIdOf } from "./crypto";
+import { bytesToHex, hexToBytes } from "./ecdhCrypto";
+import type { NoteJSON } from "./featureNotes";
+
+/**
+ * Password-encrypted keystore for BabyJubJub secret keys and note preimages.
+ * Same versioned JSON format as scripts/lib/keystore.js (scrypt or PBKDF2,
+ * AES-256-GCM with the tag appended to the ciphertext).
+ */
+
+export const KEYSTORE_VERSION = 1;
+
+const KEYSTORE_AAD = new TextEncoder().encode("zkdex-keystore-v1");
+
+export type ScryptParams = { n: number; r: number; p: number; dklen: number; salt: string };
+export type Pbkdf2Params = { c: number; prf: "hmac-sha256"; dklen: number; salt: string };
+export type KdfName = "scrypt" | "pbkdf2";
+
+export type KeystoreJSON = {
+  version: number;
+  id: string;
+  crypto: {
+    kdf: KdfName;
+    kdfparams: ScryptParams | Pbkdf2Params;
+    cipher: "aes-256-gcm";
+    cipherparams: { iv: string };
+    ciphertext: string;
+  };
+};
+
+export type StoredKey = { sk: string; pkX: string; pkY: string; label: string };
+export type StoredPreimage = { note: NoteJSON; keyId: string | null };
+
+export type KeystorePayload = {
+  keys: Record<string, StoredKey>;
+  notes: Record<string, StoredPreimage>;
+};
+
+export const DEFAULT_KDF_PARAMS = {
+  scrypt: { n: 131072, r: 8, p: 1, dklen: 32 },
+  pbkdf2: { c: 600000, prf: "hmac-sha256", dklen: 32 },
+} as const;
+
+export const DEFAULT_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+export class KeystoreError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "KeystoreError";
+  }
+}
+
+function toHex32(value: bigint): string {
+  return "0x" + value.toString(16).padStart(64, "0");
+}
+
+async function deriveKey(
+  password: string,
+  kdf: KdfName,
+  params: ScryptParams | Pbkdf2Params,
+): Promise<CryptoKey> {
+  const passwordBytes = new TextEncoder().encode(password.normalize("NFKC"));
+  const salt = hexToBytes(params.salt) as Uint8Array<ArrayBuffer>;
+  let raw: Uint8Array<ArrayBuffer>;
+
+  if (kdf === "scrypt") {
+    const { n, r, p, dklen } = params as ScryptParams;
+    raw = hexToBytes(await scrypt(passwordBytes, salt, n, r, p, dklen)) as Uint8Array<ArrayBuffer>;
+  } else if (kdf === "pbkdf2") {
+    const { c, prf, dklen } = params as Pbkdf2Params;
+    if (prf !== "hmac-sha256") throw new KeystoreError(`Unsupported PBKDF2 prf: ${prf}`);
+    const base = await crypto.subtle.importKey("raw", passwordBytes, "PBKDF2", false, ["deriveBits"]);
+    raw = new Uint8Array(
+      await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations: c }, base, dklen * 8),
+    );
+  } else {
+    throw new KeystoreError(`Unsupported KDF: ${String(kdf)}`);
+  }
+
+  const key = await crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["encrypt", "decrypt"]);
+  raw.fill(0);
+  return key;
+}
+
+async function sealPayload(
+  payload: KeystorePayload,
+  key: CryptoKey,
+  kdf: KdfName,
+  kdfparams: ScryptParams | Pbkdf2Params,
+  id: string,
+): Promise<KeystoreJSON> {
+  const iv = new Uint8Array(12);
+  crypto.getRandomValues(iv);
+  const sealed = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: KEYSTORE_AAD },
+    key,
+    new TextEncoder().encode(JSON.stringify(payload)),
+  );
+
+  return {
+    version: KEYSTORE_VERSION,
+    id,
+    crypto: {
+      kdf,
+      kdfparams,
+      cipher: "aes-256-gcm",
+      cipherparams: { iv: bytesToHex(iv) },
+      ciphertext: bytesToHex(new Uint8Array(sealed)),
+    },
+  };
+}
+
+function parseKeystore(json: KeystoreJSON | string): KeystoreJSON {
+  const keystore: KeystoreJSON = typeof json === "string" ? JSON.parse(json) : json;
+  if (!keystore || keystore.version !== KEYSTORE_VERSION) {
+    throw new KeystoreError(`Unsupported keystore version: ${keystore?.version}`);
+  }
+  if (keystore.crypto?.cipher !== "aes-256-gcm") {
+    throw new KeystoreError("Unsupported keystore cipher");
+  }
+  return keystore;
+}
+
+async function openPayload(keystore: KeystoreJSON, key: CryptoKey): Promise<KeystorePayload> {
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      {
+        name: "AES-GCM",
+        iv: hexToBytes(keystore.crypto.cipherparams.iv) as Uint8Array<ArrayBuffer>,
+        additionalData: KEYSTORE_AAD,
+      },
+      key,
+      hexToBytes(keystore.crypto.ciphertext) as Uint8Array<ArrayBuffer>,
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch {
+    throw new KeystoreError("Wrong password or corrupted keystore");
+  }
+}
+
+export async function encryptKeystore(
+  payload: KeystorePayload,
+  password: string,
+  options: { kdf?: KdfName; kdfParams?: Record<string, number> } = {},
+): Promise<KeystoreJSON> {
+  const kdf = options.kdf ?? "scrypt";
+  const saltBytes = new Uint8Array(32);
+  crypto.getRandomValues(saltBytes);
+  const kdfparams = {
+    ...DEFAULT_KDF_PARAMS[kdf],
+    ...options.kdfParams,
+    salt: bytesToHex(saltBytes),
+  } as ScryptParams | Pbkdf2Params;
+
+  const key = await deriveKey(password, kdf, kdfparams);
+  return sealPayload(payload, key, kdf, kdfparams, crypto.randomUUID());
+}
+
+export async function decryptKeystore(
+  json: KeystoreJSON | string,
+  password: string,
+): Promise<KeystorePayload> {
+  const keystore = parseKeystore(json);
+  const key = await deriveKey(password, keystore.crypto.kdf, keystore.crypto.kdfparams);
+  return openPayload(keystore, key);
+}
+
+type SessionState = {
+  id: string;
+  kdf: KdfName;
+  kdfparams: ScryptParams | Pbkdf2Params;
+  key: CryptoKey;
+  payload: KeystorePayload;
+};
+
+export type SessionOptions = {
+  idleTimeoutMs?: number;
+  onLock?: () => void;
+};
+
+/**
+ * An unlocked keystore. Keeps the non-extractable AES key (never the password)
+ * and drops it, with the decrypted payload, on lock() or after idle timeout.
+ */
+export class KeystoreSession {
+  private state: SessionState | null;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  readonly idleTimeoutMs: number;
+  private readonly onLock?: () => void;
+
+  private constructor(state: SessionState, options: SessionOptions) {
+    this.state = state;
+    this.idleTimeoutMs = options.idleTimeoutMs ?? DEFAULT_IDLE_TIMEOUT_MS;
+    this.onLock = options.onLock;
+    this.touch();
+  }
+
+  static async create(
+    password: string,
+    options: SessionOptions & { kdf?: KdfName; kdfParams?: Record<string, number> } = {},
+  ): Promise<KeystoreSession> {
+    const json = await encryptKeystore({ keys: {}, notes: {} }, password, options);
+    return KeystoreSession.unlock(json, password, options);
+  }
+
+  static async unlock(
+    json: KeystoreJSON | string,
+    password: string,
+    options: SessionOptions = {},
+  ): Promise<KeystoreSession> {
+    const keystore = parseKeystore(json);
+    const { kdf, kdfparams } = keystore.crypto;
+    const key = await deriveKey(password, kdf, kdfparams);
+    const payload = await openPayload(keystore, key);
+    return new KeystoreSession({ id: keystore.id, kdf, kdfparams, key, payload }, options);
+  }
+
+  get isUnlocked(): boolean {
+    return this.state !== null;
+  }
+
+  touch() {
+    if (this.timer) clearTimeout(this.timer);
+    if (this.idleTimeoutMs > 0 && this.state) {
+      this.timer = setTimeout(() => this.lock(), this.idleTimeoutMs);
+    }
+  }
+
+  lock() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.state) return;
+    this.state = null;
+    this.onLock?.();
+  }
+
+  private payload(): KeystorePayload {
+    if (!this.state) throw new KeystoreError("Keystore is locked");
+    this.touch();
+    return this.state.payload;
+  }
+
+  /** Store a secret key; returns its id (keyIdOf, the id the note scanner uses too) */
+  async addKey(sk: bigint, label = ""): Promise<string> {
+    const payload = this.payload();
+    const pk = await getPublicKey(sk);
+    const keyId = keyIdOf(pk);
+    payload.keys[keyId] = { sk: toHex32(sk), pkX: pk.x.toString(), pkY: pk.y.toString(), label };
+    return keyId;
+  }
+
+  getKey(keyId: string): bigint | null {
+    const entry = this.payload().keys[keyId];
+    return entry ? BigInt(entry.sk) : null;
+  }
+
+  listKeys(): { id: string; label: string; pk: { x: bigint; y: bigint } }[] {
+    return Object.entries(this.payload().keys).map(([id, k]) => ({
+      id,
+      label: k.label,
+      pk: { x: BigInt(k.pkX), y: BigInt(k.pkY) },
+    }));
+  }
+
+  putNote(hash: string, note: NoteJSON, keyId: string | null = null) {
+    this.payload().notes[hash.toLowerCase()] = { note, keyId };
+  }
+
+  getNote(hash: string): StoredPreimage | null {
+    return this.payload().notes[hash.toLowerCase()] ?? null;
+  }
+
+  listNotes(): ({ hash: string } & StoredPreimage)[] {
+    return Object.entries(this.payload().notes).map(([hash, entry]) => ({ hash, ...entry }));
+  }
+
+  /** Re-encrypt the current payload (fresh IV, same KDF salt and key) */
+  async export(): Promise<KeystoreJSON> {
+    const payload = this.payload();
+    const { key, kdf, kdfparams, id } = this.state!;
+    return sealPayload(payload, key, kdf, kdfparams, id);
+  }
+}
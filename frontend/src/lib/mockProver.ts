@@ -0,0 +1,79 @@
+import { SNARK_FIELD } from "./featureNotes";
+import { assertWitnessInputs, witnessTarget } from "./witnessValidator";
+import {
+  CIRCUIT_NAMES,
+  type CircuitName,
+  type ProofProgress,
+  type ProofResult,
+  type ProverCircuitName,
+  type SolidityProof,
+} from "./types";
+
+/**
+ * Development prover (mirrors scripts/lib/mockProver.js) for deployments
+ * whose verifiers are the Mock*Verifier contracts
+ * (`PROVER_MODE=mock npx hardhat run scripts/deploy.js`).
+ * Enabled by setting VITE_PROVER_MODE=mock.
+ *
+ * Inputs are validated as for a real proof and the public signals are the
+ * circuit's public inputs; the proof points are placeholders. No wasm or
+ * zkey is downloaded.
+ */
+
+const PROVER_MODE: string | undefined = import.meta.env.VITE_PROVER_MODE;
+
+// Public inputs per circuit, in verifier order
+const PUBLIC_INPUTS: Record<CircuitName, string[]> = {
+  [CIRCUIT_NAMES.PRIVATE_NFT_TRANSFER]: ["oldNftHash", "newNftHash", "nftId", "collectionAddress", "nullifier"],
+  [CIRCUIT_NAMES.LOOT_BOX_OPEN]: ["boxCommitment", "outcomeCommitment", "vrfOutput", "boxId", "nullifier"],
+  [CIRCUIT_NAMES.GAMING_ITEM_TRADE]: ["oldItemHash", "newItemHash", "paymentNoteHash", "gameId", "nullifier"],
+  [CIRCUIT_NAMES.CARD_DRAW]: ["deckCommitment", "drawCommitment", "drawIndex", "gameId", "playerCommitment"],
+};
+
+// Public inputs the relayed variants append
+const RELAY_INPUTS = ["relayer", "fee"];
+
+export const MOCK_PROOF: SolidityProof = {
+  a: ["1", "2"],
+  b: [["3", "4"], ["5", "6"]],
+  c: ["7", "8"],
+};
+
+export function isMockProver(): boolean {
+  return PROVER_MODE === "mock";
+}
+
+/**
+ * Validate inputs and return placeholder proof points with the circuit's public signals
+ */
+export async function mockProve(
+  circuitName: ProverCircuitName,
+  inputs: Record<string, unknown>,
+  onProgress?: (progress: ProofProgress) => void,
+): Promise<ProofResult> {
+  const start = Date.now();
+  onProgress?.({ phase: "witness", progress: 0, message: "Validating inputs (mock prover)" });
+  const [base, baseInputs] = witnessTarget(circuitName, inputs);
+  await assertWitnessInputs(base, baseInputs);
+
+  const names = base === circuitName ? PUBLIC_INPUTS[base] : [...PUBLIC_INPUTS[base], ...RELAY_INPUTS];
+  const publicSignals = names.map((name) => {
+    const value = inputs[name];
+    if (value === undefined || value === null) throw new Error(`${circuitName}: missing input ${name}`);
+    const v = BigInt(value as string | number | bigint);
+    if (v < 0n || v >= SNARK_FIELD) throw new Error(`${circuitName}: ${name} is outside the SNARK field`);
+    return v.toString();
+  });
+
+  onProgress?.({ phase: "done", progress: 1, message: "Mock proof generated" });
+  return {
+    circuitName,
+    proof: {
+      a: [...MOCK_PROOF.a],
+      b: [[...MOCK_PROOF.b[0]], [...MOCK_PROOF.b[1]]],
+      c: [...MOCK_PROOF.c],
+    },
+    publicSignals,
+    duration: Date.now() - start,
+  };
+}
@@ -0,0 +1,225 @@
+import { Contract, type Provider } from "ethers";
+import { discoverKeys, KEY_PURPOSES, DEFAULT_GAP_LIMIT, type KeyPurpose } from "./crypto";
+import { NoteScanner, type ScannedNote, type NoteContractName } from "./noteScanner";
+import { getContractAddress } from "./contracts";
+import { getCardName } from "./cardUtils";
+import type { FeatureNote } from "./featureNotes";
+import type { StoredNote } from "./noteStore";
+import { RARITY_LABELS, type Keypair } from "./types";
+
+/**
+ * Rebuild the local note list from chain history.
+ *
+ * Owned notes are encrypted either to an HD note key (m / purpose / gameId / index)
+ * or, as stealth notes, to the wallet's root ZK address. Every NoteCreated payload
+ * is trial-decrypted with the root key and with the HD keys found by gap-limited
+ * discovery. Blocks are scanned in chunks; after each chunk the caller receives the
+ * recovered notes and a cursor to persist, so an interrupted rescan resumes there.
+ */
+
+/** Where a rescan stopped; persisted per account and chain */
+export type RescanCursor = {
+  /** Last fully scanned block */
+  lastBlock: number;
+  /** Next unused HD index per "purpose/gameId" branch */
+  nextIndexes: Record<string, number>;
+  /** Game ids whose item/card branches were included */
+  gameIds: string[];
+};
+
+export type RecoveredNote = Omit<StoredNote, "id" | "createdAt"> & {
+  spent: boolean;
+  note: FeatureNote;
+  /** Key that owns the note (HD key or recovered stealth key) */
+  ownerSk: bigint | null;
+};
+
+export type RescanProgress = {
+  fromBlock: number;
+  toBlock: number;
+  headBlock: number;
+  /** Owned notes found so far in this run */
+  found: number;
+};
+
+export type RescanOptions = {
+  /** Resume point from an earlier run */
+  cursor?: RescanCursor | null;
+  /** Item and card game ids to derive keys for (decks registered on-chain are added automatically) */
+  gameIds?: bigint[];
+  /** Hashes of notes stored before this run, reported in `spent` once their NoteSpent is seen */
+  knownNotes?: string[];
+  /** Contract addresses; defaults to config/deployedAddresses.json */
+  addresses?: Partial<Record<NoteContractName, string>>;
+  chunkSize?: number;
+  gapLimit?: number;
+  signal?: AbortSignal;
+  /** Called after each chunk; persist the notes before the cursor */
+  onChunk?: (chunk: {
+    progress: RescanProgress;
+    notes: RecoveredNote[];
+    spent: string[];
+    cursor: RescanCursor;
+  }) => void | Promise<void>;
+};
+
+const DEFAULT_CHUNK_SIZE = 5000;
+
+const BRANCHES_WITHOUT_GAME: KeyPurpose[] = ["nft", "lootbox"];
+const BRANCHES_PER_GAME: KeyPurpose[] = ["item", "card"];
+
+function branchKey(purpose: KeyPurpose, gameId: bigint): string {
+  return `${KEY_PURPOSES[purpose]}/${gameId}`;
+}
+
+/**
+ * StoredNote fields for a decrypted note, labelled like the feature pages do
+ */
+export function describeNote(scanned: ScannedNote): Pick<StoredNote, "type" | "label" | "metadata"> | null {
+  const { note, transactionHash: txHash } = scanned;
+  if (!note) return null;
+  switch (note.type) {
+    case "nft":
+      return {
+        type: "nft",
+        label: `NFT #${note.get("nftId")}`,
+        metadata: { nftId: note.get("nftId").toString(), collection: note.get("collection").toString(), txHash },
+      };
+    case "item":
+      return {
+        type: "item",
+        label: `Item #${note.get("itemId")} (Game ${note.get("gameId")})`,
+        metadata: { itemId: note.get("itemId").toString(), gameId: note.get("gameId").toString(), txHash },
+      };
+    case "box":
+      return {
+        type: "lootbox",
+        label: `Loot Box #${note.get("boxId")} — Sealed`,
+        metadata: { boxId: note.get("boxId").toString(), boxType: note.get("boxType").toString(), txHash },
+      };
+    case "outcome": {
+      const rarity = RARITY_LABELS[Number(note.get("itemRarity"))] ?? note.get("itemRarity").toString();
+      return {
+        type: "lootbox",
+        label: `Loot Item #${note.get("itemId")} — ${rarity}`,
+        metadata: { itemId: note.get("itemId").toString(), rarity, txHash },
+      };
+    }
+    case "draw": {
+      const card = getCardName(Number(note.get("drawnCard")));
+      return {
+        type: "card",
+        label: `Card: ${card} (Game #${note.get("gameId")})`,
+        metadata: {
+          gameId: note.get("gameId").toString(),
+          drawIndex: note.get("drawIndex").toString(),
+          card,
+          txHash,
+        },
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Scan from the cursor (or block 0) to the current head.
+ * @param provider - Read-only provider
+ * @param identity - Root keypair and HD seed (useWallet identity)
+ * @returns The final cursor and whether the head was reached (false if aborted)
+ */
+export async function recoverNotes(
+  provider: Provider,
+  identity: { keypair: Keypair; seed: Uint8Array },
+  options: RescanOptions = {},
+): Promise<{ cursor: RescanCursor; complete: boolean }> {
+  const { chunkSize = DEFAULT_CHUNK_SIZE, gapLimit = DEFAULT_GAP_LIMIT, signal, onChunk } = options;
+  const gameIds = new Set((options.gameIds ?? []).map(String));
+
+  // A game id the cursor has not covered needs its branch checked against the full history
+  const previous = options.cursor;
+  const resumable = previous && [...gameIds].every((id) => previous.gameIds.includes(id));
+  for (const id of previous?.gameIds ?? []) gameIds.add(id);
+  const cursor: RescanCursor = {
+    lastBlock: resumable ? previous.lastBlock : -1,
+    nextIndexes: { ...previous?.nextIndexes },
+    gameIds: [...gameIds],
+  };
+
+  const scanner = new NoteScanner(provider, options.addresses);
+  const ownerKeys = new Map<string, bigint>();
+  ownerKeys.set(await scanner.addKey(identity.keypair.sk), identity.keypair.sk);
+
+  const cardDraw = options.addresses?.CardDraw ?? getContractAddress("CardDraw");
+  const decks = cardDraw
+    ? new Contract(cardDraw, ["event DeckRegistered(uint256 indexed gameId, bytes32 deckCommitment)"], provider)
+    : null;
+
+  // Keys below a stored next index were used before; only the gap beyond them is probed
+  async function discoverBranch(purpose: KeyPurpose, gameId: bigint) {
+    const key = branchKey(purpose, gameId);
+    const known = cursor.nextIndexes[key] ?? 0;
+    const { nextIndex } = await discoverKeys(identity.seed, { purpose, gameId }, async (keypair, index) => {
+      const keyId = await scanner.addKey(keypair.sk);
+      ownerKeys.set(keyId, keypair.sk);
+      return index < known || scanner.getNotes(keyId, { includeSpent: true }).length > 0;
+    }, gapLimit);
+    cursor.nextIndexes[key] = Math.max(known, nextIndex);
+  }
+
+  const headBlock = await provider.getBlockNumber();
+  const reported = new Set<string>();
+  const unspentKnown = new Set(options.knownNotes?.map((hash) => hash.toLowerCase()));
+  let found = 0;
+
+  for (let from = cursor.lastBlock + 1; from <= headBlock; from += chunkSize) {
+    if (signal?.aborted) return { cursor, complete: false };
+    const to = Math.min(from + chunkSize - 1, headBlock);
+
+    if (decks) {
+      for (const log of await decks.queryFilter(decks.filters.DeckRegistered(), from, to)) {
+        if ("args" in log) gameIds.add(log.args.gameId.toString());
+      }
+      cursor.gameIds = [...gameIds];
+    }
+    await scanner.scan(from, to);
+
+    for (const purpose of BRANCHES_WITHOUT_GAME) await discoverBranch(purpose, 0n);
+    for (const id of gameIds) {
+      for (const purpose of BRANCHES_PER_GAME) await discoverBranch(purpose, BigInt(id));
+    }
+
+    // Notes found in this chunk, or earlier notes whose spent state changed
+    const notes: RecoveredNote[] = [];
+    for (const [keyId, sk] of ownerKeys) {
+      for (const scanned of scanner.getNotes(keyId, { includeSpent: true })) {
+        const described = describeNote(scanned);
+        const marker = `${scanned.noteHash}:${scanned.spent}`;
+        if (!described || reported.has(marker)) continue;
+        if (!reported.has(`${scanned.noteHash}:false`)) found++;
+        reported.add(marker);
+        notes.push({
+          ...described,
+          hash: scanned.noteHash,
+          contractName: scanned.contract,
+          spent: scanned.spent,
+          note: scanned.note!,
+          ownerSk: scanned.stealth ? scanned.stealth.sk : sk,
+        });
+      }
+    }
+
+    const spent = [...unspentKnown].filter((hash) => scanner.isSpent(hash));
+    spent.forEach((hash) => unspentKnown.delete(hash));
+
+    cursor.lastBlock = to;
+    await onChunk?.({
+      progress: { fromBlock: from, toBlock: to, headBlock, found },
+      notes,
+      spent,
+      cursor: { ...cursor, nextIndexes: { ...cursor.nextIndexes }, gameIds: [...cursor.gameIds] },
+    });
+  }
+  return { cursor, complete: true };
+}
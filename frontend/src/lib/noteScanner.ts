@@ -0,0 +1,216 @@
+import { Contract, type EventLog, type Provider } from "ethers";
+import {
+  getPublicKey, deriveViewingKey, decodeViewingKey, deriveStealthPublicKey, recoverStealthSecretKey, keyIdOf,
+  type ViewingKey,
+} from "./crypto";
+import { decryptWithSecretKey, isECDHEncrypted, getEphemeralKey } from "./ecdhCrypto";
+import { deserializeNote, type FeatureNote } from "./featureNotes";
+import { getContractAddress } from "./contracts";
+
+/**
+ * Browser note discovery (mirrors scripts/lib/NoteScanner.js).
+ * Trial-decrypts every NoteCreated payload with the registered viewing keys and
+ * tracks NoteSpent. Keys added with addViewingKey() can read but never spend.
+ * Notes owned by a stealth one-time key of a registered address carry `stealth`.
+ */
+
+export const NOTE_EVENTS_ABI = [
+  "event NoteCreated(bytes32 indexed noteHash, bytes encryptedNote)",
+  "event NoteSpent(bytes32 indexed noteHash, bytes32 indexed nullifier)",
+];
+
+export const NOTE_CONTRACTS = ["PrivateNFT", "LootBoxOpen", "GamingItemTrade", "CardDraw"] as const;
+export type NoteContractName = (typeof NOTE_CONTRACTS)[number];
+
+export type ScannedNote = {
+  noteHash: string;
+  contract: NoteContractName;
+  /** Decoded preimage, or null if the plaintext is not a FeatureNote (e.g. a card deck) */
+  note: FeatureNote | null;
+  plaintext: Uint8Array;
+  blockNumber: number;
+  transactionHash: string;
+  spent: boolean;
+  viewOnly: boolean;
+  /** One-time owner key; sk is null for view-only keys */
+  stealth: { pk: Point; ephemeralPk: Point; sk: bigint | null } | null;
+};
+
+type Point = { x: bigint; y: bigint };
+type ScannerKey = { sk: bigint | null; vsk: bigint; pk: Point };
+type CreatedEntry = { contract: NoteContractName; encryptedNote: string; blockNumber: number; transactionHash: string };
+
+export class NoteScanner {
+  private contracts = new Map<NoteContractName, Contract>();
+  private keys = new Map<string, ScannerKey>();
+  private owned = new Map<string, Map<string, ScannedNote>>();
+  private created = new Map<string, CreatedEntry>();
+  private spent = new Set<string>();
+  private provider: Provider;
+  lastScannedBlock = -1;
+
+  /**
+   * @param provider - Read-only provider; no signer is needed
+   * @param addresses - Contract addresses; defaults to config/deployedAddresses.json
+   */
+  constructor(provider: Provider, addresses: Partial<Record<NoteContractName, string>> = {}) {
+    this.provider = provider;
+    for (const name of NOTE_CONTRACTS) {
+      const address = addresses[name] ?? getContractAddress(name);
+      if (address) this.contracts.set(name, new Contract(address, NOTE_EVENTS_ABI, provider));
+    }
+    if (this.contracts.size === 0) throw new Error("NoteScanner: no note contract addresses");
+  }
+
+  /** Register a spending key (its viewing key is derived); returns the key id */
+  async addKey(sk: bigint): Promise<string> {
+    const pk = await getPublicKey(sk);
+    const keyId = keyIdOf(pk);
+    const existing = this.keys.get(keyId);
+    if (existing?.sk != null) return keyId;
+
+    const vsk = existing?.vsk ?? (await deriveViewingKey(sk));
+    this.keys.set(keyId, { sk, vsk, pk });
+    const notes: Map<string, ScannedNote> = this.owned.get(keyId) ?? new Map();
+    for (const note of notes.values()) {
+      note.viewOnly = false;
+      if (note.stealth) note.stealth.sk = await recoverStealthSecretKey(sk, note.stealth.ephemeralPk);
+    }
+    this.owned.set(keyId, notes);
+    await this.rescanKey(keyId);
+    return keyId;
+  }
+
+  /** Register a viewing key only (encodeViewingKey output or decoded); returns the key id */
+  async addViewingKey(viewingKey: string | ViewingKey): Promise<string> {
+    const { vsk, spendingPk } = typeof viewingKey === "string" ? decodeViewingKey(viewingKey) : viewingKey;
+    const keyId = keyIdOf(spendingPk);
+    if (!this.keys.has(keyId)) {
+      this.keys.set(keyId, { sk: null, vsk, pk: spendingPk });
+      this.owned.set(keyId, new Map());
+      await this.rescanKey(keyId);
+    }
+    return keyId;
+  }
+
+  isViewOnly(keyId: string): boolean {
+    const key = this.keys.get(keyId);
+    if (!key) throw new Error(`NoteScanner: unknown key ${keyId}`);
+    return key.sk === null;
+  }
+
+  /** Whether a NoteSpent log for the hash was seen, whoever owns the note */
+  isSpent(noteHash: string): boolean {
+    return this.spent.has(noteHash.toLowerCase());
+  }
+
+  getNotes(keyId: string, { includeSpent = false } = {}): ScannedNote[] {
+    const notes = this.owned.get(keyId);
+    if (!notes) throw new Error(`NoteScanner: unknown key ${keyId}`);
+    return [...notes.values()]
+      .filter((note) => includeSpent || !note.spent)
+      .sort((a, b) => a.blockNumber - b.blockNumber);
+  }
+
+  /** Query NoteCreated / NoteSpent logs on every contract and apply them in chain order */
+  async scan(fromBlock = this.lastScannedBlock + 1, toBlock?: number) {
+    const to = toBlock ?? (await this.provider.getBlockNumber());
+    if (fromBlock > to) return { fromBlock, toBlock: to, created: 0, spent: 0 };
+
+    const logs: { name: NoteContractName; log: EventLog }[] = [];
+    for (const [name, contract] of this.contracts) {
+      const found = [
+        ...(await contract.queryFilter(contract.filters.NoteCreated(), fromBlock, to)),
+        ...(await contract.queryFilter(contract.filters.NoteSpent(), fromBlock, to)),
+      ];
+      for (const log of found) logs.push({ name, log: log as EventLog });
+    }
+    logs.sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index);
+
+    let created = 0;
+    let spent = 0;
+    for (const { name, log } of logs) {
+      if (log.eventName === "NoteCreated") {
+        await this.handleCreated(name, log);
+        created++;
+      } else {
+        this.handleSpent(log.args.noteHash);
+        spent++;
+      }
+    }
+
+    this.lastScannedBlock = Math.max(this.lastScannedBlock, to);
+    return { fromBlock, toBlock: to, created, spent };
+  }
+
+  private async handleCreated(contract: NoteContractName, log: EventLog) {
+    const noteHash: string = log.args.noteHash;
+    if (this.created.has(noteHash)) return;
+    const entry = {
+      contract,
+      encryptedNote: log.args.encryptedNote,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+    };
+    this.created.set(noteHash, entry);
+    for (const keyId of this.keys.keys()) {
+      await this.tryDecrypt(keyId, noteHash, entry);
+    }
+  }
+
+  private handleSpent(noteHash: string) {
+    this.spent.add(noteHash);
+    for (const notes of this.owned.values()) {
+      const note = notes.get(noteHash);
+      if (note) note.spent = true;
+    }
+  }
+
+  private async rescanKey(keyId: string) {
+    for (const [noteHash, entry] of this.created) {
+      if (!this.owned.get(keyId)!.has(noteHash)) await this.tryDecrypt(keyId, noteHash, entry);
+    }
+  }
+
+  /** Viewing key first; full keys also try the spending key for pre-viewing-key notes */
+  private async tryDecrypt(keyId: string, noteHash: string, entry: CreatedEntry) {
+    if (!isECDHEncrypted(entry.encryptedNote)) return;
+    const { sk, vsk, pk } = this.keys.get(keyId)!;
+    let plaintext = await decryptWithSecretKey(entry.encryptedNote, vsk);
+    if (!plaintext && sk !== null) plaintext = await decryptWithSecretKey(entry.encryptedNote, sk);
+    if (!plaintext) return;
+
+    let note: FeatureNote | null = null;
+    try {
+      note = deserializeNote(plaintext);
+    } catch {
+      // Not a note preimage (card deck)
+    }
+    this.owned.get(keyId)!.set(noteHash, {
+      noteHash,
+      contract: entry.contract,
+      note,
+      plaintext,
+      blockNumber: entry.blockNumber,
+      transactionHash: entry.transactionHash,
+      spent: this.spent.has(noteHash),
+      viewOnly: sk === null,
+      stealth: await this.matchStealthKey({ sk, vsk, pk }, entry.encryptedNote, note),
+    });
+  }
+
+  /** The note's one-time key if it was derived for this address from the envelope's ephemeral key */
+  private async matchStealthKey(key: ScannerKey, encryptedNote: string, note: FeatureNote | null) {
+    const owner = note?.pk;
+    if (!owner || (owner.x === key.pk.x && owner.y === key.pk.y)) return null;
+    const ephemeralPk = getEphemeralKey(encryptedNote);
+    if (!ephemeralPk) return null;
+    const expected = await deriveStealthPublicKey(key.vsk, key.pk, ephemeralPk);
+    if (expected.x !== owner.x || expected.y !== owner.y) return null;
+    return {
+      pk: owner,
+      ephemeralPk,
+      sk: key.sk === null ? null : await recoverStealthSecretKey(key.sk, ephemeralPk),
+    };
+  }
+}
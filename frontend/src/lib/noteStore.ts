@@ -1,4 +1,7 @@
 import type { ContractName } from "./types";
+import { KeystoreSession, type KeystoreJSON } from "./keystore";
+import { noteFromJSON, type FeatureNote } from "./featureNotes";
+import type { RescanCursor } from "./noteRecovery";
 
 export type NoteType = "nft" | "lootbox" | "item" | "card";
 
@@ -10,9 +13,12 @@ export interface StoredNote {
   label: string;
   metadata: Record<string, string>;
   createdAt: number;
+  /** NoteSpent seen by a chain rescan (for contracts without getNoteState) */
+  spent?: boolean;
 }
 
 const STORAGE_KEY = "neon-arena-notes";
+const KEYSTORE_KEY = "neon-arena-keystore";
 
 function readAll(): StoredNote[] {
   try {
@@ -60,12 +66,17 @@ export function exportNotes(): string {
     version: 1,
     exportedAt: new Date().toISOString(),
     notes,
+    // Already password-encrypted; restores secrets on another device
+    keystore: readKeystore(),
   }, null, 2);
 }
 
 export function importNotes(json: string): { added: number; skipped: number } {
   const data = JSON.parse(json);
   const incoming: StoredNote[] = data.notes ?? data;
+  if (data.keystore && !hasKeystore()) {
+    localStorage.setItem(KEYSTORE_KEY, JSON.stringify(data.keystore));
+  }
   const existing = readAll();
   const existingHashes = new Set(existing.map((n) => n.hash));
 
@@ -89,3 +100,189 @@ export function importNotes(json: string): { added: number; skipped: number } {
   writeAll(existing);
   return { added, skipped };
 }
+
+/**
+ * Merge notes recovered from chain history: new hashes are added, known ones
+ * only pick up their spent flag. Returns the number of added notes.
+ */
+export function mergeRecoveredNotes(
+  recovered: Omit<StoredNote, "id" | "createdAt">[],
+  spentHashes: string[] = [],
+): number {
+  const notes = readAll();
+  const byHash = new Map(notes.map((n) => [n.hash.toLowerCase(), n]));
+  let added = 0;
+
+  for (const note of recovered) {
+    const existing = byHash.get(note.hash.toLowerCase());
+    if (existing) {
+      existing.spent = existing.spent || note.spent;
+      continue;
+    }
+    const entry: StoredNote = {
+      id: crypto.randomUUID(),
+      hash: note.hash,
+      contractName: note.contractName,
+      type: note.type,
+      label: note.label,
+      metadata: note.metadata,
+      createdAt: Date.now(),
+      spent: note.spent,
+    };
+    notes.push(entry);
+    byHash.set(note.hash.toLowerCase(), entry);
+    added++;
+  }
+  for (const hash of spentHashes) {
+    const existing = byHash.get(hash.toLowerCase());
+    if (existing) existing.spent = true;
+  }
+
+  writeAll(notes);
+  return added;
+}
+
+// ─── Chain rescan cursor, per account and chain ───
+
+const RESCAN_CURSOR_KEY = "neon-arena-rescan-cursor";
+
+function cursorKey(account: string, chainId: number | bigint): string {
+  return `${account.toLowerCase()}/${chainId.toString()}`;
+}
+
+export function getRescanCursor(account: string, chainId: number | bigint): RescanCursor | null {
+  const raw = localStorage.getItem(RESCAN_CURSOR_KEY);
+  const cursors: Record<string, RescanCursor> = raw ? JSON.parse(raw) : {};
+  return cursors[cursorKey(account, chainId)] ?? null;
+}
+
+/** Store the resume point and keep HD index reservation past every recovered key */
+export function saveRescanCursor(account: string, chainId: number | bigint, cursor: RescanCursor | null) {
+  const raw = localStorage.getItem(RESCAN_CURSOR_KEY);
+  const cursors: Record<string, RescanCursor> = raw ? JSON.parse(raw) : {};
+  if (cursor) {
+    cursors[cursorKey(account, chainId)] = cursor;
+    for (const [branch, nextIndex] of Object.entries(cursor.nextIndexes)) {
+      const [purpose, gameId] = branch.split("/");
+      advanceKeyIndex(account, Number(purpose), BigInt(gameId), nextIndex);
+    }
+  } else {
+    delete cursors[cursorKey(account, chainId)];
+  }
+  localStorage.setItem(RESCAN_CURSOR_KEY, JSON.stringify(cursors));
+}
+
+// ─── HD key indexes: next unused index per account / purpose / gameId ───
+
+const KEY_INDEX_KEY = "neon-arena-key-indexes";
+
+/**
+ * Reserve the next derivation index of a branch, so each note gets a fresh key.
+ * Wallet discovery (crypto.discoverKeys) recovers these without local state.
+ */
+export function reserveKeyIndex(account: string, purpose: number, gameId: bigint): number {
+  const raw = localStorage.getItem(KEY_INDEX_KEY);
+  const indexes: Record<string, number> = raw ? JSON.parse(raw) : {};
+  const branch = `${account.toLowerCase()}/${purpose}/${gameId.toString()}`;
+  const index = indexes[branch] ?? 0;
+  indexes[branch] = index + 1;
+  localStorage.setItem(KEY_INDEX_KEY, JSON.stringify(indexes));
+  return index;
+}
+
+/**
+ * Never hand out an index below `nextIndex` (e.g. keys found by a chain rescan)
+ */
+export function advanceKeyIndex(account: string, purpose: number, gameId: bigint, nextIndex: number) {
+  const raw = localStorage.getItem(KEY_INDEX_KEY);
+  const indexes: Record<string, number> = raw ? JSON.parse(raw) : {};
+  const branch = `${account.toLowerCase()}/${purpose}/${gameId.toString()}`;
+  if ((indexes[branch] ?? 0) >= nextIndex) return;
+  indexes[branch] = nextIndex;
+  localStorage.setItem(KEY_INDEX_KEY, JSON.stringify(indexes));
+}
+
+// ─── Keystore: secret keys and note preimages, never stored in plaintext ───
+
+let session: KeystoreSession | null = null;
+const lockListeners = new Set<() => void>();
+
+function readKeystore(): KeystoreJSON | null {
+  const raw = localStorage.getItem(KEYSTORE_KEY);
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function persistKeystore() {
+  if (session?.isUnlocked) {
+    localStorage.setItem(KEYSTORE_KEY, JSON.stringify(await session.export()));
+  }
+}
+
+export function hasKeystore(): boolean {
+  return localStorage.getItem(KEYSTORE_KEY) !== null;
+}
+
+export function isKeystoreUnlocked(): boolean {
+  return session?.isUnlocked ?? false;
+}
+
+/** Notified when the keystore locks (explicitly or after the idle timeout) */
+export function subscribeKeystoreLock(listener: () => void): () => void {
+  lockListeners.add(listener);
+  return () => {
+    lockListeners.delete(listener);
+  };
+}
+
+/**
+ * Unlock the stored keystore, or create one protected by `password`.
+ * Browser keystores use PBKDF2 (native WebCrypto); scrypt keystores from
+ * Node scripts are also accepted.
+ */
+export async function unlockKeystore(password: string): Promise<void> {
+  const options = {
+    onLock: () => lockListeners.forEach((listener) => listener()),
+  };
+  const existing = readKeystore();
+  session?.lock();
+  session = existing
+    ? await KeystoreSession.unlock(existing, password, options)
+    : await KeystoreSession.create(password, { ...options, kdf: "pbkdf2" });
+  await persistKeystore();
+}
+
+export function lockKeystore() {
+  session?.lock();
+  session = null;
+}
+
+/**
+ * Keep a note preimage (and optionally its owner's secret key) in the keystore.
+ * The key is stored under keyIdOf(pk), the id NoteScanner and key discovery report.
+ * Returns false if the keystore is locked; nothing is written in that case.
+ */
+export async function saveNoteSecrets(
+  hash: string,
+  note: FeatureNote,
+  ownerSk?: bigint,
+  label = "",
+): Promise<boolean> {
+  if (!session?.isUnlocked) return false;
+  const keyId = ownerSk !== undefined ? await session.addKey(ownerSk, label) : null;
+  session.putNote(hash, note.toJSON(), keyId);
+  await persistKeystore();
+  return true;
+}
+
+/**
+ * Preimage and owner key of a stored note, or null if unknown or locked
+ */
+export function getNoteSecrets(hash: string): { note: FeatureNote; sk: bigint | null } | null {
+  if (!session?.isUnlocked) return null;
+  const entry = session.getNote(hash);
+  if (!entry) return null;
+  return {
+    note: noteFromJSON(entry.note),
+    sk: entry.keyId ? session.getKey(entry.keyId) : null,
+  };
+}
@@ -1,13 +1,39 @@
-import { poseidonHash, randomSalt, generateKeypair } from "./crypto";
-import type { Keypair, SolidityProof } from "./types";
+import {
+  poseidonHash, generateKeypair, deriveZkAddress, createStealthKey, recoverStealthSecretKey,
+  type StealthKey,
+} from "./crypto";
+import {
+  NFTNote, ItemNote, PaymentNote, BoxNote, OutcomeNote, type FeatureNote,
+} from "./featureNotes";
+import { encryptForRecipient, DEFAULT_ENVELOPE_VERSION } from "./ecdhCrypto";
+import type { Keypair, SolidityProof, ZkAddress, ProveOptions } from "./types";
 import { generateProof } from "./proofGenerator";
 import { CIRCUIT_NAMES } from "./types";
 
+// ─── Stealth recipients ───
+
+/**
+ * One-time owner key for a transfer. Without a recipient address a demo
+ * recipient is generated and the one-time secret key is returned as `owner`.
+ */
+async function stealthRecipient(recipient?: ZkAddress) {
+  const demo = recipient ? null : await generateKeypair();
+  const address = recipient ?? await deriveZkAddress(demo!.sk);
+  const stealth = await createStealthKey(address);
+  const owner: Keypair | null = demo
+    ? { sk: await recoverStealthSecretKey(demo.sk, stealth.ephemeralPk), pk: stealth.pk }
+    : null;
+  return { address, stealth, owner };
+}
+
 // ─── F1: Private NFT Transfer ───
 
 export type F1SetupResult = {
   oldOwner: Keypair;
-  newOwner: Keypair;
+  /** One-time key of the new note; null unless the recipient was generated locally */
+  newOwner: Keypair | null;
+  recipient: ZkAddress;
+  stealth: StealthKey;
   oldNftHash: bigint;
   newNftHash: bigint;
   nullifier: bigint;
@@ -15,25 +41,27 @@ export type F1SetupResult = {
   collectionAddress: bigint;
   oldSalt: bigint;
   newSalt: bigint;
+  oldNote: NFTNote;
+  newNote: NFTNote;
   circuitInputs: Record<string, unknown>;
 };
 
 export async function setupF1Transfer(
   nftId: bigint,
   collectionAddress: bigint,
+  owner?: Keypair,
+  recipientAddress?: ZkAddress,
 ): Promise<F1SetupResult> {
-  const oldOwner = await generateKeypair();
-  const newOwner = await generateKeypair();
-  const oldSalt = randomSalt();
-  const newSalt = randomSalt();
-
-  const oldNftHash = await poseidonHash([
-    oldOwner.pk.x, oldOwner.pk.y, nftId, collectionAddress, oldSalt,
-  ]);
-  const newNftHash = await poseidonHash([
-    newOwner.pk.x, newOwner.pk.y, nftId, collectionAddress, newSalt,
-  ]);
-  const nullifier = await poseidonHash([nftId, oldSalt, oldOwner.sk]);
+  const oldOwner = owner ?? await generateKeypair();
+  const { address: recipient, stealth, owner: newOwner } = await stealthRecipient(recipientAddress);
+  const oldNote = new NFTNote({ pk: oldOwner.pk, nftId, collection: collectionAddress });
+  const newNote = new NFTNote({ pk: stealth.pk, nftId, collection: collectionAddress });
+  const oldSalt = oldNote.salt;
+  const newSalt = newNote.salt;
+
+  const oldNftHash = await oldNote.hash();
+  const newNftHash = await newNote.hash();
+  const nullifier = await oldNote.nullifier(oldOwner.sk);
 
   const circuitInputs = {
     oldNftHash: oldNftHash.toString(),
@@ -45,19 +73,19 @@ export async function setupF1Transfer(
     oldOwnerPkY: oldOwner.pk.y.toString(),
     oldOwnerSk: oldOwner.sk.toString(),
     oldSalt: oldSalt.toString(),
-    newOwnerPkX: newOwner.pk.x.toString(),
-    newOwnerPkY: newOwner.pk.y.toString(),
+    newOwnerPkX: stealth.pk.x.toString(),
+    newOwnerPkY: stealth.pk.y.toString(),
     newSalt: newSalt.toString(),
   };
 
   return {
-    oldOwner, newOwner, oldNftHash, newNftHash, nullifier,
-    nftId, collectionAddress, oldSalt, newSalt, circuitInputs,
+    oldOwner, newOwner, recipient, stealth, oldNftHash, newNftHash, nullifier,
+    nftId, collectionAddress, oldSalt, newSalt, oldNote, newNote, circuitInputs,
   };
 }
 
-export async function generateF1Proof(circuitInputs: Record<string, unknown>) {
-  return generateProof(CIRCUIT_NAMES.PRIVATE_NFT_TRANSFER, circuitInputs);
+export async function generateF1Proof(circuitInputs: Record<string, unknown>, options?: ProveOptions) {
+  return generateProof(CIRCUIT_NAMES.PRIVATE_NFT_TRANSFER, circuitInputs, options);
 }
 
 // ─── F4: Loot Box Open ───
@@ -73,6 +101,8 @@ export type F4SetupResult = {
   itemId: bigint;
   itemRarity: bigint;
   rarityLabel: string;
+  boxNote: BoxNote;
+  outcomeNote: OutcomeNote;
   circuitInputs: Record<string, unknown>;
 };
 
@@ -91,15 +121,14 @@ export async function setupF4BoxOpen(
   boxType: bigint,
   itemId: bigint,
   thresholds: number[] = [100, 500, 2000, 10000],
+  ownerKeypair?: Keypair,
 ): Promise<F4SetupResult> {
-  const owner = await generateKeypair();
-  const boxSalt = randomSalt();
-  const itemSalt = randomSalt();
-
-  const boxCommitment = await poseidonHash([
-    owner.pk.x, owner.pk.y, boxId, boxType, boxSalt,
-  ]);
-  const nullifier = await poseidonHash([boxId, boxSalt, owner.sk]);
+  const owner = ownerKeypair ?? await generateKeypair();
+  const boxNote = new BoxNote({ pk: owner.pk, boxId, boxType });
+  const boxSalt = boxNote.salt;
+
+  const boxCommitment = await boxNote.hash();
+  const nullifier = await boxNote.nullifier(owner.sk);
   const vrfOutput = await poseidonHash([owner.sk, nullifier]);
 
   // 14-bit extraction for VRF modulo
@@ -108,9 +137,9 @@ export async function setupF4BoxOpen(
   const { rarity, label } = determineRarity(vrfMod, thresholds);
   const itemRarity = BigInt(rarity);
 
-  const outcomeCommitment = await poseidonHash([
-    owner.pk.x, owner.pk.y, itemId, itemRarity, itemSalt,
-  ]);
+  const outcomeNote = new OutcomeNote({ pk: owner.pk, itemId, itemRarity });
+  const itemSalt = outcomeNote.salt;
+  const outcomeCommitment = await outcomeNote.hash();
 
   const circuitInputs = {
     boxCommitment: boxCommitment.toString(),
@@ -131,25 +160,32 @@ export async function setupF4BoxOpen(
 
   return {
     owner, boxCommitment, outcomeCommitment, vrfOutput, nullifier,
-    boxId, boxType, itemId, itemRarity, rarityLabel: label, circuitInputs,
+    boxId, boxType, itemId, itemRarity, rarityLabel: label, boxNote, outcomeNote,
+    circuitInputs,
   };
 }
 
-export async function generateF4Proof(circuitInputs: Record<string, unknown>) {
-  return generateProof(CIRCUIT_NAMES.LOOT_BOX_OPEN, circuitInputs);
+export async function generateF4Proof(circuitInputs: Record<string, unknown>, options?: ProveOptions) {
+  return generateProof(CIRCUIT_NAMES.LOOT_BOX_OPEN, circuitInputs, options);
 }
 
 // ─── F5: Gaming Item Trade ───
 
 export type F5SetupResult = {
   seller: Keypair;
-  buyer: Keypair;
+  /** One-time key of the buyer's note; null unless the buyer was generated locally */
+  buyer: Keypair | null;
+  buyerAddress: ZkAddress;
+  stealth: StealthKey;
   oldItemHash: bigint;
   newItemHash: bigint;
   paymentNoteHash: bigint;
   nullifier: bigint;
   gameId: bigint;
   itemId: bigint;
+  oldNote: ItemNote;
+  newNote: ItemNote;
+  paymentNote: PaymentNote;
   circuitInputs: Record<string, unknown>;
 };
 
@@ -160,26 +196,23 @@ export async function setupF5Trade(
   gameId: bigint,
   price: bigint,
   paymentToken: bigint,
+  sellerKeypair?: Keypair,
+  buyerZkAddress?: ZkAddress,
 ): Promise<F5SetupResult> {
-  const seller = await generateKeypair();
-  const buyer = await generateKeypair();
-  const oldSalt = randomSalt();
-  const newSalt = randomSalt();
-  const paymentSalt = randomSalt();
-
-  const oldItemHash = await poseidonHash([
-    seller.pk.x, seller.pk.y, itemId, itemType, itemAttributes, gameId, oldSalt,
-  ]);
-  const newItemHash = await poseidonHash([
-    buyer.pk.x, buyer.pk.y, itemId, itemType, itemAttributes, gameId, newSalt,
-  ]);
-  const paymentNoteHash =
-    price === 0n
-      ? 0n
-      : await poseidonHash([
-          seller.pk.x, seller.pk.y, price, paymentToken, paymentSalt,
-        ]);
-  const nullifier = await poseidonHash([itemId, oldSalt, seller.sk]);
+  const seller = sellerKeypair ?? await generateKeypair();
+  const { address: buyerAddress, stealth, owner: buyer } = await stealthRecipient(buyerZkAddress);
+  const item = { itemId, itemType, itemAttributes, gameId };
+  const oldNote = new ItemNote({ pk: seller.pk, ...item });
+  const newNote = new ItemNote({ pk: stealth.pk, ...item });
+  const paymentNote = new PaymentNote({ pk: seller.pk, price, paymentToken });
+  const oldSalt = oldNote.salt;
+  const newSalt = newNote.salt;
+  const paymentSalt = paymentNote.salt;
+
+  const oldItemHash = await oldNote.hash();
+  const newItemHash = await newNote.hash();
+  const paymentNoteHash = await paymentNote.hash();
+  const nullifier = await oldNote.nullifier(seller.sk);
 
   const circuitInputs = {
     oldItemHash: oldItemHash.toString(),
@@ -191,8 +224,8 @@ export async function setupF5Trade(
     sellerPkY: seller.pk.y.toString(),
     sellerSk: seller.sk.toString(),
     oldSalt: oldSalt.toString(),
-    buyerPkX: buyer.pk.x.toString(),
-    buyerPkY: buyer.pk.y.toString(),
+    buyerPkX: stealth.pk.x.toString(),
+    buyerPkY: stealth.pk.y.toString(),
     newSalt: newSalt.toString(),
     itemId: itemId.toString(),
     itemType: itemType.toString(),
@@ -203,19 +236,30 @@ export async function setupF5Trade(
   };
 
   return {
-    seller, buyer, oldItemHash, newItemHash, paymentNoteHash,
-    nullifier, gameId, itemId, circuitInputs,
+    seller, buyer, buyerAddress, stealth, oldItemHash, newItemHash, paymentNoteHash,
+    nullifier, gameId, itemId, oldNote, newNote, paymentNote, circuitInputs,
   };
 }
 
-export async function generateF5Proof(circuitInputs: Record<string, unknown>) {
-  return generateProof(CIRCUIT_NAMES.GAMING_ITEM_TRADE, circuitInputs);
+export async function generateF5Proof(circuitInputs: Record<string, unknown>, options?: ProveOptions) {
+  return generateProof(CIRCUIT_NAMES.GAMING_ITEM_TRADE, circuitInputs, options);
 }
 
 // ─── Shared helpers ───
 
-export function encryptedNoteBytes(): Uint8Array {
-  return new TextEncoder().encode("demo");
+/**
+ * Encrypt the full note preimage (FeatureNote.serialize) for the `encryptedNote`
+ * contract argument, to the recipient's viewing key. Notes owned by a stealth key
+ * must pass it so the envelope carries its ephemeral key.
+ */
+export async function encryptNote(
+  note: FeatureNote,
+  recipient: ZkAddress,
+  stealth?: StealthKey,
+): Promise<string> {
+  return encryptForRecipient(note.serialize(), recipient.viewingPk, DEFAULT_ENVELOPE_VERSION, {
+    ephemeralSk: stealth?.ephemeralSk,
+  });
 }
 
 export function formatProofArgs(proof: SolidityProof) {
@@ -0,0 +1,93 @@
+import * as snarkjs from "snarkjs";
+import type { ProverCircuitName, ProofResult, SolidityProof } from "./types";
+
+/**
+ * Checks run before MetaMask is asked to sign, so a bad proof or a stale
+ * note surfaces in the UI instead of as a reverted transaction:
+ *   1. the proof verifies against the shipped <circuit>_vkey.json
+ *   2. the contract call succeeds as an eth_call (catches state reverts such
+ *      as "Nullifier already used" and public inputs the verifier rejects)
+ */
+
+export class PreflightError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "PreflightError";
+  }
+}
+
+const vkeys = new Map<ProverCircuitName, Promise<unknown>>();
+
+function loadVerificationKey(circuitName: ProverCircuitName): Promise<unknown> {
+  let vkey = vkeys.get(circuitName);
+  if (!vkey) {
+    vkey = fetch(`/circuits/${circuitName}_vkey.json`, { cache: "no-cache" }).then((res) => {
+      if (!res.ok) throw new Error(`Verification key for ${circuitName} not found (HTTP ${res.status})`);
+      return res.json();
+    });
+    vkey.catch(() => vkeys.delete(circuitName));
+    vkeys.set(circuitName, vkey);
+  }
+  return vkey;
+}
+
+/**
+ * Undo formatProofForContract (swap pi_b back, restore projective z = 1)
+ */
+export function toSnarkjsProof(proof: SolidityProof): snarkjs.Groth16Proof {
+  return {
+    pi_a: [proof.a[0], proof.a[1], "1"],
+    pi_b: [
+      [proof.b[0][1], proof.b[0][0]],
+      [proof.b[1][1], proof.b[1][0]],
+      ["1", "0"],
+    ],
+    pi_c: [proof.c[0], proof.c[1], "1"],
+    protocol: "groth16",
+    curve: "bn128",
+  };
+}
+
+/**
+ * Verify a generated proof off-chain; throws PreflightError if it does not verify
+ */
+export async function verifyProofLocally(circuitName: ProverCircuitName, result: ProofResult): Promise<void> {
+  const vkey = await loadVerificationKey(circuitName);
+  const valid = await snarkjs.groth16.verify(vkey, result.publicSignals, toSnarkjsProof(result.proof));
+  if (!valid) {
+    throw new PreflightError(`Local verification failed: proof does not verify against ${circuitName}_vkey.json`);
+  }
+}
+
+/** Dev nodes (Hardhat) only embed the require() string in the message */
+const REASON_IN_MESSAGE = /reverted with reason string '(.*)'/;
+
+/**
+ * Revert reason of a failed ethers call, falling back to its message
+ */
+export function revertReason(err: unknown): string {
+  if (err && typeof err === "object") {
+    const { reason, shortMessage, message } = err as { reason?: string | null; shortMessage?: string; message?: string };
+    if (reason) return reason;
+    const embedded = message?.match(REASON_IN_MESSAGE);
+    if (embedded) return embedded[1];
+    if (shortMessage) return shortMessage;
+    if (message) return message;
+  }
+  return String(err);
+}
+
+/**
+ * Run a contract method as eth_call with the exact arguments of the
+ * transaction about to be sent; throws PreflightError with the revert reason
+ */
+export async function simulateCall<A extends unknown[]>(
+  method: { staticCall: (...args: A) => Promise<unknown> },
+  ...args: A
+): Promise<void> {
+  try {
+    await method.staticCall(...args);
+  } catch (err) {
+    throw new PreflightError(revertReason(err));
+  }
+}
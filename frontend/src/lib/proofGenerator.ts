@@ -1,43 +1,28 @@
-import * as snarkjs from "snarkjs";
-import type { CircuitName, SolidityProof, ProofResult } from "./types";
+import type { ProverCircuitName, ProofResult, ProveOptions } from "./types";
+import { proveInThread } from "./snarkProver";
+import { getProverPool, ProofCancelledError } from "./proverPool";
+import { isMockProver, mockProve } from "./mockProver";
 
-/**
- * Format snarkjs proof for Solidity verifier (swap pi_b indices)
- */
-function formatProofForContract(
-  proof: snarkjs.Groth16Proof,
-): SolidityProof {
-  return {
-    a: [proof.pi_a[0], proof.pi_a[1]],
-    b: [
-      [proof.pi_b[0][1], proof.pi_b[0][0]],
-      [proof.pi_b[1][1], proof.pi_b[1][0]],
-    ],
-    c: [proof.pi_c[0], proof.pi_c[1]],
-  };
-}
+export { ProofCancelledError };
 
 /**
- * Generate a ZK proof in the browser
+ * Generate a ZK proof in the browser, off the UI thread when Web Workers are
+ * available. Progress is reported per phase (witness, FFT, MSM); aborting
+ * `options.signal` terminates the worker and rejects with ProofCancelledError.
+ * With VITE_PROVER_MODE=mock the mock prover answers instead (see mockProver.ts).
  */
 export async function generateProof(
-  circuitName: CircuitName,
+  circuitName: ProverCircuitName,
   inputs: Record<string, unknown>,
+  options: ProveOptions = {},
 ): Promise<ProofResult> {
-  const wasmUrl = `/circuits/${circuitName}/${circuitName}.wasm`;
-  const zkeyUrl = `/circuits/${circuitName}/${circuitName}.zkey`;
-
-  const start = Date.now();
-  const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-    inputs,
-    wasmUrl,
-    zkeyUrl,
-  );
-  const duration = Date.now() - start;
-
-  return {
-    proof: formatProofForContract(proof),
-    publicSignals,
-    duration,
-  };
+  if (isMockProver()) {
+    if (options.signal?.aborted) throw new ProofCancelledError();
+    return mockProve(circuitName, inputs, options.onProgress);
+  }
+  if (typeof Worker !== "undefined") {
+    return getProverPool().prove(circuitName, inputs, options);
+  }
+  if (options.signal?.aborted) throw new ProofCancelledError();
+  return proveInThread(circuitName, inputs, options.onProgress);
 }
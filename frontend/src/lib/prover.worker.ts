@@ -0,0 +1,20 @@
+import "../polyfills";
+import { proveInThread } from "./snarkProver";
+import type { ProverRequest, ProverResponse } from "./proverPool";
+
+/**
+ * Prover worker: one proof at a time, progress streamed back to the pool.
+ * Cancellation terminates the whole worker (see ProverPool).
+ */
+
+const post = (message: ProverResponse) => self.postMessage(message);
+
+self.onmessage = async (event: MessageEvent<ProverRequest>) => {
+  const { id, circuitName, inputs } = event.data;
+  try {
+    const result = await proveInThread(circuitName, inputs, (progress) => post({ type: "progress", id, progress }));
+    post({ type: "result", id, result });
+  } catch (err) {
+    post({ type: "error", id, message: err instanceof Error ? err.message : String(err) });
+  }
+};
@@ -0,0 +1,150 @@
+import type { ProverCircuitName, ProofResult, ProofProgress, ProveOptions } from "./types";
+
+/**
+ * Pool of prover workers shared by all feature pages. Jobs queue until a
+ * worker is idle; a cancelled job's worker is terminated (snarkjs cannot be
+ * interrupted otherwise) and replaced lazily.
+ */
+
+export type ProverRequest = {
+  id: number;
+  circuitName: ProverCircuitName;
+  inputs: Record<string, unknown>;
+};
+
+export type ProverResponse =
+  | { type: "progress"; id: number; progress: ProofProgress }
+  | { type: "result"; id: number; result: ProofResult }
+  | { type: "error"; id: number; message: string };
+
+type Job = ProverRequest & {
+  options: ProveOptions;
+  resolve: (result: ProofResult) => void;
+  reject: (err: Error) => void;
+};
+
+type Slot = { worker: Worker; job: Job | null };
+
+/** snarkjs already spreads MSM/FFT over its own threads; more workers only help queued jobs */
+const DEFAULT_POOL_SIZE = 2;
+
+export class ProofCancelledError extends Error {
+  constructor() {
+    super("Proof generation cancelled");
+    this.name = "AbortError";
+  }
+}
+
+function createWorker(): Worker {
+  return new Worker(new URL("./prover.worker.ts", import.meta.url), { type: "module" });
+}
+
+export class ProverPool {
+  private slots: Slot[] = [];
+  private queue: Job[] = [];
+  private nextId = 1;
+  private size: number;
+
+  constructor(size = DEFAULT_POOL_SIZE) {
+    this.size = Math.max(1, size);
+  }
+
+  prove(circuitName: ProverCircuitName, inputs: Record<string, unknown>, options: ProveOptions = {}): Promise<ProofResult> {
+    return new Promise((resolve, reject) => {
+      if (options.signal?.aborted) {
+        reject(new ProofCancelledError());
+        return;
+      }
+      const job: Job = { id: this.nextId++, circuitName, inputs, options, resolve, reject };
+      options.signal?.addEventListener("abort", () => this.cancel(job), { once: true });
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+
+  /** Stop all workers and reject every pending job */
+  terminate() {
+    for (const job of this.queue) job.reject(new ProofCancelledError());
+    this.queue = [];
+    for (const slot of this.slots) {
+      slot.worker.terminate();
+      slot.job?.reject(new ProofCancelledError());
+    }
+    this.slots = [];
+  }
+
+  private dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.slots.find((s) => s.job === null);
+      if (!slot && this.slots.length < this.size) slot = this.spawn();
+      if (!slot) return;
+
+      const job = this.queue.shift()!;
+      slot.job = job;
+      const request: ProverRequest = { id: job.id, circuitName: job.circuitName, inputs: job.inputs };
+      slot.worker.postMessage(request);
+    }
+  }
+
+  private spawn(): Slot {
+    const slot: Slot = { worker: createWorker(), job: null };
+    slot.worker.onmessage = (event: MessageEvent<ProverResponse>) => this.handleMessage(slot, event.data);
+    slot.worker.onerror = (event) => {
+      event.preventDefault();
+      const job = slot.job;
+      slot.job = null;
+      this.replace(slot);
+      job?.reject(new Error(event.message || "Prover worker crashed"));
+    };
+    this.slots.push(slot);
+    return slot;
+  }
+
+  private handleMessage(slot: Slot, message: ProverResponse) {
+    const job = slot.job;
+    if (!job || job.id !== message.id) return;
+    if (message.type === "progress") {
+      job.options.onProgress?.(message.progress);
+    } else if (message.type === "result") {
+      this.finish(slot, (j) => j.resolve(message.result));
+    } else {
+      this.finish(slot, (j) => j.reject(new Error(message.message)));
+    }
+  }
+
+  private finish(slot: Slot, settle: (job: Job) => void) {
+    const job = slot.job;
+    slot.job = null;
+    if (job) settle(job);
+    this.dispatch();
+  }
+
+  private cancel(job: Job) {
+    const queued = this.queue.indexOf(job);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      job.reject(new ProofCancelledError());
+      return;
+    }
+    const slot = this.slots.find((s) => s.job === job);
+    if (!slot) return;
+    slot.job = null;
+    job.reject(new ProofCancelledError());
+    this.replace(slot);
+  }
+
+  /** Drop a terminated or crashed worker; the next dispatch spawns a fresh one */
+  private replace(slot: Slot) {
+    slot.worker.terminate();
+    this.slots = this.slots.filter((s) => s !== slot);
+    this.dispatch();
+  }
+}
+
+let sharedPool: ProverPool | null = null;
+
+/** The pool used by generateProof */
+export function getProverPool(): ProverPool {
+  sharedPool ??= new ProverPool();
+  return sharedPool;
+}
@@ -0,0 +1,138 @@
+import type { Provider, TransactionReceipt } from "ethers";
+import { generateProof } from "./proofGenerator";
+import { PreflightError } from "./preflight";
+import { CIRCUIT_NAMES, type ProofResult, type ProveOptions, type RelayableCircuitName } from "./types";
+
+/**
+ * Optional client for the gasless relayer (scripts/relayer).
+ * Enabled by setting VITE_RELAYER_URL, e.g. http://localhost:4200.
+ *
+ * A relayed proof binds the relayer's address and fee as public inputs, so
+ * the relayer can submit it from its own account but cannot redirect the fee.
+ */
+
+const RELAYER_URL: string | undefined = import.meta.env.VITE_RELAYER_URL;
+
+/** deployedAddresses.json keys the relayer submits to */
+export type RelayContract = "privateNFT" | "lootBoxOpen" | "gamingItemTrade";
+
+const RELAY_CIRCUITS: Record<RelayContract, RelayableCircuitName> = {
+  privateNFT: CIRCUIT_NAMES.PRIVATE_NFT_TRANSFER,
+  lootBoxOpen: CIRCUIT_NAMES.LOOT_BOX_OPEN,
+  gamingItemTrade: CIRCUIT_NAMES.GAMING_ITEM_TRADE,
+};
+
+export type RelayerInfo = {
+  relayer: string;
+  /** Smallest fee (wei) the relayer accepts */
+  minFee: string;
+  contracts: Partial<Record<RelayContract, {
+    address: string;
+    enabled: boolean;
+    /** Whether the contract pays this relayer fees at all */
+    approved: boolean;
+    feePool: string;
+    /** Fees (wei) the contract still pays this relayer in the current period */
+    feeAllowance: string;
+  }>>;
+};
+
+/**
+ * Minimal transaction handle, shaped like the subset of ethers' TransactionResponse the pages use.
+ * Like ContractTransactionResponse.wait(), wait() rejects if the transaction reverted.
+ */
+export type RelayedTransaction = {
+  hash: string;
+  wait: () => Promise<TransactionReceipt>;
+};
+
+/** Rejections the relayer reports when its eth_call of the bundle reverts */
+const WOULD_REVERT = /^Transaction would revert: /;
+
+export function isRelayerConfigured(): boolean {
+  return !!RELAYER_URL;
+}
+
+async function request<T>(path: string, init?: RequestInit): Promise<T> {
+  if (!RELAYER_URL) throw new Error("Relayer not configured (VITE_RELAYER_URL)");
+  const res = await fetch(RELAYER_URL.replace(/\/$/, "") + path, init);
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    const message: string = body.error || res.statusText;
+    if (WOULD_REVERT.test(message)) throw new PreflightError(message.replace(WOULD_REVERT, ""));
+    throw new Error(`Relayer: ${message}`);
+  }
+  return res.json() as Promise<T>;
+}
+
+/**
+ * Relayer address, fee floor and which contracts have relaying enabled
+ */
+export function getRelayerInfo(): Promise<RelayerInfo> {
+  return request("/health");
+}
+
+/**
+ * Relayer address and fee to bind into a proof for `contract`
+ */
+export async function getRelayTerms(contract: RelayContract): Promise<{ relayer: string; fee: string }> {
+  const info = await getRelayerInfo();
+  const status = info.contracts[contract];
+  if (!status?.enabled) throw new Error(`Relayer: relaying is not enabled on ${contract}`);
+  if (BigInt(info.minFee) > 0n && !status.approved) {
+    throw new Error(`Relayer: ${info.relayer} is not an approved relayer on ${contract}`);
+  }
+  if (BigInt(status.feeAllowance) < BigInt(info.minFee)) {
+    throw new Error(`Relayer: the ${contract} relay fee pool or period limit cannot cover the ${info.minFee} wei fee`);
+  }
+  return { relayer: info.relayer, fee: info.minFee };
+}
+
+/**
+ * Proof function for useProofGeneration: proves the relayed variant of the
+ * contract's circuit, paying the relayer its minimum fee
+ */
+export function relayedProof(contract: RelayContract) {
+  return async (inputs: Record<string, unknown>, options?: ProveOptions): Promise<ProofResult> => {
+    const { relayer, fee } = await getRelayTerms(contract);
+    return generateProof(
+      `${RELAY_CIRCUITS[contract]}_relayed`,
+      { ...inputs, relayer: BigInt(relayer).toString(), fee },
+      options,
+    );
+  };
+}
+
+export function isRelayedProof(result: ProofResult): boolean {
+  return result.circuitName.endsWith("_relayed");
+}
+
+/**
+ * Hand a relayed proof to the relayer. A bundle the relayer's eth_call
+ * rejects throws PreflightError; nothing is sent in that case.
+ */
+export async function submitViaRelayer(
+  contract: RelayContract,
+  result: ProofResult,
+  encryptedNote: string,
+  provider: Provider,
+): Promise<RelayedTransaction> {
+  const { txHash } = await request<{ txHash: string }>("/relay", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      contract,
+      proof: result.proof,
+      publicSignals: result.publicSignals,
+      encryptedNote,
+    }),
+  });
+  return { hash: txHash, wait: () => waitForSuccess(provider, txHash) };
+}
+
+async function waitForSuccess(provider: Provider, txHash: string): Promise<TransactionReceipt> {
+  const receipt = await provider.waitForTransaction(txHash);
+  if (!receipt) throw new Error(`Relayed transaction ${txHash} was not mined`);
+  if (receipt.status !== 1) throw new Error(`Relayed transaction ${txHash} reverted`);
+  return receipt;
+}
@@ -0,0 +1,107 @@
+import * as snarkjs from "snarkjs";
+import type { ProverCircuitName, SolidityProof, ProofResult, ProofPhase, ProofProgress } from "./types";
+import { assertWitnessInputs, witnessTarget } from "./witnessValidator";
+import { getArtifact } from "./artifactCache";
+
+/**
+ * snarkjs Groth16 proving on the current thread. Runs inside the prover
+ * worker (prover.worker.ts); proofGenerator.ts falls back to it where
+ * Web Workers are unavailable.
+ */
+
+/**
+ * Format snarkjs proof for Solidity verifier (swap pi_b indices)
+ */
+export function formatProofForContract(
+  proof: snarkjs.Groth16Proof,
+): SolidityProof {
+  return {
+    a: [proof.pi_a[0], proof.pi_a[1]],
+    b: [
+      [proof.pi_b[0][1], proof.pi_b[0][0]],
+      [proof.pi_b[1][1], proof.pi_b[1][0]],
+    ],
+    c: [proof.pi_c[0], proof.pi_c[1]],
+  };
+}
+
+/**
+ * snarkjs / ffjavascript debug lines marking each proving step, in order.
+ * Witness calculation logs nothing; it is everything before "Reading Wtns".
+ */
+const PROGRESS_MARKERS: [RegExp, ProofPhase, number][] = [
+  [/^Reading Wtns/, "fft", 0.15],
+  [/^IFFT_A:/, "fft", 0.2],
+  [/^FFT_A:/, "fft", 0.25],
+  [/^IFFT_B:/, "fft", 0.3],
+  [/^FFT_B:/, "fft", 0.35],
+  [/^IFFT_C:/, "fft", 0.4],
+  [/^FFT_C:/, "fft", 0.45],
+  [/^Join ABC/, "fft", 0.5],
+  [/multiexp A:/, "msm", 0.55],
+  [/multiexp B1:/, "msm", 0.64],
+  [/multiexp B2:/, "msm", 0.73],
+  [/multiexp C:/, "msm", 0.82],
+  [/multiexp H:/, "msm", 0.91],
+];
+
+/**
+ * Phase and overall progress for a prover log line, or null if it marks no step
+ */
+export function progressFromLog(message: string): Omit<ProofProgress, "message"> | null {
+  for (let i = PROGRESS_MARKERS.length - 1; i >= 0; i--) {
+    const [pattern, phase, progress] = PROGRESS_MARKERS[i];
+    if (pattern.test(message)) return { phase, progress };
+  }
+  return null;
+}
+
+/**
+ * Validate inputs, then generate the proof, reporting phase progress
+ */
+export async function proveInThread(
+  circuitName: ProverCircuitName,
+  inputs: Record<string, unknown>,
+  onProgress?: (progress: ProofProgress) => void,
+): Promise<ProofResult> {
+  onProgress?.({ phase: "witness", progress: 0, message: "Loading circuit" });
+  // Integrity-checked bytes from the artifact cache (URLs if no manifest)
+  const [wasm, zkey] = await Promise.all([
+    getArtifact(circuitName, "wasm"),
+    getArtifact(circuitName, "zkey"),
+  ]);
+
+  onProgress?.({ phase: "witness", progress: 0, message: "Validating inputs" });
+  // Fails with the named constraint instead of snarkjs' "Assert Failed"
+  await assertWitnessInputs(...witnessTarget(circuitName, inputs));
+  onProgress?.({ phase: "witness", progress: 0.05, message: "Calculating witness" });
+
+  let current = { phase: "witness" as ProofPhase, progress: 0.05 };
+  const logger = {
+    debug(message: string) {
+      const step = progressFromLog(message);
+      if (step && step.progress > current.progress) current = step;
+      onProgress?.({ ...current, message });
+    },
+    info() {},
+    warn() {},
+    error() {},
+  };
+
+  const start = Date.now();
+  const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+    inputs,
+    wasm,
+    zkey,
+    logger,
+  );
+  const duration = Date.now() - start;
+  onProgress?.({ phase: "done", progress: 1, message: "Proof generated" });
+
+  return {
+    circuitName,
+    proof: formatProofForContract(proof),
+    publicSignals,
+    duration,
+  };
+}
@@ -15,8 +15,14 @@ declare module "snarkjs" {
   export const groth16: {
     fullProve(
       input: Record<string, unknown>,
-      wasmFile: string,
-      zkeyFile: string,
+      wasmFile: string | Uint8Array,
+      zkeyFile: string | Uint8Array,
+      logger?: {
+        debug(message: string): void;
+        info(message: string): void;
+        warn(message: string): void;
+        error(message: string): void;
+      },
     ): Promise<FullProveResult>;
     verify(
       vkey: unknown,
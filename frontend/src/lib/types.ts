@@ -8,6 +8,17 @@ export const CIRCUIT_NAMES = {
 
 export type CircuitName = (typeof CIRCUIT_NAMES)[keyof typeof CIRCUIT_NAMES];
 
+// Circuits with a relayed variant (<circuit>_relayed) that binds [relayer, fee] as public inputs
+export type RelayableCircuitName =
+  | typeof CIRCUIT_NAMES.PRIVATE_NFT_TRANSFER
+  | typeof CIRCUIT_NAMES.LOOT_BOX_OPEN
+  | typeof CIRCUIT_NAMES.GAMING_ITEM_TRADE;
+
+export type RelayedCircuitName = `${RelayableCircuitName}_relayed`;
+
+// Any circuit the prover can load artifacts for
+export type ProverCircuitName = CircuitName | RelayedCircuitName;
+
 // Formatted proof for Solidity verifier
 export type SolidityProof = {
   a: [string, string];
@@ -16,11 +27,30 @@ export type SolidityProof = {
 };
 
 export type ProofResult = {
+  /** Circuit the proof was generated for */
+  circuitName: ProverCircuitName;
   proof: SolidityProof;
   publicSignals: string[];
   duration: number;
 };
 
+// Proving phases reported while a proof is generated
+export type ProofPhase = "witness" | "fft" | "msm" | "done";
+
+export type ProofProgress = {
+  phase: ProofPhase;
+  /** 0..1, monotonic */
+  progress: number;
+  /** Last prover log line */
+  message: string;
+};
+
+export type ProveOptions = {
+  onProgress?: (progress: ProofProgress) => void;
+  /** Aborting terminates the worker running the proof */
+  signal?: AbortSignal;
+};
+
 // Note states matching the contract enum
 export const NOTE_STATES = {
   INVALID: 0,
@@ -47,6 +77,12 @@ export type Keypair = {
   pk: { x: bigint; y: bigint };
 };
 
+// Dual-key address: spendingPk goes into commitments, notes are encrypted to viewingPk
+export type ZkAddress = {
+  spendingPk: { x: bigint; y: bigint };
+  viewingPk: { x: bigint; y: bigint };
+};
+
 // Rarity levels for loot box
 export const RARITY_LABELS = ["Legendary", "Epic", "Rare", "Common"] as const;
 export type RarityLabel = (typeof RARITY_LABELS)[number];
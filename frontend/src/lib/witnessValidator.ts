@@ -0,0 +1,327 @@
+import { poseidonHash, getPublicKey } from "./crypto";
+import { fisherYatesShuffle, computeDeckCommitment } from "./cardUtils";
+import { CIRCUIT_NAMES } from "./types";
+import type { CircuitName, ProverCircuitName } from "./types";
+
+/**
+ * Pre-proving witness validation (mirrors scripts/lib/witnessValidator.js).
+ * Recomputes every public signal from the private inputs and names the
+ * circom constraint that would fail, instead of snarkjs' "Assert Failed".
+ */
+
+const SNARK_FIELD =
+  21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+const DECK_SIZE = 52;
+
+export type ConstraintFailure = {
+  constraint: string;
+  section: string;
+  message: string;
+};
+
+export class WitnessValidationError extends Error {
+  readonly circuitName: CircuitName;
+  readonly failures: ConstraintFailure[];
+
+  constructor(circuitName: CircuitName, failures: ConstraintFailure[]) {
+    const lines = failures.map(
+      (f) => `  - [${f.section}] ${f.constraint}: ${f.message}`,
+    );
+    super(
+      `${circuitName}: ${failures.length} constraint(s) would fail\n${lines.join("\n")}`,
+    );
+    this.name = "WitnessValidationError";
+    this.circuitName = circuitName;
+    this.failures = failures;
+  }
+}
+
+// Input signals per circuit: name => array length (1 = scalar)
+const CIRCUIT_INPUTS: Record<CircuitName, Record<string, number>> = {
+  [CIRCUIT_NAMES.PRIVATE_NFT_TRANSFER]: {
+    oldNftHash: 1, newNftHash: 1, nftId: 1, collectionAddress: 1, nullifier: 1,
+    oldOwnerPkX: 1, oldOwnerPkY: 1, oldOwnerSk: 1, oldSalt: 1,
+    newOwnerPkX: 1, newOwnerPkY: 1, newSalt: 1,
+  },
+  [CIRCUIT_NAMES.LOOT_BOX_OPEN]: {
+    boxCommitment: 1, outcomeCommitment: 1, vrfOutput: 1, boxId: 1, nullifier: 1,
+    ownerPkX: 1, ownerPkY: 1, ownerSk: 1, boxSalt: 1, boxType: 1,
+    itemId: 1, itemRarity: 1, itemSalt: 1, rarityThresholds: 4,
+  },
+  [CIRCUIT_NAMES.GAMING_ITEM_TRADE]: {
+    oldItemHash: 1, newItemHash: 1, paymentNoteHash: 1, gameId: 1, nullifier: 1,
+    sellerPkX: 1, sellerPkY: 1, sellerSk: 1, oldSalt: 1,
+    buyerPkX: 1, buyerPkY: 1, newSalt: 1,
+    itemId: 1, itemType: 1, itemAttributes: 1,
+    price: 1, paymentToken: 1, paymentSalt: 1,
+  },
+  [CIRCUIT_NAMES.CARD_DRAW]: {
+    deckCommitment: 1, drawCommitment: 1, drawIndex: 1, gameId: 1, playerCommitment: 1,
+    playerPkX: 1, playerPkY: 1, playerSk: 1, shuffleSeed: 1,
+    deckCards: DECK_SIZE, drawnCard: 1, handSalt: 1, deckSalt: 1,
+  },
+};
+
+type Values = Record<string, bigint>;
+type Arrays = Record<string, bigint[]>;
+
+function parseInputs(
+  circuitName: CircuitName,
+  inputs: Record<string, unknown>,
+  failures: ConstraintFailure[],
+): { scalars: Values; arrays: Arrays } | null {
+  const spec = CIRCUIT_INPUTS[circuitName];
+  const scalars: Values = {};
+  const arrays: Arrays = {};
+  const shapeError = (name: string, message: string) =>
+    failures.push({ constraint: `signal input ${name}`, section: "Inputs", message });
+
+  const toField = (name: string, value: unknown): bigint => {
+    let v: bigint;
+    try {
+      v = BigInt(value as string | number | bigint);
+    } catch {
+      shapeError(name, `not a number: ${JSON.stringify(value)}`);
+      return 0n;
+    }
+    if (v < 0n || v >= SNARK_FIELD) {
+      shapeError(name, "outside the BN254 scalar field");
+    }
+    return v;
+  };
+
+  for (const [name, size] of Object.entries(spec)) {
+    const value = inputs[name];
+    if (value === undefined || value === null) {
+      shapeError(name, "missing");
+    } else if (size === 1) {
+      if (Array.isArray(value)) shapeError(name, "expected a scalar, got an array");
+      else scalars[name] = toField(name, value);
+    } else if (!Array.isArray(value) || value.length !== size) {
+      shapeError(name, `expected an array of ${size}`);
+    } else {
+      arrays[name] = value.map((v, i) => toField(`${name}[${i}]`, v));
+    }
+  }
+
+  for (const name of Object.keys(inputs)) {
+    if (!(name in spec)) shapeError(name, "not an input of this circuit");
+  }
+
+  return failures.length === 0 ? { scalars, arrays } : null;
+}
+
+function expectEqual(
+  failures: ConstraintFailure[],
+  constraint: string,
+  section: string,
+  name: string,
+  given: bigint,
+  computed: bigint,
+) {
+  if (given !== computed) {
+    failures.push({
+      constraint,
+      section,
+      message: `${name} is ${given} but the private inputs give ${computed}`,
+    });
+  }
+}
+
+async function checkOwnership(
+  failures: ConstraintFailure[],
+  pkX: bigint,
+  pkY: bigint,
+  sk: bigint,
+) {
+  const pk = await getPublicKey(sk);
+  if (pk.x !== pkX || pk.y !== pkY) {
+    failures.push({
+      constraint: "ownership.valid === 1",
+      section: "Verify Ownership",
+      message: "secret key does not match the public key",
+    });
+  }
+}
+
+type Validator = (
+  v: Values,
+  arrays: Arrays,
+  failures: ConstraintFailure[],
+) => Promise<void>;
+
+const VALIDATORS: Record<CircuitName, Validator> = {
+  [CIRCUIT_NAMES.PRIVATE_NFT_TRANSFER]: async (v, _arrays, failures) => {
+    expectEqual(failures, "oldNft.out === oldNftHash", "Verify Old NFT Note", "oldNftHash",
+      v.oldNftHash,
+      await poseidonHash([v.oldOwnerPkX, v.oldOwnerPkY, v.nftId, v.collectionAddress, v.oldSalt]));
+    await checkOwnership(failures, v.oldOwnerPkX, v.oldOwnerPkY, v.oldOwnerSk);
+    expectEqual(failures, "nullifierCalc.out === nullifier", "Compute Nullifier", "nullifier",
+      v.nullifier, await poseidonHash([v.nftId, v.oldSalt, v.oldOwnerSk]));
+    expectEqual(failures, "newNft.out === newNftHash", "Create New NFT Note", "newNftHash",
+      v.newNftHash,
+      await poseidonHash([v.newOwnerPkX, v.newOwnerPkY, v.nftId, v.collectionAddress, v.newSalt]));
+  },
+
+  [CIRCUIT_NAMES.LOOT_BOX_OPEN]: async (v, arrays, failures) => {
+    expectEqual(failures, "boxHash.out === boxCommitment", "Verify Box Commitment", "boxCommitment",
+      v.boxCommitment,
+      await poseidonHash([v.ownerPkX, v.ownerPkY, v.boxId, v.boxType, v.boxSalt]));
+    await checkOwnership(failures, v.ownerPkX, v.ownerPkY, v.ownerSk);
+    expectEqual(failures, "nullifierCalc.out === nullifier", "Compute Nullifier", "nullifier",
+      v.nullifier, await poseidonHash([v.boxId, v.boxSalt, v.ownerSk]));
+    expectEqual(failures, "vrf.out === vrfOutput", "Verify Poseidon VRF", "vrfOutput",
+      v.vrfOutput, await poseidonHash([v.ownerSk, v.nullifier]));
+
+    const t = arrays.rarityThresholds;
+    let thresholdsValid = true;
+    for (let i = 0; i < t.length; i++) {
+      if (t[i] >= 1n << 14n) {
+        thresholdsValid = false;
+        failures.push({
+          constraint: "thresholdLT[i].out === 1", section: "Verify Threshold Validity",
+          message: `rarityThresholds[${i}] = ${t[i]} does not fit in 14 bits`,
+        });
+      } else if (i > 0 && t[i - 1] >= t[i]) {
+        thresholdsValid = false;
+        failures.push({
+          constraint: "thresholdLT[i].out === 1", section: "Verify Threshold Validity",
+          message: `rarityThresholds must be strictly increasing (${t[i - 1]} >= ${t[i]} at index ${i})`,
+        });
+      }
+    }
+    if (t[t.length - 1] !== 10000n) {
+      thresholdsValid = false;
+      failures.push({
+        constraint: "rarityThresholds[NUM_TIERS - 1] === 10000", section: "Verify Threshold Validity",
+        message: `last threshold is ${t[t.length - 1]}, must be 10000`,
+      });
+    }
+
+    if (thresholdsValid) {
+      const lower14 = v.vrfOutput & 0x3FFFn;
+      const vrfMod = lower14 < 10000n ? lower14 : lower14 - 10000n;
+      const tier = t.findIndex((x) => vrfMod < x);
+      if (BigInt(tier) !== v.itemRarity) {
+        failures.push({
+          constraint: "tierSum[NUM_TIERS] === 1", section: "Determine Rarity from VRF Output",
+          message: `itemRarity is ${v.itemRarity} but vrfOutput selects tier ${tier} (vrfMod ${vrfMod})`,
+        });
+      }
+    }
+
+    expectEqual(failures, "outcomeNote.out === outcomeCommitment", "Create Outcome Note", "outcomeCommitment",
+      v.outcomeCommitment,
+      await poseidonHash([v.ownerPkX, v.ownerPkY, v.itemId, v.itemRarity, v.itemSalt]));
+  },
+
+  [CIRCUIT_NAMES.GAMING_ITEM_TRADE]: async (v, _arrays, failures) => {
+    expectEqual(failures, "oldItem.out === oldItemHash", "Verify Old Item Note", "oldItemHash",
+      v.oldItemHash,
+      await poseidonHash([v.sellerPkX, v.sellerPkY, v.itemId, v.itemType, v.itemAttributes, v.gameId, v.oldSalt]));
+    await checkOwnership(failures, v.sellerPkX, v.sellerPkY, v.sellerSk);
+    expectEqual(failures, "nullifierCalc.out === nullifier", "Compute Nullifier", "nullifier",
+      v.nullifier, await poseidonHash([v.itemId, v.oldSalt, v.sellerSk]));
+    expectEqual(failures, "newItem.out === newItemHash", "Create New Item Note (for buyer)", "newItemHash",
+      v.newItemHash,
+      await poseidonHash([v.buyerPkX, v.buyerPkY, v.itemId, v.itemType, v.itemAttributes, v.gameId, v.newSalt]));
+
+    if (v.price === 0n) {
+      if (v.paymentNoteHash !== 0n) {
+        failures.push({
+          constraint: "paymentNoteHash === expectedPaymentHash", section: "Payment Logic",
+          message: "price is 0 (gift) so paymentNoteHash must be 0",
+        });
+      }
+    } else {
+      expectEqual(failures, "paymentNoteHash === expectedPaymentHash", "Payment Logic", "paymentNoteHash",
+        v.paymentNoteHash,
+        await poseidonHash([v.sellerPkX, v.sellerPkY, v.price, v.paymentToken, v.paymentSalt]));
+    }
+  },
+
+  [CIRCUIT_NAMES.CARD_DRAW]: async (v, arrays, failures) => {
+    const N = BigInt(DECK_SIZE);
+    const deckCards = arrays.deckCards;
+
+    await checkOwnership(failures, v.playerPkX, v.playerPkY, v.playerSk);
+    expectEqual(failures, "playerHash.out === playerCommitment", "Verify Player Commitment", "playerCommitment",
+      v.playerCommitment, await poseidonHash([v.playerPkX, v.playerPkY, v.gameId]));
+
+    const shuffled = await fisherYatesShuffle(v.shuffleSeed, DECK_SIZE);
+    const mismatch = shuffled.findIndex((card, i) => BigInt(card) !== deckCards[i]);
+    if (mismatch !== -1) {
+      failures.push({
+        constraint: "deckState[N - 2][k] === verifyDeck[k]", section: "Verify Fisher-Yates Shuffle",
+        message: `deckCards[${mismatch}] is ${deckCards[mismatch]} but shuffleSeed gives ${shuffled[mismatch]}`,
+      });
+    }
+
+    expectEqual(failures, "deckHash.out === deckCommitment", "Verify Deck Commitment", "deckCommitment",
+      v.deckCommitment,
+      await computeDeckCommitment(deckCards.map(Number), v.deckSalt));
+
+    if (v.drawIndex >= N) {
+      failures.push({
+        constraint: "indexBound.out === 1", section: "Bound Checks",
+        message: `drawIndex ${v.drawIndex} must be < ${N}`,
+      });
+    } else if (deckCards[Number(v.drawIndex)] !== v.drawnCard) {
+      failures.push({
+        constraint: "readCard.out === drawnCard", section: "Verify Card Draw",
+        message: `drawnCard is ${v.drawnCard} but deckCards[${v.drawIndex}] is ${deckCards[Number(v.drawIndex)]}`,
+      });
+    }
+    if (v.drawnCard >= N) {
+      failures.push({
+        constraint: "cardBound.out === 1", section: "Bound Checks",
+        message: `drawnCard ${v.drawnCard} must be < ${N}`,
+      });
+    }
+
+    expectEqual(failures, "drawHash.out === drawCommitment", "Verify Draw Commitment", "drawCommitment",
+      v.drawCommitment,
+      await poseidonHash([v.drawnCard, v.drawIndex, v.gameId, v.handSalt]));
+  },
+};
+
+/**
+ * Circuit and inputs the witness validator checks. A relayed circuit wraps its
+ * base statement unchanged; relayer and fee only ride along as public inputs.
+ */
+export function witnessTarget(
+  circuitName: ProverCircuitName,
+  inputs: Record<string, unknown>,
+): [CircuitName, Record<string, unknown>] {
+  if (!circuitName.endsWith("_relayed")) return [circuitName as CircuitName, inputs];
+  const baseInputs = { ...inputs };
+  delete baseInputs.relayer;
+  delete baseInputs.fee;
+  return [circuitName.replace(/_relayed$/, "") as CircuitName, baseInputs];
+}
+
+/**
+ * Validate circuit inputs without running the witness calculator
+ */
+export async function validateWitnessInputs(
+  circuitName: CircuitName,
+  inputs: Record<string, unknown>,
+): Promise<{ valid: boolean; failures: ConstraintFailure[] }> {
+  const failures: ConstraintFailure[] = [];
+  const parsed = parseInputs(circuitName, inputs, failures);
+  if (parsed) {
+    await VALIDATORS[circuitName](parsed.scalars, parsed.arrays, failures);
+  }
+  return { valid: failures.length === 0, failures };
+}
+
+/**
+ * Validate and throw a WitnessValidationError listing every failed constraint
+ */
+export async function assertWitnessInputs(
+  circuitName: CircuitName,
+  inputs: Record<string, unknown>,
+): Promise<void> {
+  const { valid, failures } = await validateWitnessInputs(circuitName, inputs);
+  if (!valid) throw new WitnessValidationError(circuitName, failures);
+}
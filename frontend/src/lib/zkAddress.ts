@@ -0,0 +1,113 @@
+import { encodeBase58, decodeBase58, sha256 } from "ethers";
+import { packPoint, unpackPoint } from "./crypto";
+import { bytesToHex, hexToBytes } from "./ecdhCrypto";
+import type { ZkAddress } from "./types";
+
+/**
+ * Shareable, checksummed BabyJubJub address (mirrors scripts/lib/zkAddress.js):
+ *   "zk" || base58(version || flags || packed spendingPk [|| packed viewingPk] [|| chainId u64] || checksum4)
+ * checksum = first 4 bytes of SHA-256(SHA-256(payload)).
+ */
+
+export const ZK_ADDRESS_PREFIX = "zk";
+export const ZK_ADDRESS_VERSION = 0x01;
+
+const FLAG_VIEWING_KEY = 0x01;
+const FLAG_CHAIN_ID = 0x02;
+
+type Point = { x: bigint; y: bigint };
+
+export type DecodedZkAddress = {
+  spendingPk: Point;
+  viewingPk: Point | null;
+  chainId: bigint | null;
+};
+
+function checksum(payload: Uint8Array): Uint8Array {
+  return hexToBytes(sha256(sha256(payload))).slice(0, 4);
+}
+
+export async function encodeZkAddress(address: {
+  spendingPk: Point;
+  viewingPk?: Point | null;
+  chainId?: bigint | number | null;
+}): Promise<string> {
+  let flags = 0;
+  const parts = [await packPoint(address.spendingPk)];
+  if (address.viewingPk) {
+    flags |= FLAG_VIEWING_KEY;
+    parts.push(await packPoint(address.viewingPk));
+  }
+  if (address.chainId !== undefined && address.chainId !== null) {
+    flags |= FLAG_CHAIN_ID;
+    parts.push(hexToBytes(BigInt(address.chainId).toString(16).padStart(16, "0")));
+  }
+
+  const payload = new Uint8Array(2 + parts.reduce((n, p) => n + p.length, 0));
+  payload.set([ZK_ADDRESS_VERSION, flags]);
+  let offset = 2;
+  for (const part of parts) {
+    payload.set(part, offset);
+    offset += part.length;
+  }
+  const full = new Uint8Array(payload.length + 4);
+  full.set(payload);
+  full.set(checksum(payload), payload.length);
+  return ZK_ADDRESS_PREFIX + encodeBase58(full);
+}
+
+/**
+ * Decode and verify an address; throws on a bad prefix, checksum, version or point
+ */
+export async function decodeZkAddress(encoded: string): Promise<DecodedZkAddress> {
+  const text = encoded.trim();
+  if (!text.startsWith(ZK_ADDRESS_PREFIX)) throw new Error('Invalid ZK address: missing "zk" prefix');
+
+  let bytes: Uint8Array;
+  try {
+    let hex = decodeBase58(text.slice(ZK_ADDRESS_PREFIX.length)).toString(16);
+    if (hex.length % 2) hex = "0" + hex;
+    bytes = hexToBytes(hex);
+  } catch {
+    throw new Error("Invalid ZK address: not base58");
+  }
+  if (bytes.length < 2 + 32 + 4) throw new Error("Invalid ZK address: too short");
+
+  const payload = bytes.slice(0, -4);
+  if (bytesToHex(checksum(payload)) !== bytesToHex(bytes.slice(-4))) {
+    throw new Error("Invalid ZK address: bad checksum");
+  }
+  if (payload[0] !== ZK_ADDRESS_VERSION) throw new Error(`Unsupported ZK address version: ${payload[0]}`);
+
+  const flags = payload[1];
+  const expected = 2 + 32 + (flags & FLAG_VIEWING_KEY ? 32 : 0) + (flags & FLAG_CHAIN_ID ? 8 : 0);
+  if (payload.length !== expected || flags & ~(FLAG_VIEWING_KEY | FLAG_CHAIN_ID)) {
+    throw new Error("Invalid ZK address: malformed payload");
+  }
+
+  const spendingPk = await unpackPoint(payload.slice(2, 34));
+  if (!spendingPk) throw new Error("Invalid ZK address: spending key is not a curve point");
+  let offset = 34;
+  let viewingPk: Point | null = null;
+  if (flags & FLAG_VIEWING_KEY) {
+    viewingPk = await unpackPoint(payload.slice(offset, offset + 32));
+    if (!viewingPk) throw new Error("Invalid ZK address: viewing key is not a curve point");
+    offset += 32;
+  }
+  const chainId = flags & FLAG_CHAIN_ID ? BigInt("0x" + bytesToHex(payload.slice(offset, offset + 8))) : null;
+
+  return { spendingPk, viewingPk, chainId };
+}
+
+/**
+ * Decode an address a note can be sent to: it must carry a viewing key
+ * and, if it names a chain, match the connected one.
+ */
+export async function parseRecipientAddress(encoded: string, chainId?: bigint | number): Promise<ZkAddress> {
+  const decoded = await decodeZkAddress(encoded);
+  if (!decoded.viewingPk) throw new Error("ZK address has no viewing key; notes cannot be encrypted to it");
+  if (decoded.chainId !== null && chainId !== undefined && decoded.chainId !== BigInt(chainId)) {
+    throw new Error(`ZK address is for chain ${decoded.chainId}, connected to ${chainId}`);
+  }
+  return { spendingPk: decoded.spendingPk, viewingPk: decoded.viewingPk };
+}
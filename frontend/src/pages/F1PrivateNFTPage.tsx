@@ -2,31 +2,38 @@ import { useState } from "react";
 import { StepCard } from "../components/StepCard";
 import { ProofStatus } from "../components/ProofStatus";
 import { TxStatus } from "../components/TxStatus";
+import { ZkAddressInput } from "../components/ZkAddressInput";
 import { useWallet } from "../hooks/useWallet";
 import { useContract } from "../hooks/useContract";
 import { useProofGeneration } from "../hooks/useProofGeneration";
 import {
   setupF1Transfer,
   generateF1Proof,
-  encryptedNoteBytes,
+  encryptNote,
   type F1SetupResult,
 } from "../lib/noteUtils";
-import { toBytes32 } from "../lib/crypto";
-import { addNote } from "../lib/noteStore";
-import type { ProofResult } from "../lib/types";
+import { toBytes32, deriveZkAddress } from "../lib/crypto";
+import { addNote, saveNoteSecrets } from "../lib/noteStore";
+import { simulateCall, PreflightError } from "../lib/preflight";
+import { isRelayerConfigured, relayedProof, isRelayedProof, submitViaRelayer } from "../lib/relayerClient";
+import { parseRecipientAddress } from "../lib/zkAddress";
+import { CIRCUIT_NAMES, type ProofResult } from "../lib/types";
 
 type Step = "setup" | "register" | "prove" | "transfer" | "done";
 
 export function F1PrivateNFTPage() {
-  const { signer, isConnected } = useWallet();
+  const { signer, isConnected, chainId, deriveNoteKeypair } = useWallet();
   const contract = useContract("PrivateNFT", signer);
-  const proof = useProofGeneration();
+  const proof = useProofGeneration(CIRCUIT_NAMES.PRIVATE_NFT_TRANSFER);
 
   const [step, setStep] = useState<Step>("setup");
   const [nftIdInput, setNftIdInput] = useState("1001");
   const [collectionInput, setCollectionInput] = useState("12345");
+  const [recipientInput, setRecipientInput] = useState("");
+  const [setupError, setSetupError] = useState<string | null>(null);
   const [setup, setSetup] = useState<F1SetupResult | null>(null);
   const [proofResult, setProofResult] = useState<ProofResult | null>(null);
+  const [viaRelayer, setViaRelayer] = useState(false);
 
   // Registration tx state
   const [regTxHash, setRegTxHash] = useState<string | null>(null);
@@ -39,6 +46,7 @@ export function F1PrivateNFTPage() {
   const [txPending, setTxPending] = useState(false);
   const [txConfirmed, setTxConfirmed] = useState(false);
   const [txError, setTxError] = useState<string | null>(null);
+  const [txPreflightError, setTxPreflightError] = useState<string | null>(null);
 
   // Note states
   const [oldNoteState, setOldNoteState] = useState<string | null>(null);
@@ -63,11 +71,19 @@ export function F1PrivateNFTPage() {
   };
 
   async function handleSetup() {
-    const nftId = BigInt(nftIdInput);
-    const collection = BigInt(collectionInput);
-    const result = await setupF1Transfer(nftId, collection);
-    setSetup(result);
-    setStep("register");
+    setSetupError(null);
+    try {
+      const nftId = BigInt(nftIdInput);
+      const collection = BigInt(collectionInput);
+      const recipient = recipientInput
+        ? await parseRecipientAddress(recipientInput, chainId ?? undefined)
+        : undefined;
+      const result = await setupF1Transfer(nftId, collection, await deriveNoteKeypair("nft"), recipient);
+      setSetup(result);
+      setStep("register");
+    } catch (err) {
+      setSetupError(err instanceof Error ? err.message : "Setup failed");
+    }
   }
 
   async function handleRegister() {
@@ -79,7 +95,7 @@ export function F1PrivateNFTPage() {
         toBytes32(setup.oldNftHash),
         "0x" + setup.collectionAddress.toString(16).padStart(40, "0"),
         setup.nftId,
-        encryptedNoteBytes(),
+        await encryptNote(setup.oldNote, await deriveZkAddress(setup.oldOwner.sk)),
       );
       setRegTxHash(tx.hash);
       await tx.wait();
@@ -94,7 +110,7 @@ export function F1PrivateNFTPage() {
 
   async function handleProve() {
     if (!setup) return;
-    const result = await proof.generate(generateF1Proof, setup.circuitInputs);
+    const result = await proof.generate(viaRelayer ? relayedProof("privateNFT") : generateF1Proof, setup.circuitInputs);
     if (result) {
       setProofResult(result);
       setStep("transfer");
@@ -102,20 +118,31 @@ export function F1PrivateNFTPage() {
   }
 
   async function handleTransfer() {
-    if (!contract || !setup || !proofResult) return;
+    if (!contract || !signer || !setup || !proofResult) return;
     setTxError(null);
+    setTxPreflightError(null);
     setTxPending(true);
     try {
       const { proof: p } = proofResult;
-      const tx = await contract.transferNFT(
-        p.a, p.b, p.c,
-        toBytes32(setup.oldNftHash),
-        toBytes32(setup.newNftHash),
-        setup.nftId,
-        "0x" + setup.collectionAddress.toString(16).padStart(40, "0"),
-        toBytes32(setup.nullifier),
-        encryptedNoteBytes(),
-      );
+      const encryptedNote = await encryptNote(setup.newNote, setup.recipient, setup.stealth);
+      let tx;
+      if (isRelayedProof(proofResult)) {
+        // The relayer checks the proof and simulates the call before sending
+        tx = await submitViaRelayer("privateNFT", proofResult, encryptedNote, signer.provider);
+      } else {
+        const args = [
+          p.a, p.b, p.c,
+          toBytes32(setup.oldNftHash),
+          toBytes32(setup.newNftHash),
+          setup.nftId,
+          "0x" + setup.collectionAddress.toString(16).padStart(40, "0"),
+          toBytes32(setup.nullifier),
+          encryptedNote,
+        ] as const;
+        // Fails here, before the wallet prompt, if the call would revert
+        await simulateCall(contract.transferNFT, ...args);
+        tx = await contract.transferNFT(...args);
+      }
       setTxHash(tx.hash);
       await tx.wait();
       setTxConfirmed(true);
@@ -127,22 +154,28 @@ export function F1PrivateNFTPage() {
       setOldNoteState(stateLabels[Number(oldState)]);
       setNewNoteState(stateLabels[Number(newState)]);
 
-      // Save new note to local storage
-      addNote({
-        hash: toBytes32(setup.newNftHash),
-        contractName: "PrivateNFT",
-        type: "nft",
-        label: `NFT #${setup.nftId.toString()}`,
-        metadata: {
-          nftId: setup.nftId.toString(),
-          collection: setup.collectionAddress.toString(),
-          txHash: tx.hash,
-        },
-      });
+      // Save new note to local storage (only when the recipient key is ours)
+      if (setup.newOwner) {
+        addNote({
+          hash: toBytes32(setup.newNftHash),
+          contractName: "PrivateNFT",
+          type: "nft",
+          label: `NFT #${setup.nftId.toString()}`,
+          metadata: {
+            nftId: setup.nftId.toString(),
+            collection: setup.collectionAddress.toString(),
+            txHash: tx.hash,
+          },
+        });
+        await saveNoteSecrets(
+          toBytes32(setup.newNftHash), setup.newNote, setup.newOwner.sk, `NFT #${setup.nftId.toString()}`,
+        );
+      }
 
       setStep("done");
     } catch (err) {
-      setTxError(err instanceof Error ? err.message : "Transfer failed");
+      if (err instanceof PreflightError) setTxPreflightError(err.message);
+      else setTxError(err instanceof Error ? err.message : "Transfer failed");
     } finally {
       setTxPending(false);
     }
@@ -188,9 +221,16 @@ export function F1PrivateNFTPage() {
               className="neon-input w-full"
             />
           </div>
+          <div>
+            <label className="text-xs font-display tracking-wider text-gray-500 block mb-1">
+              Recipient ZK Address (optional, demo recipient if empty)
+            </label>
+            <ZkAddressInput value={recipientInput} onChange={setRecipientInput} />
+          </div>
           <button onClick={handleSetup} className="neon-btn neon-btn-cyan">
             Generate Keypairs
           </button>
+          {setupError && <p className="text-xs font-body neon-text-magenta">{setupError}</p>}
         </div>
       </StepCard>
 
@@ -200,7 +240,7 @@ export function F1PrivateNFTPage() {
           <div className="space-y-3">
             <div className="text-xs space-y-1 glass-panel p-3">
               <p><span className="text-gray-600 font-display tracking-wider">OWNER_A</span> <span className="font-mono text-neon-cyan/70 break-all">{setup.oldOwner.pk.x.toString(16).slice(0, 16)}...</span></p>
-              <p><span className="text-gray-600 font-display tracking-wider">OWNER_B</span> <span className="font-mono text-neon-cyan/70 break-all">{setup.newOwner.pk.x.toString(16).slice(0, 16)}...</span></p>
+              <p><span className="text-gray-600 font-display tracking-wider">OWNER_B</span> <span className="font-mono text-neon-cyan/70 break-all">{setup.stealth.pk.x.toString(16).slice(0, 16)}...</span></p>
               <p><span className="text-gray-600 font-display tracking-wider">HASH</span> <span className="font-mono text-neon-cyan/70 break-all">{toBytes32(setup.oldNftHash).slice(0, 22)}...</span></p>
             </div>
             <button onClick={handleRegister} disabled={regPending} className="neon-btn neon-btn-cyan">
@@ -218,10 +258,29 @@ export function F1PrivateNFTPage() {
             The ZK circuit proves Owner A knows the secret key for the old note
             and correctly computes the new note for Owner B.
           </p>
+          {isRelayerConfigured() && (
+            <label className="flex items-center gap-2 cursor-pointer font-body">
+              <input
+                type="checkbox"
+                checked={viaRelayer}
+                onChange={(e) => setViaRelayer(e.target.checked)}
+                className="accent-neon-cyan"
+              />
+              <span className="text-sm text-gray-400">Submit via relayer (no gas, your address stays off-chain)</span>
+            </label>
+          )}
           <button onClick={handleProve} disabled={proof.isGenerating} className="neon-btn neon-btn-cyan">
             {proof.isGenerating ? "Generating..." : "Generate ZK Proof"}
           </button>
-          <ProofStatus isGenerating={proof.isGenerating} elapsed={proof.elapsed} error={proof.error} duration={proofResult?.duration} />
+          <ProofStatus
+            isGenerating={proof.isGenerating}
+            elapsed={proof.elapsed}
+            error={proof.error}
+            duration={proofResult?.duration}
+            phase={proof.phase}
+            progress={proof.progress}
+            onCancel={proof.reset}
+          />
         </div>
       </StepCard>
 
@@ -231,7 +290,7 @@ export function F1PrivateNFTPage() {
           <button onClick={handleTransfer} disabled={txPending} className="neon-btn neon-btn-cyan">
             {txPending ? "Submitting..." : "Transfer NFT On-Chain"}
           </button>
-          <TxStatus txHash={txHash} isPending={txPending} isConfirmed={txConfirmed} error={txError} />
+          <TxStatus txHash={txHash} isPending={txPending} isConfirmed={txConfirmed} error={txError} preflightError={txPreflightError} />
         </div>
       </StepCard>
 
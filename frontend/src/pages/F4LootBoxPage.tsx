@@ -9,21 +9,22 @@ import { useProofGeneration } from "../hooks/useProofGeneration";
 import {
   setupF4BoxOpen,
   generateF4Proof,
-  encryptedNoteBytes,
+  encryptNote,
   type F4SetupResult,
 } from "../lib/noteUtils";
-import { toBytes32 } from "../lib/crypto";
-import { addNote } from "../lib/noteStore";
-import { RARITY_COLORS, type RarityLabel } from "../lib/types";
-import type { ProofResult } from "../lib/types";
+import { toBytes32, deriveZkAddress } from "../lib/crypto";
+import { addNote, saveNoteSecrets } from "../lib/noteStore";
+import { simulateCall, PreflightError } from "../lib/preflight";
+import { isRelayerConfigured, relayedProof, isRelayedProof, submitViaRelayer } from "../lib/relayerClient";
+import { CIRCUIT_NAMES, RARITY_COLORS, type RarityLabel, type ProofResult } from "../lib/types";
 
 type Step = "purchase" | "setup" | "register" | "prove" | "open" | "done";
 
 export function F4LootBoxPage() {
-  const { signer, address, isConnected } = useWallet();
+  const { signer, address, isConnected, deriveNoteKeypair } = useWallet();
   const contract = useContract("LootBoxOpen", signer);
   const tokenContract = useContract("MockERC20", signer);
-  const proof = useProofGeneration();
+  const proof = useProofGeneration(CIRCUIT_NAMES.LOOT_BOX_OPEN);
 
   const [step, setStep] = useState<Step>("purchase");
   const [boxTypeInput, setBoxTypeInput] = useState("0");
@@ -31,6 +32,7 @@ export function F4LootBoxPage() {
   const [mintedBoxId, setMintedBoxId] = useState<bigint | null>(null);
   const [setup, setSetup] = useState<F4SetupResult | null>(null);
   const [proofResult, setProofResult] = useState<ProofResult | null>(null);
+  const [viaRelayer, setViaRelayer] = useState(false);
   const [revealed, setRevealed] = useState(false);
 
   // Token balance
@@ -56,6 +58,7 @@ export function F4LootBoxPage() {
   const [txPending, setTxPending] = useState(false);
   const [txConfirmed, setTxConfirmed] = useState(false);
   const [txError, setTxError] = useState<string | null>(null);
+  const [txPreflightError, setTxPreflightError] = useState<string | null>(null);
 
   // Load token balance and box info
   const refreshInfo = useCallback(async () => {
@@ -147,6 +150,8 @@ export function F4LootBoxPage() {
       mintedBoxId,
       BigInt(boxTypeInput),
       BigInt(itemIdInput),
+      undefined,
+      await deriveNoteKeypair("lootbox"),
     );
     setSetup(result);
     setStep("register");
@@ -160,7 +165,7 @@ export function F4LootBoxPage() {
       const tx = await contract.registerBox(
         toBytes32(setup.boxCommitment),
         setup.boxId,
-        encryptedNoteBytes(),
+        await encryptNote(setup.boxNote, await deriveZkAddress(setup.owner.sk)),
       );
       setRegTxHash(tx.hash);
       await tx.wait();
@@ -175,7 +180,7 @@ export function F4LootBoxPage() {
 
   async function handleProve() {
     if (!setup) return;
-    const result = await proof.generate(generateF4Proof, setup.circuitInputs);
+    const result = await proof.generate(viaRelayer ? relayedProof("lootBoxOpen") : generateF4Proof, setup.circuitInputs);
     if (result) {
       setProofResult(result);
       setStep("open");
@@ -183,20 +188,31 @@ export function F4LootBoxPage() {
   }
 
   async function handleOpen() {
-    if (!contract || !setup || !proofResult) return;
+    if (!contract || !signer || !setup || !proofResult) return;
     setTxError(null);
+    setTxPreflightError(null);
     setTxPending(true);
     try {
       const { proof: p } = proofResult;
-      const tx = await contract.openBox(
-        p.a, p.b, p.c,
-        toBytes32(setup.boxCommitment),
-        toBytes32(setup.outcomeCommitment),
-        setup.vrfOutput,
-        setup.boxId,
-        toBytes32(setup.nullifier),
-        encryptedNoteBytes(),
-      );
+      const encryptedNote = await encryptNote(setup.outcomeNote, await deriveZkAddress(setup.owner.sk));
+      let tx;
+      if (isRelayedProof(proofResult)) {
+        // The relayer checks the proof and simulates the call before sending
+        tx = await submitViaRelayer("lootBoxOpen", proofResult, encryptedNote, signer.provider);
+      } else {
+        const args = [
+          p.a, p.b, p.c,
+          toBytes32(setup.boxCommitment),
+          toBytes32(setup.outcomeCommitment),
+          setup.vrfOutput,
+          setup.boxId,
+          toBytes32(setup.nullifier),
+          encryptedNote,
+        ] as const;
+        // Fails here, before the wallet prompt, if the call would revert
+        await simulateCall(contract.openBox, ...args);
+        tx = await contract.openBox(...args);
+      }
       setTxHash(tx.hash);
       await tx.wait();
       setTxConfirmed(true);
@@ -213,11 +229,15 @@ export function F4LootBoxPage() {
           txHash: tx.hash,
         },
       });
+      await saveNoteSecrets(
+        toBytes32(setup.outcomeCommitment), setup.outcomeNote, setup.owner.sk, `Loot Box #${setup.boxId.toString()}`,
+      );
 
       setStep("done");
       setTimeout(() => setRevealed(true), 300);
     } catch (err) {
-      setTxError(err instanceof Error ? err.message : "Open box failed");
+      if (err instanceof PreflightError) setTxPreflightError(err.message);
+      else setTxError(err instanceof Error ? err.message : "Open box failed");
     } finally {
       setTxPending(false);
     }
@@ -342,10 +362,29 @@ export function F4LootBoxPage() {
             The ZK circuit verifies the VRF chain: nullifier &rarr; vrfOutput &rarr; rarity
             determination, all without revealing the secret key.
           </p>
+          {isRelayerConfigured() && (
+            <label className="flex items-center gap-2 cursor-pointer font-body">
+              <input
+                type="checkbox"
+                checked={viaRelayer}
+                onChange={(e) => setViaRelayer(e.target.checked)}
+                className="accent-neon-magenta"
+              />
+              <span className="text-sm text-gray-400">Submit via relayer (no gas, your address stays off-chain)</span>
+            </label>
+          )}
           <button onClick={handleProve} disabled={proof.isGenerating} className="neon-btn neon-btn-magenta">
             {proof.isGenerating ? "Generating..." : "Generate ZK Proof"}
           </button>
-          <ProofStatus isGenerating={proof.isGenerating} elapsed={proof.elapsed} error={proof.error} duration={proofResult?.duration} />
+          <ProofStatus
+            isGenerating={proof.isGenerating}
+            elapsed={proof.elapsed}
+            error={proof.error}
+            duration={proofResult?.duration}
+            phase={proof.phase}
+            progress={proof.progress}
+            onCancel={proof.reset}
+          />
         </div>
       </StepCard>
 
@@ -355,7 +394,7 @@ export function F4LootBoxPage() {
           <button onClick={handleOpen} disabled={txPending} className="neon-btn neon-btn-magenta">
             {txPending ? "Opening..." : "Open Box On-Chain"}
           </button>
-          <TxStatus txHash={txHash} isPending={txPending} isConfirmed={txConfirmed} error={txError} />
+          <TxStatus txHash={txHash} isPending={txPending} isConfirmed={txConfirmed} error={txError} preflightError={txPreflightError} />
         </div>
       </StepCard>
 
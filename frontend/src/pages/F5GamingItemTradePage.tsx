@@ -2,25 +2,29 @@ import { useState } from "react";
 import { StepCard } from "../components/StepCard";
 import { ProofStatus } from "../components/ProofStatus";
 import { TxStatus } from "../components/TxStatus";
+import { ZkAddressInput } from "../components/ZkAddressInput";
 import { useWallet } from "../hooks/useWallet";
 import { useContract } from "../hooks/useContract";
 import { useProofGeneration } from "../hooks/useProofGeneration";
 import {
   setupF5Trade,
   generateF5Proof,
-  encryptedNoteBytes,
+  encryptNote,
   type F5SetupResult,
 } from "../lib/noteUtils";
-import { toBytes32 } from "../lib/crypto";
-import { addNote } from "../lib/noteStore";
-import type { ProofResult } from "../lib/types";
+import { toBytes32, deriveZkAddress } from "../lib/crypto";
+import { addNote, saveNoteSecrets } from "../lib/noteStore";
+import { simulateCall, PreflightError } from "../lib/preflight";
+import { isRelayerConfigured, relayedProof, isRelayedProof, submitViaRelayer } from "../lib/relayerClient";
+import { parseRecipientAddress } from "../lib/zkAddress";
+import { CIRCUIT_NAMES, type ProofResult, type ZkAddress } from "../lib/types";
 
 type Step = "setup" | "register" | "configure" | "prove" | "trade" | "done";
 
 export function F5GamingItemTradePage() {
-  const { signer, isConnected } = useWallet();
+  const { signer, isConnected, chainId, deriveNoteKeypair } = useWallet();
   const contract = useContract("GamingItemTrade", signer);
-  const proof = useProofGeneration();
+  const proof = useProofGeneration(CIRCUIT_NAMES.GAMING_ITEM_TRADE);
 
   const [step, setStep] = useState<Step>("setup");
   const [itemIdInput, setItemIdInput] = useState("2001");
@@ -29,8 +33,12 @@ export function F5GamingItemTradePage() {
   const [gameIdInput, setGameIdInput] = useState("42");
   const [priceInput, setPriceInput] = useState("1000");
   const [isGift, setIsGift] = useState(false);
+  const [buyerInput, setBuyerInput] = useState("");
+  const [buyerAddress, setBuyerAddress] = useState<ZkAddress | undefined>(undefined);
+  const [setupError, setSetupError] = useState<string | null>(null);
   const [setup, setSetup] = useState<F5SetupResult | null>(null);
   const [proofResult, setProofResult] = useState<ProofResult | null>(null);
+  const [viaRelayer, setViaRelayer] = useState(false);
 
   // Registration tx state
   const [regTxHash, setRegTxHash] = useState<string | null>(null);
@@ -43,6 +51,7 @@ export function F5GamingItemTradePage() {
   const [txPending, setTxPending] = useState(false);
   const [txConfirmed, setTxConfirmed] = useState(false);
   const [txError, setTxError] = useState<string | null>(null);
+  const [txPreflightError, setTxPreflightError] = useState<string | null>(null);
 
   // Note states
   const [oldNoteState, setOldNoteState] = useState<string | null>(null);
@@ -67,7 +76,13 @@ export function F5GamingItemTradePage() {
   };
 
   async function handleSetup() {
-    setStep("register");
+    setSetupError(null);
+    try {
+      setBuyerAddress(buyerInput ? await parseRecipientAddress(buyerInput, chainId ?? undefined) : undefined);
+      setStep("register");
+    } catch (err) {
+      setSetupError(err instanceof Error ? err.message : "Invalid buyer address");
+    }
   }
 
   async function handleRegister() {
@@ -82,6 +97,8 @@ export function F5GamingItemTradePage() {
       BigInt(gameIdInput),
       price,
       paymentToken,
+      await deriveNoteKeypair("item", BigInt(gameIdInput)),
+      buyerAddress,
     );
     setSetup(result);
 
@@ -92,7 +109,7 @@ export function F5GamingItemTradePage() {
         toBytes32(result.oldItemHash),
         result.gameId,
         result.itemId,
-        encryptedNoteBytes(),
+        await encryptNote(result.oldNote, await deriveZkAddress(result.seller.sk)),
       );
       setRegTxHash(tx.hash);
       await tx.wait();
@@ -111,7 +128,7 @@ export function F5GamingItemTradePage() {
 
   async function handleProve() {
     if (!setup) return;
-    const result = await proof.generate(generateF5Proof, setup.circuitInputs);
+    const result = await proof.generate(viaRelayer ? relayedProof("gamingItemTrade") : generateF5Proof, setup.circuitInputs);
     if (result) {
       setProofResult(result);
       setStep("trade");
@@ -119,20 +136,31 @@ export function F5GamingItemTradePage() {
   }
 
   async function handleTrade() {
-    if (!contract || !setup || !proofResult) return;
+    if (!contract || !signer || !setup || !proofResult) return;
     setTxError(null);
+    setTxPreflightError(null);
     setTxPending(true);
     try {
       const { proof: p } = proofResult;
-      const tx = await contract.tradeItem(
-        p.a, p.b, p.c,
-        toBytes32(setup.oldItemHash),
-        toBytes32(setup.newItemHash),
-        toBytes32(setup.paymentNoteHash),
-        setup.gameId,
-        toBytes32(setup.nullifier),
-        encryptedNoteBytes(),
-      );
+      const encryptedNote = await encryptNote(setup.newNote, setup.buyerAddress, setup.stealth);
+      let tx;
+      if (isRelayedProof(proofResult)) {
+        // The relayer checks the proof and simulates the call before sending
+        tx = await submitViaRelayer("gamingItemTrade", proofResult, encryptedNote, signer.provider);
+      } else {
+        const args = [
+          p.a, p.b, p.c,
+          toBytes32(setup.oldItemHash),
+          toBytes32(setup.newItemHash),
+          toBytes32(setup.paymentNoteHash),
+          setup.gameId,
+          toBytes32(setup.nullifier),
+          encryptedNote,
+        ] as const;
+        // Fails here, before the wallet prompt, if the call would revert
+        await simulateCall(contract.tradeItem, ...args);
+        tx = await contract.tradeItem(...args);
+      }
       setTxHash(tx.hash);
       await tx.wait();
       setTxConfirmed(true);
@@ -144,23 +172,29 @@ export function F5GamingItemTradePage() {
       setOldNoteState(stateLabels[Number(oldState)]);
       setNewNoteState(stateLabels[Number(newState)]);
 
-      // Save new item note to local storage
-      addNote({
-        hash: toBytes32(setup.newItemHash),
-        contractName: "GamingItemTrade",
-        type: "item",
-        label: `Item #${setup.itemId.toString()} (Game ${setup.gameId.toString()})`,
-        metadata: {
-          itemId: setup.itemId.toString(),
-          gameId: setup.gameId.toString(),
-          mode: isGift ? "Gift" : `Paid (${priceInput})`,
-          txHash: tx.hash,
-        },
-      });
+      // Save new item note to local storage (only when the buyer key is ours)
+      if (setup.buyer) {
+        addNote({
+          hash: toBytes32(setup.newItemHash),
+          contractName: "GamingItemTrade",
+          type: "item",
+          label: `Item #${setup.itemId.toString()} (Game ${setup.gameId.toString()})`,
+          metadata: {
+            itemId: setup.itemId.toString(),
+            gameId: setup.gameId.toString(),
+            mode: isGift ? "Gift" : `Paid (${priceInput})`,
+            txHash: tx.hash,
+          },
+        });
+        await saveNoteSecrets(
+          toBytes32(setup.newItemHash), setup.newNote, setup.buyer.sk, `Item #${setup.itemId.toString()}`,
+        );
+      }
 
       setStep("done");
     } catch (err) {
-      setTxError(err instanceof Error ? err.message : "Trade failed");
+      if (err instanceof PreflightError) setTxPreflightError(err.message);
+      else setTxError(err instanceof Error ? err.message : "Trade failed");
     } finally {
       setTxPending(false);
     }
@@ -220,9 +254,16 @@ export function F5GamingItemTradePage() {
               </div>
             )}
           </div>
+          <div>
+            <label className="text-xs font-display tracking-wider text-gray-500 block mb-1">
+              Buyer ZK Address (optional, demo buyer if empty)
+            </label>
+            <ZkAddressInput value={buyerInput} onChange={setBuyerInput} inputClassName="neon-input neon-input-orange" />
+          </div>
           <button onClick={handleSetup} className="neon-btn neon-btn-orange">
             Continue
           </button>
+          {setupError && <p className="text-xs font-body neon-text-magenta">{setupError}</p>}
         </div>
       </StepCard>
 
@@ -239,7 +280,7 @@ export function F5GamingItemTradePage() {
           {setup && (
             <div className="text-xs space-y-1 glass-panel p-3">
               <p><span className="text-gray-600 font-display tracking-wider">SELLER</span> <span className="font-mono text-neon-orange/70 break-all">{setup.seller.pk.x.toString(16).slice(0, 16)}...</span></p>
-              <p><span className="text-gray-600 font-display tracking-wider">BUYER</span> <span className="font-mono text-neon-orange/70 break-all">{setup.buyer.pk.x.toString(16).slice(0, 16)}...</span></p>
+              <p><span className="text-gray-600 font-display tracking-wider">BUYER</span> <span className="font-mono text-neon-orange/70 break-all">{setup.stealth.pk.x.toString(16).slice(0, 16)}...</span></p>
               <p><span className="text-gray-600 font-display tracking-wider">MODE</span> <span className="font-body text-gray-400">{isGift ? "Gift (free)" : `Paid (${priceInput})`}</span></p>
             </div>
           )}
@@ -262,10 +303,29 @@ export function F5GamingItemTradePage() {
       {/* Step 4: Prove */}
       <StepCard step={4} title="Generate Trade Proof" status={stepStatus("prove")} accentColor="orange">
         <div className="space-y-3">
+          {isRelayerConfigured() && (
+            <label className="flex items-center gap-2 cursor-pointer font-body">
+              <input
+                type="checkbox"
+                checked={viaRelayer}
+                onChange={(e) => setViaRelayer(e.target.checked)}
+                className="accent-neon-orange"
+              />
+              <span className="text-sm text-gray-400">Submit via relayer (no gas, your address stays off-chain)</span>
+            </label>
+          )}
           <button onClick={handleProve} disabled={proof.isGenerating} className="neon-btn neon-btn-orange">
             {proof.isGenerating ? "Generating..." : "Generate ZK Proof"}
           </button>
-          <ProofStatus isGenerating={proof.isGenerating} elapsed={proof.elapsed} error={proof.error} duration={proofResult?.duration} />
+          <ProofStatus
+            isGenerating={proof.isGenerating}
+            elapsed={proof.elapsed}
+            error={proof.error}
+            duration={proofResult?.duration}
+            phase={proof.phase}
+            progress={proof.progress}
+            onCancel={proof.reset}
+          />
         </div>
       </StepCard>
 
@@ -275,7 +335,7 @@ export function F5GamingItemTradePage() {
           <button onClick={handleTrade} disabled={txPending} className="neon-btn neon-btn-orange">
             {txPending ? "Trading..." : "Execute Trade On-Chain"}
           </button>
-          <TxStatus txHash={txHash} isPending={txPending} isConfirmed={txConfirmed} error={txError} />
+          <TxStatus txHash={txHash} isPending={txPending} isConfirmed={txConfirmed} error={txError} preflightError={txPreflightError} />
         </div>
       </StepCard>
 
@@ -10,11 +10,14 @@ import {
   prepareF8Draw,
   generateF8Proof,
   getCardName,
+  encryptDeck,
   type F8SetupResult,
 } from "../lib/cardUtils";
-import { toBytes32 } from "../lib/crypto";
-import { addNote } from "../lib/noteStore";
-import { encryptedNoteBytes } from "../lib/noteUtils";
+import { toBytes32, deriveZkAddress } from "../lib/crypto";
+import { addNote, saveNoteSecrets } from "../lib/noteStore";
+import { simulateCall, PreflightError } from "../lib/preflight";
+import { encryptNote } from "../lib/noteUtils";
+import { CIRCUIT_NAMES } from "../lib/types";
 type Step = "setup" | "register" | "draw" | "drawing";
 
 type DrawnCard = {
@@ -25,9 +28,9 @@ type DrawnCard = {
 };
 
 export function F8CardDrawPage() {
-  const { signer, isConnected } = useWallet();
+  const { signer, isConnected, deriveNoteKeypair } = useWallet();
   const contract = useContract("CardDraw", signer);
-  const proof = useProofGeneration();
+  const proof = useProofGeneration(CIRCUIT_NAMES.CARD_DRAW);
 
   const [step, setStep] = useState<Step>("setup");
   const [gameIdInput, setGameIdInput] = useState("1");
@@ -46,6 +49,7 @@ export function F8CardDrawPage() {
   const [drawTxPending, setDrawTxPending] = useState(false);
   const [drawTxConfirmed, setDrawTxConfirmed] = useState(false);
   const [drawTxError, setDrawTxError] = useState<string | null>(null);
+  const [drawTxPreflightError, setDrawTxPreflightError] = useState<string | null>(null);
 
   if (!isConnected) {
     return (
@@ -67,7 +71,7 @@ export function F8CardDrawPage() {
   };
 
   async function handleSetup() {
-    const result = await setupF8Game(BigInt(gameIdInput));
+    const result = await setupF8Game(BigInt(gameIdInput), await deriveNoteKeypair("card", BigInt(gameIdInput)));
     setGame(result);
     setStep("register");
   }
@@ -80,7 +84,7 @@ export function F8CardDrawPage() {
       const tx = await contract.registerDeck(
         toBytes32(game.deckCommitment),
         game.gameId,
-        encryptedNoteBytes(),
+        await encryptDeck(game),
       );
       setRegTxHash(tx.hash);
       await tx.wait();
@@ -100,6 +104,7 @@ export function F8CardDrawPage() {
     setDrawTxPending(false);
     setDrawTxConfirmed(false);
     setDrawTxError(null);
+    setDrawTxPreflightError(null);
     proof.reset();
 
     const drawIndex = nextDrawIndex;
@@ -113,15 +118,18 @@ export function F8CardDrawPage() {
     setDrawTxPending(true);
     try {
       const { proof: p } = proofResult;
-      const tx = await contract.drawCard(
+      const args = [
         p.a, p.b, p.c,
         toBytes32(game.deckCommitment),
         toBytes32(drawData.drawCommitment),
         drawIndex,
         game.gameId,
         toBytes32(game.playerCommitment),
-        encryptedNoteBytes(),
-      );
+        await encryptNote(drawData.drawNote, await deriveZkAddress(game.player.sk)),
+      ] as const;
+      // Fails here, before the wallet prompt, if the call would revert
+      await simulateCall(contract.drawCard, ...args);
+      const tx = await contract.drawCard(...args);
       setDrawTxHash(tx.hash);
       await tx.wait();
       setDrawTxConfirmed(true);
@@ -145,11 +153,15 @@ export function F8CardDrawPage() {
           txHash: tx.hash,
         },
       });
+      await saveNoteSecrets(
+        toBytes32(drawData.drawCommitment), drawData.drawNote, game.player.sk, `Game #${game.gameId.toString()}`,
+      );
 
       setNextDrawIndex(drawIndex + 1);
       setStep("draw");
     } catch (err) {
-      setDrawTxError(err instanceof Error ? err.message : "Draw failed");
+      if (err instanceof PreflightError) setDrawTxPreflightError(err.message);
+      else setDrawTxError(err instanceof Error ? err.message : "Draw failed");
     } finally {
       setDrawTxPending(false);
     }
@@ -278,12 +290,19 @@ export function F8CardDrawPage() {
                 elapsed={proof.elapsed}
                 error={proof.error}
                 duration={proof.result?.duration}
+                phase={proof.phase}
+                progress={proof.progress}
+                onCancel={() => {
+                  proof.reset();
+                  setStep("draw");
+                }}
               />
               <TxStatus
                 txHash={drawTxHash}
                 isPending={drawTxPending}
                 isConfirmed={drawTxConfirmed}
                 error={drawTxError}
+                preflightError={drawTxPreflightError}
               />
             </div>
           )}
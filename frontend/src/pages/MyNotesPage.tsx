@@ -1,7 +1,19 @@
 import { useState, useEffect, useCallback, useRef } from "react";
+import { BrowserProvider } from "ethers";
 import { useWallet } from "../hooks/useWallet";
 import { useContract } from "../hooks/useContract";
-import { getNotes, removeNote, clearNotes, exportNotes, importNotes, type StoredNote, type NoteType } from "../lib/noteStore";
+import {
+  getNotes, removeNote, clearNotes, exportNotes, importNotes,
+  hasKeystore, isKeystoreUnlocked, unlockKeystore, lockKeystore, subscribeKeystoreLock,
+  mergeRecoveredNotes, saveNoteSecrets, getRescanCursor, saveRescanCursor,
+  type StoredNote, type NoteType,
+} from "../lib/noteStore";
+import { deriveViewingKey, encodeViewingKey, deriveZkAddress } from "../lib/crypto";
+import { encodeZkAddress } from "../lib/zkAddress";
+import { ZkAddressQR } from "../components/ZkAddressQR";
+import { NoteScanner, type ScannedNote } from "../lib/noteScanner";
+import { isIndexerConfigured, getNoteStates } from "../lib/indexerClient";
+import { recoverNotes, type RescanProgress } from "../lib/noteRecovery";
 
 const TYPE_CONFIG: Record<NoteType, { label: string; color: string; border: string; bg: string }> = {
   nft: { label: "NFT", color: "neon-text-cyan", border: "border-neon-cyan", bg: "bg-neon-cyan/10" },
@@ -18,6 +30,278 @@ const STATE_LABELS: Record<number, { text: string; class: string }> = {
 
 type ChainState = Record<string, number | null>; // noteId -> state (0/1/2) or null if can't query
 
+const CONTRACT_TYPES: Record<ScannedNote["contract"], NoteType> = {
+  PrivateNFT: "nft",
+  LootBoxOpen: "lootbox",
+  GamingItemTrade: "item",
+  CardDraw: "card",
+};
+
+/**
+ * The wallet's shareable ZK address (spending + viewing key, chain id) as text and QR
+ */
+function ZkAddressPanel() {
+  const { deriveZkKeypair, chainId } = useWallet();
+  const [address, setAddress] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  async function handleShow() {
+    setError(null);
+    try {
+      const { sk } = await deriveZkKeypair();
+      setAddress(await encodeZkAddress({ ...(await deriveZkAddress(sk)), chainId }));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Key derivation failed");
+    }
+  }
+
+  return (
+    <div className="glass-panel border border-border-dim p-4 space-y-3">
+      <p className="font-display text-xs font-bold tracking-wider text-gray-400">MY ZK ADDRESS</p>
+      {address ? (
+        <ZkAddressQR address={address} />
+      ) : (
+        <button onClick={handleShow} className="neon-btn neon-btn-cyan text-xs py-1.5 px-3">
+          Show Address
+        </button>
+      )}
+      {error && <p className="font-body text-xs neon-text-magenta">{error}</p>}
+      <p className="font-body text-[11px] text-gray-600">
+        Share this address (or its QR code) to receive NFTs and items. Senders derive a fresh
+        one-time key from it for every transfer.
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Rebuild notes from NoteCreated / NoteSpent history with the wallet's keys.
+ * Progress is saved after every chunk, so a stopped or interrupted rescan resumes.
+ */
+function RescanPanel({ notes, onNotesChanged }: { notes: StoredNote[]; onNotesChanged: () => void }) {
+  const { provider, address, chainId, deriveZkIdentity } = useWallet();
+  const [gameIdsInput, setGameIdsInput] = useState("");
+  const [progress, setProgress] = useState<RescanProgress | null>(null);
+  const [running, setRunning] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const abortRef = useRef<AbortController | null>(null);
+
+  const cursor = address && chainId !== null ? getRescanCursor(address, chainId) : null;
+
+  async function handleRescan() {
+    if (!provider || !address || chainId === null) return;
+    setError(null);
+    setMessage(null);
+    setRunning(true);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    try {
+      // Item and card keys are per game: use typed ids plus those already in local notes
+      const gameIds = new Set(gameIdsInput.split(/[\s,]+/).filter(Boolean).map((id) => BigInt(id)));
+      for (const note of notes) {
+        if (note.metadata.gameId) gameIds.add(BigInt(note.metadata.gameId));
+      }
+
+      let added = 0;
+      let secretsSaved = true;
+      const { complete } = await recoverNotes(provider, await deriveZkIdentity(), {
+        cursor: getRescanCursor(address, chainId),
+        gameIds: [...gameIds],
+        knownNotes: notes.filter((n) => !n.spent).map((n) => n.hash),
+        signal: controller.signal,
+        onChunk: async ({ progress: chunkProgress, notes: recovered, spent, cursor: next }) => {
+          added += mergeRecoveredNotes(recovered, spent);
+          for (const entry of recovered) {
+            if (!entry.spent) {
+              secretsSaved = (await saveNoteSecrets(entry.hash, entry.note, entry.ownerSk ?? undefined, entry.label)) && secretsSaved;
+            }
+          }
+          saveRescanCursor(address, chainId, next);
+          setProgress(chunkProgress);
+          onNotesChanged();
+        },
+      });
+      setMessage(
+        `${complete ? "Rescan complete" : "Rescan stopped"}: ${added} note${added !== 1 ? "s" : ""} recovered` +
+        (secretsSaved ? "" : " (unlock the keystore to also restore their secrets)"),
+      );
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Rescan failed");
+    } finally {
+      setRunning(false);
+      abortRef.current = null;
+    }
+  }
+
+  function handleReset() {
+    if (address && chainId !== null) saveRescanCursor(address, chainId, null);
+    setProgress(null);
+    setMessage("Next rescan starts from block 0");
+  }
+
+  const percent = progress && progress.headBlock > 0
+    ? Math.min(100, Math.round((progress.toBlock / progress.headBlock) * 100))
+    : 0;
+
+  return (
+    <div className="glass-panel border border-border-dim p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="font-display text-xs font-bold tracking-wider text-gray-400">RECOVER FROM CHAIN</p>
+        {cursor && (
+          <span className="font-display text-[10px] tracking-wider text-gray-600">
+            SCANNED TO BLOCK {cursor.lastBlock}
+          </span>
+        )}
+      </div>
+      <div className="flex items-center gap-3 flex-wrap">
+        <input
+          value={gameIdsInput}
+          onChange={(e) => setGameIdsInput(e.target.value)}
+          placeholder="Item/card game IDs (optional, e.g. 1, 7)"
+          disabled={running}
+          className="flex-1 min-w-0 bg-transparent border border-border-dim rounded px-3 py-1.5 text-xs font-mono text-gray-300"
+        />
+        {running ? (
+          <button onClick={() => abortRef.current?.abort()} className="neon-btn neon-btn-magenta text-xs py-1.5 px-3">
+            Stop
+          </button>
+        ) : (
+          <>
+            <button onClick={handleRescan} className="neon-btn neon-btn-cyan text-xs py-1.5 px-3">
+              {cursor ? "Resume Rescan" : "Rescan Chain"}
+            </button>
+            {cursor && (
+              <button onClick={handleReset} className="neon-btn neon-btn-magenta text-xs py-1.5 px-3">
+                Start Over
+              </button>
+            )}
+          </>
+        )}
+      </div>
+      {progress && (
+        <div className="space-y-1">
+          <div className="h-1.5 bg-border-dim rounded overflow-hidden">
+            <div className="h-full bg-neon-cyan transition-all" style={{ width: `${percent}%` }} />
+          </div>
+          <p className="font-mono text-[11px] text-gray-500">
+            Block {progress.toBlock} / {progress.headBlock} ({percent}%) — {progress.found} owned note{progress.found !== 1 ? "s" : ""} found
+          </p>
+        </div>
+      )}
+      {message && <p className="font-body text-xs neon-text-green">{message}</p>}
+      {error && <p className="font-body text-xs neon-text-magenta">{error}</p>}
+      <p className="font-body text-[11px] text-gray-600">
+        Trial-decrypts every note on the four contracts with your wallet-derived keys and rebuilds
+        this list, including spent notes. Use it after clearing site data or on a new device.
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Read-only note discovery from a viewing key. Needs no connected account:
+ * logs are read through the injected provider, and nothing here can spend.
+ */
+function ViewOnlyPanel() {
+  const { provider, deriveZkKeypair, isConnected } = useWallet();
+  const [viewingKey, setViewingKey] = useState("");
+  const [ownViewingKey, setOwnViewingKey] = useState<string | null>(null);
+  const [found, setFound] = useState<ScannedNote[] | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  async function handleScan() {
+    setError(null);
+    setBusy(true);
+    try {
+      const readProvider = provider ?? (window.ethereum ? new BrowserProvider(window.ethereum) : null);
+      if (!readProvider) throw new Error("No Ethereum provider available");
+      const scanner = new NoteScanner(readProvider);
+      const keyId = await scanner.addViewingKey(viewingKey);
+      await scanner.scan(0);
+      setFound(scanner.getNotes(keyId, { includeSpent: true }));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Scan failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleShowOwnKey() {
+    setError(null);
+    try {
+      const { sk, pk } = await deriveZkKeypair();
+      setOwnViewingKey(encodeViewingKey(await deriveViewingKey(sk), pk));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Key derivation failed");
+    }
+  }
+
+  return (
+    <div className="glass-panel border border-border-dim p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="font-display text-xs font-bold tracking-wider text-gray-400">VIEW-ONLY SCAN</p>
+        <span className="font-display text-[10px] tracking-wider text-gray-600">READ ONLY</span>
+      </div>
+      <div className="flex items-center gap-3 flex-wrap">
+        <input
+          value={viewingKey}
+          onChange={(e) => setViewingKey(e.target.value)}
+          placeholder="Viewing key (0x...)"
+          className="flex-1 min-w-0 bg-transparent border border-border-dim rounded px-3 py-1.5 text-xs font-mono text-gray-300"
+        />
+        <button
+          onClick={handleScan}
+          disabled={busy || viewingKey.length === 0}
+          className="neon-btn neon-btn-cyan text-xs py-1.5 px-3"
+        >
+          {busy ? "Scanning..." : "Scan"}
+        </button>
+        {isConnected && (
+          <button onClick={handleShowOwnKey} className="neon-btn neon-btn-green text-xs py-1.5 px-3">
+            My Viewing Key
+          </button>
+        )}
+      </div>
+      {error && <p className="font-body text-xs neon-text-magenta">{error}</p>}
+      {ownViewingKey && (
+        <p className="font-mono text-[11px] text-gray-400 break-all">{ownViewingKey}</p>
+      )}
+      {found && (
+        found.length === 0 ? (
+          <p className="font-body text-xs text-gray-600">No notes found for this viewing key.</p>
+        ) : (
+          <div className="space-y-2">
+            {found.map((entry) => {
+              const config = TYPE_CONFIG[CONTRACT_TYPES[entry.contract]];
+              return (
+                <div key={entry.noteHash} className="flex items-center justify-between gap-4">
+                  <div className="flex items-center gap-2 min-w-0">
+                    <span
+                      className={`font-display text-[10px] font-bold tracking-[0.15em] px-1.5 py-0.5 border rounded ${config.color} ${config.border} ${config.bg}`}
+                    >
+                      {config.label}
+                    </span>
+                    <span className="font-mono text-xs text-gray-500 truncate">{entry.noteHash}</span>
+                  </div>
+                  <span className={`font-display text-xs font-bold tracking-wider ${STATE_LABELS[entry.spent ? 2 : 1].class}`}>
+                    {STATE_LABELS[entry.spent ? 2 : 1].text}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        )
+      )}
+      <p className="font-body text-[11px] text-gray-600">
+        A viewing key finds your notes and their spent state but cannot spend them.
+        Share it with auditors or indexers instead of your spending key.
+      </p>
+    </div>
+  );
+}
+
 export function MyNotesPage() {
   const { signer, isConnected } = useWallet();
   const privateNFT = useContract("PrivateNFT", signer);
@@ -30,6 +314,14 @@ export function MyNotesPage() {
   const [importMsg, setImportMsg] = useState<string | null>(null);
   const fileInputRef = useRef<HTMLInputElement>(null);
 
+  // Keystore session (secret keys + note preimages)
+  const [keystoreUnlocked, setKeystoreUnlocked] = useState(isKeystoreUnlocked);
+  const [password, setPassword] = useState("");
+  const [keystoreBusy, setKeystoreBusy] = useState(false);
+  const [keystoreError, setKeystoreError] = useState<string | null>(null);
+
+  useEffect(() => subscribeKeystoreLock(() => setKeystoreUnlocked(false)), []);
+
   const loadNotes = useCallback(() => {
     setNotes(getNotes());
   }, []);
@@ -44,6 +336,22 @@ export function MyNotesPage() {
     setLoading(true);
     const states: ChainState = {};
 
+    // One batch request when a local indexer is configured, contract calls otherwise
+    if (isIndexerConfigured()) {
+      try {
+        const indexed = await getNoteStates(notes.map((n) => n.hash));
+        for (const note of notes) {
+          const hasState = note.contractName === "PrivateNFT" || note.contractName === "GamingItemTrade";
+          states[note.id] = hasState ? indexed[note.hash] ?? null : null;
+        }
+        setChainStates(states);
+        setLoading(false);
+        return;
+      } catch (err) {
+        console.warn("Indexer unavailable, querying contracts:", err);
+      }
+    }
+
     for (const note of notes) {
       try {
         if (note.contractName === "PrivateNFT" && privateNFT) {
@@ -81,6 +389,25 @@ export function MyNotesPage() {
     setChainStates({});
   }
 
+  async function handleUnlock() {
+    setKeystoreError(null);
+    setKeystoreBusy(true);
+    try {
+      await unlockKeystore(password);
+      setKeystoreUnlocked(true);
+      setPassword("");
+    } catch (err) {
+      setKeystoreError(err instanceof Error ? err.message : "Unlock failed");
+    } finally {
+      setKeystoreBusy(false);
+    }
+  }
+
+  function handleLock() {
+    lockKeystore();
+    setKeystoreUnlocked(false);
+  }
+
   function handleExport() {
     const json = exportNotes();
     const blob = new Blob([json], { type: "application/json" });
@@ -116,9 +443,14 @@ export function MyNotesPage() {
 
   if (!isConnected) {
     return (
-      <div className="glass-panel border border-border-dim p-8 text-center max-w-md mx-auto">
-        <p className="font-display text-sm tracking-wider neon-text-cyan">WALLET REQUIRED</p>
-        <p className="font-body text-gray-500 mt-2">Connect your wallet to view notes.</p>
+      <div className="max-w-3xl mx-auto space-y-6">
+        <div className="glass-panel border border-border-dim p-8 text-center max-w-md mx-auto">
+          <p className="font-display text-sm tracking-wider neon-text-cyan">WALLET REQUIRED</p>
+          <p className="font-body text-gray-500 mt-2">
+            Connect your wallet to view notes, or scan with a viewing key below.
+          </p>
+        </div>
+        <ViewOnlyPanel />
       </div>
     );
   }
@@ -244,6 +576,10 @@ export function MyNotesPage() {
                       >
                         {STATE_LABELS[chainState]?.text || "Unknown"}
                       </span>
+                    ) : note.spent ? (
+                      <span className={`font-display text-xs font-bold tracking-wider ${STATE_LABELS[2].class}`}>
+                        {STATE_LABELS[2].text}
+                      </span>
                     ) : (
                       <span className="font-display text-[10px] tracking-wider text-gray-700">
                         {note.type === "lootbox" || note.type === "card" ? "LOCAL" : "—"}
@@ -263,6 +599,54 @@ export function MyNotesPage() {
         </div>
       )}
 
+      {/* Keystore */}
+      <div className="glass-panel border border-border-dim p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <p className="font-display text-xs font-bold tracking-wider text-gray-400">KEYSTORE</p>
+          <span className={`font-display text-[10px] tracking-wider ${keystoreUnlocked ? "neon-text-green" : "text-gray-600"}`}>
+            {keystoreUnlocked ? "UNLOCKED" : "LOCKED"}
+          </span>
+        </div>
+        {keystoreUnlocked ? (
+          <button onClick={handleLock} className="neon-btn neon-btn-magenta text-xs py-1.5 px-3">
+            Lock
+          </button>
+        ) : (
+          <div className="flex items-center gap-3 flex-wrap">
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder={hasKeystore() ? "Keystore password" : "New keystore password"}
+              className="bg-transparent border border-border-dim rounded px-3 py-1.5 text-xs font-mono text-gray-300"
+            />
+            <button
+              onClick={handleUnlock}
+              disabled={keystoreBusy || password.length === 0}
+              className="neon-btn neon-btn-green text-xs py-1.5 px-3"
+            >
+              {keystoreBusy ? "Deriving key..." : hasKeystore() ? "Unlock" : "Create"}
+            </button>
+            {keystoreError && (
+              <span className="font-body text-xs neon-text-magenta">{keystoreError}</span>
+            )}
+          </div>
+        )}
+        <p className="font-body text-[11px] text-gray-600">
+          Secret keys and note preimages are kept here, encrypted with your password.
+          Unlock before transacting so new notes can be recovered. Locks after 5 minutes idle.
+        </p>
+      </div>
+
+      {/* Chain rescan */}
+      <RescanPanel notes={notes} onNotesChanged={loadNotes} />
+
+      {/* Receive address */}
+      <ZkAddressPanel />
+
+      {/* View-only scan */}
+      <ViewOnlyPanel />
+
       {/* Backup / Restore */}
       <div className="glass-panel border border-border-dim p-4 space-y-3">
         <p className="font-display text-xs font-bold tracking-wider text-gray-400">BACKUP / RESTORE</p>
@@ -0,0 +1,201 @@
+/**
+ * Phase-2 Trusted Setup Ceremony
+ *
+ * Usage:
+ *   node scripts/ceremony.js init <circuit ...|--all>
+ *   node scripts/ceremony.js contribute <circuit ...|--all> --name "<your name>" [--entropy "<text>"]
+ *   node scripts/ceremony.js beacon <circuit ...|--all> --hash <hex> [--iterations-exp <n>]
+ *   node scripts/ceremony.js finalize <circuit ...|--all>
+ *   node scripts/ceremony.js verify [<circuit ...>]
+ *
+ * Steps:
+ *   1. init: Groth16 setup of circuits/build/<circuit>/<circuit>.r1cs (from compile-circuit.js)
+ *   2. contribute: each participant in turn, on the zkey handed over by the previous one
+ *   3. beacon: a public random value (e.g. an announced future block hash) closes the chain
+ *   4. finalize: installs the final zkey, vkey and Solidity verifier like compile-circuit.js does
+ *   5. verify: anyone checks the committed zkeys and vkeys against the r1cs, the ptau
+ *      and circuits/ceremony/<circuit>/transcript.json
+ *
+ * --all means every compiled circuit for init, and every circuit with a ceremony otherwise.
+ * Intermediate zkeys stay in circuits/ceremony/<circuit>/ (not committed); the transcript
+ * is committed together with the final artifacts.
+ */
+
+const { execSync } = require("child_process");
+const path = require("path");
+const fs = require("fs");
+const { writeCircuitManifest } = require("./lib/circuitManifest");
+const { verifierName, artifactRecord, loadBuildManifest, saveBuildManifest } = require("./lib/circuitBuild");
+const {
+  initCeremony,
+  contribute,
+  applyBeacon,
+  verifyCeremony,
+  exportVerificationKey,
+  readTranscript,
+  transcriptPath,
+  DEFAULT_BEACON_ITERATIONS_EXP,
+} = require("./lib/ceremony");
+
+const ROOT = path.join(__dirname, "..");
+const CIRCUITS_DIR = path.join(ROOT, "circuits");
+const BUILD_ROOT = path.join(CIRCUITS_DIR, "build");
+const CEREMONY_DIR = path.join(CIRCUITS_DIR, "ceremony");
+const PTAU_DIR = path.join(CIRCUITS_DIR, "ptau");
+const PTAU_FILE = path.join(PTAU_DIR, "powersOfTau28_hez_final_22.ptau");
+const VERIFIERS_DIR = path.join(ROOT, "contracts", "verifiers");
+const FRONTEND_CIRCUITS_DIR = path.join(ROOT, "frontend", "public", "circuits");
+
+const COMMANDS = ["init", "contribute", "beacon", "finalize", "verify"];
+
+function usage() {
+  console.error("Usage: node scripts/ceremony.js init <circuit ...|--all>");
+  console.error("       node scripts/ceremony.js contribute <circuit ...|--all> --name \"<your name>\" [--entropy \"<text>\"]");
+  console.error("       node scripts/ceremony.js beacon <circuit ...|--all> --hash <hex> [--iterations-exp <n>]");
+  console.error("       node scripts/ceremony.js finalize <circuit ...|--all>");
+  console.error("       node scripts/ceremony.js verify [<circuit ...>]");
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  if (!COMMANDS.includes(command)) usage();
+  const options = { command, all: false, circuits: [], iterationsExp: DEFAULT_BEACON_ITERATIONS_EXP };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === "--all") options.all = true;
+    else if (arg === "--name") options.name = rest[++i];
+    else if (arg === "--entropy") options.entropy = rest[++i];
+    else if (arg === "--hash") options.hash = rest[++i];
+    else if (arg === "--iterations-exp") options.iterationsExp = Number(rest[++i]);
+    else if (arg.startsWith("--")) usage();
+    else options.circuits.push(arg);
+  }
+  if (options.all && options.circuits.length > 0) usage();
+  if (command !== "verify" && !options.all && options.circuits.length === 0) usage();
+  if (command === "contribute" && !options.name) usage();
+  if (command === "beacon" && !options.hash) usage();
+  return options;
+}
+
+function ceremonyCircuits() {
+  if (!fs.existsSync(CEREMONY_DIR)) return [];
+  return fs.readdirSync(CEREMONY_DIR)
+    .filter((name) => fs.existsSync(transcriptPath(CEREMONY_DIR, name)))
+    .sort();
+}
+
+function requireTranscript(circuit) {
+  const transcript = readTranscript(CEREMONY_DIR, circuit);
+  if (!transcript) throw new Error(`No ceremony for '${circuit}'`);
+  return transcript;
+}
+
+async function init(circuit, manifest) {
+  const entry = manifest.circuits[circuit];
+  const r1csFile = path.join(BUILD_ROOT, circuit, `${circuit}.r1cs`);
+  if (!entry || !fs.existsSync(r1csFile) || artifactRecord(r1csFile, ROOT).sha256 !== entry.artifacts.r1cs.sha256) {
+    throw new Error(`No recorded build of '${circuit}'; run node scripts/compile-circuit.js ${circuit} first`);
+  }
+  if (!fs.existsSync(PTAU_FILE)) throw new Error(`Powers of Tau file not found: ${PTAU_FILE}`);
+
+  const transcript = await initCeremony({ circuit, r1csFile, ptauFile: PTAU_FILE, dir: CEREMONY_DIR, root: ROOT });
+  console.log(`✅ Ceremony for '${circuit}' started (circuit hash ${transcript.circuitHash})`);
+}
+
+async function finalize(circuit, manifest) {
+  const transcript = requireTranscript(circuit);
+  if (!transcript.beacon) throw new Error(`The ceremony for '${circuit}' has no beacon yet`);
+  const finalZkey = path.join(CEREMONY_DIR, circuit, transcript.beacon.zkey);
+  if (!fs.existsSync(finalZkey) || artifactRecord(finalZkey, ROOT).sha256 !== transcript.beacon.sha256) {
+    throw new Error(`${finalZkey} is missing or does not match the transcript`);
+  }
+  const entry = manifest.circuits[circuit];
+  if (!entry || entry.artifacts.r1cs.sha256 !== transcript.r1cs.sha256) {
+    throw new Error(`The recorded build of '${circuit}' is not the circuit of the ceremony`);
+  }
+
+  const buildDir = path.join(BUILD_ROOT, circuit);
+  const zkeyFile = path.join(buildDir, `${circuit}.zkey`);
+  const vkeyFile = path.join(buildDir, `${circuit}_vkey.json`);
+  const solidityFile = path.join(VERIFIERS_DIR, `${verifierName(circuit)}Verifier.sol`);
+
+  fs.copyFileSync(finalZkey, zkeyFile);
+  fs.writeFileSync(vkeyFile, JSON.stringify(await exportVerificationKey(zkeyFile), null, 1));
+  execSync(`npx snarkjs zkey export solidityverifier ${zkeyFile} ${solidityFile}`, { stdio: "inherit" });
+
+  fs.mkdirSync(path.join(FRONTEND_CIRCUITS_DIR, circuit), { recursive: true });
+  fs.copyFileSync(zkeyFile, path.join(FRONTEND_CIRCUITS_DIR, circuit, `${circuit}.zkey`));
+  fs.copyFileSync(vkeyFile, path.join(FRONTEND_CIRCUITS_DIR, `${circuit}_vkey.json`));
+
+  // Keep compile-circuit.js --all from treating the new zkey as a stale build
+  entry.artifacts.zkey = artifactRecord(zkeyFile, ROOT);
+  entry.artifacts.vkey = artifactRecord(vkeyFile, ROOT);
+  entry.artifacts.verifier = artifactRecord(solidityFile, ROOT);
+  entry.ceremony = path.relative(ROOT, transcriptPath(CEREMONY_DIR, circuit)).split(path.sep).join("/");
+  saveBuildManifest(BUILD_ROOT, manifest);
+  // Rehash so browsers evict their cached copies of the old zkey
+  writeCircuitManifest(FRONTEND_CIRCUITS_DIR);
+  console.log(`✅ Installed the ceremony zkey of '${circuit}' (${transcript.contributions.length} contributions + beacon)`);
+}
+
+async function verify(circuit) {
+  const transcript = requireTranscript(circuit);
+  const ptauFile = path.join(PTAU_DIR, transcript.ptau.file);
+  if (!fs.existsSync(ptauFile)) throw new Error(`Powers of Tau file not found: ${ptauFile}`);
+  const frontendVkey = path.join(FRONTEND_CIRCUITS_DIR, `${circuit}_vkey.json`);
+
+  const result = await verifyCeremony({
+    transcript,
+    r1csFile: path.join(ROOT, transcript.r1cs.path),
+    ptauFile,
+    zkeyFile: path.join(BUILD_ROOT, circuit, `${circuit}.zkey`),
+    vkeyFiles: [path.join(BUILD_ROOT, circuit, `${circuit}_vkey.json`), ...(fs.existsSync(frontendVkey) ? [frontendVkey] : [])],
+  });
+  if (!result.ok) {
+    console.error(`❌ '${circuit}' failed verification`);
+    for (const problem of result.problems) console.error(`   ${problem}`);
+    return false;
+  }
+  console.log(`✅ '${circuit}' matches its ceremony`);
+  result.contributions.forEach(({ name, contributionHash }, i) => {
+    console.log(`   #${i + 1} ${name}: ${contributionHash}`);
+  });
+  return true;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const manifest = loadBuildManifest(BUILD_ROOT);
+  let circuits = options.circuits;
+  if (options.all || (options.command === "verify" && circuits.length === 0)) {
+    circuits = options.command === "init" ? Object.keys(manifest.circuits) : ceremonyCircuits();
+  }
+  if (circuits.length === 0) throw new Error("No circuits to process");
+
+  for (const circuit of circuits) {
+    if (options.command === "init") {
+      await init(circuit, manifest);
+    } else if (options.command === "contribute") {
+      const entry = await contribute({ circuit, dir: CEREMONY_DIR, name: options.name, entropy: options.entropy });
+      console.log(`✅ Contribution #${entry.index} to '${circuit}' by ${entry.name}`);
+      console.log(`   Contribution hash: ${entry.contributionHash}`);
+      console.log(`   Pass on: ${path.join(CEREMONY_DIR, circuit, entry.zkey)}`);
+    } else if (options.command === "beacon") {
+      const beacon = await applyBeacon({ circuit, dir: CEREMONY_DIR, hash: options.hash, iterationsExp: options.iterationsExp });
+      console.log(`✅ Beacon applied to '${circuit}' (contribution hash ${beacon.contributionHash})`);
+    } else if (options.command === "finalize") {
+      await finalize(circuit, manifest);
+    } else if (!(await verify(circuit))) {
+      process.exitCode = 1;
+    }
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error(`\n❌ ${err.message}`);
+    process.exitCode = 1;
+  })
+  // snarkjs keeps its curve worker threads alive
+  .finally(() => process.exit());
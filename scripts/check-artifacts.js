@@ -0,0 +1,97 @@
+/**
+ * Artifact Consistency Check
+ *
+ * Usage:
+ *   node scripts/check-artifacts.js [<circuit ...>] [--rpc <url>] [--no-proof]
+ *
+ * For every circuit (default: all of circuits/main), checks that
+ *   - contracts/verifiers/<Name>Verifier.sol embeds the constants of circuits/build/<circuit>/<circuit>_vkey.json
+ *   - the hardhat artifact of that verifier is compiled from the current source
+ *   - frontend/public/circuits holds the same vkey, wasm and zkey as circuits/build,
+ *     and its manifest.json lists them
+ *   - circuits/build/manifest.json still describes the build artifacts
+ * With --rpc, every verifier in the chain's deployment manifest
+ * (frontend/src/config/deployments/<chainId>.json) is also checked: recorded vkey hash,
+ * constants in the deployed code, and a proof round-trip through verifyProof
+ * (a fresh proof must verify, the same proof with a changed public input must not).
+ * --no-proof skips the round-trip.
+ *
+ * Exits with status 1 if anything is out of sync.
+ */
+
+const path = require("path");
+const { ethers } = require("ethers");
+const { discoverCircuits } = require("./lib/circuitBuild");
+const { checkCircuit, checkDeployment } = require("./lib/artifactCheck");
+
+const ROOT = path.join(__dirname, "..");
+const MAIN_DIR = path.join(ROOT, "circuits", "main");
+
+const SYMBOLS = { ok: "✓", fail: "✗", skip: "-" };
+
+function usage() {
+  console.error("Usage: node scripts/check-artifacts.js [<circuit ...>] [--rpc <url>] [--no-proof]");
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const options = { circuits: [], rpc: null, prove: true };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--rpc") options.rpc = argv[++i];
+    else if (arg === "--no-proof") options.prove = false;
+    else if (arg.startsWith("--")) usage();
+    else options.circuits.push(arg);
+  }
+  if (options.rpc === undefined) usage();
+  return options;
+}
+
+function report(findings) {
+  let circuit = null;
+  for (const { circuit: name, check, status, message, diff } of findings) {
+    if (name !== circuit) {
+      circuit = name;
+      console.log(`\n${circuit}`);
+    }
+    console.log(`  ${SYMBOLS[status]} ${check}: ${message}`);
+    for (const line of diff || []) console.log(`      ${line}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const known = discoverCircuits(MAIN_DIR);
+  const unknown = options.circuits.filter((name) => !known.includes(name));
+  if (unknown.length > 0) throw new Error(`Unknown circuit(s): ${unknown.join(", ")}`);
+  const circuits = options.circuits.length > 0 ? options.circuits : known;
+
+  const findings = circuits.flatMap((circuit) => checkCircuit(ROOT, circuit));
+  report(findings);
+
+  if (options.rpc) {
+    const provider = new ethers.JsonRpcProvider(options.rpc);
+    const deployed = await checkDeployment({ root: ROOT, provider, circuits, prove: options.prove });
+    console.log(`\n=== Deployed verifiers (${options.rpc}) ===`);
+    report(deployed);
+    findings.push(...deployed);
+  }
+
+  const failed = findings.filter((f) => f.status === "fail").length;
+  const passed = findings.filter((f) => f.status === "ok").length;
+  console.log(`\n${passed} passed, ${failed} failed, ${findings.length - passed - failed} skipped`);
+  if (failed > 0) {
+    console.error("❌ Artifacts are out of sync");
+    process.exitCode = 1;
+  } else {
+    console.log("✅ Artifacts are consistent");
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error(`\n❌ ${err.message}`);
+    process.exitCode = 1;
+  })
+  // snarkjs keeps its curve worker threads alive after a round-trip proof
+  .finally(() => process.exit());
@@ -0,0 +1,127 @@
+/**
+ * Circuit Constraint and Proving-Cost Budget
+ *
+ * Usage:
+ *   node scripts/circuit-budget.js [<circuit ...>] [--no-prove] [--runs <n>] [--budget <metric>=<percent> ...] [--update]
+ *
+ * Reads circuits/build/<circuit>/<circuit>.r1cs (from compile-circuit.js) for constraint,
+ * wire and input counts, times witness generation and Groth16 proving of a sample input,
+ * and compares everything with the committed baseline in circuits/budget.json.
+ *
+ * Options:
+ *   --no-prove     Only read the r1cs files (no timing)
+ *   --runs <n>     Timed runs per circuit, the median is reported (default 3)
+ *   --budget m=p   Allow metric m to grow by p percent (overrides the baseline file's budget)
+ *   --update       Write the measurements to circuits/budget.json as the new baseline
+ *
+ * Exits with status 1 if a metric grew beyond its budget.
+ */
+
+const path = require("path");
+const { discoverCircuits } = require("./lib/circuitBuild");
+const {
+  measureCircuit,
+  loadBaseline,
+  saveBaseline,
+  compareMetrics,
+  METRICS,
+  DEFAULT_BUDGET,
+  BUDGET_FILE,
+} = require("./lib/circuitBudget");
+
+const ROOT = path.join(__dirname, "..");
+const MAIN_DIR = path.join(ROOT, "circuits", "main");
+
+const STATUS = { ok: "✓", improved: "✓", new: "+", skipped: "-", regression: "✗" };
+
+function usage() {
+  console.error("Usage: node scripts/circuit-budget.js [<circuit ...>] [--no-prove] [--runs <n>] [--budget <metric>=<percent> ...] [--update]");
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const options = { circuits: [], prove: true, runs: 3, budget: {}, update: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--no-prove") options.prove = false;
+    else if (arg === "--update") options.update = true;
+    else if (arg === "--runs") options.runs = Number(argv[++i]);
+    else if (arg === "--budget") {
+      const [metric, percent] = (argv[++i] || "").split("=");
+      if (!METRICS.includes(metric) || !(Number(percent) >= 0)) usage();
+      options.budget[metric] = Number(percent);
+    } else if (arg.startsWith("--")) usage();
+    else options.circuits.push(arg);
+  }
+  if (!Number.isInteger(options.runs) || options.runs < 1) usage();
+  return options;
+}
+
+function formatChange(row) {
+  if (row.change === null) return "";
+  if (row.change === Infinity) return "new";
+  return `${row.change >= 0 ? "+" : ""}${row.change.toFixed(2)}%`;
+}
+
+function report(circuit, rows) {
+  const format = (value) => (value === null ? "—" : value.toLocaleString("en-US"));
+  console.log(`\n${circuit}`);
+  console.log(`  ${"metric".padEnd(15)}${"baseline".padStart(12)}${"current".padStart(12)}${"change".padStart(10)}${"budget".padStart(9)}`);
+  for (const row of rows) {
+    const budget = row.limit === null ? "" : `+${row.limit}%`;
+    console.log(
+      `  ${row.metric.padEnd(15)}${format(row.baseline).padStart(12)}${format(row.current).padStart(12)}` +
+      `${formatChange(row).padStart(10)}${budget.padStart(9)}  ${STATUS[row.status]}${row.status === "regression" ? " over budget" : ""}`
+    );
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const known = discoverCircuits(MAIN_DIR);
+  const unknown = options.circuits.filter((name) => !known.includes(name));
+  if (unknown.length > 0) throw new Error(`Unknown circuit(s): ${unknown.join(", ")}`);
+  const circuits = options.circuits.length > 0 ? options.circuits : known;
+
+  const baseline = loadBaseline();
+  const budget = { ...DEFAULT_BUDGET, ...baseline.budget, ...options.budget };
+  const measured = {};
+  const regressions = [];
+  for (const circuit of circuits) {
+    const metrics = await measureCircuit(circuit, { prove: options.prove, runs: options.runs });
+    measured[circuit] = metrics;
+    if (!metrics) {
+      const note = baseline.circuits[circuit] ? "; baseline not checked" : "";
+      console.log(`\n${circuit}\n  - not compiled (run node scripts/compile-circuit.js ${circuit})${note}`);
+      continue;
+    }
+    const rows = compareMetrics(baseline.circuits[circuit], metrics, budget);
+    report(circuit, rows);
+    for (const row of rows.filter((r) => r.status === "regression")) {
+      regressions.push(`${circuit} ${row.metric}: ${row.baseline} → ${row.current} (${formatChange(row)}, budget +${row.limit}%)`);
+    }
+  }
+  if (options.prove && baseline.machine) {
+    console.log(`\nBaseline timings were taken on: ${baseline.machine}`);
+  }
+
+  if (options.update) {
+    saveBaseline({ ...baseline, budget: { ...baseline.budget, ...options.budget } }, measured);
+    console.log(`\n✅ Baseline written to ${path.relative(ROOT, BUDGET_FILE)}`);
+  } else if (regressions.length > 0) {
+    console.error(`\n❌ ${regressions.length} metric(s) over budget:`);
+    for (const line of regressions) console.error(`   ${line}`);
+    console.error("   If the increase is intended, rerun with --update and commit circuits/budget.json");
+    process.exitCode = 1;
+  } else {
+    console.log("\n✅ Within budget");
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error(`\n❌ ${err.message}`);
+    process.exitCode = 1;
+  })
+  // snarkjs keeps its curve worker threads alive
+  .finally(() => process.exit());
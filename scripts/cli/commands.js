@@ -0,0 +1,664 @@
+/**
+ * zkdex command implementations
+ *
+ * Every command takes its parsed options and a context and resolves to a plain
+ * JSON-serializable object; index.js turns argv into options, prints the result
+ * and sets the exit code. Tests call runCommand directly with a hardhat signer.
+ *
+ * Context:
+ *   keystore         Keystore file (scripts/lib/keystore.js format)
+ *   password         Keystore password
+ *   keystoreOptions  KDF options for a new keystore ({kdf, kdfParams})
+ *   addresses        deployedAddresses.json contents
+ *   provider         ethers v6 provider
+ *   getSigner        () => Promise<ethers.Signer>, called only by commands that send transactions
+ *
+ * Spending keys and note preimages live in the keystore. Notes a command creates for
+ * the caller are encrypted to the caller's own viewing key, so `notes scan` can
+ * rebuild the keystore's notes from chain data alone.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const snarkjsUtils = require('../lib/snarkjsUtils');
+const circomlibBabyJub = require('../lib/circomlibBabyJub');
+const ecdhCrypto = require('../lib/ecdhCrypto');
+const cardUtils = require('../lib/cardUtils');
+const zkAddress = require('../lib/zkAddress');
+const { KeystoreSession, readKeystoreFile, writeKeystoreFile } = require('../lib/keystore');
+const { NoteScanner } = require('../lib/NoteScanner');
+const {
+    NFTNote, ItemNote, PaymentNote, BoxNote, noteFromJSON, deserializeNote, createStealthNote
+} = require('../lib/FeatureNotes');
+
+const { toBytes32 } = snarkjsUtils;
+
+const PROOF_ABI = 'uint256[2] a, uint256[2][2] b, uint256[2] c';
+const NOTE_ABI = [
+    'function getNoteState(bytes32 noteHash) view returns (uint8)',
+    'function encryptedNotes(bytes32 noteHash) view returns (bytes)'
+];
+const CONTRACT_ABIS = {
+    privateNFT: [
+        ...NOTE_ABI,
+        'function registerNFT(bytes32 noteHash, address collection, uint256 nftId, bytes encryptedNote)',
+        `function transferNFT(${PROOF_ABI}, bytes32 oldNftHash, bytes32 newNftHash, uint256 nftId, address collectionAddress, bytes32 nullifier, bytes encryptedNote)`
+    ],
+    lootBoxOpen: [
+        ...NOTE_ABI,
+        'function paymentToken() view returns (address)',
+        'function boxPrice() view returns (uint256)',
+        'function getBoxInfo(uint256 boxId) view returns (address owner, uint256 boxType, bool registered)',
+        'function mintBox(uint256 boxType) returns (uint256)',
+        'function registerBox(bytes32 noteHash, uint256 boxId, bytes encryptedNote)',
+        `function openBox(${PROOF_ABI}, bytes32 boxCommitment, bytes32 outcomeCommitment, uint256 vrfOutput, uint256 boxId, bytes32 nullifier, bytes encryptedNote)`,
+        'event BoxMinted(address indexed buyer, uint256 indexed boxId, uint256 boxType)'
+    ],
+    gamingItemTrade: [
+        ...NOTE_ABI,
+        'function registerItem(bytes32 noteHash, uint256 gameId, uint256 itemId, bytes encryptedNote)',
+        `function tradeItem(${PROOF_ABI}, bytes32 oldItemHash, bytes32 newItemHash, bytes32 paymentNoteHash, uint256 gameId, bytes32 nullifier, bytes encryptedNote)`
+    ],
+    cardDraw: [
+        ...NOTE_ABI,
+        'function registeredDecks(uint256 gameId) view returns (bytes32)',
+        'function registerDeck(bytes32 deckCommitment, uint256 gameId, bytes encryptedNote)',
+        `function drawCard(${PROOF_ABI}, bytes32 deckCommitment, bytes32 drawCommitment, uint256 drawIndex, uint256 gameId, bytes32 playerCommitment, bytes encryptedCardNote)`
+    ]
+};
+const ERC20_ABI = ['function approve(address spender, uint256 amount) returns (bool)'];
+
+/** deployedAddresses.json key of the contract holding each note type (payment notes stay off-chain) */
+const NOTE_CONTRACT_KEYS = {
+    nft: 'privateNFT',
+    item: 'gamingItemTrade',
+    payment: null,
+    box: 'lootBoxOpen',
+    outcome: 'lootBoxOpen',
+    draw: 'cardDraw'
+};
+
+/** NFTNoteBase.NoteState */
+const NOTE_STATES = ['Invalid', 'Valid', 'Spent'];
+
+/** Keystore label of one-time keys recovered by `notes scan` */
+const STEALTH_LABEL = 'stealth';
+
+/** Options accepted by every command (read by index.js) */
+const GLOBAL_OPTIONS = ['keystore', 'rpc', 'addresses', 'account', 'help'];
+
+/**
+ * A usage or state error; printed without a stack trace.
+ */
+class CliError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliError';
+    }
+}
+
+/**
+ * Split argv into the command words and --options.
+ * Options are camelCased; an option without a value is `true`.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: string, options: Object<string, string|boolean>}}
+ */
+function parseArgs(argv) {
+    const words = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            words.push(argv[i]);
+            continue;
+        }
+        const key = argv[i].slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+            options[key] = true;
+        } else {
+            options[key] = argv[++i];
+        }
+    }
+    return { command: words.join(' '), options };
+}
+
+/**
+ * @param {Object} options - Parsed options
+ * @param {string} name - camelCase option name
+ * @returns {bigint} Option value as an integer
+ */
+function intOption(options, name) {
+    try {
+        return BigInt(options[name]);
+    } catch (e) {
+        throw new CliError(`--${kebab(name)} must be an integer`);
+    }
+}
+
+function kebab(name) {
+    return name.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+}
+
+function randomField() {
+    return BigInt('0x' + crypto.randomBytes(31).toString('hex'));
+}
+
+function contract(ctx, signerOrProvider, key) {
+    const address = ctx.addresses && ctx.addresses[key];
+    if (!address) throw new CliError(`No ${key} address in the deployed addresses`);
+    return new ethers.Contract(address, CONTRACT_ABIS[key], signerOrProvider);
+}
+
+/**
+ * Send a transaction and wait for it to be mined.
+ * @param {Promise<ethers.TransactionResponse>} pending - Contract call
+ * @returns {Promise<{txHash: string, blockNumber: number, receipt: object}>}
+ */
+async function send(pending) {
+    const tx = await pending;
+    const receipt = await tx.wait();
+    return { txHash: tx.hash, blockNumber: receipt.blockNumber, receipt };
+}
+
+function txFields({ txHash, blockNumber }) {
+    return { txHash, blockNumber };
+}
+
+/**
+ * Pick the keystore key a command acts for: --key, or the first key that is not a stealth key.
+ * @returns {{keyId: string, sk: bigint}}
+ */
+function selectKey(session, keyId) {
+    if (keyId !== undefined) {
+        const id = toBytes32(BigInt(keyId));
+        const sk = session.getKey(id);
+        if (sk === null) throw new CliError(`Unknown key: ${keyId}`);
+        return { keyId: id, sk };
+    }
+    const key = session.listKeys().find(k => k.label !== STEALTH_LABEL);
+    if (!key) throw new CliError('The keystore has no keys (run keygen or import)');
+    return { keyId: key.id, sk: session.getKey(key.id) };
+}
+
+/**
+ * Look up a stored note the keystore can spend.
+ * @returns {{noteHash: string, note: FeatureNote, keyId: string, sk: bigint}}
+ */
+function spendableNote(session, hash, type) {
+    if (typeof hash !== 'string') throw new CliError('--note <hash> is required');
+    const noteHash = toBytes32(BigInt(hash));
+    const entry = session.getNote(noteHash);
+    if (!entry) throw new CliError(`Note not in the keystore: ${noteHash}`);
+    if (entry.note.type !== type) throw new CliError(`Note ${noteHash} is a ${entry.note.type} note, not ${type}`);
+    const sk = entry.keyId ? session.getKey(entry.keyId) : null;
+    if (sk === null) throw new CliError(`The keystore has no spending key for note ${noteHash}`);
+    return { noteHash, note: noteFromJSON(entry.note), keyId: entry.keyId, sk };
+}
+
+/**
+ * Encrypt a note to the viewing key of one of our own spending keys.
+ * @returns {Promise<string>} Envelope hex for the contract's encryptedNote argument
+ */
+async function encryptToSelf(note, sk) {
+    const { viewingPk } = await circomlibBabyJub.deriveZkAddress(sk);
+    return ecdhCrypto.encryptForRecipient(note.serialize(), viewingPk);
+}
+
+/**
+ * Decode a recipient zk address, refusing one issued for another chain.
+ */
+async function decodeRecipient(ctx, encoded) {
+    if (typeof encoded !== 'string') throw new CliError('--to <zkAddress> is required');
+    let address;
+    try {
+        address = await zkAddress.decodeZkAddress(encoded);
+    } catch (e) {
+        throw new CliError(e.message);
+    }
+    if (!address.viewingPk) throw new CliError('Recipient address has no viewing key');
+    if (address.chainId !== null) {
+        const { chainId } = await ctx.provider.getNetwork();
+        if (address.chainId !== chainId) {
+            throw new CliError(`Recipient address is for chain ${address.chainId}, not ${chainId}`);
+        }
+    }
+    return address;
+}
+
+async function describeKey(session, keyId, label) {
+    const { spendingPk, viewingPk } = await circomlibBabyJub.deriveZkAddress(session.getKey(keyId));
+    return { keyId, label, zkAddress: await zkAddress.encodeZkAddress({ spendingPk, viewingPk }) };
+}
+
+// ─── Keys ───
+
+async function keygen({ options, session }) {
+    const label = typeof options.label === 'string' ? options.label : '';
+    const keyId = await session.addKey(await circomlibBabyJub.randomSecretKey(), label);
+    return describeKey(session, keyId, label);
+}
+
+async function importKey({ options, session }) {
+    const label = typeof options.label === 'string' ? options.label : '';
+    let sk;
+    try {
+        sk = BigInt(options.sk.startsWith('0x') ? options.sk : '0x' + options.sk);
+    } catch (e) {
+        throw new CliError('--sk must be a hex secret key');
+    }
+    const keyId = await session.addKey(sk, label);
+    return describeKey(session, keyId, label);
+}
+
+// ─── F1 NFTs ───
+
+async function registerNft({ options, session, ctx, signer }) {
+    const { keyId, sk } = selectKey(session, options.key);
+    if (!ethers.isAddress(options.collection)) throw new CliError('--collection must be an address');
+    const note = new NFTNote({
+        pk: await circomlibBabyJub.getPublicKey(sk),
+        nftId: intOption(options, 'nftId'),
+        collection: options.collection
+    });
+    const noteHash = toBytes32(await note.hash());
+
+    const tx = await send(contract(ctx, signer, 'privateNFT').registerNFT(
+        noteHash, options.collection, note.nftId, await encryptToSelf(note, sk)
+    ));
+    session.putNote(noteHash, note, keyId);
+    return { noteHash, keyId, ...txFields(tx) };
+}
+
+async function transferNft({ options, session, ctx, signer }) {
+    const { noteHash, note: oldNote, sk } = spendableNote(session, options.note, 'nft');
+    const recipient = await decodeRecipient(ctx, options.to);
+    const { note: newNote, encryptedNote } = await createStealthNote(
+        NFTNote, { nftId: oldNote.nftId, collection: oldNote.collection }, recipient
+    );
+    const proof = await snarkjsUtils.getNftTransferProof({ oldNote, newNote, oldOwnerSk: sk, encryptedNote });
+
+    const tx = await send(contract(ctx, signer, 'privateNFT').transferNFT(...proof.args));
+    return {
+        spentNoteHash: noteHash,
+        noteHash: toBytes32(proof.signals.newNftHash),
+        nullifier: toBytes32(proof.signals.nullifier),
+        ...txFields(tx)
+    };
+}
+
+// ─── F4 loot boxes ───
+
+async function mintBox({ options, ctx, signer }) {
+    const lootBox = contract(ctx, signer, 'lootBoxOpen');
+    const price = await lootBox.boxPrice();
+    const token = new ethers.Contract(await lootBox.paymentToken(), ERC20_ABI, signer);
+    await send(token.approve(lootBox.target, price));
+
+    const tx = await send(lootBox.mintBox(intOption(options, 'boxType')));
+    const minted = tx.receipt.logs
+        .map(log => { try { return lootBox.interface.parseLog(log); } catch (e) { return null; } })
+        .find(event => event && event.name === 'BoxMinted');
+    return {
+        boxId: minted.args.boxId.toString(),
+        boxType: minted.args.boxType.toString(),
+        price: price.toString(),
+        ...txFields(tx)
+    };
+}
+
+async function registerBox({ options, session, ctx, signer }) {
+    const { keyId, sk } = selectKey(session, options.key);
+    const lootBox = contract(ctx, signer, 'lootBoxOpen');
+    const boxId = intOption(options, 'boxId');
+    const { owner, boxType, registered } = await lootBox.getBoxInfo(boxId);
+    if (owner !== await signer.getAddress()) throw new CliError(`Box ${boxId} is not owned by ${await signer.getAddress()}`);
+    if (registered) throw new CliError(`Box ${boxId} is already registered`);
+
+    const note = new BoxNote({ pk: await circomlibBabyJub.getPublicKey(sk), boxId, boxType });
+    const noteHash = toBytes32(await note.hash());
+    const tx = await send(lootBox.registerBox(noteHash, boxId, await encryptToSelf(note, sk)));
+    session.putNote(noteHash, note, keyId);
+    return { noteHash, boxId: boxId.toString(), boxType: boxType.toString(), keyId, ...txFields(tx) };
+}
+
+async function openBox({ options, session, ctx, signer }) {
+    const { noteHash, note: boxNote, keyId, sk } = spendableNote(session, options.note, 'box');
+    const proof = await snarkjsUtils.getLootBoxOpenProof({
+        boxNote, ownerSk: sk, itemId: intOption(options, 'itemId')
+    });
+    const { outcomeNote } = proof;
+    const args = [...proof.args.slice(0, -1), await encryptToSelf(outcomeNote, sk)];
+
+    const tx = await send(contract(ctx, signer, 'lootBoxOpen').openBox(...args));
+    const outcomeHash = toBytes32(proof.signals.outcomeCommitment);
+    session.putNote(outcomeHash, outcomeNote, keyId);
+    return {
+        spentNoteHash: noteHash,
+        noteHash: outcomeHash,
+        itemId: outcomeNote.itemId.toString(),
+        itemRarity: Number(outcomeNote.itemRarity),
+        ...txFields(tx)
+    };
+}
+
+// ─── F5 gaming items ───
+
+async function registerItem({ options, session, ctx, signer }) {
+    const { keyId, sk } = selectKey(session, options.key);
+    const note = new ItemNote({
+        pk: await circomlibBabyJub.getPublicKey(sk),
+        itemId: intOption(options, 'itemId'),
+        itemType: options.itemType === undefined ? 0 : intOption(options, 'itemType'),
+        itemAttributes: options.attributes === undefined ? 0 : intOption(options, 'attributes'),
+        gameId: intOption(options, 'gameId')
+    });
+    const noteHash = toBytes32(await note.hash());
+
+    const tx = await send(contract(ctx, signer, 'gamingItemTrade').registerItem(
+        noteHash, note.gameId, note.itemId, await encryptToSelf(note, sk)
+    ));
+    session.putNote(noteHash, note, keyId);
+    return { noteHash, keyId, ...txFields(tx) };
+}
+
+async function tradeItem({ options, session, ctx, signer }) {
+    const { noteHash, note: oldNote, keyId, sk } = spendableNote(session, options.note, 'item');
+    const recipient = await decodeRecipient(ctx, options.to);
+    const { itemId, itemType, itemAttributes, gameId } = oldNote;
+    const { note: newNote, encryptedNote } = await createStealthNote(
+        ItemNote, { itemId, itemType, itemAttributes, gameId }, recipient
+    );
+
+    const price = options.price === undefined ? 0n : intOption(options, 'price');
+    const paymentNote = price > 0n
+        ? new PaymentNote({
+            pk: oldNote.pk,
+            price,
+            paymentToken: options.paymentToken === undefined ? 0 : options.paymentToken
+        })
+        : undefined;
+    const proof = await snarkjsUtils.getGamingItemTradeProof({
+        oldNote, newNote, paymentNote, sellerSk: sk, encryptedNote
+    });
+
+    const tx = await send(contract(ctx, signer, 'gamingItemTrade').tradeItem(...proof.args));
+    const paymentNoteHash = toBytes32(proof.signals.paymentNoteHash);
+    // The payment note is the seller's off-chain claim; keep its preimage
+    if (paymentNote) session.putNote(paymentNoteHash, proof.paymentNote, keyId);
+    return {
+        spentNoteHash: noteHash,
+        noteHash: toBytes32(proof.signals.newItemHash),
+        paymentNoteHash,
+        nullifier: toBytes32(proof.signals.nullifier),
+        ...txFields(tx)
+    };
+}
+
+// ─── F8 card games ───
+
+async function registerDeck({ options, session, ctx, signer }) {
+    const { keyId, sk } = selectKey(session, options.key);
+    const gameId = intOption(options, 'gameId');
+    const shuffleSeed = options.seed === undefined ? randomField() : intOption(options, 'seed');
+    const deckSalt = options.deckSalt === undefined ? randomField() : intOption(options, 'deckSalt');
+
+    const deckCommitment = await cardUtils.computeDeckCommitment(
+        await cardUtils.fisherYatesShuffle(shuffleSeed), deckSalt
+    );
+    const { spendingPk, viewingPk } = await circomlibBabyJub.deriveZkAddress(sk);
+    // The seed and salt are recoverable from the envelope, so draw-card needs only the key
+    const encryptedDeck = await ecdhCrypto.encryptForRecipient(
+        cardUtils.serializeDeck({ shuffleSeed, deckSalt }), viewingPk
+    );
+
+    const tx = await send(contract(ctx, signer, 'cardDraw').registerDeck(
+        toBytes32(deckCommitment), gameId, encryptedDeck
+    ));
+    return {
+        gameId: gameId.toString(),
+        deckCommitment: toBytes32(deckCommitment),
+        playerCommitment: toBytes32(await cardUtils.computePlayerCommitment(spendingPk, gameId)),
+        keyId,
+        ...txFields(tx)
+    };
+}
+
+async function drawCard({ options, session, ctx, signer }) {
+    const { keyId, sk } = selectKey(session, options.key);
+    const cardDraw = contract(ctx, signer, 'cardDraw');
+    const gameId = intOption(options, 'gameId');
+    const drawIndex = intOption(options, 'index');
+
+    const deckCommitment = await cardDraw.registeredDecks(gameId);
+    if (BigInt(deckCommitment) === 0n) throw new CliError(`No deck registered for game ${gameId}`);
+    const plaintext = await ecdhCrypto.decryptWithSecretKey(
+        await cardDraw.encryptedNotes(deckCommitment), await circomlibBabyJub.deriveViewingKey(sk)
+    );
+    if (!plaintext) throw new CliError(`The deck of game ${gameId} was not registered with key ${keyId}`);
+    const { shuffleSeed, deckSalt } = cardUtils.deserializeDeck(plaintext);
+
+    const proof = await snarkjsUtils.getCardDrawProof({ playerSk: sk, gameId, shuffleSeed, deckSalt, drawIndex });
+    const { drawNote } = proof;
+    const args = [...proof.args.slice(0, -1), await encryptToSelf(drawNote, sk)];
+
+    const tx = await send(cardDraw.drawCard(...args));
+    const noteHash = toBytes32(proof.signals.drawCommitment);
+    session.putNote(noteHash, drawNote, keyId);
+    return {
+        noteHash,
+        gameId: gameId.toString(),
+        drawIndex: Number(drawIndex),
+        card: Number(drawNote.drawnCard),
+        ...txFields(tx)
+    };
+}
+
+// ─── Notes ───
+
+async function listNotes({ options, session, ctx }) {
+    const notes = [];
+    for (const { hash, note, keyId } of session.listNotes()) {
+        const key = NOTE_CONTRACT_KEYS[note.type];
+        const state = key && ctx.addresses && ctx.addresses[key]
+            ? NOTE_STATES[Number(await contract(ctx, ctx.provider, key).getNoteState(hash))]
+            : null;
+        if (state === 'Spent' && !options.includeSpent) continue;
+        notes.push({ noteHash: hash, contract: key, state, keyId, note });
+    }
+    return { notes };
+}
+
+async function scanNotes({ options, session, ctx }) {
+    let scanner;
+    try {
+        scanner = new NoteScanner(ctx.provider, ctx.addresses || {});
+    } catch (e) {
+        throw new CliError(e.message);
+    }
+    // The scanner and the keystore share key ids (circomlibBabyJub.keyIdOf)
+    const keyIds = [];
+    for (const { id } of session.listKeys()) {
+        keyIds.push(await scanner.addKey(session.getKey(id)));
+    }
+    const range = await scanner.scan(options.fromBlock === undefined ? 0 : Number(intOption(options, 'fromBlock')));
+
+    const found = new Map();
+    for (const keyId of keyIds) {
+        for (const scanned of scanner.getNotes(keyId, { includeSpent: true })) {
+            let note;
+            try {
+                note = deserializeNote(scanned.plaintext);
+            } catch (e) {
+                continue; // Not a note preimage (e.g. a deck registration payload)
+            }
+            const owner = scanned.stealth && scanned.stealth.sk !== null
+                ? await session.addKey(scanned.stealth.sk, STEALTH_LABEL)
+                : keyId;
+            const isNew = session.getNote(scanned.noteHash) === null;
+            session.putNote(scanned.noteHash, note, owner);
+            found.set(scanned.noteHash, {
+                noteHash: scanned.noteHash,
+                contract: NOTE_CONTRACT_KEYS[note.constructor.TYPE],
+                type: note.constructor.TYPE,
+                spent: scanned.spent,
+                keyId: owner,
+                new: isNew
+            });
+        }
+    }
+    return { fromBlock: range.fromBlock, toBlock: range.toBlock, notes: [...found.values()] };
+}
+
+// ─── Proofs ───
+
+async function verifyProof({ options }) {
+    if (typeof options.proof !== 'string') throw new CliError('--proof <file> is required');
+    let file;
+    try {
+        file = JSON.parse(fs.readFileSync(options.proof, 'utf8'));
+    } catch (e) {
+        throw new CliError(`Cannot read proof file ${options.proof}: ${e.message}`);
+    }
+    // snarkjsUtils.generateProof output ({a, b, c, input}) or a browser ProofResult ({circuitName, proof, publicSignals})
+    const proof = file.proof || file;
+    const publicSignals = file.publicSignals || file.input;
+    const circuit = typeof options.circuit === 'string' ? options.circuit : file.circuitName;
+    if (!circuit) throw new CliError('--circuit <name> is required');
+    if (!proof.a || !proof.b || !proof.c || !Array.isArray(publicSignals)) {
+        throw new CliError(`${options.proof} has no proof points and public signals`);
+    }
+
+    let valid;
+    try {
+        valid = await snarkjsUtils.verifyProofLocal(circuit, proof, publicSignals.map(String));
+    } catch (e) {
+        if (e.code === 'ENOENT') throw new CliError(`No verification key for circuit ${circuit}`);
+        throw e;
+    }
+    return { circuit, valid };
+}
+
+/**
+ * Command table.
+ *   keystore: 'create' (created if missing), 'write' (must exist, saved afterwards),
+ *             'read' (must exist) or undefined (not opened)
+ *   signer:   true if the command sends transactions
+ */
+const COMMANDS = {
+    'keygen': { run: keygen, keystore: 'create', options: ['label'], usage: '[--label <text>]' },
+    'import': { run: importKey, keystore: 'create', options: ['sk', 'label'], required: ['sk'], usage: '--sk <hex> [--label <text>]' },
+    'register-nft': {
+        run: registerNft, keystore: 'write', signer: true,
+        options: ['collection', 'nftId', 'key'], required: ['collection', 'nftId'],
+        usage: '--collection <address> --nft-id <n> [--key <keyId>]'
+    },
+    'transfer-nft': {
+        run: transferNft, keystore: 'read', signer: true,
+        options: ['note', 'to'], required: ['note', 'to'],
+        usage: '--note <hash> --to <zkAddress>'
+    },
+    'mint-box': {
+        run: mintBox, signer: true,
+        options: ['boxType'], required: ['boxType'],
+        usage: '--box-type <n>'
+    },
+    'register-box': {
+        run: registerBox, keystore: 'write', signer: true,
+        options: ['boxId', 'key'], required: ['boxId'],
+        usage: '--box-id <n> [--key <keyId>]'
+    },
+    'open-box': {
+        run: openBox, keystore: 'write', signer: true,
+        options: ['note', 'itemId'], required: ['note', 'itemId'],
+        usage: '--note <hash> --item-id <n>'
+    },
+    'register-item': {
+        run: registerItem, keystore: 'write', signer: true,
+        options: ['gameId', 'itemId', 'itemType', 'attributes', 'key'], required: ['gameId', 'itemId'],
+        usage: '--game-id <n> --item-id <n> [--item-type <n>] [--attributes <n>] [--key <keyId>]'
+    },
+    'trade-item': {
+        run: tradeItem, keystore: 'write', signer: true,
+        options: ['note', 'to', 'price', 'paymentToken'], required: ['note', 'to'],
+        usage: '--note <hash> --to <zkAddress> [--price <n>] [--payment-token <id>]'
+    },
+    'register-deck': {
+        run: registerDeck, keystore: 'read', signer: true,
+        options: ['gameId', 'seed', 'deckSalt', 'key'], required: ['gameId'],
+        usage: '--game-id <n> [--seed <n>] [--deck-salt <n>] [--key <keyId>]'
+    },
+    'draw-card': {
+        run: drawCard, keystore: 'write', signer: true,
+        options: ['gameId', 'index', 'key'], required: ['gameId', 'index'],
+        usage: '--game-id <n> --index <0-51> [--key <keyId>]'
+    },
+    'notes list': { run: listNotes, keystore: 'read', options: ['includeSpent'], usage: '[--include-spent]' },
+    'notes scan': { run: scanNotes, keystore: 'write', options: ['fromBlock'], usage: '[--from-block <n>]' },
+    'proof verify': {
+        run: verifyProof,
+        options: ['circuit', 'proof'], required: ['proof'],
+        usage: '--proof <file> [--circuit <name>]'
+    }
+};
+
+/**
+ * @returns {string} Usage text for every command
+ */
+function usage() {
+    return [
+        'Usage: zkdex <command> [options]',
+        '',
+        ...Object.entries(COMMANDS).map(([name, { usage: text }]) => `  ${name.padEnd(14)} ${text}`),
+        '',
+        'Global options: --keystore <file> --rpc <url> --addresses <file> --account <index>',
+        'Environment: ZKDEX_PASSWORD (keystore password), ZKDEX_PRIVATE_KEY (transaction signer)'
+    ].join('\n');
+}
+
+async function openKeystore(mode, ctx) {
+    if (!ctx.password) throw new CliError('Set ZKDEX_PASSWORD to the keystore password');
+    if (fs.existsSync(ctx.keystore)) {
+        return KeystoreSession.unlock(readKeystoreFile(ctx.keystore), ctx.password, { idleTimeoutMs: 0 });
+    }
+    if (mode !== 'create') throw new CliError(`Keystore not found: ${ctx.keystore} (run keygen or import)`);
+    return KeystoreSession.create(ctx.password, { ...ctx.keystoreOptions, idleTimeoutMs: 0 });
+}
+
+/**
+ * Run one command.
+ * @param {string} command - Command words, e.g. 'notes scan'
+ * @param {Object} options - Parsed --options
+ * @param {Object} ctx - See the module comment
+ * @returns {Promise<Object>} JSON-serializable result
+ * @throws {CliError} On unknown commands, bad options or invalid state
+ */
+async function runCommand(command, options, ctx) {
+    const spec = COMMANDS[command];
+    if (!spec) throw new CliError(command ? `Unknown command: ${command}` : 'No command given');
+    for (const key of Object.keys(options)) {
+        if (!spec.options.includes(key) && !GLOBAL_OPTIONS.includes(key)) {
+            throw new CliError(`Unknown option for ${command}: --${kebab(key)}`);
+        }
+    }
+    for (const key of spec.required || []) {
+        if (typeof options[key] !== 'string') throw new CliError(`${command} requires --${kebab(key)}`);
+    }
+
+    const session = spec.keystore ? await openKeystore(spec.keystore, ctx) : null;
+    try {
+        const signer = spec.signer ? await ctx.getSigner() : null;
+        const result = await spec.run({ options, session, ctx, signer });
+        if (spec.keystore && spec.keystore !== 'read') writeKeystoreFile(ctx.keystore, session.export());
+        return result;
+    } finally {
+        if (session) session.lock();
+    }
+}
+
+module.exports = {
+    runCommand,
+    parseArgs,
+    usage,
+    CliError,
+    COMMANDS
+};
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * zkdex command-line client
+ *
+ * Usage:
+ *   ZKDEX_PASSWORD=... node scripts/cli/index.js <command> [options]
+ *   npm run zkdex -- <command> [options]
+ *
+ * Global options:
+ *   --keystore <file>   Keystore file (default $ZKDEX_KEYSTORE or ./zkdex-keystore.json)
+ *   --rpc <url>         JSON-RPC endpoint (default $RPC_URL or http://127.0.0.1:8545)
+ *   --addresses <file>  Deployed addresses (default frontend/src/config/deployedAddresses.json)
+ *   --account <index>   Unlocked node account that sends transactions, when ZKDEX_PRIVATE_KEY is not set
+ *
+ * Every command prints one JSON object on stdout. Errors print {"error": ...} on
+ * stderr and exit with status 1; `proof verify` also exits 1 for an invalid proof.
+ * Set PROVER_MODE=mock against a deployment with mock verifiers.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { runCommand, parseArgs, usage, CliError } = require('./commands');
+
+const ADDRESSES_FILE = path.join(__dirname, '..', '..', 'frontend', 'src', 'config', 'deployedAddresses.json');
+
+function printJson(stream, value) {
+    stream.write(JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v), 2) + '\n');
+}
+
+function loadAddresses(file) {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+async function main() {
+    const { command, options } = parseArgs(process.argv.slice(2));
+    if (!command || options.help) {
+        console.log(usage());
+        return;
+    }
+
+    const provider = new ethers.JsonRpcProvider(
+        typeof options.rpc === 'string' ? options.rpc : process.env.RPC_URL || 'http://127.0.0.1:8545'
+    );
+    const ctx = {
+        keystore: typeof options.keystore === 'string'
+            ? options.keystore
+            : process.env.ZKDEX_KEYSTORE || 'zkdex-keystore.json',
+        password: process.env.ZKDEX_PASSWORD,
+        addresses: loadAddresses(typeof options.addresses === 'string' ? options.addresses : ADDRESSES_FILE),
+        provider,
+        getSigner: async () => {
+            if (process.env.ZKDEX_PRIVATE_KEY) return new ethers.Wallet(process.env.ZKDEX_PRIVATE_KEY, provider);
+            return provider.getSigner(options.account === undefined ? 0 : Number(options.account));
+        }
+    };
+
+    try {
+        const result = await runCommand(command, options, ctx);
+        printJson(process.stdout, result);
+        if (result.valid === false) process.exitCode = 1;
+    } finally {
+        provider.destroy();
+    }
+}
+
+main().catch((err) => {
+    const message = err instanceof CliError ? err.message : err.reason || err.shortMessage || err.message;
+    printJson(process.stderr, { error: message });
+    process.exit(1);
+});
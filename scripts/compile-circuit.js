@@ -2,110 +2,235 @@
  * Circuit Compilation Script
  *
  * Usage:
- *   node scripts/compile-circuit.js <circuit-name>
+ *   node scripts/compile-circuit.js <circuit-name> [<circuit-name> ...]
  *   node scripts/compile-circuit.js private_nft_transfer
+ *   node scripts/compile-circuit.js --all [--force] [--jobs <n>]
+ *   Any form also takes --ptau <file> (default circuits/ptau/powersOfTau28_hez_final_22.ptau)
  *
  * Steps:
  *   1. Compile .circom → .r1cs + .wasm
  *   2. Generate zkey (Groth16 setup)
  *   3. Export verification key
  *   4. Export Solidity verifier
+ *   5. Copy wasm/zkey/vkey to frontend/public/circuits
+ *
+ * --all builds every circuits/main/*.circom, skipping circuits whose sources
+ * (and everything they include) are unchanged since their last build, and runs up
+ * to --jobs builds at once (default: one per CPU). Named circuits and --force
+ * always rebuild. Every build is recorded in circuits/build/manifest.json,
+ * including the name and size of the ptau file it was set up with.
  */
 
-const { execSync } = require("child_process");
+const { spawn, execSync } = require("child_process");
+const os = require("os");
 const path = require("path");
 const fs = require("fs");
-
-const circuitName = process.argv[2];
-if (!circuitName) {
-  console.error("Usage: node scripts/compile-circuit.js <circuit-name>");
+const { writeCircuitManifest } = require("./lib/circuitManifest");
+const {
+  verifierName,
+  discoverCircuits,
+  fingerprintCircuit,
+  artifactRecord,
+  isUpToDate,
+  r1csStats,
+  loadBuildManifest,
+  saveBuildManifest,
+  runPool,
+} = require("./lib/circuitBuild");
+
+const ROOT = path.join(__dirname, "..");
+const CIRCUITS_DIR = path.join(ROOT, "circuits");
+const MAIN_DIR = path.join(CIRCUITS_DIR, "main");
+const BUILD_ROOT = path.join(CIRCUITS_DIR, "build");
+const DEFAULT_PTAU_FILE = path.join(CIRCUITS_DIR, "ptau", "powersOfTau28_hez_final_22.ptau");
+const VERIFIERS_DIR = path.join(ROOT, "contracts", "verifiers");
+const FRONTEND_CIRCUITS_DIR = path.join(ROOT, "frontend", "public", "circuits");
+const CIRCOM_FLAGS = "--r1cs --wasm --sym";
+
+function usage() {
+  console.error("Usage: node scripts/compile-circuit.js <circuit-name> [<circuit-name> ...]");
+  console.error("       node scripts/compile-circuit.js --all [--force] [--jobs <n>]");
+  console.error("       (either form) --ptau <file>");
   console.error("Example: node scripts/compile-circuit.js private_nft_transfer");
   process.exit(1);
 }
 
-const CIRCUITS_DIR = path.join(__dirname, "..", "circuits");
-const MAIN_DIR = path.join(CIRCUITS_DIR, "main");
-const BUILD_DIR = path.join(CIRCUITS_DIR, "build", circuitName);
-const PTAU_FILE = path.join(CIRCUITS_DIR, "ptau", "powersOfTau28_hez_final_22.ptau");
-const VERIFIERS_DIR = path.join(__dirname, "..", "contracts", "verifiers");
-const FRONTEND_CIRCUITS_DIR = path.join(__dirname, "..", "frontend", "public", "circuits");
-
-const circuitFile = path.join(MAIN_DIR, `${circuitName}.circom`);
-if (!fs.existsSync(circuitFile)) {
-  console.error(`Circuit file not found: ${circuitFile}`);
-  process.exit(1);
+function parseArgs(argv) {
+  const options = { all: false, force: false, jobs: os.cpus().length, ptau: DEFAULT_PTAU_FILE, circuits: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--all") options.all = true;
+    else if (arg === "--force") options.force = true;
+    else if (arg === "--jobs") options.jobs = Number(argv[++i]);
+    else if (arg === "--ptau") options.ptau = argv[++i] && path.resolve(argv[i]);
+    else if (arg.startsWith("--")) usage();
+    else options.circuits.push(arg);
+  }
+  if (options.all ? options.circuits.length > 0 : options.circuits.length === 0) usage();
+  if (!Number.isInteger(options.jobs) || options.jobs < 1) usage();
+  if (!options.ptau) usage();
+  return options;
 }
 
-// Create build directory
-fs.mkdirSync(BUILD_DIR, { recursive: true });
-fs.mkdirSync(FRONTEND_CIRCUITS_DIR, { recursive: true });
+// Runs a command, prefixing its output with the circuit name so parallel builds stay readable
+function run(cmd, label, circuitName) {
+  console.log(`\n[${circuitName}] [${label}] ${cmd}\n`);
+  return new Promise((resolve, reject) => {
+    const child = spawn(cmd, { shell: true, stdio: ["ignore", "pipe", "pipe"] });
+    const forward = (stream, out) => {
+      let pending = "";
+      stream.on("data", (chunk) => {
+        const lines = (pending + chunk).split("\n");
+        pending = lines.pop();
+        for (const line of lines) out.write(`[${circuitName}] ${line}\n`);
+      });
+      stream.on("end", () => {
+        if (pending) out.write(`[${circuitName}] ${pending}\n`);
+      });
+    };
+    forward(child.stdout, process.stdout);
+    forward(child.stderr, process.stderr);
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`${label} failed (exit code ${code})`));
+    });
+  });
+}
 
-function run(cmd, label) {
-  console.log(`\n[${label}] ${cmd}\n`);
-  execSync(cmd, { stdio: "inherit" });
+function circomVersion() {
+  try {
+    return execSync("circom --version").toString().trim().replace(/^circom compiler /, "");
+  } catch {
+    return null;
+  }
 }
 
-try {
+async function buildCircuit(circuitName, ptauFile) {
+  const circuitFile = path.join(MAIN_DIR, `${circuitName}.circom`);
+  const buildDir = path.join(BUILD_ROOT, circuitName);
+
+  // Create build directory
+  fs.mkdirSync(buildDir, { recursive: true });
+  fs.mkdirSync(path.join(FRONTEND_CIRCUITS_DIR, circuitName), { recursive: true });
+
   // 1. Compile circom
-  run(
-    `circom ${circuitFile} --r1cs --wasm --sym -o ${BUILD_DIR}`,
-    "Compile"
-  );
+  await run(`circom ${circuitFile} ${CIRCOM_FLAGS} -o ${buildDir}`, "Compile", circuitName);
 
-  const r1csFile = path.join(BUILD_DIR, `${circuitName}.r1cs`);
-  const wasmFile = path.join(BUILD_DIR, `${circuitName}_js`, `${circuitName}.wasm`);
+  const r1csFile = path.join(buildDir, `${circuitName}.r1cs`);
+  const wasmFile = path.join(buildDir, `${circuitName}_js`, `${circuitName}.wasm`);
 
   // 2. Groth16 setup
-  const zkeyFile = path.join(BUILD_DIR, `${circuitName}.zkey`);
-  const zkey0File = path.join(BUILD_DIR, `${circuitName}_0.zkey`);
+  const zkeyFile = path.join(buildDir, `${circuitName}.zkey`);
+  const zkey0File = path.join(buildDir, `${circuitName}_0.zkey`);
 
-  run(
-    `npx snarkjs groth16 setup ${r1csFile} ${PTAU_FILE} ${zkey0File}`,
-    "Groth16 Setup"
-  );
+  await run(`npx snarkjs groth16 setup ${r1csFile} ${ptauFile} ${zkey0File}`, "Groth16 Setup", circuitName);
 
   // Contribute to phase 2
-  run(
+  await run(
     `npx snarkjs zkey contribute ${zkey0File} ${zkeyFile} --name="Dev Contribution" -v -e="random entropy for dev"`,
-    "Phase 2 Contribution"
+    "Phase 2 Contribution",
+    circuitName
   );
 
   // Clean up intermediate file
   fs.unlinkSync(zkey0File);
 
   // 3. Export verification key
-  const vkeyFile = path.join(BUILD_DIR, `${circuitName}_vkey.json`);
-  run(
-    `npx snarkjs zkey export verificationkey ${zkeyFile} ${vkeyFile}`,
-    "Export Verification Key"
-  );
+  const vkeyFile = path.join(buildDir, `${circuitName}_vkey.json`);
+  await run(`npx snarkjs zkey export verificationkey ${zkeyFile} ${vkeyFile}`, "Export Verification Key", circuitName);
 
   // 4. Export Solidity verifier
-  const verifierName = circuitName
-    .split("_")
-    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
-    .join("");
-
-  const solidityFile = path.join(VERIFIERS_DIR, `${verifierName}Verifier.sol`);
-  run(
-    `npx snarkjs zkey export solidityverifier ${zkeyFile} ${solidityFile}`,
-    "Export Solidity Verifier"
-  );
+  const solidityFile = path.join(VERIFIERS_DIR, `${verifierName(circuitName)}Verifier.sol`);
+  await run(`npx snarkjs zkey export solidityverifier ${zkeyFile} ${solidityFile}`, "Export Solidity Verifier", circuitName);
 
   // 5. Copy wasm and zkey to frontend/public for browser proof generation
-  fs.copyFileSync(wasmFile, path.join(FRONTEND_CIRCUITS_DIR, `${circuitName}.wasm`));
-  fs.copyFileSync(zkeyFile, path.join(FRONTEND_CIRCUITS_DIR, `${circuitName}.zkey`));
+  //    (manifest.json is rehashed once all builds are done)
+  fs.copyFileSync(wasmFile, path.join(FRONTEND_CIRCUITS_DIR, circuitName, `${circuitName}.wasm`));
+  fs.copyFileSync(zkeyFile, path.join(FRONTEND_CIRCUITS_DIR, circuitName, `${circuitName}.zkey`));
   fs.copyFileSync(vkeyFile, path.join(FRONTEND_CIRCUITS_DIR, `${circuitName}_vkey.json`));
 
-  console.log(`\n✅ Circuit '${circuitName}' compiled successfully!`);
-  console.log(`   R1CS:      ${r1csFile}`);
-  console.log(`   WASM:      ${wasmFile}`);
-  console.log(`   ZKey:      ${zkeyFile}`);
-  console.log(`   VKey:      ${vkeyFile}`);
-  console.log(`   Verifier:  ${solidityFile}`);
-  console.log(`   Frontend:  ${FRONTEND_CIRCUITS_DIR}/`);
-} catch (err) {
-  console.error(`\n❌ Failed to compile circuit '${circuitName}'`);
-  console.error(err.message);
-  process.exit(1);
+  return { r1cs: r1csFile, wasm: wasmFile, zkey: zkeyFile, vkey: vkeyFile, verifier: solidityFile };
 }
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const names = options.all ? discoverCircuits(MAIN_DIR) : options.circuits;
+  for (const name of names) {
+    const circuitFile = path.join(MAIN_DIR, `${name}.circom`);
+    if (!fs.existsSync(circuitFile)) {
+      console.error(`Circuit file not found: ${circuitFile}`);
+      process.exit(1);
+    }
+  }
+
+  // Anything that changes the r1cs or the Groth16 setup invalidates a build
+  const inputs = { circomFlags: CIRCOM_FLAGS, ptau: path.basename(options.ptau) };
+  const fingerprints = {};
+  for (const name of names) {
+    fingerprints[name] = fingerprintCircuit(path.join(MAIN_DIR, `${name}.circom`), { root: ROOT, inputs });
+  }
+
+  const manifest = loadBuildManifest(BUILD_ROOT);
+  const stale = names.filter((name) =>
+    !options.all || options.force || !isUpToDate(manifest.circuits[name], fingerprints[name].sourceHash, ROOT)
+  );
+  for (const name of names.filter((n) => !stale.includes(n))) {
+    console.log(`⏭  Circuit '${name}' is up to date`);
+  }
+  if (stale.length === 0) return;
+  for (const name of stale.filter((n) => manifest.circuits[n] && manifest.circuits[n].ceremony)) {
+    console.warn(`⚠️  Rebuilding '${name}' replaces the zkey from its trusted setup ceremony (${manifest.circuits[name].ceremony})`);
+  }
+
+  if (!fs.existsSync(options.ptau)) {
+    console.error(`Powers of Tau file not found: ${options.ptau}`);
+    process.exit(1);
+  }
+
+  const outcomes = await runPool(stale, options.jobs, (name) => buildCircuit(name, options.ptau));
+
+  const compiler = circomVersion();
+  const ptau = { file: path.basename(options.ptau), size: fs.statSync(options.ptau).size };
+  for (const { item: name, result: files, error } of outcomes) {
+    if (error) {
+      // Whatever is left on disk is not a build we can vouch for
+      delete manifest.circuits[name];
+      continue;
+    }
+    const artifacts = {};
+    for (const [kind, file] of Object.entries(files)) artifacts[kind] = artifactRecord(file, ROOT);
+    manifest.circuits[name] = {
+      ...fingerprints[name],
+      circom: compiler,
+      ptau,
+      ...r1csStats(files.r1cs),
+      artifacts,
+      builtAt: new Date().toISOString(),
+    };
+  }
+  saveBuildManifest(BUILD_ROOT, manifest);
+  // Rehash so browsers evict their cached copies of the old builds
+  writeCircuitManifest(FRONTEND_CIRCUITS_DIR);
+
+  for (const { item: name, result: files, error } of outcomes) {
+    if (error) {
+      console.error(`\n❌ Failed to compile circuit '${name}'`);
+      console.error(error.message);
+      continue;
+    }
+    console.log(`\n✅ Circuit '${name}' compiled successfully! (${manifest.circuits[name].constraints} constraints)`);
+    console.log(`   R1CS:      ${files.r1cs}`);
+    console.log(`   WASM:      ${files.wasm}`);
+    console.log(`   ZKey:      ${files.zkey}`);
+    console.log(`   VKey:      ${files.vkey}`);
+    console.log(`   Verifier:  ${files.verifier}`);
+    console.log(`   Frontend:  ${path.join(FRONTEND_CIRCUITS_DIR, name)}/`);
+  }
+  if (outcomes.some((outcome) => outcome.error)) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(`\n❌ ${err.message}`);
+  process.exit(1);
+});
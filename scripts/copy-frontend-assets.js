@@ -1,5 +1,6 @@
 const fs = require("fs");
 const path = require("path");
+const { writeCircuitManifest, MANIFEST_FILE } = require("./lib/circuitManifest");
 
 const ROOT = path.join(__dirname, "..");
 const FRONTEND = path.join(ROOT, "frontend");
@@ -11,16 +12,31 @@ const circuits = [
     wasmPath: "circuits/build/private_nft_transfer/private_nft_transfer_js/private_nft_transfer.wasm",
     zkeyPath: "circuits/build/private_nft_transfer/private_nft_transfer.zkey",
   },
+  {
+    name: "private_nft_transfer_relayed",
+    wasmPath: "circuits/build/private_nft_transfer_relayed/private_nft_transfer_relayed_js/private_nft_transfer_relayed.wasm",
+    zkeyPath: "circuits/build/private_nft_transfer_relayed/private_nft_transfer_relayed.zkey",
+  },
   {
     name: "loot_box_open",
     wasmPath: "circuits/build/loot_box_open/loot_box_open_js/loot_box_open.wasm",
     zkeyPath: "circuits/build/loot_box_open/loot_box_open.zkey",
   },
+  {
+    name: "loot_box_open_relayed",
+    wasmPath: "circuits/build/loot_box_open_relayed/loot_box_open_relayed_js/loot_box_open_relayed.wasm",
+    zkeyPath: "circuits/build/loot_box_open_relayed/loot_box_open_relayed.zkey",
+  },
   {
     name: "gaming_item_trade",
     wasmPath: "circuits/build/gaming_item_trade/gaming_item_trade_js/gaming_item_trade.wasm",
     zkeyPath: "circuits/build/gaming_item_trade/gaming_item_trade.zkey",
   },
+  {
+    name: "gaming_item_trade_relayed",
+    wasmPath: "circuits/build/gaming_item_trade_relayed/gaming_item_trade_relayed_js/gaming_item_trade_relayed.wasm",
+    zkeyPath: "circuits/build/gaming_item_trade_relayed/gaming_item_trade_relayed.zkey",
+  },
   {
     name: "card_draw",
     wasmPath: "circuits/build/card_draw/card_draw_js/card_draw.wasm",
@@ -69,6 +85,10 @@ for (const circuit of circuits) {
   console.log(`  ${circuit.name}: wasm + zkey copied`);
 }
 
+// Content hashes for the browser artifact cache
+const manifest = writeCircuitManifest(circuitsDir);
+console.log(`  ${MANIFEST_FILE}: ${Object.keys(manifest.circuits).length} circuits`);
+
 // Extract ABIs
 console.log("\nExtracting ABIs...");
 const abiDir = path.join(FRONTEND, "src", "abi");
@@ -2,95 +2,163 @@ const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 
+const { DeploymentManifest, hashVkey } = require("./lib/deployManifest");
+
+const CIRCUITS_DIR = path.join(__dirname, "..", "circuits", "build");
+
+/**
+ * Deploy (or resume deploying) everything to the current network.
+ * Progress is recorded in frontend/src/config/deployments/<chainId>.json after
+ * every step, so a rerun skips what already succeeded (see scripts/lib/deployManifest.js).
+ */
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with:", deployer.address);
 
+  // PROVER_MODE=mock: mock verifiers accept any proof, for use with the mock prover
+  const useMockVerifiers = process.env.PROVER_MODE === "mock";
+  const manifest = await DeploymentManifest.load(hre.ethers.provider, {
+    network: hre.network.name,
+    deployer: deployer.address,
+    proverMode: useMockVerifiers ? "mock" : "groth16",
+  });
+  console.log(`Network: ${hre.network.name} (chain ${manifest.chainId}), manifest ${manifest.file}`);
+  if (useMockVerifiers) {
+    console.log("\nPROVER_MODE=mock: deploying mock verifiers (any proof is accepted)");
+  }
+
+  // Deploy a contract, or reuse the manifest's live deployment of it
+  const deploy = async (key, contract, spec = {}) => {
+    const factory = await hre.ethers.getContractFactory(contract);
+    const { address, reused } = await manifest.deploy(key, factory, { contract, ...spec });
+    console.log(`  ${key}: ${address}${reused ? " (already deployed)" : ""}`);
+    return address;
+  };
+
   // ─── Deploy MockERC20 (TON) ───
   console.log("\nDeploying MockERC20 (TON)...");
-  const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
-  const ton = await MockERC20.deploy();
-  await ton.waitForDeployment();
-  const tonAddr = await ton.getAddress();
-  console.log(`  MockERC20 (TON): ${tonAddr}`);
+  const tonAddr = await deploy("mockERC20", "MockERC20");
+  const ton = await hre.ethers.getContractAt("MockERC20", tonAddr);
 
-  // Mint tokens to deployer
+  // Mint 10,000 TON to the deployer and the test accounts
   const mintAmount = hre.ethers.parseEther("10000");
-  await ton.mint(deployer.address, mintAmount);
-  console.log(`  Minted 10,000 TON to deployer: ${deployer.address}`);
-
-  // Mint tokens to test accounts
-  const testAccounts = [
+  const mintTo = [
+    deployer.address,
     "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
     "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
   ];
-  for (const account of testAccounts) {
-    await ton.mint(account, mintAmount);
-    console.log(`  Minted 10,000 TON to ${account}`);
+  for (const account of mintTo) {
+    const sent = await manifest.step(`mockERC20.mint:${account}`, [account, mintAmount], () => ton.mint(account, mintAmount));
+    if (sent) console.log(`  Minted 10,000 TON to ${account}`);
   }
 
   // ─── Deploy feature contracts ───
   const BOX_PRICE = hre.ethers.parseEther("10"); // 10 TON per box
+  const RELAY_FEE_POOL = hre.ethers.parseEther("1"); // sponsored relay fees per contract
+  // Only approved relayers are paid from the pool; default is hardhat account #1
+  const RELAYER_ADDRESS = process.env.RELAYER_ADDRESS || "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
 
   const deployments = [
     {
       verifier: "contracts/verifiers/PrivateNftTransferVerifier.sol:Groth16Verifier",
+      mockVerifier: "MockNFTTransferVerifier",
+      circuit: "private_nft_transfer",
       main: "PrivateNFT",
       key: "privateNFT",
+      relayVerifier: "contracts/verifiers/PrivateNftTransferRelayedVerifier.sol:Groth16Verifier",
     },
     {
       verifier: "contracts/verifiers/LootBoxOpenVerifier.sol:Groth16Verifier",
+      mockVerifier: "MockLootBoxVerifier",
+      circuit: "loot_box_open",
       main: "LootBoxOpen",
       key: "lootBoxOpen",
       args: (verifierAddr) => [verifierAddr, tonAddr, BOX_PRICE],
+      relayVerifier: "contracts/verifiers/LootBoxOpenRelayedVerifier.sol:Groth16Verifier",
     },
     {
       verifier: "contracts/verifiers/GamingItemTradeVerifier.sol:Groth16Verifier",
+      mockVerifier: "MockGamingItemTradeVerifier",
+      circuit: "gaming_item_trade",
       main: "GamingItemTrade",
       key: "gamingItemTrade",
+      relayVerifier: "contracts/verifiers/GamingItemTradeRelayedVerifier.sol:Groth16Verifier",
     },
     {
       verifier: "contracts/verifiers/CardDrawVerifier.sol:Groth16Verifier",
+      mockVerifier: "MockCardDrawVerifier",
+      circuit: "card_draw",
       main: "CardDraw",
       key: "cardDraw",
     },
   ];
 
-  const addresses = { mockERC20: tonAddr };
-
-  for (const { verifier, main, key, args } of deployments) {
+  for (const { verifier, mockVerifier, circuit, main, key, args, relayVerifier } of deployments) {
     console.log(`\nDeploying ${key}...`);
 
-    // Deploy verifier
-    const VerifierFactory = await hre.ethers.getContractFactory(verifier);
-    const verifierContract = await VerifierFactory.deploy();
-    await verifierContract.waitForDeployment();
-    const verifierAddr = await verifierContract.getAddress();
-    console.log(`  Verifier: ${verifierAddr}`);
-
-    // Deploy main contract
-    const MainFactory = await hre.ethers.getContractFactory(main);
-    const constructorArgs = args ? args(verifierAddr) : [verifierAddr];
-    const mainContract = await MainFactory.deploy(...constructorArgs);
-    await mainContract.waitForDeployment();
-    const mainAddr = await mainContract.getAddress();
-    console.log(`  ${main}: ${mainAddr}`);
-
-    addresses[key] = mainAddr;
-  }
+    // Verifiers record the vkey of the zkey they were exported from (none for mocks)
+    const verifierAddr = await deploy(`${key}Verifier`, useMockVerifiers ? mockVerifier : verifier, {
+      circuit,
+      vkeyHash: useMockVerifiers ? null : hashVkey(vkeyPath(circuit)),
+    });
+    const relayVerifierAddr = relayVerifier
+      ? await deployRelayVerifier(deploy, `${key}RelayVerifier`, useMockVerifiers ? "MockRelayedVerifier" : relayVerifier, {
+        circuit: `${circuit}_relayed`,
+        vkeyHash: useMockVerifiers ? null : hashVkey(vkeyPath(`${circuit}_relayed`)),
+      })
+      : null;
 
-  // Write addresses to frontend config
-  const configDir = path.join(__dirname, "..", "frontend", "src", "config");
-  if (!fs.existsSync(configDir)) {
-    fs.mkdirSync(configDir, { recursive: true });
+    // setRelayVerifier is one-shot, so a new relay verifier means a new main contract
+    const mainAddr = await deploy(key, main, {
+      args: args ? args(verifierAddr) : [verifierAddr],
+      ...(relayVerifierAddr && { links: { relayVerifier: relayVerifierAddr } }),
+    });
+
+    if (relayVerifierAddr) {
+      await enableRelaying(manifest, key, mainAddr, relayVerifierAddr, RELAY_FEE_POOL, RELAYER_ADDRESS);
+    }
   }
 
-  const outputPath = path.join(configDir, "deployedAddresses.json");
+  // Flat address list for the relayer, indexer and zkdex CLI
+  const addresses = manifest.addresses(["mockERC20", ...deployments.map(({ key }) => key)]);
+  const outputPath = path.join(__dirname, "..", "frontend", "src", "config", "deployedAddresses.json");
   fs.writeFileSync(outputPath, JSON.stringify(addresses, null, 2));
-  console.log(`\nAddresses written to ${outputPath}`);
+  console.log(`\nManifest written to ${manifest.file}`);
+  console.log(`Addresses written to ${outputPath}`);
   console.log(JSON.stringify(addresses, null, 2));
 }
 
+function vkeyPath(circuit) {
+  return path.join(CIRCUITS_DIR, circuit, `${circuit}_vkey.json`);
+}
+
+/**
+ * Deploy the relayed circuit's verifier if it is compiled. Without it, relayed
+ * calls revert with "Relaying not enabled" and users submit from their own account.
+ * @returns {Promise<string|null>} Verifier address, or null if not compiled
+ */
+async function deployRelayVerifier(deploy, key, relayVerifier, spec) {
+  try {
+    await hre.ethers.getContractFactory(relayVerifier);
+  } catch {
+    console.log(`  Relayed verifier not compiled (${relayVerifier.split(":")[0]}), relaying disabled`);
+    return null;
+  }
+  return deploy(key, relayVerifier, spec);
+}
+
+/**
+ * Enable relaying, approve the relayer and sponsor the relay fee pool (each once per deployment of the contract).
+ */
+async function enableRelaying(manifest, key, mainAddr, relayVerifierAddr, feePool, relayer) {
+  const mainContract = await hre.ethers.getContractAt("RelayFees", mainAddr);
+  await manifest.step(`${key}.setRelayVerifier`, [relayVerifierAddr], () => mainContract.setRelayVerifier(relayVerifierAddr));
+  const approved = await manifest.step(`${key}.setRelayerApproved:${relayer}`, [relayer, true], () => mainContract.setRelayerApproved(relayer, true));
+  if (approved) console.log(`  Approved relayer: ${relayer}`);
+  const funded = await manifest.step(`${key}.depositRelayFees`, [feePool], () => mainContract.depositRelayFees({ value: feePool }));
+  if (funded) console.log(`  Relay fee pool: ${hre.ethers.formatEther(feePool)} ETH`);
+}
+
 main()
   .then(() => process.exit(0))
   .catch((error) => {
@@ -0,0 +1,216 @@
+/**
+ * Indexer.js
+ * Follows a JSON-RPC node and writes note, nullifier and game events to IndexerDb.
+ *
+ * Each sync() step:
+ *   1. Checks the stored hashes of recent blocks against the chain. On a
+ *      mismatch it finds the newest block both agree on and rolls back to it.
+ *   2. Fetches logs of every contract for the next block range, decodes them
+ *      and stores them together with the range's end block hash in one transaction.
+ *
+ * Block hashes are kept for the last `reorgDepth` blocks; a reorg deeper than
+ * that rolls back the whole window and re-indexes it.
+ */
+
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const { NOTE_EVENTS_ABI, NOTE_CONTRACTS } = require('../lib/NoteScanner');
+
+/** Indexed events per contract, on top of NoteCreated / NoteSpent */
+const INDEXED_EVENTS_ABI = {
+    PrivateNFT: [
+        'event NFTRegistered(address indexed collection, uint256 indexed nftId, bytes32 noteHash)'
+    ],
+    LootBoxOpen: [
+        'event BoxMinted(address indexed buyer, uint256 indexed boxId, uint256 boxType)',
+        'event BoxOpened(bytes32 indexed boxCommitment, bytes32 indexed outcomeCommitment, bytes32 nullifier, uint256 vrfOutput)'
+    ],
+    GamingItemTrade: [
+        'event ItemTraded(bytes32 indexed oldItemHash, bytes32 indexed newItemHash, bytes32 nullifier)'
+    ],
+    CardDraw: [
+        'event DeckRegistered(uint256 indexed gameId, bytes32 deckCommitment)',
+        'event CardDrawn(bytes32 indexed deckCommitment, bytes32 indexed drawCommitment, uint256 drawIndex, uint256 gameId, bytes32 playerCommitment)'
+    ]
+};
+
+const DEFAULTS = {
+    startBlock: 0,
+    batchSize: 2000,
+    confirmations: 0,
+    reorgDepth: 64,
+    pollIntervalMs: 2000
+};
+
+/**
+ * Emits:
+ *   'sync'   ({fromBlock, toBlock, events}) - a block range was indexed
+ *   'reorg'  ({from, ancestor})             - blocks above ancestor were rolled back
+ *   'error'  (err)                          - a polling step failed (start() keeps polling)
+ */
+class Indexer extends EventEmitter {
+    /**
+     * @param {ethers.Provider} provider - JSON-RPC provider
+     * @param {IndexerDb} db - Storage
+     * @param {Object<string, string>} addresses - Contract addresses keyed by contract name
+     *   or deployedAddresses.json key (see NoteScanner)
+     * @param {object} [options]
+     * @param {number} [options.startBlock=0] - First block to index
+     * @param {number} [options.batchSize=2000] - Blocks per getLogs range
+     * @param {number} [options.confirmations=0] - Stay this many blocks behind head
+     * @param {number} [options.reorgDepth=64] - Blocks whose hashes are kept for reorg detection
+     * @param {number} [options.pollIntervalMs=2000] - Delay between polls in start()
+     */
+    constructor(provider, db, addresses, options = {}) {
+        super();
+        this.provider = provider;
+        this.db = db;
+        this.options = { ...DEFAULTS, ...options };
+
+        this.contracts = [];
+        for (const [name, configKey] of Object.entries(NOTE_CONTRACTS)) {
+            const address = addresses[name] || addresses[configKey];
+            if (address) {
+                this.contracts.push({
+                    name,
+                    address: ethers.getAddress(address),
+                    iface: new ethers.Interface([...NOTE_EVENTS_ABI, ...INDEXED_EVENTS_ABI[name]])
+                });
+            }
+        }
+        if (this.contracts.length === 0) throw new Error('Indexer: no contract addresses given');
+
+        this._timer = null;
+        this._running = false;
+    }
+
+    /**
+     * Index up to the current head (minus confirmations).
+     * @returns {Promise<{lastBlock: number, indexed: number, reorged: boolean}>}
+     */
+    async sync() {
+        const chainId = (await this.provider.getNetwork()).chainId.toString();
+        const storedChain = this.db.getMeta('chainId');
+        if (storedChain === null) {
+            this.db.setMeta('chainId', chainId);
+        } else if (storedChain !== chainId) {
+            throw new Error(`Indexer: database is for chain ${storedChain}, provider is on ${chainId}`);
+        }
+
+        const reorged = await this._checkReorg();
+        const head = (await this.provider.getBlockNumber()) - this.options.confirmations;
+        let indexed = 0;
+
+        let from = Math.max(this.db.getLastBlock() + 1, this.options.startBlock);
+        while (from <= head) {
+            const to = Math.min(from + this.options.batchSize - 1, head);
+            indexed += await this._indexRange(from, to);
+            from = to + 1;
+        }
+        return { lastBlock: this.db.getLastBlock(), indexed, reorged };
+    }
+
+    /**
+     * Poll sync() until stop().
+     */
+    start() {
+        if (this._running) return;
+        this._running = true;
+
+        const loop = async () => {
+            try {
+                await this.sync();
+            } catch (err) {
+                this.emit('error', err);
+            }
+            if (this._running) this._timer = setTimeout(loop, this.options.pollIntervalMs);
+        };
+        loop();
+    }
+
+    stop() {
+        this._running = false;
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Compare stored block hashes with the chain and roll back past any divergence.
+     * @private
+     * @returns {Promise<boolean>} True if a rollback happened
+     */
+    async _checkReorg() {
+        const stored = this.db.recentBlocks(this.options.reorgDepth);
+        if (stored.length === 0) return false;
+
+        for (const { number, hash } of stored) {
+            const block = await this.provider.getBlock(number);
+            if (block && block.hash === hash) {
+                if (number === stored[0].number) return false;
+                this.db.rollback(number);
+                this.emit('reorg', { from: stored[0].number, ancestor: number });
+                return true;
+            }
+        }
+
+        // Nothing in the window matches: re-index the whole window
+        const ancestor = stored[stored.length - 1].number - 1;
+        this.db.rollback(ancestor);
+        this.emit('reorg', { from: stored[0].number, ancestor });
+        return true;
+    }
+
+    /**
+     * Fetch, decode and store the logs of one block range.
+     * @private
+     * @returns {Promise<number>} Number of stored events
+     */
+    async _indexRange(fromBlock, toBlock) {
+        const entries = [];
+        for (const { name, address, iface } of this.contracts) {
+            const logs = await this.provider.getLogs({ address, fromBlock, toBlock });
+            for (const log of logs) {
+                let parsed;
+                try {
+                    parsed = iface.parseLog(log);
+                } catch (e) {
+                    parsed = null;
+                }
+                if (!parsed) continue; // not an indexed event (e.g. PriceUpdated)
+
+                const args = {};
+                parsed.fragment.inputs.forEach((input, i) => { args[input.name] = parsed.args[i]; });
+                entries.push({
+                    blockNumber: log.blockNumber,
+                    logIndex: log.index,
+                    blockHash: log.blockHash,
+                    txHash: log.transactionHash,
+                    contract: name,
+                    address,
+                    event: parsed.name,
+                    args
+                });
+            }
+        }
+        entries.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+        const end = await this.provider.getBlock(toBlock);
+        this.db.transaction(() => {
+            for (const entry of entries) {
+                this.db.putEvent(entry);
+                this.db.putBlock(entry.blockNumber, entry.blockHash);
+            }
+            this.db.putBlock(toBlock, end.hash);
+            this.db.setLastBlock(toBlock);
+            this.db.pruneBlocks(toBlock - this.options.reorgDepth + 1);
+        });
+
+        this.emit('sync', { fromBlock, toBlock, events: entries.length });
+        return entries.length;
+    }
+}
+
+module.exports = {
+    Indexer,
+    INDEXED_EVENTS_ABI
+};
@@ -0,0 +1,304 @@
+/**
+ * IndexerDb.js
+ * SQLite storage for the event indexer (better-sqlite3, synchronous)
+ *
+ * Tables:
+ *   meta    key/value (chainId, lastBlock)
+ *   blocks  hashes of recently indexed blocks, used to detect reorgs
+ *   events  every indexed log, args as JSON
+ *   notes   NoteCreated rows (note hash, contract, encrypted note)
+ *   spends  NoteSpent rows (note hash, nullifier)
+ *
+ * Every row carries its block number so a reorg can be undone with
+ * rollback(ancestor), which deletes everything above the common ancestor.
+ */
+
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    contract TEXT NOT NULL,
+    address TEXT NOT NULL,
+    event TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_by_name ON events (contract, event, block_number);
+CREATE TABLE IF NOT EXISTS notes (
+    note_hash TEXT PRIMARY KEY,
+    contract TEXT NOT NULL,
+    encrypted_note TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS notes_by_block ON notes (block_number, log_index);
+CREATE TABLE IF NOT EXISTS spends (
+    note_hash TEXT PRIMARY KEY,
+    nullifier TEXT NOT NULL UNIQUE,
+    contract TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+);
+`;
+
+/** Mirrors NFTNoteBase.NoteState */
+const NOTE_STATE = { Invalid: 0, Valid: 1, Spent: 2 };
+
+/**
+ * Convert ethers event args into JSON-safe values (bigint → decimal string).
+ * @param {*} value - Decoded value
+ * @returns {*} JSON-safe value
+ */
+function toJSONValue(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (Array.isArray(value)) return value.map(toJSONValue);
+    return value;
+}
+
+class IndexerDb {
+    /**
+     * @param {string} filename - SQLite file, or ':memory:'
+     */
+    constructor(filename) {
+        this.db = new Database(filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+
+        this._stmts = {
+            getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+            setMeta: this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+            putBlock: this.db.prepare('INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)'),
+            recentBlocks: this.db.prepare('SELECT number, hash FROM blocks ORDER BY number DESC LIMIT ?'),
+            pruneBlocks: this.db.prepare('DELETE FROM blocks WHERE number < ?'),
+            putEvent: this.db.prepare(`INSERT OR REPLACE INTO events
+                (block_number, log_index, block_hash, tx_hash, contract, address, event, args)
+                VALUES (@blockNumber, @logIndex, @blockHash, @txHash, @contract, @address, @event, @args)`),
+            putNote: this.db.prepare(`INSERT OR IGNORE INTO notes
+                (note_hash, contract, encrypted_note, block_number, log_index, tx_hash)
+                VALUES (?, ?, ?, ?, ?, ?)`),
+            putSpend: this.db.prepare(`INSERT OR IGNORE INTO spends
+                (note_hash, nullifier, contract, block_number, tx_hash) VALUES (?, ?, ?, ?, ?)`),
+            getNote: this.db.prepare(`SELECT n.*, s.nullifier, s.block_number AS spent_block, s.tx_hash AS spent_tx
+                FROM notes n LEFT JOIN spends s ON s.note_hash = n.note_hash WHERE n.note_hash = ?`),
+            isSpent: this.db.prepare('SELECT 1 FROM spends WHERE note_hash = ?'),
+            getNullifier: this.db.prepare('SELECT * FROM spends WHERE nullifier = ?')
+        };
+
+        this._rollback = this.db.transaction((ancestor) => {
+            for (const table of ['events', 'notes', 'spends']) {
+                this.db.prepare(`DELETE FROM ${table} WHERE block_number > ?`).run(ancestor);
+            }
+            this.db.prepare('DELETE FROM blocks WHERE number > ?').run(ancestor);
+            this.setLastBlock(ancestor);
+        });
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    getMeta(key) {
+        const row = this._stmts.getMeta.get(key);
+        return row ? row.value : null;
+    }
+
+    setMeta(key, value) {
+        this._stmts.setMeta.run(key, String(value));
+    }
+
+    /** @returns {number} Last fully indexed block, -1 before the first sync */
+    getLastBlock() {
+        const value = this.getMeta('lastBlock');
+        return value === null ? -1 : Number(value);
+    }
+
+    setLastBlock(number) {
+        this.setMeta('lastBlock', number);
+    }
+
+    putBlock(number, hash) {
+        this._stmts.putBlock.run(number, hash);
+    }
+
+    /**
+     * @param {number} limit - Maximum rows
+     * @returns {Array<{number: number, hash: string}>} Stored block hashes, newest first
+     */
+    recentBlocks(limit) {
+        return this._stmts.recentBlocks.all(limit);
+    }
+
+    /** Forget block hashes below `number` (they are past the reorg window) */
+    pruneBlocks(number) {
+        this._stmts.pruneBlocks.run(number);
+    }
+
+    /**
+     * Store a decoded log and update the note tables.
+     * @param {object} entry - { blockNumber, logIndex, blockHash, txHash, contract, address, event, args }
+     *   with args as a plain object of decoded values
+     */
+    putEvent(entry) {
+        const args = {};
+        for (const [key, value] of Object.entries(entry.args)) args[key] = toJSONValue(value);
+        this._stmts.putEvent.run({ ...entry, args: JSON.stringify(args) });
+
+        if (entry.event === 'NoteCreated') {
+            this._stmts.putNote.run(
+                args.noteHash, entry.contract, args.encryptedNote, entry.blockNumber, entry.logIndex, entry.txHash
+            );
+        } else if (entry.event === 'NoteSpent') {
+            this._stmts.putSpend.run(args.noteHash, args.nullifier, entry.contract, entry.blockNumber, entry.txHash);
+        }
+    }
+
+    /**
+     * Run fn inside one SQLite transaction.
+     * @param {Function} fn - Work to do atomically
+     */
+    transaction(fn) {
+        this.db.transaction(fn)();
+    }
+
+    /**
+     * Delete everything indexed above `ancestor` and resume from there.
+     * @param {number} ancestor - Last block shared with the canonical chain
+     */
+    rollback(ancestor) {
+        this._rollback(ancestor);
+    }
+
+    /**
+     * @param {string} noteHash - 0x-prefixed bytes32
+     * @returns {object|null} Note row with its spend, if any
+     */
+    getNote(noteHash) {
+        const row = this._stmts.getNote.get(noteHash.toLowerCase());
+        if (!row) return null;
+        return {
+            noteHash: row.note_hash,
+            contract: row.contract,
+            encryptedNote: row.encrypted_note,
+            blockNumber: row.block_number,
+            transactionHash: row.tx_hash,
+            state: row.nullifier ? NOTE_STATE.Spent : NOTE_STATE.Valid,
+            nullifier: row.nullifier || null,
+            spentBlock: row.spent_block === null ? null : row.spent_block,
+            spentTransactionHash: row.spent_tx || null
+        };
+    }
+
+    /**
+     * Batch note state lookup (same values as NFTNoteBase.getNoteState).
+     * @param {string[]} noteHashes - Note hashes
+     * @returns {Object<string, number>} noteHash => 0 (unknown), 1 (valid) or 2 (spent)
+     */
+    getNoteStates(noteHashes) {
+        const states = {};
+        for (const hash of noteHashes) {
+            const note = this._stmts.getNote.get(hash.toLowerCase());
+            states[hash] = !note ? NOTE_STATE.Invalid
+                : this._stmts.isSpent.get(note.note_hash) ? NOTE_STATE.Spent : NOTE_STATE.Valid;
+        }
+        return states;
+    }
+
+    /**
+     * Page through created notes in chain order (for client-side trial decryption).
+     * A block can hold more notes than one page, so the next page starts after the
+     * (blockNumber, logIndex) of the last note rather than at a block.
+     * @param {object} [options]
+     * @param {number} [options.fromBlock=0] - First block
+     * @param {{blockNumber: number, logIndex: number}} [options.after] - Cursor: only notes after this log
+     * @param {string} [options.contract] - Contract name filter
+     * @param {number} [options.limit=500] - Page size
+     * @returns {Array<object>} Notes
+     */
+    listNotes({ fromBlock = 0, after, contract, limit = 500 } = {}) {
+        const where = ['n.block_number >= ?'];
+        const params = [fromBlock];
+        if (after) {
+            where.push('(n.block_number > ? OR (n.block_number = ? AND n.log_index > ?))');
+            params.push(after.blockNumber, after.blockNumber, after.logIndex);
+        }
+        if (contract) { where.push('n.contract = ?'); params.push(contract); }
+        params.push(limit);
+
+        return this.db.prepare(`SELECT n.*, s.nullifier FROM notes n
+            LEFT JOIN spends s ON s.note_hash = n.note_hash
+            WHERE ${where.join(' AND ')}
+            ORDER BY n.block_number, n.log_index LIMIT ?`).all(...params)
+            .map(row => ({
+            noteHash: row.note_hash,
+            contract: row.contract,
+            encryptedNote: row.encrypted_note,
+            blockNumber: row.block_number,
+            logIndex: row.log_index,
+            transactionHash: row.tx_hash,
+            spent: row.nullifier !== null
+        }));
+    }
+
+    /**
+     * @param {string} nullifier - 0x-prefixed bytes32
+     * @returns {object|null} Spend that used the nullifier
+     */
+    getNullifier(nullifier) {
+        const row = this._stmts.getNullifier.get(nullifier.toLowerCase());
+        return row ? {
+            nullifier: row.nullifier,
+            noteHash: row.note_hash,
+            contract: row.contract,
+            blockNumber: row.block_number,
+            transactionHash: row.tx_hash
+        } : null;
+    }
+
+    /**
+     * Query indexed events.
+     * @param {object} [options]
+     * @param {string} [options.contract] - Contract name
+     * @param {string} [options.event] - Event name
+     * @param {number} [options.fromBlock=0] - First block
+     * @param {number} [options.limit=500] - Page size
+     * @returns {Array<object>} Events in chain order
+     */
+    listEvents({ contract, event, fromBlock = 0, limit = 500 } = {}) {
+        const where = ['block_number >= ?'];
+        const params = [fromBlock];
+        if (contract) { where.push('contract = ?'); params.push(contract); }
+        if (event) { where.push('event = ?'); params.push(event); }
+        params.push(limit);
+
+        return this.db.prepare(`SELECT * FROM events WHERE ${where.join(' AND ')}
+            ORDER BY block_number, log_index LIMIT ?`).all(...params)
+            .map(row => ({
+                contract: row.contract,
+                address: row.address,
+                event: row.event,
+                args: JSON.parse(row.args),
+                blockNumber: row.block_number,
+                blockHash: row.block_hash,
+                logIndex: row.log_index,
+                transactionHash: row.tx_hash
+            }));
+    }
+}
+
+module.exports = {
+    IndexerDb,
+    NOTE_STATE
+};
@@ -0,0 +1,83 @@
+/**
+ * Event indexer entry point
+ *
+ * Usage:
+ *   node scripts/indexer/index.js [--rpc <url>] [--db <file>] [--port <n>]
+ *                                 [--start-block <n>] [--confirmations <n>]
+ *
+ * Defaults: --rpc http://127.0.0.1:8545, --db indexer.sqlite, --port 4100.
+ * Contract addresses are read from frontend/src/config/deployedAddresses.json
+ * (written by scripts/deploy.js). The frontend uses the API when VITE_INDEXER_URL is set.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { IndexerDb } = require('./IndexerDb');
+const { Indexer } = require('./Indexer');
+const { createServer } = require('./server');
+
+const ADDRESSES_FILE = path.join(__dirname, '..', '..', 'frontend', 'src', 'config', 'deployedAddresses.json');
+
+function parseArgs(argv) {
+    const args = {
+        rpc: process.env.RPC_URL || 'http://127.0.0.1:8545',
+        db: 'indexer.sqlite',
+        port: 4100,
+        startBlock: 0,
+        confirmations: 0
+    };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        if (!(key in args) || argv[i + 1] === undefined) {
+            console.error(`Unknown or incomplete option: ${argv[i]}`);
+            console.error('Usage: node scripts/indexer/index.js [--rpc <url>] [--db <file>] [--port <n>] [--start-block <n>] [--confirmations <n>]');
+            process.exit(1);
+        }
+        args[key] = typeof args[key] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!fs.existsSync(ADDRESSES_FILE)) {
+        console.error(`Deployed addresses not found: ${ADDRESSES_FILE} (run deploy first)`);
+        process.exit(1);
+    }
+    const addresses = JSON.parse(fs.readFileSync(ADDRESSES_FILE, 'utf8'));
+
+    const provider = new ethers.JsonRpcProvider(args.rpc);
+    const db = new IndexerDb(args.db);
+    const indexer = new Indexer(provider, db, addresses, {
+        startBlock: args.startBlock,
+        confirmations: args.confirmations
+    });
+
+    indexer.on('sync', ({ fromBlock, toBlock, events }) => {
+        if (events > 0) console.log(`Indexed blocks ${fromBlock}-${toBlock}: ${events} events`);
+    });
+    indexer.on('reorg', ({ from, ancestor }) => console.warn(`Reorg: rolled back blocks ${ancestor + 1}-${from}`));
+    indexer.on('error', err => console.error('Sync failed:', err.message));
+
+    const server = createServer(db);
+    server.listen(args.port, () => {
+        console.log(`Indexer API on http://localhost:${server.address().port} (rpc ${args.rpc}, db ${args.db})`);
+    });
+    indexer.start();
+
+    const shutdown = () => {
+        indexer.stop();
+        server.close(() => {
+            db.close();
+            process.exit(0);
+        });
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
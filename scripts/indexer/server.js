@@ -0,0 +1,116 @@
+/**
+ * server.js
+ * Read-only REST/JSON API over IndexerDb (node:http, CORS open for the frontend)
+ *
+ *   GET  /health                      { chainId, lastBlock }
+ *   GET  /notes?fromBlock&after&contract&limit  created notes with encrypted payloads, chain order;
+ *                                     `next` is the `after` cursor of the following page
+ *   GET  /notes/:hash                 one note with its state (1 valid, 2 spent) and spend
+ *   POST /notes/states                { hashes: [...] } → { states: { hash: 0|1|2 } }
+ *   GET  /nullifiers/:nullifier       { used, spend }
+ *   GET  /events?contract&event&fromBlock&limit  decoded game events
+ */
+
+const http = require('http');
+const { HttpError, readBody, jsonHandler } = require('../lib/httpJson');
+
+/** Largest page a client can request */
+const MAX_LIMIT = 1000;
+
+/** Largest batch accepted by POST /notes/states */
+const MAX_STATE_BATCH = 1000;
+
+const BYTES32 = /^0x[0-9a-fA-F]{64}$/;
+
+function intParam(params, name, fallback, max = Number.MAX_SAFE_INTEGER) {
+    const raw = params.get(name);
+    if (raw === null) return fallback;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 0) throw new HttpError(400, `${name} must be a non-negative integer`);
+    return Math.min(value, max);
+}
+
+/** Note cursor `<blockNumber>:<logIndex>` */
+function cursorParam(params, name) {
+    const raw = params.get(name);
+    if (raw === null) return undefined;
+    const match = /^(\d+):(\d+)$/.exec(raw);
+    if (!match) throw new HttpError(400, `${name} must be <blockNumber>:<logIndex>`);
+    return { blockNumber: Number(match[1]), logIndex: Number(match[2]) };
+}
+
+function bytes32Param(value, name) {
+    if (!BYTES32.test(value)) throw new HttpError(400, `${name} must be a 0x-prefixed bytes32`);
+    return value.toLowerCase();
+}
+
+/**
+ * Route one request.
+ * @param {IndexerDb} db - Storage
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<object>} Response body
+ */
+async function route(db, req) {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+    const params = url.searchParams;
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+        return { chainId: db.getMeta('chainId'), lastBlock: db.getLastBlock() };
+    }
+    if (req.method === 'GET' && parts[0] === 'notes' && parts.length === 1) {
+        const limit = intParam(params, 'limit', 500, MAX_LIMIT);
+        const notes = db.listNotes({
+            fromBlock: intParam(params, 'fromBlock', 0),
+            after: cursorParam(params, 'after'),
+            contract: params.get('contract') || undefined,
+            limit
+        });
+        const last = notes[notes.length - 1];
+        return {
+            notes,
+            next: notes.length === limit && last ? `${last.blockNumber}:${last.logIndex}` : null
+        };
+    }
+    if (req.method === 'POST' && url.pathname === '/notes/states') {
+        const { hashes } = await readBody(req);
+        if (!Array.isArray(hashes) || hashes.length > MAX_STATE_BATCH) {
+            throw new HttpError(400, `hashes must be an array of at most ${MAX_STATE_BATCH} note hashes`);
+        }
+        hashes.forEach(hash => bytes32Param(String(hash), 'hash'));
+        return { states: db.getNoteStates(hashes) };
+    }
+    if (req.method === 'GET' && parts[0] === 'notes' && parts.length === 2) {
+        const note = db.getNote(bytes32Param(parts[1], 'note hash'));
+        if (!note) throw new HttpError(404, 'Note not found');
+        return note;
+    }
+    if (req.method === 'GET' && parts[0] === 'nullifiers' && parts.length === 2) {
+        const spend = db.getNullifier(bytes32Param(parts[1], 'nullifier'));
+        return { used: spend !== null, spend };
+    }
+    if (req.method === 'GET' && url.pathname === '/events') {
+        return {
+            events: db.listEvents({
+                contract: params.get('contract') || undefined,
+                event: params.get('event') || undefined,
+                fromBlock: intParam(params, 'fromBlock', 0),
+                limit: intParam(params, 'limit', 500, MAX_LIMIT)
+            })
+        };
+    }
+    throw new HttpError(404, 'Not found');
+}
+
+/**
+ * Create the API server (not yet listening).
+ * @param {IndexerDb} db - Storage
+ * @returns {http.Server} Server
+ */
+function createServer(db) {
+    return http.createServer(jsonHandler(req => route(db, req)));
+}
+
+module.exports = {
+    createServer
+};
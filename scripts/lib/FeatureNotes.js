@@ -0,0 +1,314 @@
+/**
+ * FeatureNotes.js
+ * Typed notes for the F1/F4/F5/F8 circuits (Node.js environment)
+ *
+ * Each class mirrors one commitment layout used by the shipped circuits:
+ *   NFTNote      Poseidon(pkX, pkY, nftId, collection, salt)                         private_nft_transfer
+ *   ItemNote     Poseidon(pkX, pkY, itemId, itemType, itemAttributes, gameId, salt)  gaming_item_trade
+ *   PaymentNote  Poseidon(pkX, pkY, price, paymentToken, salt), 0 when price == 0    gaming_item_trade
+ *   BoxNote      Poseidon(pkX, pkY, boxId, boxType, salt)                            loot_box_open
+ *   OutcomeNote  Poseidon(pkX, pkY, itemId, itemRarity, salt)                        loot_box_open
+ *   DrawNote     Poseidon(drawnCard, drawIndex, gameId, handSalt)                    card_draw
+ *
+ * Spendable notes derive their nullifier as Poseidon(id, salt, sk).
+ *
+ * Canonical serialization:
+ *   type(1B) || field_0(32B) || ... || field_n(32B)
+ * with fields big-endian in the order of the class's FIELDS list.
+ * Compatible with the browser version (frontend/src/lib/featureNotes.ts).
+ */
+
+const crypto = require('crypto');
+const circomlibBabyJub = require('./circomlibBabyJub');
+const ecdhCrypto = require('./ecdhCrypto');
+
+/** BN254 scalar field modulus; every note field must be below it */
+const SNARK_FIELD = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
+
+/** Type byte used as the first byte of a serialized note */
+const NOTE_TYPES = {
+    nft: 0x01,
+    item: 0x02,
+    payment: 0x03,
+    box: 0x04,
+    outcome: 0x05,
+    draw: 0x06
+};
+
+/**
+ * Convert a field value to bigint and check it is inside the SNARK field.
+ * @param {string} name - Field name (for error messages)
+ * @param {bigint|number|string} value - Decimal string, 0x-prefixed hex string, number or bigint
+ * @returns {bigint} Field element
+ */
+function toField(name, value) {
+    if (value === undefined || value === null) {
+        throw new Error(`Missing note field: ${name}`);
+    }
+    let v;
+    try {
+        v = BigInt(value);
+    } catch (e) {
+        throw new Error(`Invalid note field ${name}: ${value}`);
+    }
+    if (v < 0n || v >= SNARK_FIELD) {
+        throw new Error(`Note field ${name} out of range`);
+    }
+    return v;
+}
+
+/**
+ * Generate a random 31-byte salt (always below the SNARK field).
+ * @returns {bigint} Random salt
+ */
+function randomSalt() {
+    return BigInt('0x' + crypto.randomBytes(31).toString('hex'));
+}
+
+/**
+ * Base class for all feature notes. Subclasses define TYPE, FIELDS,
+ * HASH_FIELDS and, if spendable, ID_FIELD.
+ */
+class FeatureNote {
+    /**
+     * @param {object} fields - Note fields keyed by name. `pk: {x, y}` may be given instead of pkX/pkY.
+     *   A missing salt is filled with a random 31-byte value.
+     */
+    constructor(fields = {}) {
+        const ctor = this.constructor;
+        const values = { ...fields };
+        if (values.pk) {
+            values.pkX = values.pk.x;
+            values.pkY = values.pk.y;
+            delete values.pk;
+        }
+        const saltField = ctor.FIELDS[ctor.FIELDS.length - 1];
+        if (values[saltField] === undefined) {
+            values[saltField] = randomSalt();
+        }
+        for (const name of ctor.FIELDS) {
+            this[name] = toField(name, values[name]);
+        }
+    }
+
+    /**
+     * Owner public key, for notes that carry one.
+     * @returns {{x: bigint, y: bigint}|null} Public key point
+     */
+    get pk() {
+        return this.pkX !== undefined ? { x: this.pkX, y: this.pkY } : null;
+    }
+
+    /**
+     * Note commitment as stored on-chain.
+     * @returns {Promise<bigint>} Poseidon hash over HASH_FIELDS
+     */
+    async hash() {
+        return circomlibBabyJub.poseidonHash(this.constructor.HASH_FIELDS.map(name => this[name]));
+    }
+
+    /**
+     * Nullifier revealed when the note is spent: Poseidon(id, salt, sk).
+     * @param {string|bigint} sk - Owner's secret key
+     * @returns {Promise<bigint>} Nullifier
+     */
+    async nullifier(sk) {
+        const ctor = this.constructor;
+        if (!ctor.ID_FIELD) {
+            throw new Error(`${ctor.name} is not spendable and has no nullifier`);
+        }
+        const saltField = ctor.FIELDS[ctor.FIELDS.length - 1];
+        return circomlibBabyJub.poseidonHash([this[ctor.ID_FIELD], this[saltField], BigInt(sk)]);
+    }
+
+    /**
+     * Canonical binary encoding: type(1B) || 32B big-endian fields.
+     * @returns {Buffer} Serialized note
+     */
+    serialize() {
+        const ctor = this.constructor;
+        const parts = [Buffer.from([NOTE_TYPES[ctor.TYPE]])];
+        for (const name of ctor.FIELDS) {
+            parts.push(Buffer.from(this[name].toString(16).padStart(64, '0'), 'hex'));
+        }
+        return Buffer.concat(parts);
+    }
+
+    /**
+     * JSON-safe representation with decimal-string fields.
+     * @returns {object} { type, ...fields }
+     */
+    toJSON() {
+        const ctor = this.constructor;
+        const json = { type: ctor.TYPE };
+        for (const name of ctor.FIELDS) {
+            json[name] = this[name].toString();
+        }
+        return json;
+    }
+
+    /**
+     * Inputs for this note in circuit-input form (decimal strings).
+     * @returns {object} Field name => decimal string
+     */
+    toCircuitInputs() {
+        const { type, ...fields } = this.toJSON();
+        return fields;
+    }
+}
+
+/**
+ * F1 NFT ownership note.
+ */
+class NFTNote extends FeatureNote {}
+NFTNote.TYPE = 'nft';
+NFTNote.FIELDS = ['pkX', 'pkY', 'nftId', 'collection', 'salt'];
+NFTNote.HASH_FIELDS = NFTNote.FIELDS;
+NFTNote.ID_FIELD = 'nftId';
+
+/**
+ * F5 gaming item note.
+ */
+class ItemNote extends FeatureNote {}
+ItemNote.TYPE = 'item';
+ItemNote.FIELDS = ['pkX', 'pkY', 'itemId', 'itemType', 'itemAttributes', 'gameId', 'salt'];
+ItemNote.HASH_FIELDS = ItemNote.FIELDS;
+ItemNote.ID_FIELD = 'itemId';
+
+/**
+ * F5 payment note for the seller. A zero price means no payment note,
+ * which the circuit encodes as a zero hash.
+ */
+class PaymentNote extends FeatureNote {
+    async hash() {
+        if (this.price === 0n) return 0n;
+        return super.hash();
+    }
+}
+PaymentNote.TYPE = 'payment';
+PaymentNote.FIELDS = ['pkX', 'pkY', 'price', 'paymentToken', 'salt'];
+PaymentNote.HASH_FIELDS = PaymentNote.FIELDS;
+PaymentNote.ID_FIELD = null;
+
+/**
+ * F4 sealed loot box note.
+ */
+class BoxNote extends FeatureNote {}
+BoxNote.TYPE = 'box';
+BoxNote.FIELDS = ['pkX', 'pkY', 'boxId', 'boxType', 'salt'];
+BoxNote.HASH_FIELDS = BoxNote.FIELDS;
+BoxNote.ID_FIELD = 'boxId';
+
+/**
+ * F4 loot box outcome (the item received when a box is opened).
+ */
+class OutcomeNote extends FeatureNote {}
+OutcomeNote.TYPE = 'outcome';
+OutcomeNote.FIELDS = ['pkX', 'pkY', 'itemId', 'itemRarity', 'salt'];
+OutcomeNote.HASH_FIELDS = OutcomeNote.FIELDS;
+OutcomeNote.ID_FIELD = 'itemId';
+
+/**
+ * F8 drawn card commitment. Not owned by a key and never spent.
+ */
+class DrawNote extends FeatureNote {}
+DrawNote.TYPE = 'draw';
+DrawNote.FIELDS = ['drawnCard', 'drawIndex', 'gameId', 'handSalt'];
+DrawNote.HASH_FIELDS = DrawNote.FIELDS;
+DrawNote.ID_FIELD = null;
+
+/** Note classes keyed by type name */
+const NOTE_CLASSES = {
+    nft: NFTNote,
+    item: ItemNote,
+    payment: PaymentNote,
+    box: BoxNote,
+    outcome: OutcomeNote,
+    draw: DrawNote
+};
+
+/**
+ * Decode a note produced by serialize().
+ * @param {Buffer|Uint8Array|string} data - Serialized note (Buffer or 0x-prefixed hex)
+ * @returns {FeatureNote} Typed note instance
+ */
+function deserializeNote(data) {
+    const buf = typeof data === 'string'
+        ? Buffer.from(data.replace(/^0x/, ''), 'hex')
+        : Buffer.from(data);
+    if (buf.length === 0) throw new Error('Empty note data');
+
+    const type = Object.keys(NOTE_TYPES).find(key => NOTE_TYPES[key] === buf[0]);
+    if (!type) throw new Error(`Unknown note type byte: 0x${buf[0].toString(16)}`);
+
+    const NoteClass = NOTE_CLASSES[type];
+    if (buf.length !== 1 + 32 * NoteClass.FIELDS.length) {
+        throw new Error(`Invalid ${type} note length: ${buf.length}`);
+    }
+
+    const fields = {};
+    NoteClass.FIELDS.forEach((name, i) => {
+        fields[name] = BigInt('0x' + buf.slice(1 + 32 * i, 33 + 32 * i).toString('hex'));
+    });
+    return new NoteClass(fields);
+}
+
+/**
+ * Rebuild a note from toJSON() output.
+ * @param {object} json - { type, ...fields }
+ * @returns {FeatureNote} Typed note instance
+ */
+function noteFromJSON(json) {
+    const NoteClass = NOTE_CLASSES[json.type];
+    if (!NoteClass) throw new Error(`Unknown note type: ${json.type}`);
+    const { type, ...fields } = json;
+    return new NoteClass(fields);
+}
+
+/**
+ * Create a note owned by a fresh stealth one-time key of the recipient and
+ * encrypt it to their viewing key. The envelope's ephemeral key is the stealth
+ * R, so the recipient's NoteScanner recognises the note and recovers its key.
+ * @param {Function} NoteClass - Note class with an owner key (NFTNote, ItemNote, ...)
+ * @param {object} fields - Note fields other than pk
+ * @param {{spendingPk: {x: bigint, y: bigint}, viewingPk: {x: bigint, y: bigint}}} recipient - Recipient address
+ * @returns {Promise<{note: FeatureNote, encryptedNote: string, stealth: object}>} Note, envelope hex and
+ *   circomlibBabyJub.createStealthKey() output
+ */
+async function createStealthNote(NoteClass, fields, recipient) {
+    if (!NoteClass.FIELDS.includes('pkX')) {
+        throw new Error(`${NoteClass.TYPE} notes have no owner key`);
+    }
+    const stealth = await circomlibBabyJub.createStealthKey(recipient);
+    const note = new NoteClass({ ...fields, pk: stealth.pk });
+    const encryptedNote = await ecdhCrypto.encryptForRecipient(
+        note.serialize(),
+        recipient.viewingPk,
+        ecdhCrypto.DEFAULT_ENVELOPE_VERSION,
+        { ephemeralSk: stealth.ephemeralSk }
+    );
+    return { note, encryptedNote, stealth };
+}
+
+module.exports = {
+    // Note classes
+    FeatureNote,
+    NFTNote,
+    ItemNote,
+    PaymentNote,
+    BoxNote,
+    OutcomeNote,
+    DrawNote,
+
+    // Serialization
+    deserializeNote,
+    noteFromJSON,
+
+    // Stealth recipients
+    createStealthNote,
+
+    // Constants
+    NOTE_TYPES,
+    NOTE_CLASSES,
+    SNARK_FIELD
+};
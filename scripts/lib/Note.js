@@ -2,14 +2,15 @@ const crypto = require('crypto');
 const Web3Utils = require('web3-utils');
 
 const {
-  marshal,
   unmarshal,
   split32BytesTo16BytesArr,
 } = require('./util');
 
 const circomlibBabyJub = require('./circomlibBabyJub');
+const ecdhCrypto = require('./ecdhCrypto');
 
-const mode = 'aes-256-cbc';
+// Cipher of the pre-envelope note encryption (read-only, see decryptLegacy)
+const LEGACY_MODE = 'aes-256-cbc';
 
 const ETH_TOKEN_TYPE = Web3Utils.padLeft('0x0', 64);
 const DAI_TOKEN_TYPE = Web3Utils.padLeft('0x1', 64);
@@ -189,21 +190,13 @@ class Note {
   }
 
   /**
-   * Encrypt the note using AES-256-CBC with the given encryption key.
-   * The note is serialized to JSON, encrypted, and the ciphertext is marshalled to a hex string.
-   * @param {string} encKey - The encryption key (hex-encoded)
-   * @returns {string} The encrypted note as a marshalled hex string
+   * Encrypt the note for a recipient with the versioned ECDH envelope (ecdhCrypto.js).
+   * The note is serialized to JSON and encrypted to the recipient's BabyJubJub public key.
+   * @param {{x: bigint, y: bigint}} recipientPk - Recipient's public key
+   * @returns {Promise<string>} The envelope as a 0x-prefixed hex string
    */
-  encrypt(encKey) {
-    const key = marshalEncDecKey(encKey);
-    const cipher = crypto.createCipher(mode, key);
-
-    const r1 = cipher.update(this.toString(), 'utf8', 'base64');
-    const r2 = cipher.final('base64');
-
-    return marshal(
-      Web3Utils.fromAscii(r1 + r2),
-    );
+  async encrypt(recipientPk) {
+    return ecdhCrypto.encryptForRecipient(Buffer.from(this.toString(), 'utf8'), recipientPk);
   }
 }
 
@@ -256,24 +249,84 @@ function marshalEncDecKey(_key) {
 }
 
 /**
- * Decrypt an encrypted note string using AES-256-CBC and reconstruct the Note object.
+ * Rebuild a Note from its JSON serialization.
+ * @param {string} json - Output of Note.toString()
+ * @returns {Note} The reconstructed Note instance
+ */
+function noteFromJSON(json) {
+  const note = JSON.parse(json);
+  return new Note(note.owner0, note.owner1, note.value, note.token, note.vk0, note.vk1, note.salt);
+}
+
+/**
+ * Decrypt an ECDH envelope produced by Note.encrypt() and reconstruct the Note object.
+ * @param {string} v - The envelope as a 0x-prefixed hex string
+ * @param {string|bigint} sk - The recipient's secret key
+ * @returns {Promise<Note>} The decrypted and reconstructed Note instance
+ */
+async function decrypt(v, sk) {
+  if (!v) {
+    throw new Error(`invalid value to decrypt: ${v}`);
+  }
+
+  const plaintext = await ecdhCrypto.decryptWithSecretKey(v, sk);
+  if (!plaintext) {
+    throw new Error('Failed to decrypt note: wrong key or unsupported envelope');
+  }
+  return noteFromJSON(plaintext.toString('utf8'));
+}
+
+/**
+ * OpenSSL EVP_BytesToKey with MD5 and one iteration, as used by the removed crypto.createCipher.
+ * @param {Buffer} password - Password bytes
+ * @param {number} keyLen - Key length in bytes
+ * @param {number} ivLen - IV length in bytes
+ * @returns {{key: Buffer, iv: Buffer}} Derived key and IV
+ */
+function evpBytesToKey(password, keyLen, ivLen) {
+  const blocks = [];
+  let prev = Buffer.alloc(0);
+  let total = 0;
+  while (total < keyLen + ivLen) {
+    prev = crypto.createHash('md5').update(Buffer.concat([prev, password])).digest();
+    blocks.push(prev);
+    total += prev.length;
+  }
+  const out = Buffer.concat(blocks);
+  return { key: out.slice(0, keyLen), iv: out.slice(keyLen, keyLen + ivLen) };
+}
+
+/**
+ * Read-only decoder for notes encrypted by the old Note.encrypt (crypto.createCipher, AES-256-CBC).
+ * Only kept so existing ciphertexts can be migrated; there is no legacy encoder.
  * @param {string} v - The encrypted note data as a marshalled hex string
- * @param {string} decKey - The decryption key (hex-encoded)
+ * @param {string} decKey - The legacy decryption key (hex-encoded)
  * @returns {Note} The decrypted and reconstructed Note instance
  */
-function decrypt(v, decKey) {
+function decryptLegacy(v, decKey) {
   const key = marshalEncDecKey(decKey);
   if (!v) {
     throw new Error(`invalid value to decrypt: ${v}`);
   }
 
-  const decipher = crypto.createDecipher(mode, key);
+  const { key: aesKey, iv } = evpBytesToKey(Buffer.from(key, 'utf8'), 32, 16);
+  const decipher = crypto.createDecipheriv(LEGACY_MODE, aesKey, iv);
 
   const r1 = decipher.update(Web3Utils.toAscii(v), 'base64', 'utf8');
   const r2 = decipher.final('utf8');
 
-  const note = JSON.parse(r1 + r2);
-  return new Note(note.owner0, note.owner1, note.value, note.token, note.vk0, note.vk1, note.salt);
+  return noteFromJSON(r1 + r2);
+}
+
+/**
+ * Re-encrypt a legacy ciphertext into the current ECDH envelope.
+ * @param {string} v - Legacy encrypted note (marshalled hex)
+ * @param {string} decKey - The legacy decryption key (hex-encoded)
+ * @param {{x: bigint, y: bigint}} recipientPk - Public key to encrypt the migrated note to
+ * @returns {Promise<string>} The new envelope as a 0x-prefixed hex string
+ */
+async function migrateLegacyNote(v, decKey, recipientPk) {
+  return decryptLegacy(v, decKey).encrypt(recipientPk);
 }
 
 // --- Dummy proof functions (Groth16 / Poseidon format) ---
@@ -441,6 +494,8 @@ module.exports = {
   NoteState,
   Note,
   decrypt,
+  decryptLegacy,
+  migrateLegacyNote,
   createSmartNote,
   // Shared hash utilities (used by snarkjsUtils.js)
   _hexToBigInt,
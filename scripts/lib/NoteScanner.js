@@ -0,0 +1,433 @@
+/**
+ * NoteScanner.js
+ * Note discovery for BabyJubJub key holders (Node.js environment, ethers v6)
+ *
+ * Watches NoteCreated / NoteSpent on the NFTNoteBase contracts (PrivateNFT,
+ * LootBoxOpen, GamingItemTrade, CardDraw), trial-decrypts every encryptedNote
+ * with each registered viewing key and keeps a per-key set of owned notes.
+ *
+ * Keys are added either as spending keys (addKey; the viewing key is derived)
+ * or as viewing keys only (addViewingKey). A viewing key finds notes and their
+ * spent state but cannot spend, so it can be given to auditors or indexers.
+ *
+ * Notes owned by a stealth one-time key (circomlibBabyJub.createStealthKey) are
+ * recognised from the envelope's ephemeral key and carry `stealth: {pk, ephemeralPk, sk}`;
+ * sk is null for view-only keys.
+ *
+ * Logs are processed in (blockNumber, logIndex) order, so a note created and
+ * spent in the same range ends up in the correct state. Spends of notes that
+ * have not been seen yet are remembered and applied when the note is found.
+ * Live events (listen) are applied one at a time in arrival order, so a spend
+ * waits for the trial decryption of every note created before it. They only
+ * advance lastScannedBlock while they follow on from it; past a gap the next
+ * scan() still covers the unscanned blocks.
+ */
+
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const circomlibBabyJub = require('./circomlibBabyJub');
+const ecdhCrypto = require('./ecdhCrypto');
+const { deserializeNote } = require('./FeatureNotes');
+
+/** Event fragments emitted by NFTNoteBase */
+const NOTE_EVENTS_ABI = [
+    'event NoteCreated(bytes32 indexed noteHash, bytes encryptedNote)',
+    'event NoteSpent(bytes32 indexed noteHash, bytes32 indexed nullifier)'
+];
+
+/** Contract names scanned by default, mapped to their deployedAddresses.json keys */
+const NOTE_CONTRACTS = {
+    PrivateNFT: 'privateNFT',
+    LootBoxOpen: 'lootBoxOpen',
+    GamingItemTrade: 'gamingItemTrade',
+    CardDraw: 'cardDraw'
+};
+
+/**
+ * Normalize a secret key to bigint.
+ * @param {string|bigint} sk - Secret key as hex string (with or without 0x) or bigint
+ * @returns {bigint} Secret key
+ */
+function toSecretKey(sk) {
+    if (typeof sk === 'bigint') return sk;
+    if (typeof sk === 'string') return BigInt(sk.startsWith('0x') ? sk : '0x' + sk);
+    throw new Error('Invalid secret key format');
+}
+
+/**
+ * Compare two logs by chain position.
+ * @param {object} a - First log
+ * @param {object} b - Second log
+ * @returns {number} Negative if a comes before b
+ */
+function compareLogs(a, b) {
+    if (a.blockNumber !== b.blockNumber) return a.blockNumber - b.blockNumber;
+    const ia = a.index !== undefined ? a.index : a.logIndex;
+    const ib = b.index !== undefined ? b.index : b.logIndex;
+    return ia - ib;
+}
+
+/**
+ * Scans note contracts for notes addressed to a set of BabyJubJub keys.
+ *
+ * Emits:
+ *   'note'  (keyId, note) - a note decrypted with one of the registered keys
+ *   'spent' (keyId, note) - an owned note was spent
+ */
+class NoteScanner extends EventEmitter {
+    /**
+     * @param {ethers.Provider} provider - ethers v6 provider
+     * @param {Object<string, string>} addresses - Contract addresses keyed by contract name
+     *   (PrivateNFT, ...) or by deployedAddresses.json key (privateNFT, ...). Missing contracts are skipped.
+     */
+    constructor(provider, addresses) {
+        super();
+        if (!provider) throw new Error('NoteScanner: provider is required');
+
+        this.provider = provider;
+        this.contracts = {};
+        for (const [name, configKey] of Object.entries(NOTE_CONTRACTS)) {
+            const address = addresses[name] || addresses[configKey];
+            if (address) {
+                this.contracts[name] = new ethers.Contract(address, NOTE_EVENTS_ABI, provider);
+            }
+        }
+        if (Object.keys(this.contracts).length === 0) {
+            throw new Error('NoteScanner: no note contract addresses given');
+        }
+
+        this.keys = new Map();          // keyId => { sk (null if view-only), vsk, pk }
+        this.owned = new Map();         // keyId => Map(noteHash => note)
+        this.created = new Map();       // noteHash => { contract, encryptedNote, blockNumber, transactionHash }
+        this.spent = new Map();         // noteHash => nullifier
+        this.lastScannedBlock = -1;
+        this.lastLiveBlock = -1;        // newest block seen by listen(), may be ahead of lastScannedBlock
+        this.listening = false;
+        this.liveQueue = Promise.resolve(); // live events not yet applied
+    }
+
+    /**
+     * Register a spending key. Notes already seen by earlier scans are trial-decrypted immediately.
+     * @param {string|bigint} sk - BabyJubJub spending secret key
+     * @returns {Promise<string>} Key id (circomlibBabyJub.keyIdOf, as in the keystore)
+     */
+    async addKey(sk) {
+        const secretKey = toSecretKey(sk);
+        const pk = await circomlibBabyJub.getPublicKey(secretKey);
+        const vsk = await circomlibBabyJub.deriveViewingKey(secretKey);
+        const keyId = circomlibBabyJub.keyIdOf(pk);
+
+        const existing = this.keys.get(keyId);
+        if (existing && existing.sk === null) {
+            // Upgrade a view-only key; rescan for legacy notes only the spending key opens
+            this.keys.set(keyId, { sk: secretKey, vsk, pk });
+            for (const note of this.owned.get(keyId).values()) {
+                note.viewOnly = false;
+                if (note.stealth) {
+                    note.stealth.sk = await circomlibBabyJub.recoverStealthSecretKey(secretKey, note.stealth.ephemeralPk);
+                }
+            }
+            await this._rescanKey(keyId);
+        } else if (!existing) {
+            await this._registerKey(keyId, { sk: secretKey, vsk, pk });
+        }
+        return keyId;
+    }
+
+    /**
+     * Register a viewing key only (read-only mode): notes are found and tracked
+     * but the scanner holds nothing that can spend them.
+     * @param {string|{vsk: bigint|string, spendingPk: {x: bigint, y: bigint}}} viewingKey -
+     *   circomlibBabyJub.encodeViewingKey() output or its decoded form
+     * @returns {Promise<string>} Key id (same as addKey() of the matching spending key)
+     */
+    async addViewingKey(viewingKey) {
+        const { vsk, spendingPk } = typeof viewingKey === 'string'
+            ? circomlibBabyJub.decodeViewingKey(viewingKey)
+            : viewingKey;
+        const pk = { x: BigInt(spendingPk.x), y: BigInt(spendingPk.y) };
+        const keyId = circomlibBabyJub.keyIdOf(pk);
+
+        if (!this.keys.has(keyId)) {
+            await this._registerKey(keyId, { sk: null, vsk: toSecretKey(vsk), pk });
+        }
+        return keyId;
+    }
+
+    /**
+     * @param {string} keyId - Key id
+     * @returns {boolean} True if only the viewing key of keyId is registered
+     */
+    isViewOnly(keyId) {
+        const key = this.keys.get(keyId);
+        if (!key) throw new Error(`NoteScanner: unknown key ${keyId}`);
+        return key.sk === null;
+    }
+
+    /**
+     * Unregister a key and drop its notes.
+     * @param {string} keyId - Key id returned by addKey
+     */
+    removeKey(keyId) {
+        this.keys.delete(keyId);
+        this.owned.delete(keyId);
+    }
+
+    /**
+     * Get the notes owned by a key.
+     * @param {string} keyId - Key id returned by addKey
+     * @param {object} [options]
+     * @param {boolean} [options.includeSpent=false] - Also return spent notes
+     * @returns {Array<object>} Notes ordered by creation block
+     */
+    getNotes(keyId, { includeSpent = false } = {}) {
+        const notes = this.owned.get(keyId);
+        if (!notes) throw new Error(`NoteScanner: unknown key ${keyId}`);
+        return [...notes.values()]
+            .filter(note => includeSpent || !note.spent)
+            .sort((a, b) => a.blockNumber - b.blockNumber);
+    }
+
+    /**
+     * Register the derived keys of one branch (m / purpose / gameId / i) that own notes.
+     * Call after scan(): each index is trial-decrypted against the notes seen so far and
+     * discovery stops after `gapLimit` consecutive indexes without notes.
+     * @param {Buffer|Uint8Array} seed - Master seed (circomlibBabyJub.deriveMasterSeedFromSigner)
+     * @param {{purpose: number|string, gameId?: bigint|number}} branch - Branch to scan
+     * @param {number} [gapLimit] - Gap limit (default circomlibBabyJub.DEFAULT_GAP_LIMIT)
+     * @returns {Promise<{keyIds: string[], nextIndex: number}>} Registered key ids and the next unused index
+     */
+    async discoverKeys(seed, branch, gapLimit = circomlibBabyJub.DEFAULT_GAP_LIMIT) {
+        const keyIds = [];
+        const { nextIndex } = await circomlibBabyJub.discoverKeys(seed, branch, async ({ sk, pk }) => {
+            const known = this.keys.has(circomlibBabyJub.keyIdOf(pk));
+            const keyId = await this.addKey(sk);
+            if (this.owned.get(keyId).size > 0) {
+                keyIds.push(keyId);
+                return true;
+            }
+            if (!known) this.removeKey(keyId);
+            return false;
+        }, gapLimit);
+        return { keyIds, nextIndex };
+    }
+
+    /**
+     * Query past NoteCreated / NoteSpent logs on every contract and apply them in chain order.
+     * @param {number} [fromBlock] - First block (default: one after the last scanned block)
+     * @param {number|string} [toBlock='latest'] - Last block
+     * @returns {Promise<{fromBlock: number, toBlock: number, created: number, spent: number}>}
+     */
+    async scan(fromBlock, toBlock = 'latest') {
+        const from = fromBlock !== undefined ? fromBlock : this.lastScannedBlock + 1;
+        const to = toBlock === 'latest' ? await this.provider.getBlockNumber() : toBlock;
+        if (from > to) return { fromBlock: from, toBlock: to, created: 0, spent: 0 };
+
+        const logs = [];
+        for (const [name, contract] of Object.entries(this.contracts)) {
+            const createdLogs = await contract.queryFilter(contract.filters.NoteCreated(), from, to);
+            const spentLogs = await contract.queryFilter(contract.filters.NoteSpent(), from, to);
+            for (const log of [...createdLogs, ...spentLogs]) {
+                logs.push({ name, log });
+            }
+        }
+        logs.sort((a, b) => compareLogs(a.log, b.log));
+
+        let created = 0;
+        let spent = 0;
+        for (const { name, log } of logs) {
+            if (log.eventName === 'NoteCreated') {
+                await this._handleNoteCreated(name, log.args.noteHash, log.args.encryptedNote, log);
+                created++;
+            } else {
+                this._handleNoteSpent(name, log.args.noteHash, log.args.nullifier, log);
+                spent++;
+            }
+        }
+
+        this.lastScannedBlock = Math.max(this.lastScannedBlock, to);
+        return { fromBlock: from, toBlock: to, created, spent };
+    }
+
+    /**
+     * Subscribe to new NoteCreated / NoteSpent events on every contract.
+     * An applied event advances lastScannedBlock only if its block follows on from the
+     * scanned range, so a later scan() never skips history that was not scanned.
+     */
+    async listen() {
+        if (this.listening) return;
+        this.listening = true;
+
+        for (const [name, contract] of Object.entries(this.contracts)) {
+            await contract.on('NoteCreated', (noteHash, encryptedNote, payload) => {
+                this._applyLive(payload.log, () => this._handleNoteCreated(name, noteHash, encryptedNote, payload.log));
+            });
+            await contract.on('NoteSpent', (noteHash, nullifier, payload) => {
+                this._applyLive(payload.log, () => this._handleNoteSpent(name, noteHash, nullifier, payload.log));
+            });
+        }
+    }
+
+    /**
+     * @returns {Promise<void>} Resolves once every live event received so far is applied
+     */
+    settled() {
+        return this.liveQueue;
+    }
+
+    /**
+     * Remove all event subscriptions.
+     */
+    async stop() {
+        if (!this.listening) return;
+        this.listening = false;
+
+        for (const contract of Object.values(this.contracts)) {
+            await contract.removeAllListeners();
+        }
+    }
+
+    /**
+     * Queue a live event behind the ones still being applied.
+     * @private
+     */
+    _applyLive(log, handle) {
+        this.liveQueue = this.liveQueue
+            .then(handle)
+            .then(() => {
+                this.lastLiveBlock = Math.max(this.lastLiveBlock, log.blockNumber);
+                if (log.blockNumber <= this.lastScannedBlock + 1) {
+                    this.lastScannedBlock = Math.max(this.lastScannedBlock, log.blockNumber);
+                }
+            })
+            .catch(err => this.emit('error', err));
+    }
+
+    /**
+     * Record a created note and trial-decrypt it with every registered key.
+     * @private
+     */
+    async _handleNoteCreated(contractName, noteHash, encryptedNote, log) {
+        if (this.created.has(noteHash)) return;
+
+        const entry = {
+            contract: contractName,
+            encryptedNote,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash
+        };
+        this.created.set(noteHash, entry);
+
+        for (const keyId of this.keys.keys()) {
+            await this._tryDecrypt(keyId, noteHash, entry);
+        }
+    }
+
+    /**
+     * Mark a note as spent for whichever key owns it.
+     * @private
+     */
+    _handleNoteSpent(contractName, noteHash, nullifier, log) {
+        if (this.spent.has(noteHash)) return;
+        this.spent.set(noteHash, nullifier);
+
+        for (const [keyId, notes] of this.owned) {
+            const note = notes.get(noteHash);
+            if (note && !note.spent) {
+                note.spent = true;
+                note.nullifier = nullifier;
+                note.spentBlock = log.blockNumber;
+                this.emit('spent', keyId, note);
+            }
+        }
+    }
+
+    /**
+     * Store a key and trial-decrypt every note seen so far.
+     * @private
+     */
+    async _registerKey(keyId, key) {
+        this.keys.set(keyId, key);
+        this.owned.set(keyId, new Map());
+        await this._rescanKey(keyId);
+    }
+
+    /**
+     * Trial-decrypt every cached note for one key.
+     * @private
+     */
+    async _rescanKey(keyId) {
+        for (const [noteHash, entry] of this.created) {
+            if (!this.owned.get(keyId).has(noteHash)) {
+                await this._tryDecrypt(keyId, noteHash, entry);
+            }
+        }
+    }
+
+    /**
+     * Try to decrypt a created note with one key and record it on success.
+     * Notes are encrypted to the viewing key; full keys also try the spending key
+     * for notes encrypted before viewing keys existed.
+     * @private
+     */
+    async _tryDecrypt(keyId, noteHash, entry) {
+        if (!ecdhCrypto.isECDHEncrypted(entry.encryptedNote)) return;
+
+        const { sk, vsk } = this.keys.get(keyId);
+        let plaintext = await ecdhCrypto.decryptWithSecretKey(entry.encryptedNote, vsk);
+        if (!plaintext && sk !== null) {
+            plaintext = await ecdhCrypto.decryptWithSecretKey(entry.encryptedNote, sk);
+        }
+        if (!plaintext) return;
+
+        // Read the spent state only after the last await
+        const stealth = await this._matchStealthKey(keyId, entry.encryptedNote, plaintext);
+        const note = {
+            noteHash,
+            contract: entry.contract,
+            contractAddress: this.contracts[entry.contract].target,
+            plaintext,
+            blockNumber: entry.blockNumber,
+            transactionHash: entry.transactionHash,
+            spent: this.spent.has(noteHash),
+            nullifier: this.spent.get(noteHash) || null,
+            viewOnly: sk === null,
+            stealth
+        };
+        this.owned.get(keyId).set(noteHash, note);
+        this.emit('note', keyId, note);
+    }
+
+    /**
+     * If the decrypted note is owned by a one-time key derived for keyId from the
+     * envelope's ephemeral key, return that key (with its secret key when known).
+     * @private
+     */
+    async _matchStealthKey(keyId, encryptedNote, plaintext) {
+        let owner;
+        try {
+            owner = deserializeNote(plaintext).pk;
+        } catch (e) {
+            return null; // Not a feature note preimage
+        }
+        const { sk, vsk, pk } = this.keys.get(keyId);
+        if (!owner || (owner.x === pk.x && owner.y === pk.y)) return null;
+
+        const ephemeralPk = ecdhCrypto.getEphemeralKey(encryptedNote);
+        if (!ephemeralPk) return null;
+        const expected = await circomlibBabyJub.deriveStealthPublicKey(vsk, pk, ephemeralPk);
+        if (expected.x !== owner.x || expected.y !== owner.y) return null;
+
+        return {
+            pk: owner,
+            ephemeralPk,
+            sk: sk === null ? null : await circomlibBabyJub.recoverStealthSecretKey(sk, ephemeralPk)
+        };
+    }
+}
+
+module.exports = {
+    NoteScanner,
+    NOTE_EVENTS_ABI,
+    NOTE_CONTRACTS
+};
@@ -0,0 +1,407 @@
+/**
+ * artifactCheck.js
+ * Cross-checks the copies of each circuit's artifacts (used by scripts/check-artifacts.js)
+ *
+ * For circuit <name> with verifier contract <Name>Verifier:
+ *   circuits/build/<name>/<name>_vkey.json      the reference verification key
+ *   circuits/build/<name>/<name>.zkey, <name>_js/<name>.wasm
+ *   contracts/verifiers/<Name>Verifier.sol      snarkjs-generated Groth16Verifier
+ *   artifacts/contracts/verifiers/<Name>Verifier.sol/Groth16Verifier.json   hardhat build
+ *   frontend/public/circuits/<name>_vkey.json   preflight vkey
+ *   frontend/public/circuits/<name>/<name>.{wasm,zkey} and manifest.json   browser prover
+ *
+ * The verifier's alpha/beta/gamma/delta/IC constants are compared to the vkey, the
+ * compiled and deployed bytecode must contain them (as PUSH immediates), and copies are
+ * compared by hash. A deployed verifier also gets a proof round-trip: a fresh proof from
+ * the build's wasm and zkey must verify and the same proof with a changed public input
+ * must not.
+ *
+ * Every check yields a finding:
+ *   { circuit, check, status: 'ok' | 'fail' | 'skip', message, diff?: string[] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { ethers } = require('ethers');
+const { sha256File, buildCircuitManifest, MANIFEST_FILE } = require('./circuitManifest');
+const { verifierName, loadBuildManifest } = require('./circuitBuild');
+const { hashVkey, manifestPath, DEPLOYMENTS_DIR } = require('./deployManifest');
+
+/** BN254 scalar field */
+const SNARK_SCALAR_FIELD = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+const CONSTANT_RE = /uint256\s+constant\s+((?:alpha|beta|gamma|delta)[xy]\d?|IC\d+[xy])\s*=\s*(\d+)\s*;/g;
+
+/**
+ * Where each copy of a circuit's artifacts lives.
+ * @param {string} root - Repository root
+ * @param {string} circuit - Circuit name
+ * @returns {Object<string, string>} Absolute paths
+ */
+function circuitPaths(root, circuit) {
+    const contract = `${verifierName(circuit)}Verifier`;
+    const build = path.join(root, 'circuits', 'build', circuit);
+    const frontend = path.join(root, 'frontend', 'public', 'circuits');
+    return {
+        buildVkey: path.join(build, `${circuit}_vkey.json`),
+        buildZkey: path.join(build, `${circuit}.zkey`),
+        buildWasm: path.join(build, `${circuit}_js`, `${circuit}.wasm`),
+        verifierSource: path.join(root, 'contracts', 'verifiers', `${contract}.sol`),
+        verifierArtifact: path.join(root, 'artifacts', 'contracts', 'verifiers', `${contract}.sol`, 'Groth16Verifier.json'),
+        frontendDir: frontend,
+        frontendVkey: path.join(frontend, `${circuit}_vkey.json`),
+        frontendZkey: path.join(frontend, circuit, `${circuit}.zkey`),
+        frontendWasm: path.join(frontend, circuit, `${circuit}.wasm`)
+    };
+}
+
+/**
+ * Verification key constants declared by a snarkjs Groth16Verifier.
+ * @param {string} source - Solidity source
+ * @returns {Object<string, string>} Constant name → decimal value (alphax, betax1, ..., IC0x, ...)
+ */
+function parseVerifierConstants(source) {
+    const constants = {};
+    for (const match of source.matchAll(CONSTANT_RE)) constants[match[1]] = match[2];
+    return constants;
+}
+
+/**
+ * The constants snarkjs writes into a verifier for a verification key
+ * (templates/verifier_groth16.sol.ejs: G2 coordinates are swapped).
+ * @param {object} vkey - Groth16 verification key JSON
+ * @returns {Object<string, string>} Constant name → decimal value
+ */
+function vkeyToVerifierConstants(vkey) {
+    const constants = {
+        alphax: vkey.vk_alpha_1[0],
+        alphay: vkey.vk_alpha_1[1]
+    };
+    for (const point of ['beta', 'gamma', 'delta']) {
+        const g2 = vkey[`vk_${point}_2`];
+        constants[`${point}x1`] = g2[0][1];
+        constants[`${point}x2`] = g2[0][0];
+        constants[`${point}y1`] = g2[1][1];
+        constants[`${point}y2`] = g2[1][0];
+    }
+    vkey.IC.forEach(([x, y], i) => {
+        constants[`IC${i}x`] = x;
+        constants[`IC${i}y`] = y;
+    });
+    return constants;
+}
+
+/**
+ * Line diff of two constant sets: "- name = value (expected)" / "+ name = value (actual)".
+ * @param {Object<string, string>} expected - Reference constants
+ * @param {Object<string, string>} actual - Constants under check
+ * @param {[string, string]} labels - Where each side comes from
+ * @returns {string[]} Diff lines (empty if equal)
+ */
+function diffConstants(expected, actual, [expectedLabel, actualLabel]) {
+    const lines = [];
+    const names = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+    for (const name of names) {
+        if (expected[name] === actual[name]) continue;
+        if (expected[name] !== undefined) lines.push(`- ${name} = ${expected[name]}  (${expectedLabel})`);
+        if (actual[name] !== undefined) lines.push(`+ ${name} = ${actual[name]}  (${actualLabel})`);
+    }
+    return lines;
+}
+
+/**
+ * Constants that do not appear as PUSH immediates in EVM bytecode.
+ * @param {string} bytecode - 0x-prefixed bytecode
+ * @param {Object<string, string>} constants - Constant name → decimal value
+ * @returns {string[]} Names of the missing constants
+ */
+function missingFromBytecode(bytecode, constants) {
+    const code = bytecode.toLowerCase();
+    return Object.entries(constants)
+        .filter(([, value]) => {
+            let hex = BigInt(value).toString(16);
+            if (hex.length % 2) hex = '0' + hex;
+            const push = (0x5f + hex.length / 2).toString(16);
+            return !code.includes(push + hex);
+        })
+        .map(([name]) => name);
+}
+
+function finding(circuit, check, status, message, diff) {
+    return diff && diff.length > 0 ? { circuit, check, status, message, diff } : { circuit, check, status, message };
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Offline checks of one circuit's verifier, vkey, wasm and zkey copies.
+ * @param {string} root - Repository root
+ * @param {string} circuit - Circuit name
+ * @returns {object[]} Findings
+ */
+function checkCircuit(root, circuit) {
+    const p = circuitPaths(root, circuit);
+    const rel = file => path.relative(root, file).split(path.sep).join('/');
+    const findings = [];
+    const add = (...args) => findings.push(finding(circuit, ...args));
+
+    const hasVkey = fs.existsSync(p.buildVkey);
+    const hasVerifier = fs.existsSync(p.verifierSource);
+    if (!hasVkey && !hasVerifier) {
+        add('compiled', 'skip', 'not compiled');
+        return findings;
+    }
+    if (!hasVkey) {
+        add('build vkey', 'fail', `${rel(p.verifierSource)} exists but ${rel(p.buildVkey)} does not`);
+        return findings;
+    }
+    const vkey = readJson(p.buildVkey);
+    const expected = vkeyToVerifierConstants(vkey);
+
+    // Solidity verifier
+    if (!hasVerifier) {
+        add('verifier constants', 'fail', `${rel(p.verifierSource)} is missing`);
+    } else {
+        const diff = diffConstants(expected, parseVerifierConstants(fs.readFileSync(p.verifierSource, 'utf8')), [rel(p.buildVkey), rel(p.verifierSource)]);
+        add('verifier constants', diff.length ? 'fail' : 'ok',
+            diff.length ? `${rel(p.verifierSource)} was not generated from ${rel(p.buildVkey)}` : `${rel(p.verifierSource)} matches the vkey`,
+            diff);
+    }
+
+    // Hardhat build of the verifier
+    if (!fs.existsSync(p.verifierArtifact)) {
+        add('compiled verifier', 'skip', `${rel(p.verifierArtifact)} not found (run npx hardhat compile)`);
+    } else {
+        const missing = missingFromBytecode(readJson(p.verifierArtifact).deployedBytecode, expected);
+        add('compiled verifier', missing.length ? 'fail' : 'ok',
+            missing.length
+                ? `${rel(p.verifierArtifact)} is stale: its bytecode lacks ${missing.length} vkey constant(s) (run npx hardhat compile)`
+                : `${rel(p.verifierArtifact)} embeds the vkey constants`,
+            missing.map(name => `- ${name} = ${expected[name]}`));
+    }
+
+    // Frontend vkey (preflight verification)
+    if (!fs.existsSync(p.frontendVkey)) {
+        add('frontend vkey', 'fail', `${rel(p.frontendVkey)} is missing`);
+    } else {
+        const copy = readJson(p.frontendVkey);
+        const diff = diffConstants(expected, vkeyToVerifierConstants(copy), [rel(p.buildVkey), rel(p.frontendVkey)]);
+        const same = isDeepStrictEqual(copy, vkey);
+        add('frontend vkey', same ? 'ok' : 'fail',
+            same ? `${rel(p.frontendVkey)} matches` : `${rel(p.frontendVkey)} differs from ${rel(p.buildVkey)}`,
+            diff);
+    }
+
+    // Browser prover copies
+    for (const [kind, source, copy] of [['wasm', p.buildWasm, p.frontendWasm], ['zkey', p.buildZkey, p.frontendZkey]]) {
+        const check = `frontend ${kind}`;
+        if (!fs.existsSync(source)) {
+            add(check, 'skip', `no ${rel(source)}`);
+        } else if (!fs.existsSync(copy)) {
+            add(check, 'fail', `${rel(copy)} is missing`);
+        } else {
+            const [a, b] = [sha256File(source), sha256File(copy)];
+            add(check, a === b ? 'ok' : 'fail',
+                a === b ? `${rel(copy)} matches` : `${rel(copy)} differs from ${rel(source)}`,
+                a === b ? [] : [`- sha256 ${a}  (${rel(source)})`, `+ sha256 ${b}  (${rel(copy)})`]);
+        }
+    }
+
+    // frontend/public/circuits/manifest.json (the browser's integrity check)
+    const manifestFile = path.join(p.frontendDir, MANIFEST_FILE);
+    if (fs.existsSync(manifestFile) && fs.existsSync(path.join(p.frontendDir, circuit))) {
+        const listed = (readJson(manifestFile).circuits || {})[circuit];
+        const actual = buildCircuitManifest(p.frontendDir).circuits[circuit];
+        const diff = [];
+        for (const kind of new Set([...Object.keys(listed || {}), ...Object.keys(actual || {})])) {
+            const [a, b] = [listed && listed[kind], actual && actual[kind]];
+            if (a && b && a.sha256 === b.sha256) continue;
+            diff.push(`- ${kind} ${a ? `sha256 ${a.sha256}` : 'not listed'}  (${rel(manifestFile)})`);
+            diff.push(`+ ${kind} ${b ? `sha256 ${b.sha256}` : 'missing'}  (${rel(path.join(p.frontendDir, circuit))}/)`);
+        }
+        add('frontend manifest', diff.length ? 'fail' : 'ok',
+            diff.length ? `${rel(manifestFile)} is out of date (run node scripts/copy-frontend-assets.js)` : `${rel(manifestFile)} lists the current files`,
+            diff);
+    }
+
+    // circuits/build/manifest.json (compile-circuit.js)
+    const entry = loadBuildManifest(path.join(root, 'circuits', 'build')).circuits[circuit];
+    if (entry) {
+        const changed = Object.entries(entry.artifacts)
+            .filter(([, artifact]) => {
+                const file = path.join(root, artifact.path);
+                return !fs.existsSync(file) || sha256File(file) !== artifact.sha256;
+            })
+            .map(([kind, artifact]) => `- ${kind} sha256 ${artifact.sha256}  (${artifact.path} as built)`);
+        add('build record', changed.length ? 'fail' : 'ok',
+            changed.length ? 'artifacts changed since circuits/build/manifest.json was written' : 'artifacts match circuits/build/manifest.json',
+            changed);
+    }
+    return findings;
+}
+
+/**
+ * Witness inputs that satisfy a circuit, built from throwaway notes.
+ * @param {string} circuit - Feature circuit or its _relayed variant
+ * @returns {Promise<Object>} Circuit inputs
+ */
+async function sampleInputs(circuit) {
+    // Loaded lazily: circomlibjs setup is only needed for round-trips
+    const snarkjsUtils = require('./snarkjsUtils');
+    const { NFTNote, ItemNote, BoxNote } = require('./FeatureNotes');
+    const sk = await snarkjsUtils.randomSecretKey();
+    const pk = await snarkjsUtils.getPublicKey(sk);
+
+    const relayed = circuit.endsWith('_relayed');
+    const base = relayed ? circuit.slice(0, -'_relayed'.length) : circuit;
+    let built;
+    if (base === 'private_nft_transfer') {
+        built = await snarkjsUtils.buildNftTransferInputs({
+            oldNote: new NFTNote({ pk, nftId: 1, collection: 1 }),
+            newNote: new NFTNote({ pk, nftId: 1, collection: 1 }),
+            oldOwnerSk: sk
+        });
+    } else if (base === 'loot_box_open') {
+        built = await snarkjsUtils.buildLootBoxOpenInputs({ boxNote: new BoxNote({ pk, boxId: 1, boxType: 1 }), ownerSk: sk, itemId: 1 });
+    } else if (base === 'gaming_item_trade') {
+        const item = { pk, itemId: 1, itemType: 1, itemAttributes: 1, gameId: 1 };
+        built = await snarkjsUtils.buildGamingItemTradeInputs({ oldNote: new ItemNote(item), newNote: new ItemNote(item), sellerSk: sk });
+    } else if (base === 'card_draw') {
+        built = await snarkjsUtils.buildCardDrawInputs({ playerSk: sk, gameId: 1, shuffleSeed: 1n, deckSalt: 1n, drawIndex: 0 });
+    } else {
+        throw new Error(`No sample inputs for ${circuit}`);
+    }
+    return relayed ? { ...built.inputs, relayer: '1', fee: '0' } : built.inputs;
+}
+
+/**
+ * A real proof for a circuit, in contract format.
+ * @param {string} circuit - Circuit name
+ * @param {{wasm: string, zkey: string}} files - Witness generator and proving key
+ * @returns {Promise<{a: string[], b: string[][], c: string[], input: string[]}>}
+ */
+async function sampleProof(circuit, { wasm, zkey }) {
+    const snarkjs = require('snarkjs');
+    const { formatProofForContract } = require('./snarkjsUtils');
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve(await sampleInputs(circuit), wasm, zkey);
+    return formatProofForContract(proof, publicSignals);
+}
+
+/**
+ * Check a deployed verifier: code present, vkey constants embedded and, given a
+ * proof, a round-trip (valid proof accepted, tampered public input rejected).
+ * @param {object} params
+ * @param {string} params.circuit - Circuit name (for the findings)
+ * @param {ethers.Provider} params.provider - Chain provider
+ * @param {string} params.address - Verifier address
+ * @param {Object<string, string>} params.constants - vkeyToVerifierConstants() of the expected vkey
+ * @param {object} [params.proof] - sampleProof() output; omitted skips the round-trip
+ * @param {string} [params.label] - How to name the verifier in messages
+ * @returns {Promise<object[]>} Findings
+ */
+async function checkDeployedVerifier({ circuit, provider, address, constants, proof, label = address }) {
+    const findings = [];
+    const code = await provider.getCode(address);
+    if (code === '0x') {
+        findings.push(finding(circuit, 'deployed verifier', 'fail', `${label}: no code at ${address}`));
+        return findings;
+    }
+    const missing = missingFromBytecode(code, constants);
+    findings.push(finding(circuit, 'deployed verifier', missing.length ? 'fail' : 'ok',
+        missing.length
+            ? `${label} at ${address} was not generated from the current vkey (${missing.length} constant(s) missing)`
+            : `${label} at ${address} embeds the vkey constants`,
+        missing.map(name => `- ${name} = ${constants[name]}`)));
+
+    if (!proof) {
+        findings.push(finding(circuit, 'proof round-trip', 'skip', `${label}: no proof (missing wasm or zkey, or --no-proof)`));
+        return findings;
+    }
+    const verifier = new ethers.Contract(address, [
+        `function verifyProof(uint256[2], uint256[2][2], uint256[2], uint256[${proof.input.length}]) view returns (bool)`
+    ], provider);
+    const tampered = [(BigInt(proof.input[0]) + 1n) % SNARK_SCALAR_FIELD, ...proof.input.slice(1)];
+    let accepted, rejected;
+    try {
+        accepted = await verifier.verifyProof(proof.a, proof.b, proof.c, proof.input);
+        rejected = !(await verifier.verifyProof(proof.a, proof.b, proof.c, tampered));
+    } catch (err) {
+        findings.push(finding(circuit, 'proof round-trip', 'fail', `${label}: verifyProof reverted (${err.shortMessage || err.message})`));
+        return findings;
+    }
+    const diff = [];
+    if (!accepted) diff.push('- valid proof: expected true, got false');
+    if (!rejected) diff.push('- proof with a changed public input: expected false, got true');
+    findings.push(finding(circuit, 'proof round-trip', diff.length ? 'fail' : 'ok',
+        diff.length ? `${label} does not verify proofs from the current zkey correctly` : `${label} accepts a fresh proof and rejects a tampered one`,
+        diff));
+    return findings;
+}
+
+/**
+ * Check every verifier in the provider chain's deployment manifest.
+ * @param {object} params
+ * @param {string} params.root - Repository root
+ * @param {ethers.Provider} params.provider - Chain provider
+ * @param {string[]} [params.circuits] - Only these circuits
+ * @param {boolean} [params.prove] - Run proof round-trips (default true)
+ * @param {string} [params.deploymentsDir] - Manifest directory
+ * @returns {Promise<object[]>} Findings
+ */
+async function checkDeployment({ root, provider, circuits, prove = true, deploymentsDir = DEPLOYMENTS_DIR }) {
+    const chainId = Number((await provider.getNetwork()).chainId);
+    const file = manifestPath(chainId, deploymentsDir);
+    if (!fs.existsSync(file)) {
+        return [finding('deployment', `chain ${chainId}`, 'fail', `no deployment manifest ${path.relative(root, file)}`)];
+    }
+    const findings = [];
+    const proofs = {};
+    for (const [key, entry] of Object.entries(readJson(file).contracts)) {
+        const { circuit } = entry;
+        if (!circuit || (circuits && !circuits.includes(circuit))) continue;
+        const label = `${key} (chain ${chainId})`;
+        if (!entry.contract.endsWith(':Groth16Verifier')) {
+            findings.push(finding(circuit, 'deployed verifier', 'skip', `${label} is ${entry.contract}`));
+            continue;
+        }
+        const p = circuitPaths(root, circuit);
+        if (!fs.existsSync(p.buildVkey)) {
+            findings.push(finding(circuit, 'deployed verifier', 'fail', `${label}: ${path.relative(root, p.buildVkey)} is missing`));
+            continue;
+        }
+        const vkeyHash = hashVkey(p.buildVkey);
+        findings.push(finding(circuit, 'deployed vkey hash', entry.vkeyHash === vkeyHash ? 'ok' : 'fail',
+            entry.vkeyHash === vkeyHash ? `${label} was deployed from the current vkey` : `${label} was deployed from another vkey`,
+            entry.vkeyHash === vkeyHash ? [] : [`- ${entry.vkeyHash}  (${path.relative(root, file)})`, `+ ${vkeyHash}  (${path.relative(root, p.buildVkey)})`]));
+
+        if (prove && !(circuit in proofs) && fs.existsSync(p.buildWasm) && fs.existsSync(p.buildZkey)) {
+            proofs[circuit] = await sampleProof(circuit, { wasm: p.buildWasm, zkey: p.buildZkey });
+        }
+        findings.push(...await checkDeployedVerifier({
+            circuit,
+            provider,
+            address: entry.address,
+            constants: vkeyToVerifierConstants(readJson(p.buildVkey)),
+            proof: proofs[circuit],
+            label
+        }));
+    }
+    return findings;
+}
+
+module.exports = {
+    circuitPaths,
+    parseVerifierConstants,
+    vkeyToVerifierConstants,
+    diffConstants,
+    missingFromBytecode,
+    checkCircuit,
+    sampleInputs,
+    sampleProof,
+    checkDeployedVerifier,
+    checkDeployment,
+    SNARK_SCALAR_FIELD
+};
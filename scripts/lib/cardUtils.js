@@ -0,0 +1,100 @@
+/**
+ * cardUtils.js
+ * F8 card draw helpers (Node.js environment)
+ *
+ * Mirrors the card_draw circuit and frontend/src/lib/cardUtils.ts:
+ *   - Fisher-Yates shuffle driven by Poseidon(seed, step)
+ *   - Recursive Poseidon deck commitment
+ *   - Player commitment Poseidon(pkX, pkY, gameId)
+ *   - Deck registration payload shuffleSeed || deckSalt
+ */
+
+const { poseidonHash } = require('./circomlibBabyJub');
+
+/** Number of cards in a deck */
+const DECK_SIZE = 52;
+
+/**
+ * Fisher-Yates shuffle using Poseidon as the randomness source.
+ * For s = 0..n-2: i = n-1-s, j = (Poseidon(seed, s) & 0x3FFF) % (i+1), swap(deck[i], deck[j])
+ * @param {bigint} seed - Shuffle seed
+ * @param {number} [n=52] - Deck size
+ * @returns {Promise<bigint[]>} Shuffled deck of card indices
+ */
+async function fisherYatesShuffle(seed, n = DECK_SIZE) {
+    const deck = [];
+    for (let i = 0; i < n; i++) deck[i] = BigInt(i);
+
+    for (let s = 0; s < n - 1; s++) {
+        const i = n - 1 - s;
+        const randHash = await poseidonHash([BigInt(seed), BigInt(s)]);
+        const j = Number(randHash & 0x3FFFn) % (i + 1); // 14-bit extraction
+        const tmp = deck[i];
+        deck[i] = deck[j];
+        deck[j] = tmp;
+    }
+
+    return deck;
+}
+
+/**
+ * Compute the deck commitment (recursive Poseidon chain).
+ * h = Poseidon(cards[0], cards[1]); h = Poseidon(h, cards[i]) for i = 2..n-1; final = Poseidon(h, salt)
+ * @param {Array<bigint|number>} cards - Shuffled deck
+ * @param {bigint} salt - Deck salt
+ * @returns {Promise<bigint>} Deck commitment
+ */
+async function computeDeckCommitment(cards, salt) {
+    let h = await poseidonHash([BigInt(cards[0]), BigInt(cards[1])]);
+    for (let i = 2; i < cards.length; i++) {
+        h = await poseidonHash([h, BigInt(cards[i])]);
+    }
+    return poseidonHash([h, BigInt(salt)]);
+}
+
+/**
+ * Compute the player commitment bound to a game.
+ * @param {{x: bigint, y: bigint}} pk - Player public key
+ * @param {bigint} gameId - Game session identifier
+ * @returns {Promise<bigint>} Poseidon(pkX, pkY, gameId)
+ */
+async function computePlayerCommitment(pk, gameId) {
+    return poseidonHash([pk.x, pk.y, BigInt(gameId)]);
+}
+
+/**
+ * Deck registration payload: shuffleSeed || deckSalt (32 bytes each, big-endian).
+ * Encrypted to the player's viewing key as the registerDeck `encryptedNote`, so the
+ * player can re-derive the deck with fisherYatesShuffle(shuffleSeed).
+ * @param {{shuffleSeed: bigint, deckSalt: bigint}} deck - Game secrets
+ * @returns {Buffer} 64-byte payload
+ */
+function serializeDeck({ shuffleSeed, deckSalt }) {
+    return Buffer.from(
+        BigInt(shuffleSeed).toString(16).padStart(64, '0') + BigInt(deckSalt).toString(16).padStart(64, '0'),
+        'hex'
+    );
+}
+
+/**
+ * Decode a deck registration payload.
+ * @param {Buffer|Uint8Array} data - Output of serializeDeck (e.g. a decrypted registerDeck envelope)
+ * @returns {{shuffleSeed: bigint, deckSalt: bigint}} Game secrets
+ */
+function deserializeDeck(data) {
+    const buf = Buffer.from(data);
+    if (buf.length !== 64) throw new Error(`Invalid deck payload length: ${buf.length}`);
+    return {
+        shuffleSeed: BigInt('0x' + buf.subarray(0, 32).toString('hex')),
+        deckSalt: BigInt('0x' + buf.subarray(32).toString('hex'))
+    };
+}
+
+module.exports = {
+    fisherYatesShuffle,
+    computeDeckCommitment,
+    computePlayerCommitment,
+    serializeDeck,
+    deserializeDeck,
+    DECK_SIZE
+};
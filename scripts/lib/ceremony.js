@@ -0,0 +1,310 @@
+/**
+ * ceremony.js
+ * Multi-party phase-2 (circuit-specific) Groth16 trusted setup on top of snarkjs
+ *
+ * Per circuit, in <ceremonyDir>/<circuit>/:
+ *   <circuit>_0000.zkey        initial zkey (Groth16 setup of the r1cs against the ptau)
+ *   <circuit>_0001.zkey, ...   one per contribution, each built on the previous one
+ *   <circuit>_final.zkey       the last contribution with a random beacon applied
+ *   transcript.json            the public record of the above
+ *
+ * transcript.json:
+ *   {
+ *     version, circuit, r1cs: { path, sha256 }, ptau: { file, size }, circuitHash,
+ *     initial: { zkey, sha256 },
+ *     contributions: [{ index, name, contributionHash, zkey, sha256, contributedAt }],
+ *     beacon: { hash, iterationsExp, contributionHash, zkey, sha256, appliedAt } | null
+ *   }
+ *
+ * Contributions are sequential: each contributor takes the latest zkey, adds their
+ * randomness and hands the new zkey to the next one. The final zkey is sound as long as
+ * one contributor discarded their entropy. The beacon (e.g. a block hash announced in
+ * advance) closes the chain so the last contributor cannot pick the outcome.
+ *
+ * verifyCeremony() is the check anyone can run: snarkjs re-derives the final zkey's
+ * validity from the r1cs and the ptau, and the contribution hashes, circuit hash and
+ * verification key it yields must match the transcript.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const snarkjs = require('snarkjs');
+const { sha256File } = require('./circuitManifest');
+
+const TRANSCRIPT_FILE = 'transcript.json';
+const TRANSCRIPT_VERSION = 1;
+/** Default beacon strength: 2^10 hash iterations (the snarkjs minimum) */
+const DEFAULT_BEACON_ITERATIONS_EXP = 10;
+
+/**
+ * @param {Uint8Array} bytes - Hash bytes
+ * @returns {string} Lowercase hex, no prefix (as snarkjs prints them, without spacing)
+ */
+function toHex(bytes) {
+    return Buffer.from(bytes).toString('hex');
+}
+
+/**
+ * Collects snarkjs log output, which is the only place verifyFromR1cs reports
+ * the circuit hash and the contributions it checked.
+ */
+function captureLogger() {
+    const messages = [];
+    const errors = [];
+    return {
+        messages,
+        errors,
+        logger: {
+            debug: () => {},
+            info: (message) => messages.push(message),
+            warn: (message) => messages.push(message),
+            error: (message) => errors.push(message)
+        }
+    };
+}
+
+// "<title>\n\t\t<8 hex> <8 hex> <8 hex> <8 hex>\n..." (snarkjs misc.formatHash)
+function parseFormattedHash(message) {
+    const [title, ...lines] = message.split('\n');
+    return { title, hash: lines.join('').replace(/\s+/g, '') };
+}
+
+/**
+ * @param {string} dir - Ceremony directory
+ * @param {string} circuit - Circuit name
+ * @returns {string} Path of the circuit's transcript
+ */
+function transcriptPath(dir, circuit) {
+    return path.join(dir, circuit, TRANSCRIPT_FILE);
+}
+
+/**
+ * @param {string} dir - Ceremony directory
+ * @param {string} circuit - Circuit name
+ * @returns {object|null} The transcript, or null if the circuit has no ceremony
+ */
+function readTranscript(dir, circuit) {
+    const file = transcriptPath(dir, circuit);
+    if (!fs.existsSync(file)) return null;
+    const transcript = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (transcript.version !== TRANSCRIPT_VERSION || transcript.circuit !== circuit) {
+        throw new Error(`${file} is not a version ${TRANSCRIPT_VERSION} transcript for ${circuit}`);
+    }
+    return transcript;
+}
+
+function writeTranscript(dir, transcript) {
+    const file = transcriptPath(dir, transcript.circuit);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(transcript, null, 2) + '\n');
+}
+
+/**
+ * @param {object} transcript
+ * @returns {{zkey: string, sha256: string}} The zkey the next step builds on
+ */
+function latestZkey(transcript) {
+    if (transcript.beacon) return transcript.beacon;
+    const { contributions } = transcript;
+    return contributions.length > 0 ? contributions[contributions.length - 1] : transcript.initial;
+}
+
+// The latest zkey as handed over by the previous participant
+function checkedLatest(dir, transcript) {
+    const latest = latestZkey(transcript);
+    const file = path.join(dir, transcript.circuit, latest.zkey);
+    if (!fs.existsSync(file)) throw new Error(`Missing ${file}; get it from the previous participant`);
+    if (sha256File(file) !== latest.sha256) throw new Error(`${file} does not match the transcript`);
+    return file;
+}
+
+/**
+ * Start a ceremony: the Groth16 setup of the circuit's r1cs against the ptau.
+ * @param {object} params
+ * @param {string} params.circuit - Circuit name
+ * @param {string} params.r1csFile - <circuit>.r1cs
+ * @param {string} params.ptauFile - Phase-1 powers of tau
+ * @param {string} params.dir - Ceremony directory
+ * @param {string} [params.root] - Directory the recorded r1cs path is relative to
+ * @returns {Promise<object>} The new transcript
+ */
+async function initCeremony({ circuit, r1csFile, ptauFile, dir, root = process.cwd() }) {
+    if (fs.existsSync(transcriptPath(dir, circuit))) {
+        throw new Error(`A ceremony for ${circuit} already exists in ${path.join(dir, circuit)}`);
+    }
+    fs.mkdirSync(path.join(dir, circuit), { recursive: true });
+    const zkey = `${circuit}_0000.zkey`;
+    const circuitHash = await snarkjs.zKey.newZKey(r1csFile, ptauFile, path.join(dir, circuit, zkey));
+
+    const transcript = {
+        version: TRANSCRIPT_VERSION,
+        circuit,
+        r1cs: { path: path.relative(root, r1csFile).split(path.sep).join('/'), sha256: sha256File(r1csFile) },
+        ptau: { file: path.basename(ptauFile), size: fs.statSync(ptauFile).size },
+        circuitHash: toHex(circuitHash),
+        initial: { zkey, sha256: sha256File(path.join(dir, circuit, zkey)) },
+        contributions: [],
+        beacon: null
+    };
+    writeTranscript(dir, transcript);
+    return transcript;
+}
+
+/**
+ * Add one contribution on top of the latest zkey.
+ * @param {object} params
+ * @param {string} params.circuit - Circuit name
+ * @param {string} params.dir - Ceremony directory
+ * @param {string} params.name - Contributor name, recorded in the zkey and the transcript
+ * @param {string} [params.entropy] - Extra entropy (mixed with random bytes; never stored)
+ * @returns {Promise<object>} The transcript entry, with the contribution hash to publish
+ */
+async function contribute({ circuit, dir, name, entropy }) {
+    if (!name || /[\r\n]/.test(name)) throw new Error('A contribution needs a single-line name');
+    const transcript = readTranscript(dir, circuit);
+    if (!transcript) throw new Error(`No ceremony for ${circuit}; run init first`);
+    if (transcript.beacon) throw new Error(`The ceremony for ${circuit} is closed by its beacon`);
+
+    const previous = checkedLatest(dir, transcript);
+    const index = transcript.contributions.length + 1;
+    const zkey = `${circuit}_${String(index).padStart(4, '0')}.zkey`;
+    const hash = await snarkjs.zKey.contribute(
+        previous,
+        path.join(dir, circuit, zkey),
+        name,
+        `${crypto.randomBytes(32).toString('hex')}${entropy || ''}`
+    );
+
+    const entry = {
+        index,
+        name,
+        contributionHash: toHex(hash),
+        zkey,
+        sha256: sha256File(path.join(dir, circuit, zkey)),
+        contributedAt: new Date().toISOString()
+    };
+    transcript.contributions.push(entry);
+    writeTranscript(dir, transcript);
+    return entry;
+}
+
+/**
+ * Close the ceremony with a public random beacon.
+ * @param {object} params
+ * @param {string} params.circuit - Circuit name
+ * @param {string} params.dir - Ceremony directory
+ * @param {string} params.hash - Beacon value, hex without 0x (e.g. an announced future block hash)
+ * @param {number} [params.iterationsExp] - log2 of the hash iterations, 10..63
+ * @returns {Promise<object>} The transcript's beacon entry
+ */
+async function applyBeacon({ circuit, dir, hash, iterationsExp = DEFAULT_BEACON_ITERATIONS_EXP }) {
+    const transcript = readTranscript(dir, circuit);
+    if (!transcript) throw new Error(`No ceremony for ${circuit}; run init first`);
+    if (transcript.beacon) throw new Error(`The ceremony for ${circuit} already has a beacon`);
+    if (transcript.contributions.length === 0) throw new Error(`The ceremony for ${circuit} has no contributions`);
+
+    const beaconHash = hash.replace(/^0x/, '').toLowerCase();
+    const previous = checkedLatest(dir, transcript);
+    const zkey = `${circuit}_final.zkey`;
+    const { logger, errors } = captureLogger();
+    const contributionHash = await snarkjs.zKey.beacon(
+        previous, path.join(dir, circuit, zkey), 'Final Beacon', beaconHash, iterationsExp, logger
+    );
+    if (!contributionHash) throw new Error(errors[0] || 'Beacon failed');
+
+    transcript.beacon = {
+        hash: beaconHash,
+        iterationsExp,
+        contributionHash: toHex(contributionHash),
+        zkey,
+        sha256: sha256File(path.join(dir, circuit, zkey)),
+        appliedAt: new Date().toISOString()
+    };
+    writeTranscript(dir, transcript);
+    return transcript.beacon;
+}
+
+/**
+ * Verification key of a zkey, in the JSON form snarkjs writes to <circuit>_vkey.json.
+ * @param {string} zkeyFile - zkey
+ * @returns {Promise<object>}
+ */
+async function exportVerificationKey(zkeyFile) {
+    const vkey = await snarkjs.zKey.exportVerificationKey(zkeyFile);
+    return JSON.parse(JSON.stringify(vkey, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+}
+
+/**
+ * Check a deployed zkey and its verification keys against a finished ceremony.
+ * @param {object} params
+ * @param {object} params.transcript - The circuit's transcript
+ * @param {string} params.r1csFile - <circuit>.r1cs
+ * @param {string} params.ptauFile - The ptau named in the transcript
+ * @param {string} params.zkeyFile - The zkey in use (e.g. circuits/build/<circuit>/<circuit>.zkey)
+ * @param {string[]} [params.vkeyFiles] - Verification key files that must match the zkey
+ * @returns {Promise<{ok: boolean, problems: string[], contributions: Array<{name: string, contributionHash: string}>}>}
+ *   contributions are those found in the zkey, oldest first
+ */
+async function verifyCeremony({ transcript, r1csFile, ptauFile, zkeyFile, vkeyFiles = [] }) {
+    const problems = [];
+    if (!transcript.beacon) problems.push('The ceremony has no beacon yet');
+    if (sha256File(r1csFile) !== transcript.r1cs.sha256) problems.push(`${r1csFile} is not the r1cs of the ceremony`);
+    if (transcript.beacon && sha256File(zkeyFile) !== transcript.beacon.sha256) {
+        problems.push(`${zkeyFile} is not the final zkey of the ceremony`);
+    }
+
+    const { logger, messages, errors } = captureLogger();
+    if (!await snarkjs.zKey.verifyFromR1cs(r1csFile, ptauFile, zkeyFile, logger)) {
+        problems.push(`snarkjs rejected ${zkeyFile}: ${errors.join('; ') || 'invalid zkey'}`);
+    }
+
+    // Logged newest first as "contribution #<n> <name>:" followed by the hash
+    const contributions = messages
+        .filter(message => message.startsWith('contribution #'))
+        .map(parseFormattedHash)
+        .map(({ title, hash }) => ({
+            index: Number(title.match(/^contribution #(\d+)/)[1]),
+            name: title.replace(/^contribution #\d+ ?/, '').replace(/:$/, ''),
+            contributionHash: hash
+        }))
+        .sort((a, b) => a.index - b.index)
+        .map(({ name, contributionHash }) => ({ name, contributionHash }));
+    const circuitHash = messages
+        .filter(message => message.startsWith('Circuit Hash:'))
+        .map(message => parseFormattedHash(message).hash)[0];
+
+    if (circuitHash !== undefined && circuitHash !== transcript.circuitHash) {
+        problems.push('The circuit hash does not match the transcript');
+    }
+    const expected = transcript.contributions.map(({ name, contributionHash }) => ({ name, contributionHash }));
+    if (transcript.beacon) expected.push({ name: 'Final Beacon', contributionHash: transcript.beacon.contributionHash });
+    if (problems.length === 0 && !isDeepStrictEqual(contributions, expected)) {
+        problems.push('The contributions in the zkey do not match the transcript');
+    }
+
+    if (vkeyFiles.length > 0) {
+        const vkey = await exportVerificationKey(zkeyFile);
+        for (const file of vkeyFiles) {
+            if (!fs.existsSync(file) || !isDeepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), vkey)) {
+                problems.push(`${file} is not the verification key of the zkey`);
+            }
+        }
+    }
+    return { ok: problems.length === 0, problems, contributions };
+}
+
+module.exports = {
+    initCeremony,
+    contribute,
+    applyBeacon,
+    verifyCeremony,
+    exportVerificationKey,
+    readTranscript,
+    transcriptPath,
+    latestZkey,
+    TRANSCRIPT_FILE,
+    TRANSCRIPT_VERSION,
+    DEFAULT_BEACON_ITERATIONS_EXP
+};
@@ -209,6 +209,335 @@ async function randomSecretKey() {
     return sk;
 }
 
+// ─── Wallet-derived keys ───
+
+/**
+ * EIP-712 domain signed to derive the ZK identity. No chainId, so one wallet
+ * maps to the same BabyJubJub key on every network.
+ * Must match frontend/src/lib/crypto.ts.
+ */
+const KEY_DERIVATION_DOMAIN = {
+    name: 'NFTGame ZK-DEX',
+    version: '1'
+};
+
+const KEY_DERIVATION_TYPES = {
+    ZkIdentity: [
+        { name: 'purpose', type: 'string' },
+        { name: 'account', type: 'address' }
+    ]
+};
+
+const KEY_DERIVATION_PURPOSE = 'Derive my BabyJubJub key. Only sign this on trusted sites.';
+
+/**
+ * Build the fixed EIP-712 message for an account.
+ * @param {string} account - Ethereum address of the signer
+ * @returns {{purpose: string, account: string}} Message for signTypedData
+ */
+function keyDerivationMessage(account) {
+    return { purpose: KEY_DERIVATION_PURPOSE, account };
+}
+
+/**
+ * Hash a signature into the BabyJubJub subgroup.
+ * sk = SHA-512("zkdex-babyjub-sk" || signature) mod subOrder
+ * SHA-512 keeps the modular bias negligible (512 bits into a ~251-bit order).
+ * @param {string|Uint8Array} signature - 65-byte signature (0x-hex or bytes)
+ * @returns {Promise<bigint>} Secret key in [1, subOrder)
+ */
+async function deriveSecretKeyFromSignature(signature) {
+    await init();
+    const crypto = require('crypto');
+    const sigBytes = typeof signature === 'string'
+        ? Buffer.from(signature.replace(/^0x/, ''), 'hex')
+        : Buffer.from(signature);
+    if (sigBytes.length !== 65) {
+        throw new Error(`Expected a 65-byte signature, got ${sigBytes.length} bytes`);
+    }
+
+    const digest = crypto.createHash('sha512')
+        .update(Buffer.from('zkdex-babyjub-sk'))
+        .update(sigBytes)
+        .digest('hex');
+    const sk = BigInt('0x' + digest) % babyJub.subOrder;
+    if (sk === 0n) throw new Error('Derived secret key is zero');
+    return sk;
+}
+
+/**
+ * Derive the deterministic BabyJubJub keypair of an ethers v6 signer.
+ * Relies on deterministic (RFC 6979) ECDSA, which MetaMask and ethers use.
+ * @param {import('ethers').Signer} signer - Signer with signTypedData
+ * @returns {Promise<{sk: bigint, pk: {x: bigint, y: bigint}}>} Keypair
+ */
+async function deriveKeypairFromSigner(signer) {
+    const account = await signer.getAddress();
+    const signature = await signer.signTypedData(
+        KEY_DERIVATION_DOMAIN,
+        KEY_DERIVATION_TYPES,
+        keyDerivationMessage(account)
+    );
+    const sk = await deriveSecretKeyFromSignature(signature);
+    return { sk, pk: await getPublicKey(sk) };
+}
+
+// ─── Hierarchical derivation: master seed → purpose → gameId → index ───
+
+/**
+ * Purpose branch per feature, so keys of different features never coincide.
+ * F1 NFTs have no game and use gameId 0.
+ */
+const KEY_PURPOSES = {
+    nft: 1,
+    lootbox: 4,
+    item: 5,
+    card: 8
+};
+
+/** Consecutive unused indexes after which discovery stops (as in BIP-44) */
+const DEFAULT_GAP_LIMIT = 20;
+
+/**
+ * Derive the 64-byte master seed from the key-derivation signature.
+ * Separate tag from deriveSecretKeyFromSignature, so the seed never equals the root key.
+ * @param {string|Uint8Array} signature - 65-byte signature (0x-hex or bytes)
+ * @returns {Buffer} 64-byte seed
+ */
+function deriveMasterSeedFromSignature(signature) {
+    const crypto = require('crypto');
+    const sigBytes = typeof signature === 'string'
+        ? Buffer.from(signature.replace(/^0x/, ''), 'hex')
+        : Buffer.from(signature);
+    if (sigBytes.length !== 65) {
+        throw new Error(`Expected a 65-byte signature, got ${sigBytes.length} bytes`);
+    }
+    return crypto.createHash('sha512')
+        .update(Buffer.from('zkdex-hd-seed'))
+        .update(sigBytes)
+        .digest();
+}
+
+/**
+ * Sign the key-derivation message and return the master seed.
+ * @param {import('ethers').Signer} signer - Signer with signTypedData
+ * @returns {Promise<Buffer>} 64-byte seed
+ */
+async function deriveMasterSeedFromSigner(signer) {
+    const account = await signer.getAddress();
+    const signature = await signer.signTypedData(
+        KEY_DERIVATION_DOMAIN,
+        KEY_DERIVATION_TYPES,
+        keyDerivationMessage(account)
+    );
+    return deriveMasterSeedFromSignature(signature);
+}
+
+/**
+ * Master node: I = HMAC-SHA512("zkdex-babyjub-hd", seed); key = I[0:32], chainCode = I[32:64]
+ * @param {Buffer|Uint8Array} seed - Master seed (16-64 bytes)
+ * @returns {{key: Buffer, chainCode: Buffer}} Master node
+ */
+function masterNodeFromSeed(seed) {
+    const crypto = require('crypto');
+    if (seed.length < 16 || seed.length > 64) {
+        throw new Error(`Seed must be 16-64 bytes, got ${seed.length}`);
+    }
+    const I = crypto.createHmac('sha512', Buffer.from('zkdex-babyjub-hd')).update(seed).digest();
+    return { key: I.slice(0, 32), chainCode: I.slice(32) };
+}
+
+/**
+ * Hardened child: I = HMAC-SHA512(chainCode, 0x00 || key || index as uint256)
+ * Indexes are 256-bit so a gameId (field element) can be used directly.
+ * @param {{key: Buffer, chainCode: Buffer}} node - Parent node
+ * @param {bigint|number} index - Child index (0 <= index < 2^256)
+ * @returns {{key: Buffer, chainCode: Buffer}} Child node
+ */
+function deriveChildNode(node, index) {
+    const crypto = require('crypto');
+    const i = BigInt(index);
+    if (i < 0n || i >= (1n << 256n)) throw new Error(`Invalid child index: ${index}`);
+
+    const data = Buffer.concat([
+        Buffer.from([0]),
+        node.key,
+        Buffer.from(i.toString(16).padStart(64, '0'), 'hex')
+    ]);
+    const I = crypto.createHmac('sha512', node.chainCode).update(data).digest();
+    return { key: I.slice(0, 32), chainCode: I.slice(32) };
+}
+
+/**
+ * Derive the keypair at m / purpose / gameId / index.
+ * sk = leaf key mod subOrder (rejected if zero).
+ * @param {Buffer|Uint8Array} seed - Master seed
+ * @param {{purpose: number|string, gameId?: bigint|number, index: bigint|number}} path - Purpose number or KEY_PURPOSES name
+ * @returns {Promise<{sk: bigint, pk: {x: bigint, y: bigint}, path: string}>} Keypair and its path string
+ */
+async function deriveKeyAtPath(seed, { purpose, gameId = 0n, index }) {
+    await init();
+    const purposeIndex = typeof purpose === 'string' ? KEY_PURPOSES[purpose] : purpose;
+    if (purposeIndex === undefined) throw new Error(`Unknown key purpose: ${purpose}`);
+
+    let node = masterNodeFromSeed(seed);
+    for (const i of [purposeIndex, gameId, index]) {
+        node = deriveChildNode(node, i);
+    }
+
+    const sk = BigInt('0x' + node.key.toString('hex')) % babyJub.subOrder;
+    if (sk === 0n) throw new Error('Derived secret key is zero; use the next index');
+    return {
+        sk,
+        pk: await getPublicKey(sk),
+        path: `m/${purposeIndex}/${BigInt(gameId)}/${BigInt(index)}`
+    };
+}
+
+/**
+ * Walk m / purpose / gameId / 0, 1, 2, ... and collect keys in use.
+ * Stops after `gapLimit` consecutive unused indexes.
+ * @param {Buffer|Uint8Array} seed - Master seed
+ * @param {{purpose: number|string, gameId?: bigint|number}} branch - Branch to scan
+ * @param {(keypair: {sk: bigint, pk: object, path: string}, index: number) => Promise<boolean>} isUsed - Usage check (e.g. notes found)
+ * @param {number} [gapLimit=DEFAULT_GAP_LIMIT] - Gap limit
+ * @returns {Promise<{used: Array<{sk: bigint, pk: object, path: string, index: number}>, nextIndex: number}>}
+ *   Used keys and the first index after the last used one
+ */
+async function discoverKeys(seed, branch, isUsed, gapLimit = DEFAULT_GAP_LIMIT) {
+    const used = [];
+    let nextIndex = 0;
+    for (let index = 0, gap = 0; gap < gapLimit; index++) {
+        const keypair = await deriveKeyAtPath(seed, { ...branch, index });
+        if (await isUsed(keypair, index)) {
+            used.push({ ...keypair, index });
+            nextIndex = index + 1;
+            gap = 0;
+        } else {
+            gap++;
+        }
+    }
+    return { used, nextIndex };
+}
+
+// ─── Viewing keys: read notes without the spending key ───
+
+/** Domain tag of the viewing key hash (ASCII "zkdex-viewing-key" as a field element) */
+const VIEWING_KEY_DOMAIN = BigInt('0x' + Buffer.from('zkdex-viewing-key').toString('hex'));
+
+/**
+ * Derive the viewing key of a spending key: vsk = Poseidon(VIEWING_KEY_DOMAIN, sk) mod subOrder.
+ * One-way, so handing out vsk never reveals sk. Notes are ECDH-encrypted to vsk·Base8.
+ * @param {bigint|string} sk - Spending secret key
+ * @returns {Promise<bigint>} Viewing secret key
+ */
+async function deriveViewingKey(sk) {
+    await init();
+    const spendingKey = typeof sk === 'string' ? BigInt(sk.startsWith('0x') ? sk : '0x' + sk) : sk;
+    const vsk = (await poseidonHash([VIEWING_KEY_DOMAIN, spendingKey])) % babyJub.subOrder;
+    if (vsk === 0n) throw new Error('Derived viewing key is zero');
+    return vsk;
+}
+
+/**
+ * Dual-key address of a spending key.
+ * spendingPk goes into note commitments; viewingPk is what senders encrypt notes to.
+ * @param {bigint|string} sk - Spending secret key
+ * @returns {Promise<{spendingPk: {x: bigint, y: bigint}, viewingPk: {x: bigint, y: bigint}}>} Address keys
+ */
+async function deriveZkAddress(sk) {
+    const vsk = await deriveViewingKey(sk);
+    return {
+        spendingPk: await getPublicKey(sk),
+        viewingPk: await getPublicKey(vsk)
+    };
+}
+
+/**
+ * Encode a shareable viewing key: 0x || vsk(32) || spendingPk.x(32) || spendingPk.y(32).
+ * The spending public key lets a read-only holder recognise the owner's notes; it cannot spend.
+ * @param {bigint} vsk - Viewing secret key
+ * @param {{x: bigint, y: bigint}} spendingPk - Owner's spending public key
+ * @returns {string} 0x-prefixed 96-byte hex
+ */
+function encodeViewingKey(vsk, spendingPk) {
+    return '0x' + [vsk, spendingPk.x, spendingPk.y]
+        .map(v => BigInt(v).toString(16).padStart(64, '0'))
+        .join('');
+}
+
+/**
+ * Decode encodeViewingKey() output.
+ * @param {string} encoded - 0x-prefixed 96-byte hex
+ * @returns {{vsk: bigint, spendingPk: {x: bigint, y: bigint}}} Viewing key
+ */
+function decodeViewingKey(encoded) {
+    const hex = encoded.replace(/^0x/, '');
+    if (!/^[0-9a-fA-F]{192}$/.test(hex)) throw new Error('Invalid viewing key encoding');
+    return {
+        vsk: BigInt('0x' + hex.slice(0, 64)),
+        spendingPk: { x: BigInt('0x' + hex.slice(64, 128)), y: BigInt('0x' + hex.slice(128)) }
+    };
+}
+
+// ─── Stealth keys: one-time owner keys per transfer ───
+
+/** Domain tag of the stealth tweak hash (ASCII "zkdex-stealth" as a field element) */
+const STEALTH_DOMAIN = BigInt('0x' + Buffer.from('zkdex-stealth').toString('hex'));
+
+/**
+ * Scalar tweak from the ECDH point shared by sender (r·V) and viewer (vsk·R).
+ * @param {{x: bigint, y: bigint}} shared - Shared point
+ * @returns {Promise<bigint>} Tweak in [0, subOrder)
+ */
+async function stealthTweak(shared) {
+    await init();
+    return (await poseidonHash([STEALTH_DOMAIN, shared.x, shared.y])) % babyJub.subOrder;
+}
+
+/**
+ * Sender side: derive a one-time owner key for a dual-key address.
+ * P = spendingPk + H(r·viewingPk)·Base8, with R = r·Base8 published as the
+ * ephemeral key of the note envelope (pass ephemeralSk to encryptForRecipient).
+ * @param {{spendingPk: {x: bigint, y: bigint}, viewingPk: {x: bigint, y: bigint}}} address - Recipient meta-key
+ * @param {bigint} [ephemeralSk] - Ephemeral scalar r (random if omitted)
+ * @returns {Promise<{pk: {x: bigint, y: bigint}, ephemeralSk: bigint, ephemeralPk: {x: bigint, y: bigint}}>}
+ */
+async function createStealthKey(address, ephemeralSk) {
+    const r = ephemeralSk !== undefined ? ephemeralSk : await randomSecretKey();
+    const tweak = await stealthTweak(await mulPointScalar(address.viewingPk, r));
+    return {
+        pk: await addPoints(address.spendingPk, await getPublicKey(tweak)),
+        ephemeralSk: r,
+        ephemeralPk: await getPublicKey(r)
+    };
+}
+
+/**
+ * Viewer side: the one-time key a sender would have derived from ephemeralPk.
+ * Needs only the viewing key, so read-only holders can recognise stealth notes.
+ * @param {bigint} vsk - Viewing secret key
+ * @param {{x: bigint, y: bigint}} spendingPk - Owner's spending public key
+ * @param {{x: bigint, y: bigint}} ephemeralPk - R from the note envelope
+ * @returns {Promise<{x: bigint, y: bigint}>} One-time public key
+ */
+async function deriveStealthPublicKey(vsk, spendingPk, ephemeralPk) {
+    const tweak = await stealthTweak(await mulPointScalar(ephemeralPk, vsk));
+    return addPoints(spendingPk, await getPublicKey(tweak));
+}
+
+/**
+ * Owner side: secret key of a one-time key, (sk + H(vsk·R)) mod subOrder.
+ * @param {bigint} sk - Spending secret key
+ * @param {{x: bigint, y: bigint}} ephemeralPk - R from the note envelope
+ * @returns {Promise<bigint>} One-time secret key
+ */
+async function recoverStealthSecretKey(sk, ephemeralPk) {
+    const vsk = await deriveViewingKey(sk);
+    const tweak = await stealthTweak(await mulPointScalar(ephemeralPk, vsk));
+    return (BigInt(sk) + tweak) % babyJub.subOrder;
+}
+
 /**
  * Compute Poseidon hash
  * @param {Array<bigint|string|number>} inputs - Array of field elements (up to 16)
@@ -254,6 +583,16 @@ async function pubKeyToAddress(pubKey) {
     return '0x' + address.toString(16).padStart(40, '0');
 }
 
+/**
+ * Id of a spending key in keystores and note scanners (Node and browser):
+ * the 0x-padded x-coordinate of its public key.
+ * @param {{x: bigint, y: bigint}} pubKey - Spending public key
+ * @returns {string} 0x-prefixed bytes32 hex
+ */
+function keyIdOf(pubKey) {
+    return '0x' + BigInt(pubKey.x).toString(16).padStart(64, '0');
+}
+
 // Export class-like interface for compatibility with existing code
 /**
  * Wraps a BabyJubJub secret key for key operations.
@@ -357,6 +696,37 @@ module.exports = {
     unpackPoint,
     randomSecretKey,
     pubKeyToAddress,
+    keyIdOf,
+
+    // Wallet-derived keys
+    deriveSecretKeyFromSignature,
+    deriveKeypairFromSigner,
+    keyDerivationMessage,
+    KEY_DERIVATION_DOMAIN,
+    KEY_DERIVATION_TYPES,
+
+    // Hierarchical derivation
+    deriveMasterSeedFromSignature,
+    deriveMasterSeedFromSigner,
+    masterNodeFromSeed,
+    deriveChildNode,
+    deriveKeyAtPath,
+    discoverKeys,
+    KEY_PURPOSES,
+    DEFAULT_GAP_LIMIT,
+
+    // Viewing keys
+    deriveViewingKey,
+    deriveZkAddress,
+    encodeViewingKey,
+    decodeViewingKey,
+    VIEWING_KEY_DOMAIN,
+
+    // Stealth keys
+    createStealthKey,
+    deriveStealthPublicKey,
+    recoverStealthSecretKey,
+    STEALTH_DOMAIN,
 
     // Poseidon hash functions
     poseidonHash,
@@ -0,0 +1,172 @@
+/**
+ * circuitBudget.js
+ * Constraint and proving-cost measurements against a committed baseline (used by scripts/circuit-budget.js)
+ *
+ * Baseline file (circuits/budget.json):
+ *   {
+ *     "version": 1,
+ *     "budget": { "constraints": 1, "wires": 1, "publicInputs": 0, "witnessMs": 50, "proveMs": 50 },
+ *     "machine": "<cpu model the timings were taken on>",
+ *     "circuits": {
+ *       "<name>": { "constraints", "wires", "publicInputs", "privateInputs", "outputs", "witnessMs", "proveMs" }
+ *     }
+ *   }
+ *
+ * Budgets are the allowed increase over the baseline in percent. Metrics without a budget
+ * (privateInputs, outputs) are reported but never fail. Timings are only comparable on
+ * similar machines, hence the looser default budget and the recorded CPU model.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { r1csStats } = require('./circuitBuild');
+
+const BUDGET_VERSION = 1;
+const BUDGET_FILE = path.join(__dirname, '../../circuits/budget.json');
+
+/** Reported metrics, in report order */
+const METRICS = ['constraints', 'wires', 'publicInputs', 'privateInputs', 'outputs', 'witnessMs', 'proveMs'];
+
+/** Allowed increase in percent, used for metrics the baseline file does not budget */
+const DEFAULT_BUDGET = {
+    constraints: 1,
+    wires: 1,
+    publicInputs: 0,
+    witnessMs: 50,
+    proveMs: 50
+};
+
+function valueOf(object, key) {
+    return object && object[key] !== undefined && object[key] !== null ? object[key] : null;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Measure a compiled circuit: r1cs counts and, optionally, witness generation and
+ * Groth16 proving time (median over `runs` sample proofs).
+ * @param {string} circuit - Circuit name
+ * @param {object} [options]
+ * @param {string} [options.buildDir] - circuits/build
+ * @param {boolean} [options.prove] - Time witness generation and proving (default true)
+ * @param {number} [options.runs] - Timed runs (default 3)
+ * @returns {Promise<Object|null>} Metrics, or null if the circuit has no .r1cs. Timings are
+ *   null when skipped or when the wasm or zkey is missing.
+ */
+async function measureCircuit(circuit, { buildDir = path.join(__dirname, '../../circuits/build'), prove = true, runs = 3 } = {}) {
+    const dir = path.join(buildDir, circuit);
+    const r1csFile = path.join(dir, `${circuit}.r1cs`);
+    if (!fs.existsSync(r1csFile)) return null;
+    const metrics = { ...r1csStats(r1csFile), witnessMs: null, proveMs: null };
+
+    const wasm = path.join(dir, `${circuit}_js`, `${circuit}.wasm`);
+    const zkey = path.join(dir, `${circuit}.zkey`);
+    if (!prove || !fs.existsSync(wasm) || !fs.existsSync(zkey)) return metrics;
+
+    // Loaded lazily: only timing needs snarkjs and the sample notes
+    const snarkjs = require('snarkjs');
+    const { sampleInputs } = require('./artifactCheck');
+    const inputs = await sampleInputs(circuit);
+    const witnessTimes = [];
+    const proveTimes = [];
+    for (let i = 0; i < runs; i++) {
+        const wtns = { type: 'mem' };
+        const start = performance.now();
+        await snarkjs.wtns.calculate(inputs, wasm, wtns);
+        const witnessDone = performance.now();
+        await snarkjs.groth16.prove(zkey, wtns);
+        witnessTimes.push(witnessDone - start);
+        proveTimes.push(performance.now() - witnessDone);
+    }
+    metrics.witnessMs = Math.round(median(witnessTimes));
+    metrics.proveMs = Math.round(median(proveTimes));
+    return metrics;
+}
+
+/**
+ * @param {string} [file] - Baseline path
+ * @returns {object} Baseline (empty if the file does not exist)
+ */
+function loadBaseline(file = BUDGET_FILE) {
+    if (!fs.existsSync(file)) return { version: BUDGET_VERSION, budget: { ...DEFAULT_BUDGET }, circuits: {} };
+    const baseline = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (baseline.version !== BUDGET_VERSION) {
+        throw new Error(`Unsupported budget baseline version ${baseline.version} in ${file}`);
+    }
+    return baseline;
+}
+
+/**
+ * Record measurements as the new baseline. Circuits that were not measured keep their
+ * entries, and timings that were not taken keep their baseline values.
+ * @param {object} baseline - loadBaseline() result
+ * @param {Object<string, Object|null>} measured - Circuit → measureCircuit() result
+ * @param {string} [file] - Baseline path
+ * @returns {object} Saved baseline
+ */
+function saveBaseline(baseline, measured, file = BUDGET_FILE) {
+    const circuits = { ...baseline.circuits };
+    const timed = Object.values(measured).some(metrics => metrics && metrics.proveMs !== null);
+    for (const [circuit, metrics] of Object.entries(measured)) {
+        if (!metrics) continue;
+        const entry = {};
+        for (const metric of METRICS) {
+            const current = valueOf(metrics, metric);
+            entry[metric] = current !== null ? current : valueOf(circuits[circuit], metric);
+        }
+        circuits[circuit] = entry;
+    }
+    const saved = {
+        version: BUDGET_VERSION,
+        budget: { ...DEFAULT_BUDGET, ...baseline.budget },
+        machine: timed ? os.cpus()[0].model : valueOf(baseline, 'machine'),
+        circuits: Object.fromEntries(Object.keys(circuits).sort().map(name => [name, circuits[name]]))
+    };
+    fs.writeFileSync(file, JSON.stringify(saved, null, 2) + '\n');
+    return saved;
+}
+
+/**
+ * Compare one circuit's measurements with its baseline.
+ * @param {Object|undefined} baseline - Baseline entry of the circuit
+ * @param {Object} metrics - measureCircuit() result
+ * @param {Object<string, number>} budget - Allowed increase in percent per metric
+ * @returns {Array<{metric: string, baseline: ?number, current: ?number, change: ?number, limit: ?number, status: string}>}
+ *   One row per metric. status is 'regression' (over budget), 'improved' (decrease),
+ *   'ok', 'new' (no baseline value) or 'skipped' (not measured).
+ */
+function compareMetrics(baseline, metrics, budget) {
+    return METRICS.map(metric => {
+        const before = valueOf(baseline, metric);
+        const current = valueOf(metrics, metric);
+        const limit = valueOf(budget, metric);
+        const row = { metric, baseline: before, current, change: null, limit, status: 'ok' };
+        if (current === null) {
+            row.status = 'skipped';
+        } else if (before === null) {
+            row.status = 'new';
+        } else {
+            row.change = before === 0 ? (current === 0 ? 0 : Infinity) : (current - before) / before * 100;
+            if (limit !== null && current > before && row.change > limit) row.status = 'regression';
+            else if (current < before) row.status = 'improved';
+        }
+        return row;
+    });
+}
+
+module.exports = {
+    measureCircuit,
+    loadBaseline,
+    saveBaseline,
+    compareMetrics,
+    METRICS,
+    DEFAULT_BUDGET,
+    BUDGET_FILE,
+    BUDGET_VERSION
+};
@@ -0,0 +1,246 @@
+/**
+ * circuitBuild.js
+ * Incremental build bookkeeping for scripts/compile-circuit.js
+ *
+ * The build manifest, circuits/build/manifest.json:
+ *   {
+ *     version,
+ *     circuits: {
+ *       <name>: {
+ *         sourceHash, sources, circom, ptau: { file, size },
+ *         constraints, publicInputs, privateInputs, outputs, wires,
+ *         artifacts: { r1cs, wasm, zkey, vkey, verifier: { path, sha256 } },
+ *         builtAt,
+ *         ceremony?   (transcript path, once scripts/ceremony.js installed the ceremony's zkey)
+ *       }
+ *     }
+ *   }
+ * Paths are relative to the repository root.
+ *
+ * sourceHash covers the main .circom file, every file it includes (transitively),
+ * the compiler flags and the ptau file name. A circuit is up to date while that
+ * hash is unchanged and every recorded artifact still has its recorded hash;
+ * rebuilding it would only replace the zkey (the phase-2 contribution is random)
+ * and with it the Solidity verifier.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sha256File } = require('./circuitManifest');
+
+const BUILD_MANIFEST_FILE = 'manifest.json';
+const BUILD_MANIFEST_VERSION = 1;
+
+const INCLUDE_RE = /^\s*include\s+"([^"]+)"\s*;/gm;
+
+/**
+ * Contract name prefix of a circuit's generated verifier (contracts/verifiers/<Name>Verifier.sol).
+ * @param {string} circuitName - e.g. 'private_nft_transfer'
+ * @returns {string} e.g. 'PrivateNftTransfer'
+ */
+function verifierName(circuitName) {
+    return circuitName
+        .split('_')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join('');
+}
+
+/**
+ * Names of the main circuits (<name>.circom) in a directory.
+ * @param {string} mainDir - circuits/main
+ * @returns {string[]} Sorted circuit names
+ */
+function discoverCircuits(mainDir) {
+    return fs.readdirSync(mainDir)
+        .filter(file => file.endsWith('.circom'))
+        .map(file => path.basename(file, '.circom'))
+        .sort();
+}
+
+/**
+ * A .circom file and every file it includes, transitively. Include paths are
+ * resolved relative to the including file, as circom does without -l.
+ * @param {string} file - Main .circom file
+ * @returns {string[]} Absolute paths, the main file first and the rest sorted
+ */
+function resolveIncludes(file) {
+    const main = path.resolve(file);
+    const seen = new Set([main]);
+    const pending = [main];
+    while (pending.length > 0) {
+        const current = pending.pop();
+        const source = fs.readFileSync(current, 'utf8');
+        for (const match of source.matchAll(INCLUDE_RE)) {
+            const included = path.resolve(path.dirname(current), match[1]);
+            if (seen.has(included)) continue;
+            if (!fs.existsSync(included)) {
+                throw new Error(`Included file not found: ${match[1]} (from ${current})`);
+            }
+            seen.add(included);
+            pending.push(included);
+        }
+    }
+    seen.delete(main);
+    return [main, ...[...seen].sort()];
+}
+
+/**
+ * Content hash of a circuit's sources and build inputs.
+ * @param {string} circuitFile - Main .circom file
+ * @param {object} options
+ * @param {string} options.root - Directory the recorded source paths are relative to
+ * @param {object} [options.inputs] - Other build inputs (compiler flags, ptau name, ...)
+ * @returns {{sourceHash: string, sources: string[]}}
+ */
+function fingerprintCircuit(circuitFile, { root, inputs = {} }) {
+    const sources = resolveIncludes(circuitFile).map(file => ({
+        path: path.relative(root, file).split(path.sep).join('/'),
+        sha256: sha256File(file)
+    }));
+    const sourceHash = crypto.createHash('sha256')
+        .update(JSON.stringify({ sources, inputs }))
+        .digest('hex');
+    return { sourceHash, sources: sources.map(source => source.path) };
+}
+
+/**
+ * @param {string} file - Artifact path
+ * @param {string} root - Repository root
+ * @returns {{path: string, sha256: string}}
+ */
+function artifactRecord(file, root) {
+    return { path: path.relative(root, file).split(path.sep).join('/'), sha256: sha256File(file) };
+}
+
+/**
+ * Whether a manifest entry still describes the artifacts on disk for these sources.
+ * @param {object|undefined} entry - Build manifest entry
+ * @param {string} sourceHash - fingerprintCircuit().sourceHash
+ * @param {string} root - Repository root
+ * @returns {boolean}
+ */
+function isUpToDate(entry, sourceHash, root) {
+    if (!entry || entry.sourceHash !== sourceHash) return false;
+    return Object.values(entry.artifacts).every(artifact => {
+        const file = path.join(root, artifact.path);
+        return fs.existsSync(file) && sha256File(file) === artifact.sha256;
+    });
+}
+
+/**
+ * Constraint and signal counts of a compiled circuit, read from the header
+ * section of the .r1cs file (iden3 binary format).
+ * @param {string} r1csFile - <name>.r1cs
+ * @returns {{constraints: number, publicInputs: number, privateInputs: number, outputs: number, wires: number}}
+ */
+function r1csStats(r1csFile) {
+    const fd = fs.openSync(r1csFile, 'r');
+    try {
+        const read = (position, length) => {
+            const buffer = Buffer.alloc(length);
+            if (fs.readSync(fd, buffer, 0, length, position) !== length) {
+                throw new Error(`Truncated r1cs file: ${r1csFile}`);
+            }
+            return buffer;
+        };
+        const preamble = read(0, 12);
+        if (preamble.toString('latin1', 0, 4) !== 'r1cs') throw new Error(`Not an r1cs file: ${r1csFile}`);
+        const nSections = preamble.readUInt32LE(8);
+
+        let position = 12;
+        for (let i = 0; i < nSections; i++) {
+            const section = read(position, 12);
+            const type = section.readUInt32LE(0);
+            const size = Number(section.readBigUInt64LE(4));
+            position += 12;
+            if (type === 1) {
+                // n8, prime (n8 bytes), nWires, nPubOut, nPubIn, nPrvIn, nLabels (u64), nConstraints
+                const n8 = read(position, 4).readUInt32LE(0);
+                const counts = read(position + 4 + n8, 28);
+                return {
+                    constraints: counts.readUInt32LE(24),
+                    publicInputs: counts.readUInt32LE(8),
+                    privateInputs: counts.readUInt32LE(12),
+                    outputs: counts.readUInt32LE(4),
+                    wires: counts.readUInt32LE(0)
+                };
+            }
+            position += size;
+        }
+        throw new Error(`No header section in r1cs file: ${r1csFile}`);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * @param {string} buildDir - circuits/build
+ * @returns {{version: number, circuits: Object<string, object>}}
+ */
+function loadBuildManifest(buildDir) {
+    const file = path.join(buildDir, BUILD_MANIFEST_FILE);
+    if (!fs.existsSync(file)) return { version: BUILD_MANIFEST_VERSION, circuits: {} };
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (manifest.version !== BUILD_MANIFEST_VERSION) {
+        // An unknown format cannot vouch for anything; rebuild
+        return { version: BUILD_MANIFEST_VERSION, circuits: {} };
+    }
+    return manifest;
+}
+
+/**
+ * Write buildDir/manifest.json with circuits in name order.
+ * @param {string} buildDir - circuits/build
+ * @param {{version: number, circuits: Object<string, object>}} manifest
+ */
+function saveBuildManifest(buildDir, manifest) {
+    const circuits = {};
+    for (const name of Object.keys(manifest.circuits).sort()) circuits[name] = manifest.circuits[name];
+    fs.mkdirSync(buildDir, { recursive: true });
+    fs.writeFileSync(
+        path.join(buildDir, BUILD_MANIFEST_FILE),
+        JSON.stringify({ version: BUILD_MANIFEST_VERSION, circuits }, null, 2) + '\n'
+    );
+}
+
+/**
+ * Run worker over items with at most `jobs` in flight. A failing item does not
+ * stop the others.
+ * @param {Array} items - Work items
+ * @param {number} jobs - Maximum concurrency
+ * @param {(item: any) => Promise<any>} worker
+ * @returns {Promise<Array<{item: any, result?: any, error?: Error}>>} Outcomes in item order
+ */
+async function runPool(items, jobs, worker) {
+    const outcomes = new Array(items.length);
+    let next = 0;
+    async function lane() {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                outcomes[index] = { item: items[index], result: await worker(items[index]) };
+            } catch (error) {
+                outcomes[index] = { item: items[index], error };
+            }
+        }
+    }
+    const lanes = Math.max(1, Math.min(jobs, items.length));
+    await Promise.all(Array.from({ length: lanes }, lane));
+    return outcomes;
+}
+
+module.exports = {
+    verifierName,
+    discoverCircuits,
+    resolveIncludes,
+    fingerprintCircuit,
+    artifactRecord,
+    isUpToDate,
+    r1csStats,
+    loadBuildManifest,
+    saveBuildManifest,
+    runPool,
+    BUILD_MANIFEST_FILE,
+    BUILD_MANIFEST_VERSION
+};
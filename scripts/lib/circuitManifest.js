@@ -0,0 +1,73 @@
+/**
+ * circuitManifest.js
+ * Content-hash manifest of the browser circuit artifacts (frontend/public/circuits)
+ *
+ * Layout served to the browser:
+ *   circuits/<name>/<name>.wasm
+ *   circuits/<name>/<name>.zkey
+ *   circuits/manifest.json
+ *
+ * The frontend artifact cache (frontend/src/lib/artifactCache.ts) keys its
+ * IndexedDB entries by these hashes, verifies downloads against them and
+ * evicts entries that are no longer listed after a recompile.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+const ARTIFACT_KINDS = ['wasm', 'zkey'];
+
+/**
+ * @param {string} file - File path
+ * @returns {string} Hex SHA-256 of the file
+ */
+function sha256File(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Hash every <name>/<name>.{wasm,zkey} under circuitsDir.
+ * @param {string} circuitsDir - frontend/public/circuits
+ * @returns {{version: number, circuits: Object<string, Object<string, {path: string, sha256: string, size: number}>>}}
+ */
+function buildCircuitManifest(circuitsDir) {
+    const circuits = {};
+    const names = fs.readdirSync(circuitsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+
+    for (const name of names) {
+        const artifacts = {};
+        for (const kind of ARTIFACT_KINDS) {
+            const relative = `${name}/${name}.${kind}`;
+            const file = path.join(circuitsDir, relative);
+            if (!fs.existsSync(file)) continue;
+            artifacts[kind] = { path: relative, sha256: sha256File(file), size: fs.statSync(file).size };
+        }
+        if (Object.keys(artifacts).length > 0) circuits[name] = artifacts;
+    }
+    return { version: MANIFEST_VERSION, circuits };
+}
+
+/**
+ * Write circuitsDir/manifest.json.
+ * @param {string} circuitsDir - frontend/public/circuits
+ * @returns {object} The manifest
+ */
+function writeCircuitManifest(circuitsDir) {
+    const manifest = buildCircuitManifest(circuitsDir);
+    fs.writeFileSync(path.join(circuitsDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+    return manifest;
+}
+
+module.exports = {
+    buildCircuitManifest,
+    writeCircuitManifest,
+    sha256File,
+    MANIFEST_FILE,
+    MANIFEST_VERSION
+};
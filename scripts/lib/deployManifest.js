@@ -0,0 +1,228 @@
+/**
+ * deployManifest.js
+ * Per-chain deployment manifests for scripts/deploy.js (Node.js environment, ethers v6)
+ *
+ * One file per chain, frontend/src/config/deployments/<chainId>.json:
+ *   {
+ *     version, chainId, network, deployer, proverMode, updatedAt,
+ *     contracts: { <key>: { contract, args, links?, circuit?, vkeyHash?, address, codeHash, txHash, blockNumber } },
+ *     steps:     { <name>: { args, txHash, blockNumber } }
+ *   }
+ * Verifiers record the circuit they were generated from and the SHA-256 of its
+ * verification key, so a manifest says which zkey each deployed verifier accepts.
+ *
+ * Deployments resume: a recorded contract is reused while its code is still at its address
+ * and its contract name, constructor args, links and vkey hash are unchanged; a recorded
+ * step is skipped while its receipt exists with the same args. Redeploying a contract
+ * drops its steps. After a chain reset (e.g. a restarted hardhat node) nothing has code
+ * or receipts any more, so everything is redeployed into the same file.
+ *
+ * The frontend (frontend/src/lib/contracts.ts) picks the manifest of the connected chain.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+/** Current manifest format version */
+const MANIFEST_VERSION = 1;
+
+/** Where deploy.js keeps the manifests */
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', '..', 'frontend', 'src', 'config', 'deployments');
+
+/**
+ * JSON-safe copy of constructor or call arguments (bigints as decimal strings).
+ * @param {Array} args - Arguments
+ * @returns {Array} Serialized arguments
+ */
+function serializeArgs(args) {
+    return JSON.parse(JSON.stringify(args, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+}
+
+function sameJson(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * SHA-256 of a circuit's verification key.
+ * @param {string} vkeyPath - <circuit>_vkey.json
+ * @returns {string|null} 0x-prefixed hex, or null if the file does not exist
+ */
+function hashVkey(vkeyPath) {
+    if (!fs.existsSync(vkeyPath)) return null;
+    return '0x' + crypto.createHash('sha256').update(fs.readFileSync(vkeyPath)).digest('hex');
+}
+
+/**
+ * @param {number|bigint} chainId - Chain id
+ * @param {string} [dir] - Manifest directory
+ * @returns {string} Manifest path
+ */
+function manifestPath(chainId, dir = DEPLOYMENTS_DIR) {
+    return path.join(dir, `${chainId}.json`);
+}
+
+/**
+ * The manifest of one chain, saved after every deployment and step.
+ */
+class DeploymentManifest {
+    /**
+     * Use DeploymentManifest.load().
+     * @param {string} file - Manifest path
+     * @param {object} data - Manifest contents
+     * @param {ethers.Provider} provider - Provider of the chain
+     */
+    constructor(file, data, provider) {
+        this.file = file;
+        this.data = data;
+        this.provider = provider;
+    }
+
+    /**
+     * Open (or start) the manifest of the provider's chain.
+     * @param {ethers.Provider} provider - Provider of the chain being deployed to
+     * @param {{dir?: string, network?: string, deployer?: string, proverMode?: string}} [options]
+     * @returns {Promise<DeploymentManifest>}
+     */
+    static async load(provider, options = {}) {
+        const chainId = Number((await provider.getNetwork()).chainId);
+        const file = manifestPath(chainId, options.dir);
+        let data = {
+            version: MANIFEST_VERSION,
+            chainId,
+            network: null,
+            deployer: null,
+            proverMode: null,
+            updatedAt: null,
+            contracts: {},
+            steps: {}
+        };
+        if (fs.existsSync(file)) {
+            const existing = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (existing.version !== MANIFEST_VERSION || existing.chainId !== chainId) {
+                throw new Error(`${file} is not a version ${MANIFEST_VERSION} manifest for chain ${chainId}`);
+            }
+            data = existing;
+        }
+        data.network = options.network || data.network || null;
+        data.deployer = options.deployer || data.deployer || null;
+        data.proverMode = options.proverMode || data.proverMode || null;
+        return new DeploymentManifest(file, data, provider);
+    }
+
+    /** @returns {number} Chain id */
+    get chainId() {
+        return this.data.chainId;
+    }
+
+    /**
+     * Deploy a contract unless the manifest already has an identical live deployment.
+     * @param {string} key - Manifest key (e.g. 'privateNFT', 'privateNFTVerifier')
+     * @param {ethers.ContractFactory} factory - Factory connected to the deployer
+     * @param {object} spec
+     * @param {string} spec.contract - Artifact name, recorded for humans and compared on resume
+     * @param {Array} [spec.args] - Constructor arguments
+     * @param {Object<string, string>} [spec.links] - Addresses wired in after deployment (compared on resume)
+     * @param {string} [spec.circuit] - Circuit a verifier was generated from
+     * @param {string|null} [spec.vkeyHash] - hashVkey() of that circuit
+     * @returns {Promise<{address: string, reused: boolean}>}
+     */
+    async deploy(key, factory, { contract, args = [], links, circuit, vkeyHash }) {
+        const record = {
+            contract,
+            args: serializeArgs(args),
+            ...(links && { links }),
+            ...(circuit && { circuit, vkeyHash: vkeyHash === undefined ? null : vkeyHash })
+        };
+        const existing = this.data.contracts[key];
+        if (existing && await this._isLive(existing, record)) {
+            return { address: existing.address, reused: true };
+        }
+
+        const instance = await factory.deploy(...args);
+        const tx = instance.deploymentTransaction();
+        const receipt = await tx.wait();
+        const address = await instance.getAddress();
+
+        this.data.contracts[key] = {
+            ...record,
+            address,
+            codeHash: ethers.keccak256(await this.provider.getCode(address)),
+            txHash: tx.hash,
+            blockNumber: receipt.blockNumber
+        };
+        // Steps ran against the previous instance
+        for (const name of Object.keys(this.data.steps)) {
+            if (name.startsWith(`${key}.`)) delete this.data.steps[name];
+        }
+        this.save();
+        return { address, reused: false };
+    }
+
+    /**
+     * Send a transaction unless the manifest records a successful one with the same args.
+     * @param {string} name - '<contract key>.<action>', so redeploying the contract reruns it
+     * @param {Array} args - Arguments identifying this step
+     * @param {() => Promise<ethers.TransactionResponse>} send - Sends the transaction
+     * @returns {Promise<boolean>} True if the transaction was sent, false if skipped
+     */
+    async step(name, args, send) {
+        const existing = this.data.steps[name];
+        if (existing && sameJson(existing.args, serializeArgs(args))) {
+            const receipt = await this.provider.getTransactionReceipt(existing.txHash);
+            if (receipt && receipt.status === 1) return false;
+        }
+
+        const tx = await send();
+        const receipt = await tx.wait();
+        this.data.steps[name] = { args: serializeArgs(args), txHash: tx.hash, blockNumber: receipt.blockNumber };
+        this.save();
+        return true;
+    }
+
+    /**
+     * @param {string} key - Manifest key
+     * @returns {string|null} Recorded address
+     */
+    address(key) {
+        const entry = this.data.contracts[key];
+        return entry ? entry.address : null;
+    }
+
+    /**
+     * Flat address map in the deployedAddresses.json format.
+     * @param {string[]} keys - Manifest keys to include
+     * @returns {Object<string, string>}
+     */
+    addresses(keys) {
+        const out = {};
+        for (const key of keys) {
+            if (this.data.contracts[key]) out[key] = this.data.contracts[key].address;
+        }
+        return out;
+    }
+
+    /** Write the manifest (creating its directory). */
+    save() {
+        this.data.updatedAt = new Date().toISOString();
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2) + '\n');
+    }
+
+    async _isLive(existing, record) {
+        const { address, codeHash, txHash, blockNumber, ...recorded } = existing;
+        if (!sameJson(recorded, record)) return false;
+        // After a chain reset the address may be empty or hold another contract
+        return ethers.keccak256(await this.provider.getCode(address)) === codeHash;
+    }
+}
+
+module.exports = {
+    DeploymentManifest,
+    hashVkey,
+    manifestPath,
+    serializeArgs,
+    DEPLOYMENTS_DIR,
+    MANIFEST_VERSION
+};
@@ -3,10 +3,13 @@
  * ECDH encryption/decryption for BabyJubJub notes (Node.js environment)
  *
  * Uses ECDH key agreement on BabyJubJub + AES-256-GCM for symmetric encryption.
- * Compatible with the browser version (vapp/src/lib/ecdhCrypto.ts).
+ * Compatible with the browser version (frontend/src/lib/ecdhCrypto.ts).
  *
- * On-chain format:
+ * On-chain format (envelope v1):
  *   0x01 || epk_x(32B) || epk_y(32B) || nonce(12B) || ciphertext || authTag(16B)
+ *
+ * The first byte selects the envelope format. New formats are added with
+ * registerEnvelopeVersion(); decryptWithSecretKey dispatches on the version byte.
  */
 
 const crypto = require('crypto');
@@ -42,16 +45,32 @@ function deriveAESKey(sharedPoint) {
         .digest();
 }
 
+/**
+ * Normalize a secret key to bigint.
+ * @param {string|bigint} sk - Secret key as hex string (with or without 0x) or bigint
+ * @returns {bigint} Secret key
+ */
+function toSecretKey(sk) {
+    if (typeof sk === 'string') {
+        return BigInt(sk.startsWith('0x') ? sk : '0x' + sk);
+    }
+    return sk;
+}
+
+// ─── Envelope v1: ECDH on BabyJubJub + AES-256-GCM ───
+
 /**
  * Encrypt data for a recipient using ECDH + AES-256-GCM
  *
  * @param {Buffer|Uint8Array} plaintext - Data to encrypt
  * @param {{x: bigint, y: bigint}} recipientPk - Recipient's BabyJubJub public key
- * @returns {Promise<string>} Encrypted data as hex string: 0x01 || epk_x || epk_y || nonce || ciphertext || authTag
+ * @param {object} [options]
+ * @param {bigint} [options.ephemeralSk] - Ephemeral scalar to use (the stealth key scalar); random if omitted
+ * @returns {Promise<Buffer>} 0x01 || epk_x || epk_y || nonce || ciphertext || authTag
  */
-async function encryptForRecipient(plaintext, recipientPk) {
+async function encryptV1(plaintext, recipientPk, { ephemeralSk } = {}) {
     // 1. Generate ephemeral keypair
-    const esk = await circomlibBabyJub.randomSecretKey();
+    const esk = ephemeralSk !== undefined ? ephemeralSk : await circomlibBabyJub.randomSecretKey();
     const epk = await circomlibBabyJub.getPublicKey(esk);
 
     // 2. ECDH shared secret: esk * recipientPk
@@ -69,23 +88,122 @@ async function encryptForRecipient(plaintext, recipientPk) {
     const authTag = cipher.getAuthTag(); // 16 bytes
 
     // 6. Serialize: version(1) || epk_x(32) || epk_y(32) || nonce(12) || ciphertext || authTag(16)
-    const epkXBuf = bigIntToBuffer32(epk.x);
-    const epkYBuf = bigIntToBuffer32(epk.y);
-
-    const output = Buffer.concat([
+    return Buffer.concat([
         Buffer.from([ECDH_VERSION]),
-        epkXBuf,
-        epkYBuf,
+        bigIntToBuffer32(epk.x),
+        bigIntToBuffer32(epk.y),
         nonce,
         ciphertext,
         authTag
     ]);
+}
+
+/**
+ * Decrypt a v1 envelope. Throws if the key is wrong or the data is corrupted.
+ *
+ * @param {Buffer} buf - Envelope bytes including the version byte
+ * @param {bigint} sk - Recipient's secret key
+ * @returns {Promise<Buffer>} Decrypted plaintext
+ */
+async function decryptV1(buf, sk) {
+    // Parse: version(1) || epk_x(32) || epk_y(32) || nonce(12) || ciphertext || authTag(16)
+    const epkX = BigInt('0x' + buf.slice(1, 33).toString('hex'));
+    const epkY = BigInt('0x' + buf.slice(33, 65).toString('hex'));
+    const nonce = buf.slice(65, 77);
+    const ciphertextAndTag = buf.slice(77);
+    const ciphertext = ciphertextAndTag.slice(0, -16);
+    const authTag = ciphertextAndTag.slice(-16);
+
+    // ECDH shared secret: sk * epk
+    const shared = await circomlibBabyJub.mulPointScalar({ x: epkX, y: epkY }, sk);
+
+    // Derive AES key from shared secret
+    const keyMaterial = deriveAESKey(shared);
+
+    // AES-256-GCM decrypt
+    const decipher = crypto.createDecipheriv('aes-256-gcm', keyMaterial, nonce);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Read the ephemeral public key of a v1 envelope.
+ * @param {Buffer} buf - Envelope bytes including the version byte
+ * @returns {{x: bigint, y: bigint}} epk
+ */
+function ephemeralKeyV1(buf) {
+    return {
+        x: BigInt('0x' + buf.slice(1, 33).toString('hex')),
+        y: BigInt('0x' + buf.slice(33, 65).toString('hex'))
+    };
+}
+
+// ─── Version registry ───
+
+/**
+ * Envelope formats keyed by their leading version byte.
+ * Each entry: { name, minBytes, encrypt(plaintext, recipientPk, options) => Promise<Buffer>,
+ * decrypt(buf, sk) => Promise<Buffer>, ephemeralKey?(buf) => {x, y} }
+ */
+const ENVELOPE_VERSIONS = new Map();
 
+/** Version used by encryptForRecipient when none is given */
+const DEFAULT_ENVELOPE_VERSION = ECDH_VERSION;
+
+/**
+ * Register an envelope format. The encoder must emit the version byte first.
+ * @param {number} version - Version byte (1-255)
+ * @param {{name: string, minBytes: number, encrypt: Function, decrypt: Function}} format - Format implementation
+ */
+function registerEnvelopeVersion(version, format) {
+    if (!Number.isInteger(version) || version < 1 || version > 0xff) {
+        throw new Error(`Invalid envelope version: ${version}`);
+    }
+    if (ENVELOPE_VERSIONS.has(version)) {
+        throw new Error(`Envelope version 0x${version.toString(16)} already registered`);
+    }
+    ENVELOPE_VERSIONS.set(version, format);
+}
+
+registerEnvelopeVersion(ECDH_VERSION, {
+    name: 'ecdh-babyjubjub-aes256gcm',
+    minBytes: ECDH_MIN_BYTES,
+    encrypt: encryptV1,
+    decrypt: decryptV1,
+    ephemeralKey: ephemeralKeyV1
+});
+
+/**
+ * Read the envelope version of a hex-encoded blob.
+ * @param {string} hex - Hex string (with or without 0x prefix)
+ * @returns {number|null} Version byte if it is a registered format, otherwise null
+ */
+function getEnvelopeVersion(hex) {
+    const clean = hex.startsWith('0x') ? hex.slice(2) : hex;
+    if (clean.length < 2) return null;
+    const version = parseInt(clean.slice(0, 2), 16);
+    return ENVELOPE_VERSIONS.has(version) ? version : null;
+}
+
+/**
+ * Encrypt data for a recipient using a registered envelope format (ECDH + AES-256-GCM by default)
+ *
+ * @param {Buffer|Uint8Array} plaintext - Data to encrypt
+ * @param {{x: bigint, y: bigint}} recipientPk - Recipient's BabyJubJub public key
+ * @param {number} [version=DEFAULT_ENVELOPE_VERSION] - Envelope version to produce
+ * @param {object} [options] - Format options (v1: ephemeralSk)
+ * @returns {Promise<string>} Encrypted data as hex string: 0x01 || epk_x || epk_y || nonce || ciphertext || authTag
+ */
+async function encryptForRecipient(plaintext, recipientPk, version = DEFAULT_ENVELOPE_VERSION, options = {}) {
+    const format = ENVELOPE_VERSIONS.get(version);
+    if (!format) throw new Error(`Unknown envelope version: ${version}`);
+
+    const output = await format.encrypt(plaintext, recipientPk, options);
     return '0x' + output.toString('hex');
 }
 
 /**
- * Decrypt ECDH-encrypted data using the recipient's secret key
+ * Decrypt an envelope using the recipient's secret key
  *
  * @param {string} encryptedHex - Encrypted data as hex string (with 0x prefix)
  * @param {string|bigint} sk - Recipient's secret key
@@ -94,36 +212,11 @@ async function encryptForRecipient(plaintext, recipientPk) {
 async function decryptWithSecretKey(encryptedHex, sk) {
     try {
         const buf = Buffer.from(encryptedHex.replace('0x', ''), 'hex');
+        const format = ENVELOPE_VERSIONS.get(buf[0]);
 
-        if (buf.length < ECDH_MIN_BYTES) return null;
-        if (buf[0] !== ECDH_VERSION) return null;
-
-        // Parse: version(1) || epk_x(32) || epk_y(32) || nonce(12) || ciphertext || authTag(16)
-        const epkX = BigInt('0x' + buf.slice(1, 33).toString('hex'));
-        const epkY = BigInt('0x' + buf.slice(33, 65).toString('hex'));
-        const nonce = buf.slice(65, 77);
-        const ciphertextAndTag = buf.slice(77);
-        const ciphertext = ciphertextAndTag.slice(0, -16);
-        const authTag = ciphertextAndTag.slice(-16);
-
-        // ECDH shared secret: sk * epk
-        let skBigInt;
-        if (typeof sk === 'string') {
-            skBigInt = BigInt(sk.startsWith('0x') ? sk : '0x' + sk);
-        } else {
-            skBigInt = sk;
-        }
-        const shared = await circomlibBabyJub.mulPointScalar({ x: epkX, y: epkY }, skBigInt);
-
-        // Derive AES key from shared secret
-        const keyMaterial = deriveAESKey(shared);
-
-        // AES-256-GCM decrypt
-        const decipher = crypto.createDecipheriv('aes-256-gcm', keyMaterial, nonce);
-        decipher.setAuthTag(authTag);
-        const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
-
-        return plaintext;
+        if (!format || buf.length < format.minBytes) return null;
+
+        return await format.decrypt(buf, toSecretKey(sk));
     } catch (e) {
         // Decryption failure = wrong key or corrupted data
         return null;
@@ -131,20 +224,38 @@ async function decryptWithSecretKey(encryptedHex, sk) {
 }
 
 /**
- * Check if a hex-encoded bytes blob is ECDH-encrypted (starts with version byte 0x01).
+ * Read the sender's ephemeral public key from an envelope (R of a stealth note).
+ * @param {string} encryptedHex - Encrypted data as hex string (with 0x prefix)
+ * @returns {{x: bigint, y: bigint}|null} Ephemeral key, or null if the format has none
+ */
+function getEphemeralKey(encryptedHex) {
+    if (!isECDHEncrypted(encryptedHex)) return null;
+    const buf = Buffer.from(encryptedHex.replace('0x', ''), 'hex');
+    const format = ENVELOPE_VERSIONS.get(buf[0]);
+    return format.ephemeralKey ? format.ephemeralKey(buf) : null;
+}
+
+/**
+ * Check if a hex-encoded bytes blob is an envelope in a registered format.
  * @param {string} hex - The hex-encoded string to check (with or without 0x prefix)
- * @returns {boolean} True if the data has the ECDH version prefix and meets the minimum length requirement
+ * @returns {boolean} True if the data starts with a registered version byte and meets that format's minimum length
  */
 function isECDHEncrypted(hex) {
+    const version = getEnvelopeVersion(hex);
+    if (version === null) return false;
     const clean = hex.startsWith('0x') ? hex.slice(2) : hex;
-    if (clean.length < ECDH_MIN_BYTES * 2) return false;
-    return clean.slice(0, 2) === '01';
+    return clean.length >= ENVELOPE_VERSIONS.get(version).minBytes * 2;
 }
 
 module.exports = {
     encryptForRecipient,
     decryptWithSecretKey,
     isECDHEncrypted,
+    getEnvelopeVersion,
+    getEphemeralKey,
+    registerEnvelopeVersion,
+    ENVELOPE_VERSIONS,
+    DEFAULT_ENVELOPE_VERSION,
     ECDH_VERSION,
     ECDH_MIN_BYTES
 };
@@ -0,0 +1,74 @@
+/**
+ * httpJson.js
+ * Helpers for the small node:http JSON services (indexer, relayer): CORS-open
+ * JSON responses, bounded JSON body parsing and status-carrying errors.
+ */
+
+/** Largest request body accepted */
+const MAX_BODY_BYTES = 1 << 20;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (e) {
+                reject(new HttpError(400, 'Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Wrap an async router in a request listener: OPTIONS preflight, JSON
+ * responses, HttpError status codes and a generic 500 for anything else.
+ * @param {(req: http.IncomingMessage) => Promise<object>} route - Returns the response body
+ * @returns {http.RequestListener} Listener for http.createServer
+ */
+function jsonHandler(route) {
+    return (req, res) => {
+        if (req.method === 'OPTIONS') {
+            sendJSON(res, 204, {});
+            return;
+        }
+        route(req)
+            .then(body => sendJSON(res, 200, body))
+            .catch(err => sendJSON(res, err.status || 500, { error: err.status ? err.message : 'Internal error' }));
+    };
+}
+
+module.exports = {
+    HttpError,
+    sendJSON,
+    readBody,
+    jsonHandler
+};
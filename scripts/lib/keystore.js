@@ -0,0 +1,369 @@
+/**
+ * keystore.js
+ * Password-encrypted keystore for BabyJubJub secret keys and note preimages (Node.js environment)
+ *
+ * Same file format as frontend/src/lib/keystore.ts, so a keystore exported from
+ * the browser opens here and vice versa:
+ *
+ *   {
+ *     "version": 1,
+ *     "id": "<uuid>",
+ *     "crypto": {
+ *       "kdf": "scrypt" | "pbkdf2",
+ *       "kdfparams": { n, r, p, dklen, salt } | { c, prf: "hmac-sha256", dklen, salt },
+ *       "cipher": "aes-256-gcm",
+ *       "cipherparams": { "iv": "<12-byte hex>" },
+ *       "ciphertext": "<hex, 16-byte auth tag appended>"
+ *     }
+ *   }
+ *
+ * The plaintext is JSON: { keys: { [keyId]: {sk, pkX, pkY, label} }, notes: { [hash]: {note, keyId} } }
+ * where keyId is circomlibBabyJub.keyIdOf(pk) (0x-padded x-coordinate of the public key, the
+ * same id NoteScanner uses) and note is FeatureNote.toJSON().
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { promisify } = require('util');
+const { getPublicKey, keyIdOf } = require('./circomlibBabyJub');
+
+const scryptAsync = promisify(crypto.scrypt);
+const pbkdf2Async = promisify(crypto.pbkdf2);
+
+/** Current keystore format version */
+const KEYSTORE_VERSION = 1;
+
+/** Authenticated with every ciphertext so a payload cannot be moved to another format */
+const KEYSTORE_AAD = Buffer.from('zkdex-keystore-v1');
+
+/** Default KDF parameters (scrypt as in Ethereum V3 keystores, PBKDF2 per OWASP) */
+const DEFAULT_KDF_PARAMS = {
+    scrypt: { n: 131072, r: 8, p: 1, dklen: 32 },
+    pbkdf2: { c: 600000, prf: 'hmac-sha256', dklen: 32 }
+};
+
+/** Lock an unlocked session after this much inactivity */
+const DEFAULT_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Raised for a wrong password, a malformed keystore or use of a locked session.
+ */
+class KeystoreError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'KeystoreError';
+    }
+}
+
+/**
+ * Derive the AES key from a password with the keystore's KDF.
+ * @param {string} password - Keystore password
+ * @param {string} kdf - 'scrypt' or 'pbkdf2'
+ * @param {object} params - kdfparams including a hex salt
+ * @returns {Promise<Buffer>} 32-byte key
+ */
+async function deriveKey(password, kdf, params) {
+    const salt = Buffer.from(params.salt, 'hex');
+    const passwordBytes = Buffer.from(password.normalize('NFKC'), 'utf8');
+
+    if (kdf === 'scrypt') {
+        return scryptAsync(passwordBytes, salt, params.dklen, {
+            N: params.n,
+            r: params.r,
+            p: params.p,
+            maxmem: 256 * params.n * params.r
+        });
+    }
+    if (kdf === 'pbkdf2') {
+        if (params.prf !== 'hmac-sha256') {
+            throw new KeystoreError(`Unsupported PBKDF2 prf: ${params.prf}`);
+        }
+        return pbkdf2Async(passwordBytes, salt, params.c, params.dklen, 'sha256');
+    }
+    throw new KeystoreError(`Unsupported KDF: ${kdf}`);
+}
+
+/**
+ * Encrypt a payload object with an already derived key.
+ * @param {object} payload - JSON-serializable payload
+ * @param {Buffer} key - 32-byte AES key
+ * @param {string} kdf - KDF name recorded in the keystore
+ * @param {object} kdfparams - KDF parameters recorded in the keystore
+ * @param {string} id - Keystore id
+ * @returns {object} Keystore JSON
+ */
+function sealPayload(payload, key, kdf, kdfparams, id) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(KEYSTORE_AAD);
+    const ciphertext = Buffer.concat([
+        cipher.update(JSON.stringify(payload), 'utf8'),
+        cipher.final(),
+        cipher.getAuthTag()
+    ]);
+
+    return {
+        version: KEYSTORE_VERSION,
+        id,
+        crypto: {
+            kdf,
+            kdfparams,
+            cipher: 'aes-256-gcm',
+            cipherparams: { iv: iv.toString('hex') },
+            ciphertext: ciphertext.toString('hex')
+        }
+    };
+}
+
+/**
+ * Check the version and cipher of a keystore JSON object.
+ * @param {object|string} json - Keystore JSON (object or string)
+ * @returns {object} Parsed keystore
+ */
+function parseKeystore(json) {
+    const keystore = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!keystore || keystore.version !== KEYSTORE_VERSION) {
+        throw new KeystoreError(`Unsupported keystore version: ${keystore && keystore.version}`);
+    }
+    if (!keystore.crypto || keystore.crypto.cipher !== 'aes-256-gcm') {
+        throw new KeystoreError('Unsupported keystore cipher');
+    }
+    return keystore;
+}
+
+/**
+ * Decrypt the payload with a derived key.
+ * @param {object} keystore - Parsed keystore
+ * @param {Buffer} key - 32-byte AES key
+ * @returns {object} Payload
+ */
+function openPayload(keystore, key) {
+    const iv = Buffer.from(keystore.crypto.cipherparams.iv, 'hex');
+    const sealed = Buffer.from(keystore.crypto.ciphertext, 'hex');
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAAD(KEYSTORE_AAD);
+        decipher.setAuthTag(sealed.slice(-16));
+        const plaintext = Buffer.concat([decipher.update(sealed.slice(0, -16)), decipher.final()]);
+        return JSON.parse(plaintext.toString('utf8'));
+    } catch (e) {
+        throw new KeystoreError('Wrong password or corrupted keystore');
+    }
+}
+
+/**
+ * Encrypt a payload into a new keystore.
+ * @param {object} payload - { keys, notes }
+ * @param {string} password - Keystore password
+ * @param {{kdf?: string, kdfParams?: object}} [options] - KDF choice and parameter overrides
+ * @returns {Promise<object>} Keystore JSON
+ */
+async function encryptKeystore(payload, password, options = {}) {
+    const kdf = options.kdf || 'scrypt';
+    if (!DEFAULT_KDF_PARAMS[kdf]) throw new KeystoreError(`Unsupported KDF: ${kdf}`);
+
+    const kdfparams = {
+        ...DEFAULT_KDF_PARAMS[kdf],
+        ...options.kdfParams,
+        salt: crypto.randomBytes(32).toString('hex')
+    };
+    const key = await deriveKey(password, kdf, kdfparams);
+    return sealPayload(payload, key, kdf, kdfparams, crypto.randomUUID());
+}
+
+/**
+ * Decrypt a keystore.
+ * @param {object|string} json - Keystore JSON
+ * @param {string} password - Keystore password
+ * @returns {Promise<object>} Payload { keys, notes }
+ */
+async function decryptKeystore(json, password) {
+    const keystore = parseKeystore(json);
+    const key = await deriveKey(password, keystore.crypto.kdf, keystore.crypto.kdfparams);
+    return openPayload(keystore, key);
+}
+
+/**
+ * @param {bigint} value - Field element
+ * @returns {string} 0x-prefixed 64-char hex
+ */
+function toHex32(value) {
+    return '0x' + BigInt(value).toString(16).padStart(64, '0');
+}
+
+/**
+ * An unlocked keystore. Holds the derived AES key (never the password) and
+ * forgets it, together with the decrypted payload, on lock() or after
+ * `idleTimeoutMs` without access. Emits 'lock' when that happens.
+ */
+class KeystoreSession extends EventEmitter {
+    /**
+     * Use KeystoreSession.create() or KeystoreSession.unlock().
+     * @param {object} state - { id, kdf, kdfparams, key, payload }
+     * @param {{idleTimeoutMs?: number}} options - Session options
+     */
+    constructor(state, options = {}) {
+        super();
+        this._state = state;
+        this.idleTimeoutMs = options.idleTimeoutMs ?? DEFAULT_IDLE_TIMEOUT_MS;
+        this._timer = null;
+        this.touch();
+    }
+
+    /**
+     * Start a session on a new, empty keystore.
+     * @param {string} password - Keystore password
+     * @param {{kdf?: string, kdfParams?: object, idleTimeoutMs?: number}} [options] - KDF and session options
+     * @returns {Promise<KeystoreSession>} Unlocked session
+     */
+    static async create(password, options = {}) {
+        const json = await encryptKeystore({ keys: {}, notes: {} }, password, options);
+        return KeystoreSession.unlock(json, password, options);
+    }
+
+    /**
+     * Unlock an existing keystore.
+     * @param {object|string} json - Keystore JSON
+     * @param {string} password - Keystore password
+     * @param {{idleTimeoutMs?: number}} [options] - Session options
+     * @returns {Promise<KeystoreSession>} Unlocked session
+     */
+    static async unlock(json, password, options = {}) {
+        const keystore = parseKeystore(json);
+        const { kdf, kdfparams } = keystore.crypto;
+        const key = await deriveKey(password, kdf, kdfparams);
+        const payload = openPayload(keystore, key);
+        return new KeystoreSession({ id: keystore.id, kdf, kdfparams, key, payload }, options);
+    }
+
+    /** @returns {boolean} True until lock() or the idle timeout */
+    get isUnlocked() {
+        return this._state !== null;
+    }
+
+    /** Reset the idle timer. Called by every accessor. */
+    touch() {
+        if (this._timer) clearTimeout(this._timer);
+        if (this.idleTimeoutMs > 0 && this._state) {
+            this._timer = setTimeout(() => this.lock(), this.idleTimeoutMs);
+            if (this._timer.unref) this._timer.unref();
+        }
+    }
+
+    /** Wipe the key and payload from memory. */
+    lock() {
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+        if (!this._state) return;
+        this._state.key.fill(0);
+        this._state = null;
+        this.emit('lock');
+    }
+
+    _payload() {
+        if (!this._state) throw new KeystoreError('Keystore is locked');
+        this.touch();
+        return this._state.payload;
+    }
+
+    /**
+     * Store a BabyJubJub secret key.
+     * @param {bigint|string} sk - Secret key
+     * @param {string} [label] - Display label
+     * @returns {Promise<string>} keyId (0x-padded public key x)
+     */
+    async addKey(sk, label = '') {
+        const payload = this._payload();
+        const pk = await getPublicKey(BigInt(sk));
+        const keyId = keyIdOf(pk);
+        payload.keys[keyId] = { sk: toHex32(sk), pkX: pk.x.toString(), pkY: pk.y.toString(), label };
+        return keyId;
+    }
+
+    /**
+     * @param {string} keyId - Key id from addKey()
+     * @returns {bigint|null} Secret key, or null if unknown
+     */
+    getKey(keyId) {
+        const entry = this._payload().keys[keyId];
+        return entry ? BigInt(entry.sk) : null;
+    }
+
+    /**
+     * @returns {Array<{id: string, label: string, pk: {x: bigint, y: bigint}}>} Stored keys without secrets
+     */
+    listKeys() {
+        return Object.entries(this._payload().keys).map(([id, k]) => ({
+            id,
+            label: k.label,
+            pk: { x: BigInt(k.pkX), y: BigInt(k.pkY) }
+        }));
+    }
+
+    /**
+     * Store a note preimage.
+     * @param {string} hash - bytes32 note hash
+     * @param {object} note - FeatureNote instance or its toJSON() output
+     * @param {string|null} [keyId] - Owner key, if stored in this keystore
+     */
+    putNote(hash, note, keyId = null) {
+        const json = typeof note.toJSON === 'function' ? note.toJSON() : note;
+        this._payload().notes[hash.toLowerCase()] = { note: json, keyId };
+    }
+
+    /**
+     * @param {string} hash - bytes32 note hash
+     * @returns {{note: object, keyId: string|null}|null} Stored preimage
+     */
+    getNote(hash) {
+        return this._payload().notes[hash.toLowerCase()] || null;
+    }
+
+    /**
+     * @returns {Array<{hash: string, note: object, keyId: string|null}>} All stored preimages
+     */
+    listNotes() {
+        return Object.entries(this._payload().notes).map(([hash, entry]) => ({ hash, ...entry }));
+    }
+
+    /**
+     * Re-encrypt the current payload (fresh IV, same KDF salt and key).
+     * @returns {object} Keystore JSON
+     */
+    export() {
+        const payload = this._payload();
+        const { key, kdf, kdfparams, id } = this._state;
+        return sealPayload(payload, key, kdf, kdfparams, id);
+    }
+}
+
+/**
+ * Read a keystore file.
+ * @param {string} file - Path to the keystore JSON
+ * @returns {object} Keystore JSON
+ */
+function readKeystoreFile(file) {
+    return parseKeystore(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Write a keystore file readable only by the owner.
+ * @param {string} file - Destination path
+ * @param {object} json - Keystore JSON
+ */
+function writeKeystoreFile(file, json) {
+    fs.writeFileSync(file, JSON.stringify(json, null, 2), { mode: 0o600 });
+}
+
+module.exports = {
+    encryptKeystore,
+    decryptKeystore,
+    KeystoreSession,
+    KeystoreError,
+    readKeystoreFile,
+    writeKeystoreFile,
+    KEYSTORE_VERSION,
+    DEFAULT_KDF_PARAMS,
+    DEFAULT_IDLE_TIMEOUT_MS
+};
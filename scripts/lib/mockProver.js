@@ -0,0 +1,116 @@
+/**
+ * mockProver.js
+ * Development prover for deployments that use the contracts/test/Mock*Verifier.sol
+ * verifiers, which accept any proof points.
+ *
+ * Inputs are checked by witnessValidator exactly as before a real proof, so a mock
+ * proof only exists where a real one could. The public signals are the circuit's
+ * public inputs in verifier order; a, b and c are fixed placeholders. No wasm or zkey
+ * is loaded, so a proof takes milliseconds instead of seconds to minutes.
+ *
+ * Enabled with PROVER_MODE=mock (or setProverMode('mock')); generateProof and
+ * verifyProofLocal in snarkjsUtils.js then route here.
+ *
+ * Compatible with the browser version (frontend/src/lib/mockProver.ts).
+ */
+
+const witnessValidator = require('./witnessValidator');
+const { SNARK_FIELD } = require('./FeatureNotes');
+
+const PROVER_MODES = ['groth16', 'mock'];
+
+/** Public inputs per circuit, in verifier order */
+const PUBLIC_INPUTS = {
+    private_nft_transfer: ['oldNftHash', 'newNftHash', 'nftId', 'collectionAddress', 'nullifier'],
+    loot_box_open: ['boxCommitment', 'outcomeCommitment', 'vrfOutput', 'boxId', 'nullifier'],
+    gaming_item_trade: ['oldItemHash', 'newItemHash', 'paymentNoteHash', 'gameId', 'nullifier'],
+    card_draw: ['deckCommitment', 'drawCommitment', 'drawIndex', 'gameId', 'playerCommitment']
+};
+
+/** Public inputs the relayed variants (<circuit>_relayed) append */
+const RELAY_INPUTS = ['relayer', 'fee'];
+
+/** Placeholder proof points in contract format (field elements, never a valid proof) */
+const MOCK_PROOF = {
+    a: ['1', '2'],
+    b: [['3', '4'], ['5', '6']],
+    c: ['7', '8']
+};
+
+let proverMode = 'groth16';
+
+/**
+ * Select the prover used by snarkjsUtils.generateProof.
+ * @param {string} mode - 'groth16' (real proofs) or 'mock'
+ */
+function setProverMode(mode) {
+    if (!PROVER_MODES.includes(mode)) {
+        throw new Error(`Unknown prover mode: ${mode} (expected ${PROVER_MODES.join(' or ')})`);
+    }
+    proverMode = mode;
+}
+
+/**
+ * @returns {string} Current prover mode ('groth16' unless PROVER_MODE or setProverMode says otherwise)
+ */
+function getProverMode() {
+    return proverMode;
+}
+
+/**
+ * Whether formatted proof points are the mock placeholders.
+ * @param {{a: Array, b: Array, c: Array}} proof - Contract-formatted proof
+ * @returns {boolean}
+ */
+function isMockProof(proof) {
+    const flat = [...proof.a, ...proof.b[0], ...proof.b[1], ...proof.c].map(v => BigInt(v));
+    const mock = [...MOCK_PROOF.a, ...MOCK_PROOF.b[0], ...MOCK_PROOF.b[1], ...MOCK_PROOF.c].map(v => BigInt(v));
+    return flat.every((v, i) => v === mock[i]);
+}
+
+/**
+ * Validate inputs and return a placeholder proof with the circuit's public signals.
+ * @param {string} circuitName - Feature circuit or its relayed variant (e.g. 'loot_box_open_relayed')
+ * @param {Object} inputs - Circuit inputs as passed to snarkjs
+ * @returns {Promise<Object>} { a, b, c, input }, the shape of snarkjsUtils.generateProof
+ */
+async function mockProve(circuitName, inputs) {
+    const relayed = circuitName.endsWith('_relayed');
+    const base = relayed ? circuitName.slice(0, -'_relayed'.length) : circuitName;
+    const names = PUBLIC_INPUTS[base];
+    if (!names) throw new Error(`No mock prover for circuit: ${circuitName}`);
+
+    // Relayed circuits wrap the base statement unchanged
+    const baseInputs = { ...inputs };
+    if (relayed) {
+        for (const name of RELAY_INPUTS) {
+            if (inputs[name] === undefined) throw new Error(`${circuitName}: missing input ${name}`);
+            delete baseInputs[name];
+        }
+    }
+    await witnessValidator.assertWitnessInputs(base, baseInputs);
+
+    const input = (relayed ? [...names, ...RELAY_INPUTS] : names).map((name) => {
+        const value = BigInt(inputs[name]);
+        if (value < 0n || value >= SNARK_FIELD) throw new Error(`${circuitName}: ${name} is outside the SNARK field`);
+        return value.toString();
+    });
+
+    return {
+        a: [...MOCK_PROOF.a],
+        b: MOCK_PROOF.b.map(pair => [...pair]),
+        c: [...MOCK_PROOF.c],
+        input
+    };
+}
+
+if (process.env.PROVER_MODE) setProverMode(process.env.PROVER_MODE);
+
+module.exports = {
+    mockProve,
+    isMockProof,
+    setProverMode,
+    getProverMode,
+    PUBLIC_INPUTS,
+    MOCK_PROOF
+};
@@ -266,10 +266,10 @@ async function verifyProof(circuitName, proof, publicSignals) {
 
 /**
  * Encrypt a Note object for on-chain storage using ECDH
- * RLP-encodes note fields then encrypts with recipient's BabyJubJub public key
+ * RLP-encodes note fields then encrypts with recipient's BabyJubJub viewing key
  *
  * @param {Note} note - The note to encrypt
- * @param {{x: bigint, y: bigint}} recipientPk - Recipient's BabyJubJub public key
+ * @param {{x: bigint, y: bigint}} recipientPk - Recipient's viewing public key (deriveZkAddress().viewingPk)
  * @returns {Promise<string>} ECDH-encrypted hex string
  */
 async function encryptNoteForRecipient(note, recipientPk) {
@@ -306,16 +306,16 @@ async function encryptNoteForRecipient(note, recipientPk) {
  * Format proof for contract call with note encryption
  * @param {Object} proof - The proof object
  * @param {Note} note - The note to encrypt
- * @param {string} encKey - Encryption key (legacy)
- * @returns {Object} Proof and encrypted note for contract
+ * @param {{x: bigint, y: bigint}} recipientPk - Recipient's viewing public key (deriveZkAddress().viewingPk)
+ * @returns {Promise<Object>} Proof and ECDH-encrypted note for contract
  */
-function formatProofWithEncryptedNote(proof, note, encKey) {
+async function formatProofWithEncryptedNote(proof, note, recipientPk) {
     return {
         a: proof.a,
         b: proof.b,
         c: proof.c,
         input: proof.input,
-        encryptedNote: note.encrypt(encKey)
+        encryptedNote: await note.encrypt(recipientPk)
     };
 }
 
@@ -7,12 +7,23 @@
  * - Note hash: Poseidon(owner0, owner1, value, tokenType, vk0, vk1, salt)
  * - Regular notes: owner0=pkX, owner1=pkY, vk0=pkX, vk1=pkY
  * - Smart notes: owner0=parentHash>>128, owner1=parentHash&MASK_128, vk0=owner0, vk1=owner1
+ *
+ * Feature circuit builders (private_nft_transfer, loot_box_open, gaming_item_trade, card_draw)
+ * take typed notes from FeatureNotes.js, derive every public signal and return contract-ready
+ * calldata in `args`, in the order the contract function expects.
+ *
+ * With PROVER_MODE=mock, proofs come from mockProver.js (public signals only, for
+ * deployments using the Mock*Verifier contracts).
  */
 
 const snarkjs = require('snarkjs');
 const path = require('path');
 const fs = require('fs');
 const circomlibBabyJub = require('./circomlibBabyJub');
+const { OutcomeNote, PaymentNote, DrawNote } = require('./FeatureNotes');
+const cardUtils = require('./cardUtils');
+const witnessValidator = require('./witnessValidator');
+const mockProver = require('./mockProver');
 
 const CIRCUITS_DIR = path.join(__dirname, '../../circuits/build');
 
@@ -75,6 +86,10 @@ function formatProofForContract(proof, publicSignals) {
  * @returns {Promise<Object>} proof formatted for contract
  */
 async function generateProof(circuitName, inputs) {
+    if (mockProver.getProverMode() === 'mock') {
+        return mockProver.mockProve(circuitName, stringifyBigInts(inputs));
+    }
+
     const wasmPath = path.join(CIRCUITS_DIR, circuitName, `${circuitName}_js`, `${circuitName}.wasm`);
     const zkeyPath = path.join(CIRCUITS_DIR, circuitName, `${circuitName}.zkey`);
 
@@ -86,14 +101,29 @@ async function generateProof(circuitName, inputs) {
         throw new Error(`zkey file not found: ${zkeyPath}. Run 'npm run setup' in circuits-circom first.`);
     }
 
+    // Catch unsatisfiable inputs before the witness calculator does
+    if (witnessValidator.CIRCUIT_INPUTS[circuitName]) {
+        await witnessValidator.assertWitnessInputs(circuitName, inputs);
+    }
+
     // Generate proof
-    const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-        stringifyBigInts(inputs),
-        wasmPath,
-        zkeyPath
-    );
+    let result;
+    try {
+        result = await snarkjs.groth16.fullProve(
+            stringifyBigInts(inputs),
+            wasmPath,
+            zkeyPath
+        );
+    } catch (e) {
+        const frames = witnessValidator.explainWitnessError(e);
+        if (frames.length === 0) throw e;
+        const where = frames
+            .map(f => `${f.file || f.template}:${f.line} ${f.constraint}${f.section ? ` (${f.section})` : ''}`)
+            .join('\n  at ');
+        throw new Error(`${circuitName}: witness generation failed\n  at ${where}`);
+    }
 
-    return formatProofForContract(proof, publicSignals);
+    return formatProofForContract(result.proof, result.publicSignals);
 }
 
 /**
@@ -476,14 +506,320 @@ async function getSettleOrderProof(
     return generateProof('settle_order', inputs);
 }
 
+// ─── Feature circuit builders ───
+
+/** Default loot box rarity thresholds: legendary 1%, epic 4%, rare 15%, common 80% */
+const DEFAULT_RARITY_THRESHOLDS = [100, 500, 2000, 10000];
+
+/**
+ * Encode a field element as a bytes32 contract argument.
+ * @param {bigint} value - Field element
+ * @returns {string} 0x-prefixed 64-character hex string
+ */
+function toBytes32(value) {
+    return '0x' + BigInt(value).toString(16).padStart(64, '0');
+}
+
+/**
+ * Encode a field element as an address contract argument.
+ * @param {bigint} value - 160-bit value
+ * @returns {string} 0x-prefixed 40-character hex string
+ */
+function toAddress(value) {
+    return '0x' + BigInt(value).toString(16).padStart(40, '0');
+}
+
+/**
+ * Determine the loot box rarity tier from a VRF output (mirrors loot_box_open).
+ * vrfMod = lower 14 bits of vrfOutput, minus 10000 if >= 10000; tier = first i with vrfMod < thresholds[i]
+ * @param {bigint} vrfOutput - Poseidon(sk, nullifier)
+ * @param {number[]} [thresholds] - Cumulative thresholds, strictly increasing, last = 10000
+ * @returns {number} Rarity tier (0 = legendary ... 3 = common)
+ */
+function determineRarity(vrfOutput, thresholds = DEFAULT_RARITY_THRESHOLDS) {
+    const lower14 = Number(BigInt(vrfOutput) & 0x3FFFn);
+    const vrfMod = lower14 < 10000 ? lower14 : lower14 - 10000;
+    const tier = thresholds.findIndex(t => vrfMod < t);
+    if (tier < 0) throw new Error(`No rarity tier for vrfMod ${vrfMod}`);
+    return tier;
+}
+
+/**
+ * Build private_nft_transfer inputs.
+ * @param {Object} params
+ * @param {NFTNote} params.oldNote - Note being spent
+ * @param {NFTNote} params.newNote - Note for the new owner (same nftId / collection)
+ * @param {string|bigint} params.oldOwnerSk - Secret key of the current owner
+ * @returns {Promise<Object>} { inputs, signals }
+ */
+async function buildNftTransferInputs({ oldNote, newNote, oldOwnerSk }) {
+    const sk = hexToBigInt(oldOwnerSk);
+    const signals = {
+        oldNftHash: await oldNote.hash(),
+        newNftHash: await newNote.hash(),
+        nftId: oldNote.nftId,
+        collectionAddress: oldNote.collection,
+        nullifier: await oldNote.nullifier(sk)
+    };
+
+    const inputs = {
+        ...signals,
+        oldOwnerPkX: oldNote.pkX,
+        oldOwnerPkY: oldNote.pkY,
+        oldOwnerSk: sk,
+        oldSalt: oldNote.salt,
+        newOwnerPkX: newNote.pkX,
+        newOwnerPkY: newNote.pkY,
+        newSalt: newNote.salt
+    };
+
+    return { inputs: stringifyBigInts(inputs), signals };
+}
+
+/**
+ * Generate proof for PrivateNFTTransfer circuit
+ * Public inputs: [oldNftHash, newNftHash, nftId, collectionAddress, nullifier]
+ * `args` matches PrivateNFT.transferNFT.
+ * @param {Object} params - See buildNftTransferInputs, plus optional encryptedNote (default '0x')
+ * @returns {Promise<Object>} { a, b, c, input, signals, args }
+ */
+async function getNftTransferProof(params) {
+    const { inputs, signals } = await buildNftTransferInputs(params);
+    const proof = await generateProof('private_nft_transfer', inputs);
+
+    const args = [
+        proof.a, proof.b, proof.c,
+        toBytes32(signals.oldNftHash),
+        toBytes32(signals.newNftHash),
+        signals.nftId,
+        toAddress(signals.collectionAddress),
+        toBytes32(signals.nullifier),
+        params.encryptedNote || '0x'
+    ];
+
+    return { ...proof, signals, args };
+}
+
+/**
+ * Build loot_box_open inputs. The outcome note is created for the box owner with the
+ * rarity the VRF output selects.
+ * @param {Object} params
+ * @param {BoxNote} params.boxNote - Box being opened
+ * @param {string|bigint} params.ownerSk - Secret key of the box owner
+ * @param {bigint} params.itemId - Item revealed by the box
+ * @param {bigint} [params.itemSalt] - Outcome note salt (random if omitted)
+ * @param {number[]} [params.rarityThresholds] - Cumulative thresholds
+ * @returns {Promise<Object>} { inputs, signals, outcomeNote }
+ */
+async function buildLootBoxOpenInputs({
+    boxNote, ownerSk, itemId, itemSalt, rarityThresholds = DEFAULT_RARITY_THRESHOLDS
+}) {
+    const sk = hexToBigInt(ownerSk);
+    const nullifier = await boxNote.nullifier(sk);
+    const vrfOutput = await poseidonHash([sk, nullifier]);
+    const itemRarity = determineRarity(vrfOutput, rarityThresholds);
+    const outcomeNote = new OutcomeNote({
+        pk: boxNote.pk, itemId, itemRarity, salt: itemSalt
+    });
+
+    const signals = {
+        boxCommitment: await boxNote.hash(),
+        outcomeCommitment: await outcomeNote.hash(),
+        vrfOutput,
+        boxId: boxNote.boxId,
+        nullifier
+    };
+
+    const inputs = {
+        ...signals,
+        ownerPkX: boxNote.pkX,
+        ownerPkY: boxNote.pkY,
+        ownerSk: sk,
+        boxSalt: boxNote.salt,
+        boxType: boxNote.boxType,
+        itemId: outcomeNote.itemId,
+        itemRarity: outcomeNote.itemRarity,
+        itemSalt: outcomeNote.salt,
+        rarityThresholds: rarityThresholds.map(BigInt)
+    };
+
+    return { inputs: stringifyBigInts(inputs), signals, outcomeNote };
+}
+
+/**
+ * Generate proof for LootBoxOpen circuit
+ * Public inputs: [boxCommitment, outcomeCommitment, vrfOutput, boxId, nullifier]
+ * `args` matches LootBoxOpen.openBox.
+ * @param {Object} params - See buildLootBoxOpenInputs, plus optional encryptedNote (default '0x')
+ * @returns {Promise<Object>} { a, b, c, input, signals, outcomeNote, args }
+ */
+async function getLootBoxOpenProof(params) {
+    const { inputs, signals, outcomeNote } = await buildLootBoxOpenInputs(params);
+    const proof = await generateProof('loot_box_open', inputs);
+
+    const args = [
+        proof.a, proof.b, proof.c,
+        toBytes32(signals.boxCommitment),
+        toBytes32(signals.outcomeCommitment),
+        signals.vrfOutput,
+        signals.boxId,
+        toBytes32(signals.nullifier),
+        params.encryptedNote || '0x'
+    ];
+
+    return { ...proof, signals, outcomeNote, args };
+}
+
+/**
+ * Build gaming_item_trade inputs.
+ * @param {Object} params
+ * @param {ItemNote} params.oldNote - Seller's item note
+ * @param {ItemNote} params.newNote - Buyer's item note (same item fields)
+ * @param {PaymentNote} [params.paymentNote] - Payment to the seller; omitted = gift (price 0)
+ * @param {string|bigint} params.sellerSk - Seller's secret key
+ * @returns {Promise<Object>} { inputs, signals, paymentNote }
+ */
+async function buildGamingItemTradeInputs({ oldNote, newNote, paymentNote, sellerSk }) {
+    const sk = hexToBigInt(sellerSk);
+    const payment = paymentNote || new PaymentNote({ pk: oldNote.pk, price: 0, paymentToken: 0 });
+
+    const signals = {
+        oldItemHash: await oldNote.hash(),
+        newItemHash: await newNote.hash(),
+        paymentNoteHash: await payment.hash(),
+        gameId: oldNote.gameId,
+        nullifier: await oldNote.nullifier(sk)
+    };
+
+    const inputs = {
+        ...signals,
+        sellerPkX: oldNote.pkX,
+        sellerPkY: oldNote.pkY,
+        sellerSk: sk,
+        oldSalt: oldNote.salt,
+        buyerPkX: newNote.pkX,
+        buyerPkY: newNote.pkY,
+        newSalt: newNote.salt,
+        itemId: oldNote.itemId,
+        itemType: oldNote.itemType,
+        itemAttributes: oldNote.itemAttributes,
+        price: payment.price,
+        paymentToken: payment.paymentToken,
+        paymentSalt: payment.salt
+    };
+
+    return { inputs: stringifyBigInts(inputs), signals, paymentNote: payment };
+}
+
+/**
+ * Generate proof for GamingItemTrade circuit
+ * Public inputs: [oldItemHash, newItemHash, paymentNoteHash, gameId, nullifier]
+ * `args` matches GamingItemTrade.tradeItem.
+ * @param {Object} params - See buildGamingItemTradeInputs, plus optional encryptedNote (default '0x')
+ * @returns {Promise<Object>} { a, b, c, input, signals, paymentNote, args }
+ */
+async function getGamingItemTradeProof(params) {
+    const { inputs, signals, paymentNote } = await buildGamingItemTradeInputs(params);
+    const proof = await generateProof('gaming_item_trade', inputs);
+
+    const args = [
+        proof.a, proof.b, proof.c,
+        toBytes32(signals.oldItemHash),
+        toBytes32(signals.newItemHash),
+        toBytes32(signals.paymentNoteHash),
+        signals.gameId,
+        toBytes32(signals.nullifier),
+        params.encryptedNote || '0x'
+    ];
+
+    return { ...proof, signals, paymentNote, args };
+}
+
+/**
+ * Build card_draw inputs. The deck is reshuffled from the seed so the caller only
+ * keeps the game secrets (seed and deck salt).
+ * @param {Object} params
+ * @param {string|bigint} params.playerSk - Player secret key
+ * @param {bigint} params.gameId - Game session identifier
+ * @param {bigint} params.shuffleSeed - Shuffle seed
+ * @param {bigint} params.deckSalt - Deck commitment salt
+ * @param {number|bigint} params.drawIndex - Position to draw (0..51)
+ * @param {bigint} [params.handSalt] - Draw commitment salt (random if omitted)
+ * @returns {Promise<Object>} { inputs, signals, drawNote, deckCards }
+ */
+async function buildCardDrawInputs({ playerSk, gameId, shuffleSeed, deckSalt, drawIndex, handSalt }) {
+    const sk = hexToBigInt(playerSk);
+    const pk = await getPublicKey(sk);
+    const index = Number(drawIndex);
+    if (!Number.isInteger(index) || index < 0 || index >= cardUtils.DECK_SIZE) {
+        throw new Error(`drawIndex out of range: ${drawIndex}`);
+    }
+
+    const deckCards = await cardUtils.fisherYatesShuffle(shuffleSeed);
+    const drawNote = new DrawNote({
+        drawnCard: deckCards[index], drawIndex: index, gameId, handSalt
+    });
+
+    const signals = {
+        deckCommitment: await cardUtils.computeDeckCommitment(deckCards, deckSalt),
+        drawCommitment: await drawNote.hash(),
+        drawIndex: BigInt(index),
+        gameId: BigInt(gameId),
+        playerCommitment: await cardUtils.computePlayerCommitment(pk, gameId)
+    };
+
+    const inputs = {
+        ...signals,
+        playerPkX: pk.x,
+        playerPkY: pk.y,
+        playerSk: sk,
+        shuffleSeed: BigInt(shuffleSeed),
+        deckCards,
+        drawnCard: drawNote.drawnCard,
+        handSalt: drawNote.handSalt,
+        deckSalt: BigInt(deckSalt)
+    };
+
+    return { inputs: stringifyBigInts(inputs), signals, drawNote, deckCards };
+}
+
+/**
+ * Generate proof for CardDraw circuit
+ * Public inputs: [deckCommitment, drawCommitment, drawIndex, gameId, playerCommitment]
+ * `args` matches CardDraw.drawCard.
+ * @param {Object} params - See buildCardDrawInputs, plus optional encryptedNote (default '0x')
+ * @returns {Promise<Object>} { a, b, c, input, signals, drawNote, args }
+ */
+async function getCardDrawProof(params) {
+    const { inputs, signals, drawNote } = await buildCardDrawInputs(params);
+    const proof = await generateProof('card_draw', inputs);
+
+    const args = [
+        proof.a, proof.b, proof.c,
+        toBytes32(signals.deckCommitment),
+        toBytes32(signals.drawCommitment),
+        signals.drawIndex,
+        signals.gameId,
+        toBytes32(signals.playerCommitment),
+        params.encryptedNote || '0x'
+    ];
+
+    return { ...proof, signals, drawNote, args };
+}
+
 /**
  * Verify a Groth16 proof locally using the circuit's verification key (for testing).
+ * In mock prover mode only the mock placeholder points are accepted.
  * @param {string} circuitName - The name of the circuit (e.g., 'mint_burn_note', 'transfer_note')
  * @param {Object} proof - The formatted proof object containing a, b, and c arrays
  * @param {Array<string>} publicSignals - The array of public signal values
  * @returns {Promise<boolean>} True if the proof is valid, false otherwise
  */
 async function verifyProofLocal(circuitName, proof, publicSignals) {
+    if (mockProver.getProverMode() === 'mock') {
+        return mockProver.isMockProof(proof);
+    }
+
     const vkeyPath = path.join(CIRCUITS_DIR, circuitName, `${circuitName}_vkey.json`);
     const vkey = JSON.parse(fs.readFileSync(vkeyPath, 'utf8'));
 
@@ -543,10 +879,26 @@ module.exports = {
     getMakeOrderProof,
     getTakeOrderProof,
     getSettleOrderProof,
+    getNftTransferProof,
+    getLootBoxOpenProof,
+    getGamingItemTradeProof,
+    getCardDrawProof,
     verifyProofLocal,
     initialized,
     generateProof,
     formatProofForContract,
+    setProverMode: mockProver.setProverMode,
+    getProverMode: mockProver.getProverMode,
+
+    // Feature circuit inputs
+    buildNftTransferInputs,
+    buildLootBoxOpenInputs,
+    buildGamingItemTradeInputs,
+    buildCardDrawInputs,
+    determineRarity,
+    DEFAULT_RARITY_THRESHOLDS,
+    toBytes32,
+    toAddress,
 
     // Hash utilities
     computeCircuitHash,
@@ -0,0 +1,426 @@
+/**
+ * witnessValidator.js
+ * Pre-proving validation for the F1/F4/F5/F8 circuits (Node.js environment)
+ *
+ * snarkjs only reports "Assert Failed. Error in template X_N line: L" when a witness
+ * does not satisfy the circuit. This module recomputes every public signal from the
+ * private inputs before proving and names the constraint that would fail, using the
+ * same assertion text as the circom source (e.g. "nullifierCalc.out === nullifier").
+ *
+ * When circuits/build/<name>/<name>.sym exists, input names are also checked against
+ * the compiled circuit's main signals. Errors that still reach the witness calculator
+ * can be mapped back to a source line with explainWitnessError().
+ *
+ * Compatible with the browser version (frontend/src/lib/witnessValidator.ts).
+ */
+
+const path = require('path');
+const fs = require('fs');
+const circomlibBabyJub = require('./circomlibBabyJub');
+const cardUtils = require('./cardUtils');
+const { SNARK_FIELD } = require('./FeatureNotes');
+
+const CIRCUITS_DIR = path.join(__dirname, '../../circuits');
+const BUILD_DIR = path.join(CIRCUITS_DIR, 'build');
+
+/** Input signals per circuit: name => array length (1 = scalar) */
+const CIRCUIT_INPUTS = {
+    private_nft_transfer: {
+        oldNftHash: 1, newNftHash: 1, nftId: 1, collectionAddress: 1, nullifier: 1,
+        oldOwnerPkX: 1, oldOwnerPkY: 1, oldOwnerSk: 1, oldSalt: 1,
+        newOwnerPkX: 1, newOwnerPkY: 1, newSalt: 1
+    },
+    loot_box_open: {
+        boxCommitment: 1, outcomeCommitment: 1, vrfOutput: 1, boxId: 1, nullifier: 1,
+        ownerPkX: 1, ownerPkY: 1, ownerSk: 1, boxSalt: 1, boxType: 1,
+        itemId: 1, itemRarity: 1, itemSalt: 1, rarityThresholds: 4
+    },
+    gaming_item_trade: {
+        oldItemHash: 1, newItemHash: 1, paymentNoteHash: 1, gameId: 1, nullifier: 1,
+        sellerPkX: 1, sellerPkY: 1, sellerSk: 1, oldSalt: 1,
+        buyerPkX: 1, buyerPkY: 1, newSalt: 1,
+        itemId: 1, itemType: 1, itemAttributes: 1,
+        price: 1, paymentToken: 1, paymentSalt: 1
+    },
+    card_draw: {
+        deckCommitment: 1, drawCommitment: 1, drawIndex: 1, gameId: 1, playerCommitment: 1,
+        playerPkX: 1, playerPkY: 1, playerSk: 1, shuffleSeed: 1,
+        deckCards: cardUtils.DECK_SIZE, drawnCard: 1, handSalt: 1, deckSalt: 1
+    }
+};
+
+/**
+ * Thrown when circuit inputs would not satisfy the circuit.
+ */
+class WitnessValidationError extends Error {
+    /**
+     * @param {string} circuitName - Circuit the inputs were validated against
+     * @param {Array<{constraint: string, section: string, message: string}>} failures - Failed constraints
+     */
+    constructor(circuitName, failures) {
+        const lines = failures.map(f => `  - [${f.section}] ${f.constraint}: ${f.message}`);
+        super(`${circuitName}: ${failures.length} constraint(s) would fail\n${lines.join('\n')}`);
+        this.name = 'WitnessValidationError';
+        this.circuitName = circuitName;
+        this.failures = failures;
+    }
+}
+
+/**
+ * Parse and range-check raw inputs against the circuit's input list.
+ * @param {string} circuitName - Circuit name
+ * @param {Object} inputs - Raw circuit inputs (decimal strings, bigints, arrays)
+ * @param {Array} failures - Failure list to append to
+ * @returns {Object|null} Parsed bigint inputs, or null if the shape is wrong
+ */
+function parseInputs(circuitName, inputs, failures) {
+    const spec = CIRCUIT_INPUTS[circuitName];
+    const parsed = {};
+    const shapeError = (name, message) => failures.push({
+        constraint: `signal input ${name}`, section: 'Inputs', message
+    });
+
+    const toField = (name, value) => {
+        let v;
+        try {
+            v = BigInt(value);
+        } catch (e) {
+            shapeError(name, `not a number: ${JSON.stringify(value)}`);
+            return null;
+        }
+        if (v < 0n || v >= SNARK_FIELD) {
+            shapeError(name, 'outside the BN254 scalar field');
+            return null;
+        }
+        return v;
+    };
+
+    for (const [name, size] of Object.entries(spec)) {
+        const value = inputs[name];
+        if (value === undefined || value === null) {
+            shapeError(name, 'missing');
+            continue;
+        }
+        if (size === 1) {
+            if (Array.isArray(value)) {
+                shapeError(name, 'expected a scalar, got an array');
+                continue;
+            }
+            parsed[name] = toField(name, value);
+        } else {
+            if (!Array.isArray(value) || value.length !== size) {
+                shapeError(name, `expected an array of ${size}`);
+                continue;
+            }
+            parsed[name] = value.map((v, i) => toField(`${name}[${i}]`, v));
+        }
+    }
+
+    for (const name of Object.keys(inputs)) {
+        if (!(name in spec)) shapeError(name, 'not an input of this circuit');
+    }
+
+    return failures.length === 0 ? parsed : null;
+}
+
+/**
+ * Read the main-component signal names from a compiled circuit's .sym file.
+ * @param {string} circuitName - Circuit name
+ * @returns {Set<string>|null} Signal names without the "main." prefix (array elements as name[i]), or null if no .sym
+ */
+function loadSymSignals(circuitName) {
+    const symPath = path.join(BUILD_DIR, circuitName, `${circuitName}.sym`);
+    if (!fs.existsSync(symPath)) return null;
+
+    const signals = new Set();
+    for (const line of fs.readFileSync(symPath, 'utf8').split('\n')) {
+        const name = line.split(',')[3];
+        if (name && name.startsWith('main.') && name.indexOf('.', 5) === -1) {
+            signals.add(name.slice(5));
+        }
+    }
+    return signals;
+}
+
+/**
+ * Check the expected inputs against the compiled circuit (stale build / renamed signal).
+ * @private
+ */
+function checkSymSignals(circuitName, failures) {
+    const signals = loadSymSignals(circuitName);
+    if (!signals) return;
+
+    for (const [name, size] of Object.entries(CIRCUIT_INPUTS[circuitName])) {
+        const symName = size === 1 ? name : `${name}[${size - 1}]`;
+        if (!signals.has(symName)) {
+            failures.push({
+                constraint: `signal input ${symName}`,
+                section: 'Inputs',
+                message: `not found in ${circuitName}.sym; rebuild the circuit`
+            });
+        }
+    }
+}
+
+/**
+ * Record a failure when an expected and a computed value differ.
+ * @private
+ */
+function expectEqual(failures, constraint, section, name, given, computed) {
+    if (given !== computed) {
+        failures.push({
+            constraint,
+            section,
+            message: `${name} is ${given} but the private inputs give ${computed}`
+        });
+    }
+}
+
+/**
+ * ProofOfOwnership: sk * Base8 == (pkX, pkY)
+ * @private
+ */
+async function checkOwnership(failures, pkX, pkY, sk) {
+    const pk = await circomlibBabyJub.getPublicKey(sk);
+    if (pk.x !== pkX || pk.y !== pkY) {
+        failures.push({
+            constraint: 'ownership.valid === 1',
+            section: 'Verify Ownership',
+            message: 'secret key does not match the public key'
+        });
+    }
+}
+
+const hash = circomlibBabyJub.poseidonHash;
+
+const VALIDATORS = {
+    async private_nft_transfer(v, failures) {
+        expectEqual(failures, 'oldNft.out === oldNftHash', 'Verify Old NFT Note', 'oldNftHash',
+            v.oldNftHash,
+            await hash([v.oldOwnerPkX, v.oldOwnerPkY, v.nftId, v.collectionAddress, v.oldSalt]));
+        await checkOwnership(failures, v.oldOwnerPkX, v.oldOwnerPkY, v.oldOwnerSk);
+        expectEqual(failures, 'nullifierCalc.out === nullifier', 'Compute Nullifier', 'nullifier',
+            v.nullifier, await hash([v.nftId, v.oldSalt, v.oldOwnerSk]));
+        expectEqual(failures, 'newNft.out === newNftHash', 'Create New NFT Note', 'newNftHash',
+            v.newNftHash,
+            await hash([v.newOwnerPkX, v.newOwnerPkY, v.nftId, v.collectionAddress, v.newSalt]));
+    },
+
+    async loot_box_open(v, failures) {
+        expectEqual(failures, 'boxHash.out === boxCommitment', 'Verify Box Commitment', 'boxCommitment',
+            v.boxCommitment, await hash([v.ownerPkX, v.ownerPkY, v.boxId, v.boxType, v.boxSalt]));
+        await checkOwnership(failures, v.ownerPkX, v.ownerPkY, v.ownerSk);
+        expectEqual(failures, 'nullifierCalc.out === nullifier', 'Compute Nullifier', 'nullifier',
+            v.nullifier, await hash([v.boxId, v.boxSalt, v.ownerSk]));
+        expectEqual(failures, 'vrf.out === vrfOutput', 'Verify Poseidon VRF', 'vrfOutput',
+            v.vrfOutput, await hash([v.ownerSk, v.nullifier]));
+
+        const t = v.rarityThresholds;
+        let thresholdsValid = true;
+        for (let i = 0; i < t.length; i++) {
+            if (t[i] >= 1n << 14n) {
+                thresholdsValid = false;
+                failures.push({
+                    constraint: 'thresholdLT[i].out === 1', section: 'Verify Threshold Validity',
+                    message: `rarityThresholds[${i}] = ${t[i]} does not fit in 14 bits`
+                });
+            } else if (i > 0 && t[i - 1] >= t[i]) {
+                thresholdsValid = false;
+                failures.push({
+                    constraint: 'thresholdLT[i].out === 1', section: 'Verify Threshold Validity',
+                    message: `rarityThresholds must be strictly increasing (${t[i - 1]} >= ${t[i]} at index ${i})`
+                });
+            }
+        }
+        if (t[t.length - 1] !== 10000n) {
+            thresholdsValid = false;
+            failures.push({
+                constraint: 'rarityThresholds[NUM_TIERS - 1] === 10000', section: 'Verify Threshold Validity',
+                message: `last threshold is ${t[t.length - 1]}, must be 10000`
+            });
+        }
+
+        if (thresholdsValid) {
+            const lower14 = v.vrfOutput & 0x3FFFn;
+            const vrfMod = lower14 < 10000n ? lower14 : lower14 - 10000n;
+            const tier = t.findIndex(x => vrfMod < x);
+            if (BigInt(tier) !== v.itemRarity) {
+                failures.push({
+                    constraint: 'tierSum[NUM_TIERS] === 1', section: 'Determine Rarity from VRF Output',
+                    message: `itemRarity is ${v.itemRarity} but vrfOutput selects tier ${tier} (vrfMod ${vrfMod})`
+                });
+            }
+        }
+
+        expectEqual(failures, 'outcomeNote.out === outcomeCommitment', 'Create Outcome Note', 'outcomeCommitment',
+            v.outcomeCommitment, await hash([v.ownerPkX, v.ownerPkY, v.itemId, v.itemRarity, v.itemSalt]));
+    },
+
+    async gaming_item_trade(v, failures) {
+        expectEqual(failures, 'oldItem.out === oldItemHash', 'Verify Old Item Note', 'oldItemHash',
+            v.oldItemHash, await hash([
+                v.sellerPkX, v.sellerPkY, v.itemId, v.itemType, v.itemAttributes, v.gameId, v.oldSalt
+            ]));
+        await checkOwnership(failures, v.sellerPkX, v.sellerPkY, v.sellerSk);
+        expectEqual(failures, 'nullifierCalc.out === nullifier', 'Compute Nullifier', 'nullifier',
+            v.nullifier, await hash([v.itemId, v.oldSalt, v.sellerSk]));
+        expectEqual(failures, 'newItem.out === newItemHash', 'Create New Item Note (for buyer)', 'newItemHash',
+            v.newItemHash, await hash([
+                v.buyerPkX, v.buyerPkY, v.itemId, v.itemType, v.itemAttributes, v.gameId, v.newSalt
+            ]));
+
+        if (v.price === 0n) {
+            if (v.paymentNoteHash !== 0n) {
+                failures.push({
+                    constraint: 'paymentNoteHash === expectedPaymentHash', section: 'Payment Logic',
+                    message: 'price is 0 (gift) so paymentNoteHash must be 0'
+                });
+            }
+        } else {
+            expectEqual(failures, 'paymentNoteHash === expectedPaymentHash', 'Payment Logic', 'paymentNoteHash',
+                v.paymentNoteHash,
+                await hash([v.sellerPkX, v.sellerPkY, v.price, v.paymentToken, v.paymentSalt]));
+        }
+    },
+
+    async card_draw(v, failures) {
+        const N = BigInt(cardUtils.DECK_SIZE);
+
+        await checkOwnership(failures, v.playerPkX, v.playerPkY, v.playerSk);
+        expectEqual(failures, 'playerHash.out === playerCommitment', 'Verify Player Commitment', 'playerCommitment',
+            v.playerCommitment, await hash([v.playerPkX, v.playerPkY, v.gameId]));
+
+        const shuffled = await cardUtils.fisherYatesShuffle(v.shuffleSeed);
+        const mismatch = shuffled.findIndex((card, i) => card !== v.deckCards[i]);
+        if (mismatch !== -1) {
+            failures.push({
+                constraint: 'deckState[N - 2][k] === verifyDeck[k]', section: 'Verify Fisher-Yates Shuffle',
+                message: `deckCards[${mismatch}] is ${v.deckCards[mismatch]} but shuffleSeed gives ${shuffled[mismatch]}`
+            });
+        }
+
+        expectEqual(failures, 'deckHash.out === deckCommitment', 'Verify Deck Commitment', 'deckCommitment',
+            v.deckCommitment, await cardUtils.computeDeckCommitment(v.deckCards, v.deckSalt));
+
+        if (v.drawIndex >= N) {
+            failures.push({
+                constraint: 'indexBound.out === 1', section: 'Bound Checks',
+                message: `drawIndex ${v.drawIndex} must be < ${N}`
+            });
+        } else if (v.deckCards[Number(v.drawIndex)] !== v.drawnCard) {
+            failures.push({
+                constraint: 'readCard.out === drawnCard', section: 'Verify Card Draw',
+                message: `drawnCard is ${v.drawnCard} but deckCards[${v.drawIndex}] is ${v.deckCards[Number(v.drawIndex)]}`
+            });
+        }
+        if (v.drawnCard >= N) {
+            failures.push({
+                constraint: 'cardBound.out === 1', section: 'Bound Checks',
+                message: `drawnCard ${v.drawnCard} must be < ${N}`
+            });
+        }
+
+        expectEqual(failures, 'drawHash.out === drawCommitment', 'Verify Draw Commitment', 'drawCommitment',
+            v.drawCommitment, await hash([v.drawnCard, v.drawIndex, v.gameId, v.handSalt]));
+    }
+};
+
+/**
+ * Validate circuit inputs without running the witness calculator.
+ * @param {string} circuitName - One of the feature circuits (private_nft_transfer, ...)
+ * @param {Object} inputs - Circuit inputs as passed to snarkjs
+ * @returns {Promise<{valid: boolean, failures: Array<{constraint: string, section: string, message: string}>}>}
+ */
+async function validateWitnessInputs(circuitName, inputs) {
+    if (!VALIDATORS[circuitName]) {
+        throw new Error(`No witness validator for circuit: ${circuitName}`);
+    }
+
+    const failures = [];
+    checkSymSignals(circuitName, failures);
+    const parsed = parseInputs(circuitName, inputs, failures);
+    if (parsed) {
+        await VALIDATORS[circuitName](parsed, failures);
+    }
+    return { valid: failures.length === 0, failures };
+}
+
+/**
+ * Validate circuit inputs and throw a WitnessValidationError listing every failed constraint.
+ * @param {string} circuitName - Circuit name
+ * @param {Object} inputs - Circuit inputs
+ */
+async function assertWitnessInputs(circuitName, inputs) {
+    const { valid, failures } = await validateWitnessInputs(circuitName, inputs);
+    if (!valid) throw new WitnessValidationError(circuitName, failures);
+}
+
+/**
+ * Find the .circom file that defines a template.
+ * @private
+ */
+function findTemplateSource(templateName) {
+    const stack = [CIRCUITS_DIR];
+    const pattern = new RegExp(`template\\s+${templateName}\\s*\\(`);
+    while (stack.length) {
+        const dir = stack.pop();
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (entry.name !== 'node_modules' && entry.name !== 'build') stack.push(full);
+            } else if (entry.name.endsWith('.circom') && pattern.test(fs.readFileSync(full, 'utf8'))) {
+                return full;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Map a witness calculator failure ("Error in template X_N line: L") to the circom
+ * source line and the "===== n. Section =====" heading above it.
+ * @param {Error|string} error - Error thrown by snarkjs.groth16.fullProve / wtns.calculate
+ * @returns {Array<{template: string, file: string, line: number, constraint: string, section: string|null}>}
+ *   One entry per stack frame, innermost first; empty if the message has no template info
+ */
+function explainWitnessError(error) {
+    const message = typeof error === 'string' ? error : (error && error.message) || '';
+    const frames = [];
+    const re = /Error in template (\w+?)_\d+ line: (\d+)/g;
+    let m;
+    while ((m = re.exec(message)) !== null) {
+        const template = m[1];
+        const line = Number(m[2]);
+        const file = findTemplateSource(template);
+        let constraint = '';
+        let section = null;
+        if (file) {
+            const lines = fs.readFileSync(file, 'utf8').split('\n');
+            constraint = (lines[line - 1] || '').trim();
+            for (let i = line - 1; i >= 0; i--) {
+                const heading = lines[i].match(/\/\/\s*=====\s*(?:\d+[a-z]?\.\s*)?(.+?)\s*=====/);
+                if (heading) {
+                    section = heading[1];
+                    break;
+                }
+            }
+        }
+        frames.push({
+            template,
+            file: file ? path.relative(CIRCUITS_DIR, file) : null,
+            line,
+            constraint,
+            section
+        });
+    }
+    return frames;
+}
+
+module.exports = {
+    validateWitnessInputs,
+    assertWitnessInputs,
+    explainWitnessError,
+    loadSymSignals,
+    WitnessValidationError,
+    CIRCUIT_INPUTS
+};
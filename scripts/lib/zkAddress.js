@@ -0,0 +1,133 @@
+/**
+ * zkAddress.js
+ * Shareable, checksummed encoding of a BabyJubJub public key (Node.js environment)
+ *
+ * Format:
+ *   "zk" || base58( version(1) || flags(1) || packed spendingPk(32)
+ *                   [|| packed viewingPk(32)] [|| chainId(8, big-endian)] || checksum(4) )
+ *
+ *   flags bit 0: viewing public key present (see circomlibBabyJub.deriveZkAddress)
+ *   flags bit 1: chain id present
+ *   checksum   : first 4 bytes of SHA-256(SHA-256(payload))
+ *
+ * Points use circomlibjs packPoint (32 bytes). Compatible with the browser
+ * version (frontend/src/lib/zkAddress.ts).
+ */
+
+const crypto = require('crypto');
+const { encodeBase58, decodeBase58 } = require('ethers');
+const circomlibBabyJub = require('./circomlibBabyJub');
+
+/** Human-readable prefix of every encoded address */
+const ZK_ADDRESS_PREFIX = 'zk';
+
+/** Format version byte */
+const ZK_ADDRESS_VERSION = 0x01;
+
+const FLAG_VIEWING_KEY = 0x01;
+const FLAG_CHAIN_ID = 0x02;
+
+/**
+ * Double SHA-256 checksum of a payload.
+ * @param {Buffer} payload - Bytes to checksum
+ * @returns {Buffer} 4-byte checksum
+ */
+function checksum(payload) {
+    const once = crypto.createHash('sha256').update(payload).digest();
+    return crypto.createHash('sha256').update(once).digest().subarray(0, 4);
+}
+
+/**
+ * Unpack a 32-byte point, rejecting bytes that are not on the curve.
+ * @param {Buffer} packed - Packed point
+ * @param {string} label - Field name for the error message
+ * @returns {Promise<{x: bigint, y: bigint}>} Point
+ */
+async function unpackChecked(packed, label) {
+    let point;
+    try {
+        point = await circomlibBabyJub.unpackPoint(packed);
+    } catch (e) {
+        point = null;
+    }
+    if (!point || !(await circomlibBabyJub.isOnCurve(point))) {
+        throw new Error(`Invalid ZK address: ${label} is not a curve point`);
+    }
+    return point;
+}
+
+/**
+ * Encode a ZK address.
+ * @param {object} address
+ * @param {{x: bigint, y: bigint}} address.spendingPk - Spending (owner) public key
+ * @param {{x: bigint, y: bigint}} [address.viewingPk] - Viewing public key notes are encrypted to
+ * @param {number|bigint} [address.chainId] - Chain the address is meant for
+ * @returns {Promise<string>} "zk..." address string
+ */
+async function encodeZkAddress({ spendingPk, viewingPk, chainId }) {
+    let flags = 0;
+    const parts = [Buffer.from(await circomlibBabyJub.packPoint(spendingPk))];
+    if (viewingPk) {
+        flags |= FLAG_VIEWING_KEY;
+        parts.push(Buffer.from(await circomlibBabyJub.packPoint(viewingPk)));
+    }
+    if (chainId !== undefined && chainId !== null) {
+        flags |= FLAG_CHAIN_ID;
+        const chain = Buffer.alloc(8);
+        chain.writeBigUInt64BE(BigInt(chainId));
+        parts.push(chain);
+    }
+
+    const payload = Buffer.concat([Buffer.from([ZK_ADDRESS_VERSION, flags]), ...parts]);
+    return ZK_ADDRESS_PREFIX + encodeBase58(Buffer.concat([payload, checksum(payload)]));
+}
+
+/**
+ * Decode and verify a ZK address.
+ * @param {string} encoded - "zk..." address string
+ * @returns {Promise<{spendingPk: {x: bigint, y: bigint}, viewingPk: {x: bigint, y: bigint}|null, chainId: bigint|null}>}
+ * @throws {Error} On a bad prefix, checksum, version or point
+ */
+async function decodeZkAddress(encoded) {
+    const text = String(encoded).trim();
+    if (!text.startsWith(ZK_ADDRESS_PREFIX)) throw new Error('Invalid ZK address: missing "zk" prefix');
+
+    let bytes;
+    try {
+        let hex = decodeBase58(text.slice(ZK_ADDRESS_PREFIX.length)).toString(16);
+        if (hex.length % 2) hex = '0' + hex;
+        bytes = Buffer.from(hex, 'hex');
+    } catch (e) {
+        throw new Error('Invalid ZK address: not base58');
+    }
+    if (bytes.length < 2 + 32 + 4) throw new Error('Invalid ZK address: too short');
+
+    const payload = bytes.subarray(0, -4);
+    if (!checksum(payload).equals(bytes.subarray(-4))) throw new Error('Invalid ZK address: bad checksum');
+    if (payload[0] !== ZK_ADDRESS_VERSION) throw new Error(`Unsupported ZK address version: ${payload[0]}`);
+
+    const flags = payload[1];
+    const expected = 2 + 32 + (flags & FLAG_VIEWING_KEY ? 32 : 0) + (flags & FLAG_CHAIN_ID ? 8 : 0);
+    if (payload.length !== expected || (flags & ~(FLAG_VIEWING_KEY | FLAG_CHAIN_ID))) {
+        throw new Error('Invalid ZK address: malformed payload');
+    }
+
+    let offset = 2;
+    const spendingPk = await unpackChecked(payload.subarray(offset, offset + 32), 'spending key');
+    offset += 32;
+    let viewingPk = null;
+    if (flags & FLAG_VIEWING_KEY) {
+        viewingPk = await unpackChecked(payload.subarray(offset, offset + 32), 'viewing key');
+        offset += 32;
+    }
+    const chainId = flags & FLAG_CHAIN_ID ? payload.readBigUInt64BE(offset) : null;
+
+    return { spendingPk, viewingPk, chainId };
+}
+
+module.exports = {
+    encodeZkAddress,
+    decodeZkAddress,
+    ZK_ADDRESS_PREFIX,
+    ZK_ADDRESS_VERSION
+};
@@ -0,0 +1,214 @@
+/**
+ * Relayer.js
+ * Submits users' relayed proof bundles from the relayer's own account, so the
+ * user's Ethereum address never appears on a note operation.
+ *
+ * A bundle is a proof for a relayed circuit (<circuit>_relayed) whose public
+ * signals are the feature's five inputs followed by [relayer, fee]. Before
+ * spending gas the relayer:
+ *   1. checks that the bundle pays this relayer at least `minFee`
+ *   2. verifies the proof against the relayed circuit's vkey
+ *   3. runs the call as eth_call (state reverts: spent note, used nullifier,
+ *      empty fee pool)
+ * The contract pays the fee out of its relay fee pool (see RelayFees.sol).
+ */
+
+const { ethers } = require('ethers');
+const { verifyProofLocal, toBytes32, toAddress } = require('../lib/snarkjsUtils');
+
+const SNARK_FIELD = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+const PROOF_ABI = 'uint256[2] a, uint256[2][2] b, uint256[2] c';
+const RELAY_ABI = [
+    `function transferNFTRelayed(${PROOF_ABI}, bytes32 oldNftHash, bytes32 newNftHash, uint256 nftId, address collectionAddress, bytes32 nullifier, bytes encryptedNote, address relayer, uint256 fee)`,
+    `function openBoxRelayed(${PROOF_ABI}, bytes32 boxCommitment, bytes32 outcomeCommitment, uint256 vrfOutput, uint256 boxId, bytes32 nullifier, bytes encryptedNote, address relayer, uint256 fee)`,
+    `function tradeItemRelayed(${PROOF_ABI}, bytes32 oldItemHash, bytes32 newItemHash, bytes32 paymentNoteHash, uint256 gameId, bytes32 nullifier, bytes encryptedNote, address relayer, uint256 fee)`,
+    'function relayVerifier() view returns (address)',
+    'function relayFeePool() view returns (uint256)',
+    'function approvedRelayers(address) view returns (bool)',
+    'function relayFeeAllowance(address) view returns (uint256)'
+];
+
+/**
+ * Relayable contracts keyed by their deployedAddresses.json key. `types`
+ * encodes the five feature signals in contract argument order.
+ */
+const RELAY_TARGETS = {
+    privateNFT: {
+        method: 'transferNFTRelayed',
+        circuit: 'private_nft_transfer_relayed',
+        types: ['bytes32', 'bytes32', 'uint256', 'address', 'bytes32']
+    },
+    lootBoxOpen: {
+        method: 'openBoxRelayed',
+        circuit: 'loot_box_open_relayed',
+        types: ['bytes32', 'bytes32', 'uint256', 'uint256', 'bytes32']
+    },
+    gamingItemTrade: {
+        method: 'tradeItemRelayed',
+        circuit: 'gaming_item_trade_relayed',
+        types: ['bytes32', 'bytes32', 'bytes32', 'uint256', 'bytes32']
+    }
+};
+
+/** Rejected bundle; `status` is the HTTP status the server answers with */
+class RelayError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'RelayError';
+        this.status = status;
+    }
+}
+
+function encodeSignal(type, value) {
+    if (type === 'bytes32') return toBytes32(value);
+    if (type === 'address') return ethers.getAddress(toAddress(value));
+    return value;
+}
+
+function parseField(value, name) {
+    let v;
+    try {
+        v = BigInt(value);
+    } catch (e) {
+        throw new RelayError(400, `${name} is not an integer`);
+    }
+    if (v < 0n || v >= SNARK_FIELD) throw new RelayError(400, `${name} is outside the SNARK field`);
+    return v;
+}
+
+function parseProof(proof) {
+    const pair = (p, name) => {
+        if (!Array.isArray(p) || p.length !== 2) throw new RelayError(400, `proof.${name} must have 2 elements`);
+        return p.map((v, i) => parseField(v, `proof.${name}[${i}]`).toString());
+    };
+    if (!proof || typeof proof !== 'object') throw new RelayError(400, 'proof is required');
+    if (!Array.isArray(proof.b) || proof.b.length !== 2) throw new RelayError(400, 'proof.b must have 2 elements');
+    return {
+        a: pair(proof.a, 'a'),
+        b: [pair(proof.b[0], 'b[0]'), pair(proof.b[1], 'b[1]')],
+        c: pair(proof.c, 'c')
+    };
+}
+
+/** Revert reason of a failed ethers call */
+function revertReason(err) {
+    if (err.reason) return err.reason;
+    const embedded = /reverted with reason string '(.*)'/.exec(err.message || '');
+    return embedded ? embedded[1] : (err.shortMessage || err.message);
+}
+
+class Relayer {
+    /**
+     * @param {ethers.Signer} signer - Relayer account (pays gas, receives fees)
+     * @param {Object<string, string>} addresses - deployedAddresses.json contents
+     * @param {object} [options]
+     * @param {bigint} [options.minFee=0n] - Smallest fee (wei) accepted
+     * @param {Function} [options.verifyProof] - (circuit, proof, publicSignals) => Promise<boolean>;
+     *   defaults to verifyProofLocal against circuits/build/<circuit>/<circuit>_vkey.json
+     */
+    constructor(signer, addresses, options = {}) {
+        this.signer = signer;
+        this.minFee = BigInt(options.minFee || 0n);
+        this.verifyProof = options.verifyProof || verifyProofLocal;
+        this.contracts = {};
+        for (const key of Object.keys(RELAY_TARGETS)) {
+            if (addresses[key]) this.contracts[key] = new ethers.Contract(addresses[key], RELAY_ABI, signer);
+        }
+        // Sends are serialized so concurrent bundles do not race for the same nonce
+        this.sendQueue = Promise.resolve();
+    }
+
+    /**
+     * Relayer address, fee floor and per-contract status (for GET /health).
+     * `feeAllowance` is what this relayer can still be paid in the current fee period.
+     * @returns {Promise<object>}
+     */
+    async info() {
+        const relayer = await this.signer.getAddress();
+        const contracts = {};
+        for (const [key, contract] of Object.entries(this.contracts)) {
+            const [verifier, feePool, approved, feeAllowance] = await Promise.all([
+                contract.relayVerifier(),
+                contract.relayFeePool(),
+                contract.approvedRelayers(relayer),
+                contract.relayFeeAllowance(relayer)
+            ]);
+            contracts[key] = {
+                address: await contract.getAddress(),
+                enabled: verifier !== ethers.ZeroAddress,
+                approved,
+                feePool: feePool.toString(),
+                feeAllowance: feeAllowance.toString()
+            };
+        }
+        return {
+            relayer,
+            minFee: this.minFee.toString(),
+            contracts
+        };
+    }
+
+    /**
+     * Validate a bundle and submit it.
+     * @param {object} bundle
+     * @param {string} bundle.contract - deployedAddresses.json key (privateNFT, lootBoxOpen, gamingItemTrade)
+     * @param {{a: string[], b: string[][], c: string[]}} bundle.proof - Contract-formatted proof
+     * @param {string[]} bundle.publicSignals - 7 relayed-circuit signals (decimal)
+     * @param {string} [bundle.encryptedNote='0x'] - Encrypted note for the created note
+     * @returns {Promise<{txHash: string}>}
+     */
+    async relay({ contract: key, proof, publicSignals, encryptedNote = '0x' }) {
+        const target = RELAY_TARGETS[key];
+        const contract = this.contracts[key];
+        if (!target || !contract) throw new RelayError(400, `Unknown contract: ${key}`);
+        if (!Array.isArray(publicSignals) || publicSignals.length !== 7) {
+            throw new RelayError(400, 'publicSignals must hold the 7 relayed-circuit signals');
+        }
+        if (!ethers.isHexString(encryptedNote)) throw new RelayError(400, 'encryptedNote must be hex');
+
+        const formatted = parseProof(proof);
+        const signals = publicSignals.map((v, i) => parseField(v, `publicSignals[${i}]`));
+        const relayerAddress = await this.signer.getAddress();
+        if (signals[5] !== BigInt(relayerAddress)) {
+            throw new RelayError(422, `Proof pays ${toAddress(signals[5])}, not this relayer (${relayerAddress})`);
+        }
+        if (signals[6] < this.minFee) {
+            throw new RelayError(422, `Fee ${signals[6]} is below the minimum ${this.minFee}`);
+        }
+
+        let valid;
+        try {
+            valid = await this.verifyProof(target.circuit, formatted, signals.map(String));
+        } catch (e) {
+            if (e.code === 'ENOENT') throw new RelayError(503, `Relayed circuit ${target.circuit} is not compiled`);
+            throw e;
+        }
+        if (!valid) throw new RelayError(422, `Proof does not verify against ${target.circuit}`);
+
+        const args = [
+            formatted.a, formatted.b, formatted.c,
+            ...target.types.map((type, i) => encodeSignal(type, signals[i])),
+            encryptedNote,
+            relayerAddress,
+            signals[6]
+        ];
+        const method = contract[target.method];
+        try {
+            await method.staticCall(...args);
+        } catch (e) {
+            throw new RelayError(422, `Transaction would revert: ${revertReason(e)}`);
+        }
+
+        const send = this.sendQueue.then(() => method(...args));
+        this.sendQueue = send.catch(() => {});
+        const tx = await send;
+        return { txHash: tx.hash };
+    }
+}
+
+module.exports = {
+    Relayer,
+    RelayError,
+    RELAY_TARGETS
+};
@@ -0,0 +1,76 @@
+/**
+ * Relayer entry point
+ *
+ * Usage:
+ *   RELAYER_PRIVATE_KEY=0x... node scripts/relayer/index.js [--rpc <url>] [--port <n>] [--min-fee <wei>]
+ *
+ * Defaults: --rpc http://127.0.0.1:8545, --port 4200, --min-fee 0.
+ * Contract addresses are read from frontend/src/config/deployedAddresses.json
+ * (written by scripts/deploy.js). The frontend offers "submit via relayer" when
+ * VITE_RELAYER_URL is set.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { Relayer } = require('./Relayer');
+const { createServer } = require('./server');
+
+const ADDRESSES_FILE = path.join(__dirname, '..', '..', 'frontend', 'src', 'config', 'deployedAddresses.json');
+
+function parseArgs(argv) {
+    const args = {
+        rpc: process.env.RPC_URL || 'http://127.0.0.1:8545',
+        port: 4200,
+        minFee: '0'
+    };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        if (!(key in args) || argv[i + 1] === undefined) {
+            console.error(`Unknown or incomplete option: ${argv[i]}`);
+            console.error('Usage: RELAYER_PRIVATE_KEY=0x... node scripts/relayer/index.js [--rpc <url>] [--port <n>] [--min-fee <wei>]');
+            process.exit(1);
+        }
+        args[key] = typeof args[key] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!process.env.RELAYER_PRIVATE_KEY) {
+        console.error('RELAYER_PRIVATE_KEY is not set (the relayer pays gas from this account)');
+        process.exit(1);
+    }
+    if (!fs.existsSync(ADDRESSES_FILE)) {
+        console.error(`Deployed addresses not found: ${ADDRESSES_FILE} (run deploy first)`);
+        process.exit(1);
+    }
+    const addresses = JSON.parse(fs.readFileSync(ADDRESSES_FILE, 'utf8'));
+
+    const provider = new ethers.JsonRpcProvider(args.rpc);
+    const signer = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
+    const relayer = new Relayer(signer, addresses, { minFee: BigInt(args.minFee) });
+
+    const info = await relayer.info();
+    for (const [key, { enabled, approved }] of Object.entries(info.contracts)) {
+        if (!enabled) console.warn(`${key}: relaying not enabled on-chain (relayed verifier not deployed)`);
+        else if (!approved && BigInt(args.minFee) > 0n) {
+            console.warn(`${key}: ${info.relayer} is not an approved relayer, fee-paying relays will revert`);
+        }
+    }
+
+    const server = createServer(relayer);
+    server.listen(args.port, () => {
+        console.log(`Relayer ${info.relayer} on http://localhost:${server.address().port} (rpc ${args.rpc}, min fee ${args.minFee} wei)`);
+    });
+
+    const shutdown = () => server.close(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,41 @@
+/**
+ * server.js
+ * REST/JSON API over Relayer (node:http, CORS open for the frontend)
+ *
+ *   GET  /health   { relayer, minFee, contracts: { key: { address, enabled, approved, feePool, feeAllowance } } }
+ *   POST /relay    { contract, proof, publicSignals, encryptedNote } → { txHash }
+ */
+
+const http = require('http');
+const { HttpError, readBody, jsonHandler } = require('../lib/httpJson');
+
+/**
+ * Route one request.
+ * @param {Relayer} relayer - Relayer
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<object>} Response body
+ */
+async function route(relayer, req) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && pathname === '/health') {
+        return relayer.info();
+    }
+    if (req.method === 'POST' && pathname === '/relay') {
+        return relayer.relay(await readBody(req));
+    }
+    throw new HttpError(404, 'Not found');
+}
+
+/**
+ * Create the API server (not yet listening).
+ * @param {Relayer} relayer - Relayer
+ * @returns {http.Server} Server
+ */
+function createServer(relayer) {
+    return http.createServer(jsonHandler(req => route(relayer, req)));
+}
+
+module.exports = {
+    createServer
+};
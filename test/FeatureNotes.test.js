@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const {
+  NFTNote,
+  ItemNote,
+  PaymentNote,
+  BoxNote,
+  OutcomeNote,
+  DrawNote,
+  deserializeNote,
+  noteFromJSON,
+  SNARK_FIELD,
+} = require("../scripts/lib/FeatureNotes");
+const {
+  poseidonHash,
+  randomSecretKey,
+  getPublicKey,
+} = require("../scripts/lib/circomlibBabyJub");
+
+describe("FeatureNotes", function () {
+  let sk, pk;
+
+  before(async function () {
+    sk = await randomSecretKey();
+    pk = await getPublicKey(sk);
+  });
+
+  describe("hash and nullifier", function () {
+    it("NFTNote should match the private_nft_transfer layout", async function () {
+      const note = new NFTNote({ pk, nftId: 7, collection: "0x1234", salt: 99n });
+
+      expect(await note.hash()).to.equal(
+        await poseidonHash([pk.x, pk.y, 7n, 0x1234n, 99n])
+      );
+      expect(await note.nullifier(sk)).to.equal(await poseidonHash([7n, 99n, sk]));
+    });
+
+    it("ItemNote should match the gaming_item_trade layout", async function () {
+      const note = new ItemNote({
+        pk, itemId: 1, itemType: 3, itemAttributes: 9999, gameId: 42, salt: 5,
+      });
+
+      expect(await note.hash()).to.equal(
+        await poseidonHash([pk.x, pk.y, 1n, 3n, 9999n, 42n, 5n])
+      );
+      expect(await note.nullifier(sk)).to.equal(await poseidonHash([1n, 5n, sk]));
+    });
+
+    it("PaymentNote should hash to zero for a zero price", async function () {
+      const paid = new PaymentNote({ pk, price: 1000, paymentToken: 1, salt: 8 });
+      const free = new PaymentNote({ pk, price: 0, paymentToken: 1, salt: 8 });
+
+      expect(await paid.hash()).to.equal(
+        await poseidonHash([pk.x, pk.y, 1000n, 1n, 8n])
+      );
+      expect(await free.hash()).to.equal(0n);
+    });
+
+    it("BoxNote and OutcomeNote should match the loot_box_open layout", async function () {
+      const box = new BoxNote({ pk, boxId: 3, boxType: 1, salt: 11 });
+      const outcome = new OutcomeNote({ pk, itemId: 50, itemRarity: 2, salt: 12 });
+
+      expect(await box.hash()).to.equal(await poseidonHash([pk.x, pk.y, 3n, 1n, 11n]));
+      expect(await box.nullifier(sk)).to.equal(await poseidonHash([3n, 11n, sk]));
+      expect(await outcome.hash()).to.equal(await poseidonHash([pk.x, pk.y, 50n, 2n, 12n]));
+    });
+
+    it("DrawNote should match the card_draw commitment", async function () {
+      const draw = new DrawNote({ drawnCard: 17, drawIndex: 0, gameId: 42, handSalt: 6 });
+
+      expect(await draw.hash()).to.equal(await poseidonHash([17n, 0n, 42n, 6n]));
+      expect(draw.pk).to.be.null;
+    });
+
+    it("should refuse nullifiers for non-spendable notes", async function () {
+      const payment = new PaymentNote({ pk, price: 1, paymentToken: 1 });
+      const draw = new DrawNote({ drawnCard: 1, drawIndex: 0, gameId: 1 });
+
+      for (const note of [payment, draw]) {
+        let error;
+        try {
+          await note.nullifier(sk);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).to.include("not spendable");
+      }
+    });
+  });
+
+  describe("serialization", function () {
+    it("should round-trip every note type through bytes and JSON", async function () {
+      const notes = [
+        new NFTNote({ pk, nftId: 1, collection: 2 }),
+        new ItemNote({ pk, itemId: 1, itemType: 2, itemAttributes: 3, gameId: 4 }),
+        new PaymentNote({ pk, price: 5, paymentToken: 6 }),
+        new BoxNote({ pk, boxId: 7, boxType: 8 }),
+        new OutcomeNote({ pk, itemId: 9, itemRarity: 3 }),
+        new DrawNote({ drawnCard: 51, drawIndex: 10, gameId: 11 }),
+      ];
+
+      for (const note of notes) {
+        const fromBytes = deserializeNote(note.serialize());
+        const fromHex = deserializeNote("0x" + note.serialize().toString("hex"));
+        const fromJSON = noteFromJSON(JSON.parse(JSON.stringify(note)));
+
+        for (const copy of [fromBytes, fromHex, fromJSON]) {
+          expect(copy).to.be.instanceOf(note.constructor);
+          expect(copy.toJSON()).to.deep.equal(note.toJSON());
+          expect(await copy.hash()).to.equal(await note.hash());
+        }
+      }
+    });
+
+    it("should use a fixed-width layout", function () {
+      const note = new NFTNote({ pk, nftId: 1, collection: 2, salt: 3 });
+      const bytes = note.serialize();
+
+      expect(bytes.length).to.equal(1 + 5 * 32);
+      expect(bytes[0]).to.equal(0x01);
+      expect(bytes.slice(-32).toString("hex")).to.equal("03".padStart(64, "0"));
+    });
+
+    it("should reject malformed input", function () {
+      expect(() => deserializeNote("0x7f")).to.throw("Unknown note type");
+      expect(() => deserializeNote("0x0100")).to.throw("Invalid nft note length");
+      expect(() => noteFromJSON({ type: "bogus" })).to.throw("Unknown note type");
+      expect(() => new NFTNote({ pk, collection: 1 })).to.throw("Missing note field: nftId");
+      expect(() => new NFTNote({ pk, nftId: SNARK_FIELD, collection: 1 })).to.throw("out of range");
+    });
+  });
+});
@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { NoteScanner } = require("../scripts/lib/NoteScanner");
+const circomlibBabyJub = require("../scripts/lib/circomlibBabyJub");
+const { encryptForRecipient } = require("../scripts/lib/ecdhCrypto");
+const { NFTNote, createStealthNote } = require("../scripts/lib/FeatureNotes");
+
+describe("NoteScanner", function () {
+  let privateNFT;
+  let aliceSk, alicePk, bobSk, bobPk;
+
+  const collection = "0x0000000000000000000000000000000000000001";
+  const dummyA = [0, 0];
+  const dummyB = [[0, 0], [0, 0]];
+  const dummyC = [0, 0];
+
+  before(async function () {
+    aliceSk = await circomlibBabyJub.randomSecretKey();
+    alicePk = await circomlibBabyJub.getPublicKey(aliceSk);
+    bobSk = await circomlibBabyJub.randomSecretKey();
+    bobPk = await circomlibBabyJub.getPublicKey(bobSk);
+  });
+
+  beforeEach(async function () {
+    const MockVerifier = await ethers.getContractFactory("MockNFTTransferVerifier");
+    const mockVerifier = await MockVerifier.deploy();
+
+    const PrivateNFT = await ethers.getContractFactory("PrivateNFT");
+    privateNFT = await PrivateNFT.deploy(await mockVerifier.getAddress());
+  });
+
+  async function register(label, nftId, pk) {
+    const noteHash = ethers.keccak256(ethers.toUtf8Bytes(label));
+    const encrypted = await encryptForRecipient(Buffer.from(label), pk);
+    await privateNFT.registerNFT(noteHash, collection, nftId, encrypted);
+    return noteHash;
+  }
+
+  function newScanner() {
+    return new NoteScanner(ethers.provider, { privateNFT: privateNFT.target });
+  }
+
+  it("should find notes encrypted to each registered key", async function () {
+    const aliceNote = await register("alice-note", 1, alicePk);
+    const bobNote = await register("bob-note", 2, bobPk);
+    await privateNFT.registerNFT(
+      ethers.keccak256(ethers.toUtf8Bytes("plain-note")),
+      collection,
+      3,
+      ethers.toUtf8Bytes("demo")
+    );
+
+    const scanner = newScanner();
+    const aliceId = await scanner.addKey(aliceSk);
+    const bobId = await scanner.addKey(bobSk);
+    const result = await scanner.scan(0);
+
+    expect(result.created).to.equal(3);
+    const aliceNotes = scanner.getNotes(aliceId);
+    expect(aliceNotes).to.have.length(1);
+    expect(aliceNotes[0].noteHash).to.equal(aliceNote);
+    expect(aliceNotes[0].contract).to.equal("PrivateNFT");
+    expect(aliceNotes[0].plaintext.toString()).to.equal("alice-note");
+    expect(scanner.getNotes(bobId).map((n) => n.noteHash)).to.deep.equal([bobNote]);
+  });
+
+  it("should mark notes spent and pick up new notes on incremental scans", async function () {
+    const aliceNote = await register("alice-note", 1, alicePk);
+
+    const scanner = newScanner();
+    const aliceId = await scanner.addKey(aliceSk);
+    const bobId = await scanner.addKey(bobSk);
+    await scanner.scan(0);
+    expect(scanner.getNotes(aliceId)).to.have.length(1);
+
+    const newNote = ethers.keccak256(ethers.toUtf8Bytes("bob-note"));
+    const nullifier = ethers.keccak256(ethers.toUtf8Bytes("nullifier-1"));
+    await privateNFT.transferNFT(
+      dummyA, dummyB, dummyC,
+      aliceNote, newNote, 1, collection, nullifier,
+      await encryptForRecipient(Buffer.from("bob-note"), bobPk)
+    );
+
+    const result = await scanner.scan();
+    expect(result.created).to.equal(1);
+    expect(result.spent).to.equal(1);
+
+    expect(scanner.getNotes(aliceId)).to.have.length(0);
+    const spent = scanner.getNotes(aliceId, { includeSpent: true });
+    expect(spent).to.have.length(1);
+    expect(spent[0].spent).to.be.true;
+    expect(spent[0].nullifier).to.equal(nullifier);
+    expect(scanner.getNotes(bobId).map((n) => n.noteHash)).to.deep.equal([newNote]);
+  });
+
+  it("should apply earlier spends to keys added after the scan", async function () {
+    const aliceNote = await register("alice-note", 1, alicePk);
+    await privateNFT.transferNFT(
+      dummyA, dummyB, dummyC,
+      aliceNote,
+      ethers.keccak256(ethers.toUtf8Bytes("next-note")),
+      1,
+      collection,
+      ethers.keccak256(ethers.toUtf8Bytes("nullifier-1")),
+      ethers.toUtf8Bytes("demo")
+    );
+
+    const scanner = newScanner();
+    await scanner.scan(0);
+    const aliceId = await scanner.addKey(aliceSk);
+
+    expect(scanner.getNotes(aliceId)).to.have.length(0);
+    expect(scanner.getNotes(aliceId, { includeSpent: true })[0].spent).to.be.true;
+  });
+
+  it("should apply live spends after the pending decrypts and advance the cursor", async function () {
+    const aliceNote = await register("alice-note", 1, alicePk);
+    const nullifier = ethers.keccak256(ethers.toUtf8Bytes("nullifier-1"));
+    await privateNFT.transferNFT(
+      dummyA, dummyB, dummyC,
+      aliceNote, ethers.keccak256(ethers.toUtf8Bytes("next-note")), 1, collection, nullifier,
+      ethers.toUtf8Bytes("demo")
+    );
+    const [created] = await privateNFT.queryFilter(privateNFT.filters.NoteCreated(), 0);
+    const [spentLog] = await privateNFT.queryFilter(privateNFT.filters.NoteSpent(), 0);
+
+    const scanner = newScanner();
+    const aliceId = await scanner.addKey(aliceSk);
+    await scanner.scan(0, created.blockNumber - 1);
+    const spentEvents = [];
+    scanner.on("spent", (keyId, note) => spentEvents.push([keyId, note.noteHash]));
+    await scanner.listen();
+    try {
+      // Both events arrive before the note is decrypted
+      const contract = scanner.contracts.PrivateNFT;
+      await contract.emit("NoteCreated", aliceNote, created.args.encryptedNote, { log: created });
+      await contract.emit("NoteSpent", aliceNote, nullifier, { log: spentLog });
+      await scanner.settled();
+    } finally {
+      await scanner.stop();
+    }
+
+    const [note] = scanner.getNotes(aliceId, { includeSpent: true });
+    expect(note).to.include({ noteHash: aliceNote, spent: true, nullifier });
+    expect(spentEvents).to.deep.equal([[aliceId, aliceNote]]);
+    expect(scanner.lastScannedBlock).to.equal(spentLog.blockNumber);
+    expect((await scanner.scan()).created).to.equal(0);
+  });
+
+  it("should keep the scan cursor behind unscanned history when listening first", async function () {
+    const earlier = await register("alice-earlier", 1, alicePk);
+    const earlierNullifier = ethers.keccak256(ethers.toUtf8Bytes("nullifier-earlier"));
+    await privateNFT.transferNFT(
+      dummyA, dummyB, dummyC,
+      earlier, ethers.keccak256(ethers.toUtf8Bytes("earlier-next")), 1, collection, earlierNullifier,
+      ethers.toUtf8Bytes("demo")
+    );
+    const kept = await register("alice-kept", 2, alicePk);
+    const live = await register("alice-live", 3, alicePk);
+    const liveLog = (await privateNFT.queryFilter(privateNFT.filters.NoteCreated(live), 0))[0];
+
+    const scanner = newScanner();
+    const aliceId = await scanner.addKey(aliceSk);
+    await scanner.listen();
+    try {
+      await scanner.contracts.PrivateNFT.emit("NoteCreated", live, liveLog.args.encryptedNote, { log: liveLog });
+      await scanner.settled();
+    } finally {
+      await scanner.stop();
+    }
+    expect(scanner.lastScannedBlock).to.equal(-1);
+    expect(scanner.lastLiveBlock).to.equal(liveLog.blockNumber);
+
+    await scanner.scan();
+    const notes = scanner.getNotes(aliceId, { includeSpent: true });
+    expect(notes.map((n) => [n.noteHash, n.spent])).to.deep.equal([[earlier, true], [kept, false], [live, false]]);
+    expect(scanner.lastScannedBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("should reject construction without note contract addresses", function () {
+    expect(() => new NoteScanner(ethers.provider, {})).to.throw("no note contract addresses");
+  });
+
+  it("should discover derived keys that own notes within the gap limit", async function () {
+    const seed = Buffer.alloc(32, 7);
+    const keyAt = (index) => circomlibBabyJub.deriveKeyAtPath(seed, { purpose: "nft", index });
+
+    await register("hd-0", 1, (await keyAt(0)).pk);
+    await register("hd-3", 2, (await keyAt(3)).pk);
+    await register("hd-9", 3, (await keyAt(9)).pk);
+
+    const scanner = newScanner();
+    await scanner.scan(0);
+    const { keyIds, nextIndex } = await scanner.discoverKeys(seed, { purpose: "nft" }, 5);
+
+    expect(nextIndex).to.equal(4);
+    expect(keyIds).to.have.length(2);
+    expect(keyIds.flatMap((id) => scanner.getNotes(id).map((n) => n.plaintext.toString())))
+      .to.deep.equal(["hd-0", "hd-3"]);
+    expect(scanner.keys.size).to.equal(2);
+  });
+
+  it("should report the key ids the keystore stores keys under", async function () {
+    const { KeystoreSession } = require("../scripts/lib/keystore");
+    const session = await KeystoreSession.create("pw", { kdf: "pbkdf2", kdfParams: { c: 1000 } });
+    const seed = Buffer.alloc(32, 8);
+    await register("hd-1", 1, (await circomlibBabyJub.deriveKeyAtPath(seed, { purpose: "nft", index: 1 })).pk);
+
+    const scanner = newScanner();
+    expect(await scanner.addKey(aliceSk)).to.equal(await session.addKey(aliceSk));
+    await scanner.scan(0);
+    const { keyIds } = await scanner.discoverKeys(seed, { purpose: "nft" }, 3);
+    const derived = await circomlibBabyJub.deriveKeyAtPath(seed, { purpose: "nft", index: 1 });
+    expect(keyIds).to.deep.equal([circomlibBabyJub.keyIdOf(derived.pk)]);
+    expect(await session.addKey(derived.sk)).to.equal(keyIds[0]);
+    session.lock();
+  });
+
+  it("should find and track notes read-only with a viewing key", async function () {
+    const { viewingPk } = await circomlibBabyJub.deriveZkAddress(aliceSk);
+    const viewingKey = circomlibBabyJub.encodeViewingKey(
+      await circomlibBabyJub.deriveViewingKey(aliceSk), alicePk
+    );
+    const noteHash = ethers.keccak256(ethers.toUtf8Bytes("viewed-note"));
+    await privateNFT.registerNFT(
+      noteHash, collection, 1, await encryptForRecipient(Buffer.from("viewed-note"), viewingPk)
+    );
+    await privateNFT.transferNFT(
+      dummyA, dummyB, dummyC,
+      noteHash,
+      ethers.keccak256(ethers.toUtf8Bytes("next-note")),
+      1,
+      collection,
+      ethers.keccak256(ethers.toUtf8Bytes("nullifier-1")),
+      ethers.toUtf8Bytes("demo")
+    );
+
+    const scanner = newScanner();
+    const keyId = await scanner.addViewingKey(viewingKey);
+    await scanner.scan(0);
+
+    expect(scanner.isViewOnly(keyId)).to.be.true;
+    const [note] = scanner.getNotes(keyId, { includeSpent: true });
+    expect(note.plaintext.toString()).to.equal("viewed-note");
+    expect(note.spent).to.be.true;
+    expect(note.viewOnly).to.be.true;
+    expect(scanner.keys.get(keyId).sk).to.be.null;
+
+    // The spending key maps to the same id and upgrades it
+    expect(await scanner.addKey(aliceSk)).to.equal(keyId);
+    expect(scanner.isViewOnly(keyId)).to.be.false;
+    expect(scanner.getNotes(keyId, { includeSpent: true })[0].viewOnly).to.be.false;
+  });
+
+  it("should recognise stealth notes and recover their one-time keys", async function () {
+    const bob = await circomlibBabyJub.deriveZkAddress(bobSk);
+    const sent = [];
+    for (const nftId of [1, 2]) {
+      const { note, encryptedNote, stealth } = await createStealthNote(NFTNote, { nftId, collection }, bob);
+      const noteHash = ethers.toBeHex(await note.hash(), 32);
+      await privateNFT.registerNFT(noteHash, collection, nftId, encryptedNote);
+      sent.push({ noteHash, stealth });
+    }
+    expect(sent[0].stealth.pk).to.not.deep.equal(sent[1].stealth.pk);
+
+    const scanner = newScanner();
+    const keyId = await scanner.addViewingKey(circomlibBabyJub.encodeViewingKey(
+      await circomlibBabyJub.deriveViewingKey(bobSk), bob.spendingPk
+    ));
+    await scanner.scan(0);
+
+    const viewed = scanner.getNotes(keyId);
+    expect(viewed.map((n) => n.noteHash)).to.deep.equal(sent.map((s) => s.noteHash));
+    expect(viewed[0].stealth.pk).to.deep.equal(sent[0].stealth.pk);
+    expect(viewed[0].stealth.sk).to.be.null;
+
+    await scanner.addKey(bobSk);
+    for (const [i, note] of scanner.getNotes(keyId).entries()) {
+      expect(await circomlibBabyJub.getPublicKey(note.stealth.sk)).to.deep.equal(sent[i].stealth.pk);
+    }
+  });
+});
@@ -0,0 +1,366 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { Relayer, RelayError } = require("../scripts/relayer/Relayer");
+const { buildNftTransferInputs, generateProof, getPublicKey, randomSecretKey, verifyProofLocal } = require("../scripts/lib/snarkjsUtils");
+const { NFTNote } = require("../scripts/lib/FeatureNotes");
+const { createServer } = require("../scripts/relayer/server");
+const { hasFrontendDeps, withFrontendModules } = require("./helpers/frontendModules");
+
+describe("Relayer", function () {
+  let privateNFT, relayVerifier, relayerSigner, other;
+
+  const collection = "0x0000000000000000000000000000000000000001";
+  const dummyA = [0, 0];
+  const dummyB = [[0, 0], [0, 0]];
+  const dummyC = [0, 0];
+  const fee = ethers.parseEther("0.001");
+  const SNARK_FIELD = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+  // Note hashes and nullifiers are field elements
+  const hash = (label) => ethers.toBeHex(BigInt(ethers.keccak256(ethers.toUtf8Bytes(label))) % SNARK_FIELD, 32);
+
+  beforeEach(async function () {
+    [, relayerSigner, other] = await ethers.getSigners();
+
+    const MockVerifier = await ethers.getContractFactory("MockNFTTransferVerifier");
+    const mockVerifier = await MockVerifier.deploy();
+    const MockRelayedVerifier = await ethers.getContractFactory("MockRelayedVerifier");
+    relayVerifier = await MockRelayedVerifier.deploy();
+
+    const PrivateNFT = await ethers.getContractFactory("PrivateNFT");
+    privateNFT = await PrivateNFT.deploy(await mockVerifier.getAddress());
+    await privateNFT.registerNFT(hash("note-1"), collection, 1, "0x");
+  });
+
+  function transferArgs(relayer, relayFee, nullifier = hash("nullifier-1")) {
+    return [
+      dummyA, dummyB, dummyC,
+      hash("note-1"), hash("note-2"), 1, collection, nullifier, "0x",
+      relayer, relayFee,
+    ];
+  }
+
+  describe("Contract entry points", function () {
+    it("should reject relayed calls until a relay verifier is set", async function () {
+      await expect(
+        privateNFT.transferNFTRelayed(...transferArgs(relayerSigner.address, 0))
+      ).to.be.revertedWith("Relaying not enabled");
+    });
+
+    it("should let only the deployer set the relay verifier, once", async function () {
+      await expect(
+        privateNFT.connect(other).setRelayVerifier(await relayVerifier.getAddress())
+      ).to.be.revertedWith("Only relay admin");
+      await privateNFT.setRelayVerifier(await relayVerifier.getAddress());
+      await expect(
+        privateNFT.setRelayVerifier(await relayVerifier.getAddress())
+      ).to.be.revertedWith("Relay verifier already set");
+    });
+
+    it("should let only the deployer approve relayers and set the fee limit", async function () {
+      await expect(
+        privateNFT.connect(other).setRelayerApproved(other.address, true)
+      ).to.be.revertedWith("Only relay admin");
+      await expect(
+        privateNFT.connect(other).setRelayFeePeriodLimit(ethers.parseEther("1"))
+      ).to.be.revertedWith("Only relay admin");
+      await expect(privateNFT.setRelayerApproved(relayerSigner.address, true))
+        .to.emit(privateNFT, "RelayerApprovalSet").withArgs(relayerSigner.address, true);
+      expect(await privateNFT.approvedRelayers(relayerSigner.address)).to.be.true;
+    });
+
+    it("should spend the note and pay the bound fee from the pool", async function () {
+      await privateNFT.setRelayVerifier(await relayVerifier.getAddress());
+      await privateNFT.setRelayerApproved(relayerSigner.address, true);
+      await privateNFT.depositRelayFees({ value: ethers.parseEther("0.01") });
+
+      await expect(
+        privateNFT.connect(relayerSigner).transferNFTRelayed(...transferArgs(relayerSigner.address, fee))
+      ).to.changeEtherBalances([relayerSigner, privateNFT], [fee, -fee]);
+
+      expect(await privateNFT.getNoteState(hash("note-1"))).to.equal(2);
+      expect(await privateNFT.getNoteState(hash("note-2"))).to.equal(1);
+      expect(await privateNFT.relayFeePool()).to.equal(ethers.parseEther("0.01") - fee);
+    });
+
+    it("should let only the deployer withdraw unused relay fees", async function () {
+      const deposit = ethers.parseEther("0.5");
+      await privateNFT.connect(other).depositRelayFees({ value: deposit });
+      await expect(
+        privateNFT.connect(other).withdrawRelayFees(other.address, deposit)
+      ).to.be.revertedWith("Only relay admin");
+      await expect(
+        privateNFT.withdrawRelayFees(other.address, deposit + 1n)
+      ).to.be.revertedWith("Relay fee pool exhausted");
+
+      const withdrawal = privateNFT.withdrawRelayFees(other.address, deposit);
+      await expect(withdrawal).to.changeEtherBalances([other, privateNFT], [deposit, -deposit]);
+      await expect(withdrawal).to.emit(privateNFT, "RelayFeesWithdrawn").withArgs(other.address, deposit);
+      expect(await privateNFT.relayFeePool()).to.equal(0);
+    });
+
+    it("should cap the fee by the pool and MAX_RELAY_FEE", async function () {
+      await privateNFT.setRelayVerifier(await relayVerifier.getAddress());
+      await privateNFT.setRelayerApproved(relayerSigner.address, true);
+      await expect(
+        privateNFT.connect(relayerSigner).transferNFTRelayed(...transferArgs(relayerSigner.address, fee))
+      ).to.be.revertedWith("Relay fee pool exhausted");
+
+      await privateNFT.depositRelayFees({ value: ethers.parseEther("1") });
+      await expect(
+        privateNFT.connect(relayerSigner).transferNFTRelayed(...transferArgs(relayerSigner.address, ethers.parseEther("0.02")))
+      ).to.be.revertedWith("Relay fee too high");
+    });
+
+    describe("repeated self-relay", function () {
+      const maxFee = ethers.parseEther("0.01");
+      let round = 0;
+
+      // The attacker owns a note and relays it to themselves, over and over
+      async function selfRelay(signer, relayerAddress = signer.address) {
+        round++;
+        await privateNFT.registerNFT(hash(`self-${round}`), collection, 100 + round, "0x");
+        return privateNFT.connect(signer).transferNFTRelayed(
+          dummyA, dummyB, dummyC,
+          hash(`self-${round}`), hash(`self-${round}-next`), 100 + round, collection, hash(`self-nullifier-${round}`), "0x",
+          relayerAddress, maxFee,
+        );
+      }
+
+      beforeEach(async function () {
+        await privateNFT.setRelayVerifier(await relayVerifier.getAddress());
+        await privateNFT.depositRelayFees({ value: ethers.parseEther("1") });
+      });
+
+      it("should not pay a note holder who names themselves as relayer", async function () {
+        for (let i = 0; i < 3; i++) {
+          await expect(selfRelay(other)).to.be.revertedWith("Relayer not approved");
+        }
+        expect(await privateNFT.relayFeePool()).to.equal(ethers.parseEther("1"));
+        // Zero-fee relays stay open to anyone
+        await privateNFT.connect(other).transferNFTRelayed(...transferArgs(other.address, 0));
+      });
+
+      it("should not let others collect fees for an approved relayer", async function () {
+        await privateNFT.setRelayerApproved(relayerSigner.address, true);
+        await expect(selfRelay(other, relayerSigner.address))
+          .to.be.revertedWith("Fee is paid to the submitting relayer only");
+      });
+
+      it("should stop an approved relayer at the per-period limit", async function () {
+        await privateNFT.setRelayerApproved(relayerSigner.address, true);
+        const limit = await privateNFT.relayFeePeriodLimit();
+        for (let paid = 0n; paid < limit; paid += maxFee) {
+          await selfRelay(relayerSigner);
+        }
+        expect(await privateNFT.relayFeeAllowance(relayerSigner.address)).to.equal(0);
+        await expect(selfRelay(relayerSigner)).to.be.revertedWith("Relay fee period limit reached");
+        expect(await privateNFT.relayFeePool()).to.equal(ethers.parseEther("1") - limit);
+
+        await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+        await selfRelay(relayerSigner);
+        expect(await privateNFT.relayFeeAllowance(relayerSigner.address)).to.equal(limit - maxFee);
+
+        await privateNFT.setRelayerApproved(relayerSigner.address, false);
+        await expect(selfRelay(relayerSigner)).to.be.revertedWith("Relayer not approved");
+      });
+    });
+  });
+
+  describe("Service", function () {
+    let relayer, verified;
+
+    beforeEach(async function () {
+      await privateNFT.setRelayVerifier(await relayVerifier.getAddress());
+      await privateNFT.setRelayerApproved(relayerSigner.address, true);
+      await privateNFT.depositRelayFees({ value: ethers.parseEther("0.01") });
+      verified = [];
+      relayer = new Relayer(relayerSigner, { privateNFT: privateNFT.target }, {
+        minFee: fee,
+        verifyProof: async (circuit, proof, publicSignals) => {
+          verified.push({ circuit, publicSignals });
+          return publicSignals[4] !== BigInt(hash("forged")).toString();
+        },
+      });
+    });
+
+    function bundle({ relayer: relayerAddress = relayerSigner.address, relayFee = fee, nullifier = hash("nullifier-1") } = {}) {
+      return {
+        contract: "privateNFT",
+        proof: { a: ["1", "2"], b: [["3", "4"], ["5", "6"]], c: ["7", "8"] },
+        publicSignals: [
+          hash("note-1"), hash("note-2"), 1, collection, nullifier, relayerAddress, relayFee,
+        ].map((v) => BigInt(v).toString()),
+        encryptedNote: "0x1234",
+      };
+    }
+
+    async function rejection(promise) {
+      try {
+        await promise;
+      } catch (e) {
+        return e;
+      }
+      throw new Error("expected rejection");
+    }
+
+    it("should verify and submit a bundle that pays this relayer", async function () {
+      const { txHash } = await relayer.relay(bundle());
+      const receipt = await ethers.provider.getTransactionReceipt(txHash);
+      expect(receipt.from).to.equal(relayerSigner.address);
+      expect(verified[0].circuit).to.equal("private_nft_transfer_relayed");
+      expect(await privateNFT.getNoteState(hash("note-1"))).to.equal(2);
+      expect(await privateNFT.encryptedNotes(hash("note-2"))).to.equal("0x1234");
+    });
+
+    it("should reject bundles for another relayer, low fees, bad proofs and reverting calls", async function () {
+      const otherRelayer = await rejection(relayer.relay(bundle({ relayer: other.address })));
+      expect(otherRelayer).to.be.instanceOf(RelayError);
+      expect(otherRelayer.status).to.equal(422);
+
+      expect((await rejection(relayer.relay(bundle({ relayFee: fee - 1n })))).message).to.include("below the minimum");
+      expect((await rejection(relayer.relay(bundle({ nullifier: hash("forged") })))).message).to.include("does not verify");
+      expect((await rejection(relayer.relay({ ...bundle(), contract: "cardDraw" }))).status).to.equal(400);
+
+      await relayer.relay(bundle());
+      const replay = await rejection(relayer.relay(bundle()));
+      expect(replay.message).to.equal("Transaction would revert: Note does not exist or already spent");
+    });
+
+    it("should report a relayed circuit that is not compiled", async function () {
+      const uncompiled = new Relayer(relayerSigner, { privateNFT: privateNFT.target }, {
+        verifyProof: (circuit, ...args) => verifyProofLocal(`${circuit}_missing`, ...args),
+      });
+      const error = await rejection(uncompiled.relay(bundle()));
+      expect(error.status).to.equal(503);
+    });
+
+    it("should serve health and relay requests over HTTP", async function () {
+      const server = createServer(relayer);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      try {
+        const health = await (await fetch(`${baseUrl}/health`)).json();
+        expect(health.relayer).to.equal(relayerSigner.address);
+        expect(health.minFee).to.equal(fee.toString());
+        expect(health.contracts.privateNFT.enabled).to.be.true;
+
+        const relayRes = await fetch(`${baseUrl}/relay`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(bundle()),
+        });
+        expect(relayRes.status).to.equal(200);
+        expect((await relayRes.json()).txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+        const rejected = await fetch(`${baseUrl}/relay`, {
+          method: "POST",
+          body: JSON.stringify(bundle({ relayer: other.address })),
+        });
+        expect(rejected.status).to.equal(422);
+        expect((await rejected.json()).error).to.include("not this relayer");
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    it("should serve the browser client", async function () {
+      if (!hasFrontendDeps()) this.skip();
+      const server = createServer(relayer);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      process.env.VITE_RELAYER_URL = `http://127.0.0.1:${server.address().port}`;
+      try {
+        const [client, preflight] = withFrontendModules((load) => [load("relayerClient"), load("preflight")]);
+        expect(await client.getRelayTerms("privateNFT")).to.deep.equal({ relayer: relayerSigner.address, fee: fee.toString() });
+
+        const { proof, publicSignals } = bundle();
+        const result = { circuitName: "private_nft_transfer_relayed", proof, publicSignals, duration: 0 };
+        expect(client.isRelayedProof(result)).to.be.true;
+        // HardhatEthersProvider lacks waitForTransaction; automined receipts exist immediately
+        let mined = (receipt) => receipt;
+        const provider = {
+          waitForTransaction: async (txHash) => mined(await ethers.provider.getTransactionReceipt(txHash)),
+        };
+        const tx = await client.submitViaRelayer("privateNFT", result, "0xabcd", provider);
+        expect(await tx.wait()).to.have.property("status", 1);
+        expect(await privateNFT.encryptedNotes(hash("note-2"))).to.equal("0xabcd");
+
+        // wait() rejects like ContractTransactionResponse.wait() for reverted or missing receipts
+        for (const [outcome, message] of [
+          [(receipt) => ({ ...receipt, status: 0 }), `Relayed transaction ${tx.hash} reverted`],
+          [() => null, `Relayed transaction ${tx.hash} was not mined`],
+        ]) {
+          mined = outcome;
+          let waitError;
+          try {
+            await tx.wait();
+          } catch (e) {
+            waitError = e;
+          }
+          expect(waitError.message).to.equal(message);
+        }
+
+        let error;
+        try {
+          await client.submitViaRelayer("privateNFT", result, "0xabcd", provider);
+        } catch (e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(preflight.PreflightError);
+        expect(error.message).to.equal("Note does not exist or already spent");
+      } finally {
+        delete process.env.VITE_RELAYER_URL;
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+
+  describe("Relayed circuits", function () {
+    const MAIN_DIR = path.join(__dirname, "../circuits/main");
+    const read = (name) => fs.readFileSync(path.join(MAIN_DIR, `${name}.circom`), "utf8");
+    // Body of the file's template, between its braces
+    const templateBody = (source) => source.slice(source.indexOf("{", source.indexOf("\ntemplate ")) + 1, source.indexOf("\n}\n"));
+    const includes = (source) => source.match(/^include .*$/gm);
+    const publicInputs = (source) => source.match(/component main \{public \[(.*)\]\}/)[1].split(", ");
+
+    it("should relay a real proof through the compiled relayed verifier", async function () {
+      this.timeout(120000);
+      const Verifier = await ethers.getContractFactory("contracts/verifiers/PrivateNftTransferRelayedVerifier.sol:Groth16Verifier");
+      const verifier = await Verifier.deploy();
+      await privateNFT.setRelayVerifier(await verifier.getAddress());
+      await privateNFT.setRelayerApproved(relayerSigner.address, true);
+      await privateNFT.depositRelayFees({ value: ethers.parseEther("0.01") });
+
+      const sk = await randomSecretKey();
+      const pk = await getPublicKey(sk);
+      const oldNote = new NFTNote({ pk, nftId: 7, collection: BigInt(collection) });
+      const newNote = new NFTNote({ pk, nftId: 7, collection: BigInt(collection) });
+      await privateNFT.registerNFT(ethers.toBeHex(await oldNote.hash(), 32), collection, 7, "0x");
+      const { inputs } = await buildNftTransferInputs({ oldNote, newNote, oldOwnerSk: sk });
+      const { a, b, c, input } = await generateProof("private_nft_transfer_relayed", {
+        ...inputs, relayer: BigInt(relayerSigner.address).toString(), fee: fee.toString(),
+      });
+
+      // Default verifyProof: circuits/build/private_nft_transfer_relayed/private_nft_transfer_relayed_vkey.json
+      const relayer = new Relayer(relayerSigner, { privateNFT: privateNFT.target }, { minFee: fee });
+      const { txHash } = await relayer.relay({ contract: "privateNFT", proof: { a, b, c }, publicSignals: input });
+      const receipt = await ethers.provider.getTransactionReceipt(txHash);
+      expect(receipt.status).to.equal(1);
+      expect(await privateNFT.getNoteState(ethers.toBeHex(await newNote.hash(), 32))).to.equal(1);
+      expect(await privateNFT.relayFeePool()).to.equal(ethers.parseEther("0.01") - fee);
+    });
+
+    for (const circuit of ["private_nft_transfer", "loot_box_open", "gaming_item_trade"]) {
+      it(`should prove the ${circuit} statement plus the relay binding`, function () {
+        const base = read(circuit);
+        const relayed = read(`${circuit}_relayed`);
+        const [statement, binding] = templateBody(relayed).split("\n\n    // ===== Relay Binding =====\n");
+        expect(statement).to.equal(templateBody(base));
+        expect(binding).to.include("component relay = RelayBinding();");
+        expect(includes(relayed)).to.deep.equal([...includes(base), 'include "../utils/relay_binding.circom";']);
+        expect(publicInputs(relayed)).to.deep.equal([...publicInputs(base), "relayer", "fee"]);
+      });
+    }
+  });
+});
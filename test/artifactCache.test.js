@@ -0,0 +1,97 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { buildCircuitManifest } = require("../scripts/lib/circuitManifest");
+const { hasFrontendDeps, withFrontendModules } = require("./helpers/frontendModules");
+
+const CIRCUITS_DIR = path.join(__dirname, "../frontend/public/circuits");
+
+describe("circuit artifact cache", function () {
+  describe("manifest", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "circuits-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should hash nested artifacts and ignore flat files", function () {
+      fs.mkdirSync(path.join(dir, "card_draw"));
+      fs.writeFileSync(path.join(dir, "card_draw/card_draw.wasm"), "wasm-bytes");
+      fs.writeFileSync(path.join(dir, "card_draw.wasm"), "stale copy");
+      fs.writeFileSync(path.join(dir, "card_draw_vkey.json"), "{}");
+
+      const manifest = buildCircuitManifest(dir);
+      expect(manifest.circuits).to.have.keys("card_draw");
+      expect(manifest.circuits.card_draw).to.deep.equal({
+        wasm: {
+          path: "card_draw/card_draw.wasm",
+          sha256: crypto.createHash("sha256").update("wasm-bytes").digest("hex"),
+          size: 10,
+        },
+      });
+    });
+
+    it("should match the committed frontend artifacts", function () {
+      const committed = JSON.parse(fs.readFileSync(path.join(CIRCUITS_DIR, "manifest.json"), "utf8"));
+      expect(buildCircuitManifest(CIRCUITS_DIR)).to.deep.equal(committed);
+    });
+  });
+
+  describe("browser loader", function () {
+    let artifactCache, originalFetch;
+    const served = {};
+    const manifest = { version: 1, circuits: {} };
+
+    before(function () {
+      if (!hasFrontendDeps()) this.skip();
+      artifactCache = withFrontendModules((load) => load("artifactCache"));
+    });
+
+    beforeEach(function () {
+      originalFetch = globalThis.fetch;
+      globalThis.fetch = async (url) => {
+        const key = url.split("?")[0];
+        if (key === "/circuits/manifest.json") return new Response(JSON.stringify(manifest));
+        return key in served ? new Response(served[key]) : new Response("", { status: 404 });
+      };
+      artifactCache.resetManifest();
+    });
+
+    afterEach(function () {
+      globalThis.fetch = originalFetch;
+    });
+
+    function publish(circuit, kind, contents, sha256 = crypto.createHash("sha256").update(contents).digest("hex")) {
+      const entry = { path: `${circuit}/${circuit}.${kind}`, sha256, size: contents.length };
+      manifest.circuits[circuit] = { ...manifest.circuits[circuit], [kind]: entry };
+      served[`/circuits/${entry.path}`] = contents;
+    }
+
+    it("should return verified bytes for listed artifacts and URLs otherwise", async function () {
+      publish("loot_box_open", "wasm", "verified wasm");
+
+      const wasm = await artifactCache.getArtifact("loot_box_open", "wasm");
+      expect(Buffer.from(wasm).toString()).to.equal("verified wasm");
+      expect(await artifactCache.getArtifact("loot_box_open", "zkey")).to.equal("/circuits/loot_box_open/loot_box_open.zkey");
+    });
+
+    it("should reject artifacts that do not match the manifest hash", async function () {
+      publish("gaming_item_trade", "zkey", "tampered zkey", "00".repeat(32));
+
+      let error;
+      try {
+        await artifactCache.getArtifact("gaming_item_trade", "zkey");
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(artifactCache.ArtifactIntegrityError);
+      expect(error.message).to.include("gaming_item_trade/gaming_item_trade.zkey");
+    });
+  });
+});
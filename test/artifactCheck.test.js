@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  circuitPaths,
+  parseVerifierConstants,
+  vkeyToVerifierConstants,
+  diffConstants,
+  missingFromBytecode,
+  checkCircuit,
+  checkDeployedVerifier,
+  checkDeployment,
+} = require("../scripts/lib/artifactCheck");
+const { writeCircuitManifest } = require("../scripts/lib/circuitManifest");
+const { hashVkey, manifestPath } = require("../scripts/lib/deployManifest");
+
+const ROOT = path.join(__dirname, "..");
+const NFT = circuitPaths(ROOT, "private_nft_transfer");
+const LOOT = circuitPaths(ROOT, "loot_box_open");
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+const statuses = (findings) => Object.fromEntries(findings.map((f) => [f.check, f.status]));
+
+describe("Artifact consistency checks", function () {
+  this.timeout(300000);
+
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "artifact-check-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should match verifier constants to the vkey and show the differences", function () {
+    const source = fs.readFileSync(NFT.verifierSource, "utf8");
+    const expected = vkeyToVerifierConstants(readJson(NFT.buildVkey));
+    expect(parseVerifierConstants(source)).to.deep.equal(expected);
+    expect(Object.keys(expected)).to.include.members(["alphax", "betax1", "gammay2", "deltax2", "IC0x", "IC5y"]);
+
+    const tampered = source.replace(`deltax1 = ${expected.deltax1};`, "deltax1 = 42;").replace(/\s+uint256 constant IC5y = \d+;/, "");
+    expect(diffConstants(expected, parseVerifierConstants(tampered), ["vkey", "sol"])).to.deep.equal([
+      `- deltax1 = ${expected.deltax1}  (vkey)`,
+      "+ deltax1 = 42  (sol)",
+      `- IC5y = ${expected.IC5y}  (vkey)`,
+    ]);
+  });
+
+  it("should find the vkey constants in the compiled verifier only", function () {
+    const bytecode = readJson(NFT.verifierArtifact).deployedBytecode;
+    expect(missingFromBytecode(bytecode, vkeyToVerifierConstants(readJson(NFT.buildVkey)))).to.deep.equal([]);
+    const other = vkeyToVerifierConstants(readJson(LOOT.buildVkey));
+    // Both come from the same ptau, so alpha, beta and gamma are shared
+    expect(missingFromBytecode(bytecode, other)).to.include.members(["deltax1", "IC0x", "IC1y"]);
+    expect(missingFromBytecode(bytecode, other)).to.not.include("alphax");
+  });
+
+  it("should report frontend copies that drifted from the build", function () {
+    const copy = circuitPaths(dir, "private_nft_transfer");
+    for (const key of ["buildVkey", "buildZkey", "buildWasm", "verifierSource", "frontendVkey", "frontendZkey", "frontendWasm"]) {
+      fs.mkdirSync(path.dirname(copy[key]), { recursive: true });
+      fs.copyFileSync(NFT[key], copy[key]);
+    }
+    writeCircuitManifest(copy.frontendDir);
+    fs.mkdirSync(path.join(dir, "circuits", "build"), { recursive: true });
+    expect(statuses(checkCircuit(dir, "private_nft_transfer"))).to.deep.equal({
+      "verifier constants": "ok",
+      "compiled verifier": "skip",
+      "frontend vkey": "ok",
+      "frontend wasm": "ok",
+      "frontend zkey": "ok",
+      "frontend manifest": "ok",
+    });
+    expect(statuses(checkCircuit(dir, "card_draw"))).to.deep.equal({ compiled: "skip" });
+
+    const vkey = readJson(copy.frontendVkey);
+    vkey.IC[1][0] = "1";
+    fs.writeFileSync(copy.frontendVkey, JSON.stringify(vkey));
+    fs.appendFileSync(copy.frontendZkey, "\0");
+    fs.rmSync(copy.frontendWasm);
+
+    const findings = checkCircuit(dir, "private_nft_transfer");
+    expect(statuses(findings)).to.include({
+      "verifier constants": "ok",
+      "frontend vkey": "fail",
+      "frontend wasm": "fail",
+      "frontend zkey": "fail",
+      "frontend manifest": "fail",
+    });
+    const byCheck = Object.fromEntries(findings.map((f) => [f.check, f]));
+    expect(byCheck["frontend vkey"].diff).to.deep.equal([
+      `- IC1x = ${readJson(NFT.buildVkey).IC[1][0]}  (circuits/build/private_nft_transfer/private_nft_transfer_vkey.json)`,
+      "+ IC1x = 1  (frontend/public/circuits/private_nft_transfer_vkey.json)",
+    ]);
+    expect(byCheck["frontend wasm"].message).to.equal("frontend/public/circuits/private_nft_transfer/private_nft_transfer.wasm is missing");
+    expect(byCheck["frontend zkey"].diff).to.have.length(2);
+  });
+
+  describe("deployed verifiers", function () {
+    let nftVerifier, lootVerifier;
+
+    before(async function () {
+      if (!fs.existsSync(NFT.buildZkey)) this.skip();
+      const deploy = async (file) => {
+        const factory = await ethers.getContractFactory(`contracts/verifiers/${file}:Groth16Verifier`);
+        const contract = await factory.deploy();
+        return contract.getAddress();
+      };
+      nftVerifier = await deploy("PrivateNftTransferVerifier.sol");
+      lootVerifier = await deploy("LootBoxOpenVerifier.sol");
+    });
+
+    it("should round-trip a proof through the verifiers of a deployment manifest", async function () {
+      fs.writeFileSync(manifestPath(1337, dir), JSON.stringify({
+        version: 1,
+        chainId: 1337,
+        contracts: {
+          privateNFTVerifier: {
+            contract: "contracts/verifiers/PrivateNftTransferVerifier.sol:Groth16Verifier",
+            circuit: "private_nft_transfer",
+            vkeyHash: hashVkey(NFT.buildVkey),
+            address: nftVerifier,
+          },
+          lootBoxVerifier: { contract: "MockLootBoxVerifier", circuit: "loot_box_open", address: lootVerifier },
+          mockERC20: { contract: "MockERC20", address: lootVerifier },
+        },
+      }));
+
+      const findings = await checkDeployment({ root: ROOT, provider: ethers.provider, deploymentsDir: dir });
+      expect(findings.map((f) => [f.circuit, f.check, f.status])).to.deep.equal([
+        ["private_nft_transfer", "deployed vkey hash", "ok"],
+        ["private_nft_transfer", "deployed verifier", "ok"],
+        ["private_nft_transfer", "proof round-trip", "ok"],
+        ["loot_box_open", "deployed verifier", "skip"],
+      ]);
+    });
+
+    it("should flag a verifier generated from another vkey", async function () {
+      const constants = vkeyToVerifierConstants(readJson(NFT.buildVkey));
+      const [code, roundTrip] = await checkDeployedVerifier({
+        circuit: "private_nft_transfer", provider: ethers.provider, address: lootVerifier, constants,
+      });
+      expect(code.status).to.equal("fail");
+      expect(code.diff).to.include(`- deltax1 = ${constants.deltax1}`);
+      expect(roundTrip.status).to.equal("skip");
+
+      const [empty] = await checkDeployedVerifier({
+        circuit: "private_nft_transfer", provider: ethers.provider, address: ethers.ZeroAddress, constants,
+      });
+      expect(empty).to.include({ status: "fail", message: `${ethers.ZeroAddress}: no code at ${ethers.ZeroAddress}` });
+
+      fs.mkdirSync(path.join(dir, "other"));
+      const missing = await checkDeployment({ root: ROOT, provider: ethers.provider, deploymentsDir: path.join(dir, "other") });
+      expect(missing).to.have.length(1);
+      expect(missing[0]).to.include({ check: "chain 1337", status: "fail" });
+    });
+  });
+});
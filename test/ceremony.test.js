@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const snarkjs = require("snarkjs");
+const {
+  initCeremony,
+  contribute,
+  applyBeacon,
+  verifyCeremony,
+  exportVerificationKey,
+  readTranscript,
+} = require("../scripts/lib/ceremony");
+
+// A one-constraint circuit (a * b === out, out public) in the iden3 r1cs format,
+// so a full ceremony runs in about a second against a 2^4 ptau
+function writeTinyR1cs(file) {
+  const prime = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+  const fe = (v) => Buffer.from(v.toString(16).padStart(64, "0"), "hex").reverse();
+  const u32 = (v) => { const b = Buffer.alloc(4); b.writeUInt32LE(v); return b; };
+  const u64 = (v) => { const b = Buffer.alloc(8); b.writeBigUInt64LE(BigInt(v)); return b; };
+  const section = (type, body) => Buffer.concat([u32(type), u64(body.length), body]);
+  const lc = (wire) => Buffer.concat([u32(1), u32(wire), fe(1n)]);
+  // Wires: 0 = one, 1 = out, 2 = a, 3 = b
+  const header = Buffer.concat([u32(32), fe(prime), u32(4), u32(1), u32(0), u32(2), u64(4), u32(1)]);
+  fs.writeFileSync(file, Buffer.concat([
+    Buffer.from("r1cs"), u32(1), u32(3),
+    section(1, header),
+    section(2, Buffer.concat([lc(2), lc(3), lc(1)])),
+    section(3, Buffer.concat([0, 1, 2, 3].map(u64))),
+  ]));
+}
+
+describe("Trusted setup ceremony", function () {
+  this.timeout(120000);
+  let dir, r1csFile, ptauFile;
+
+  before(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ceremony-"));
+    r1csFile = path.join(dir, "tiny.r1cs");
+    ptauFile = path.join(dir, "tiny.ptau");
+    writeTinyR1cs(r1csFile);
+    const curve = await snarkjs.curves.getCurveFromName("bn128");
+    await snarkjs.powersOfTau.newAccumulator(curve, 4, path.join(dir, "pot_0.ptau"));
+    await snarkjs.powersOfTau.contribute(path.join(dir, "pot_0.ptau"), path.join(dir, "pot_1.ptau"), "phase 1", "entropy");
+    await snarkjs.powersOfTau.preparePhase2(path.join(dir, "pot_1.ptau"), ptauFile);
+  });
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function rejection(promise) {
+    try {
+      await promise;
+    } catch (e) {
+      return e;
+    }
+    throw new Error("expected rejection");
+  }
+
+  it("should chain contributions and a beacon into a zkey that verifies against the transcript", async function () {
+    const ceremonyDir = path.join(dir, "ceremony");
+    const transcript = await initCeremony({ circuit: "tiny", r1csFile, ptauFile, dir: ceremonyDir, root: dir });
+    expect(transcript).to.deep.include({ circuit: "tiny", contributions: [], beacon: null, ptau: { file: "tiny.ptau", size: fs.statSync(ptauFile).size } });
+    expect(transcript.r1cs.path).to.equal("tiny.r1cs");
+    expect(transcript.circuitHash).to.match(/^[0-9a-f]{128}$/);
+    expect((await rejection(initCeremony({ circuit: "tiny", r1csFile, ptauFile, dir: ceremonyDir }))).message).to.include("already exists");
+    expect((await rejection(applyBeacon({ circuit: "tiny", dir: ceremonyDir, hash: "ab" }))).message).to.include("has no contributions");
+
+    const alice = await contribute({ circuit: "tiny", dir: ceremonyDir, name: "alice", entropy: "alice's dice" });
+    const bob = await contribute({ circuit: "tiny", dir: ceremonyDir, name: "bob" });
+    expect([alice.index, bob.index]).to.deep.equal([1, 2]);
+    expect(bob.zkey).to.equal("tiny_0002.zkey");
+    expect(alice.contributionHash).to.match(/^[0-9a-f]{128}$/).and.not.equal(bob.contributionHash);
+
+    const beacon = await applyBeacon({ circuit: "tiny", dir: ceremonyDir, hash: "0x0123456789abcdef" });
+    expect(beacon).to.include({ hash: "0123456789abcdef", iterationsExp: 10, zkey: "tiny_final.zkey" });
+    expect((await rejection(contribute({ circuit: "tiny", dir: ceremonyDir, name: "carol" }))).message).to.include("closed by its beacon");
+
+    const finalZkey = path.join(ceremonyDir, "tiny", "tiny_final.zkey");
+    const vkeyFile = path.join(dir, "tiny_vkey.json");
+    fs.writeFileSync(vkeyFile, JSON.stringify(await exportVerificationKey(finalZkey), null, 1));
+    const saved = readTranscript(ceremonyDir, "tiny");
+    const result = await verifyCeremony({ transcript: saved, r1csFile, ptauFile, zkeyFile: finalZkey, vkeyFiles: [vkeyFile] });
+    expect(result.problems).to.deep.equal([]);
+    expect(result.contributions).to.deep.equal([
+      { name: "alice", contributionHash: alice.contributionHash },
+      { name: "bob", contributionHash: bob.contributionHash },
+      { name: "Final Beacon", contributionHash: beacon.contributionHash },
+    ]);
+  });
+
+  it("should reject zkeys, vkeys and transcripts that do not belong together", async function () {
+    const ceremonyDir = path.join(dir, "ceremony");
+    const transcript = readTranscript(ceremonyDir, "tiny");
+    const finalZkey = path.join(ceremonyDir, "tiny", "tiny_final.zkey");
+
+    // A valid zkey from an earlier point of the ceremony
+    const early = await verifyCeremony({ transcript, r1csFile, ptauFile, zkeyFile: path.join(ceremonyDir, "tiny", "tiny_0001.zkey") });
+    expect(early.ok).to.be.false;
+    expect(early.problems).to.deep.equal([`${path.join(ceremonyDir, "tiny", "tiny_0001.zkey")} is not the final zkey of the ceremony`]);
+
+    // A transcript claiming a contributor the zkey does not contain
+    const forged = JSON.parse(JSON.stringify(transcript));
+    forged.contributions[1].name = "mallory";
+    expect((await verifyCeremony({ transcript: forged, r1csFile, ptauFile, zkeyFile: finalZkey })).problems)
+      .to.deep.equal(["The contributions in the zkey do not match the transcript"]);
+
+    const otherVkey = path.join(dir, "other_vkey.json");
+    fs.writeFileSync(otherVkey, JSON.stringify(await exportVerificationKey(path.join(ceremonyDir, "tiny", "tiny_0000.zkey"))));
+    expect((await verifyCeremony({ transcript, r1csFile, ptauFile, zkeyFile: finalZkey, vkeyFiles: [otherVkey] })).problems)
+      .to.deep.equal([`${otherVkey} is not the verification key of the zkey`]);
+
+    // An intermediate zkey swapped between participants
+    const second = path.join(dir, "ceremony2");
+    await initCeremony({ circuit: "tiny", r1csFile, ptauFile, dir: second });
+    fs.copyFileSync(path.join(ceremonyDir, "tiny", "tiny_0001.zkey"), path.join(second, "tiny", "tiny_0000.zkey"));
+    expect((await rejection(contribute({ circuit: "tiny", dir: second, name: "carol" }))).message).to.include("does not match the transcript");
+  });
+});
@@ -0,0 +1,82 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  measureCircuit,
+  loadBaseline,
+  saveBaseline,
+  compareMetrics,
+  DEFAULT_BUDGET,
+} = require("../scripts/lib/circuitBudget");
+
+const BUILD_DIR = path.join(__dirname, "../circuits/build");
+
+describe("Circuit budget", function () {
+  this.timeout(120000);
+
+  const metrics = (overrides) => ({
+    constraints: 1000, wires: 1000, publicInputs: 5, privateInputs: 7, outputs: 0, witnessMs: 100, proveMs: 1000, ...overrides,
+  });
+  const statusOf = (rows) => Object.fromEntries(rows.map((row) => [row.metric, row.status]));
+
+  it("should flag metrics that grew beyond their budget", function () {
+    const rows = compareMetrics(metrics(), metrics({
+      constraints: 1011, wires: 1010, publicInputs: 6, privateInputs: 50, witnessMs: 90, proveMs: null,
+    }), DEFAULT_BUDGET);
+    expect(statusOf(rows)).to.deep.equal({
+      constraints: "regression",
+      wires: "ok",
+      publicInputs: "regression",
+      privateInputs: "ok",
+      outputs: "ok",
+      witnessMs: "improved",
+      proveMs: "skipped",
+    });
+    expect(rows[0]).to.deep.include({ baseline: 1000, current: 1011, limit: 1 });
+    expect(rows[0].change).to.be.closeTo(1.1, 1e-9);
+
+    const loose = compareMetrics(metrics(), metrics({ constraints: 1011 }), { ...DEFAULT_BUDGET, constraints: 5 });
+    expect(loose[0].status).to.equal("ok");
+    expect(statusOf(compareMetrics(undefined, metrics(), DEFAULT_BUDGET)).constraints).to.equal("new");
+  });
+
+  it("should read the counts of a compiled circuit", async function () {
+    const vkey = JSON.parse(fs.readFileSync(path.join(BUILD_DIR, "private_nft_transfer", "private_nft_transfer_vkey.json"), "utf8"));
+    const counts = await measureCircuit("private_nft_transfer", { prove: false });
+    expect(counts).to.deep.include({ witnessMs: null, proveMs: null });
+    expect(counts.constraints).to.be.greaterThan(0);
+    expect(counts.wires).to.be.greaterThan(counts.publicInputs + counts.privateInputs);
+    expect(counts.publicInputs + counts.outputs).to.equal(vkey.nPublic);
+    expect(await measureCircuit("no_such_circuit")).to.be.null;
+  });
+
+  it("should time witness generation and proving", async function () {
+    if (!fs.existsSync(path.join(BUILD_DIR, "private_nft_transfer", "private_nft_transfer.zkey"))) this.skip();
+    const timed = await measureCircuit("private_nft_transfer", { runs: 1 });
+    expect(timed.witnessMs).to.be.a("number").and.greaterThan(0);
+    expect(timed.proveMs).to.be.a("number").and.greaterThan(0);
+  });
+
+  it("should keep unmeasured circuits and timings when updating the baseline", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "budget-"));
+    try {
+      const file = path.join(dir, "budget.json");
+      const empty = loadBaseline(file);
+      expect(empty).to.deep.equal({ version: 1, budget: DEFAULT_BUDGET, circuits: {} });
+
+      saveBaseline({ ...empty, budget: { proveMs: 20 } }, { a: metrics(), b: metrics() }, file);
+      const saved = saveBaseline(loadBaseline(file), { a: metrics({ constraints: 900, witnessMs: null, proveMs: null }), c: null }, file);
+      expect(saved.budget).to.deep.equal({ ...DEFAULT_BUDGET, proveMs: 20 });
+      expect(saved.machine).to.equal(os.cpus()[0].model);
+      expect(Object.keys(saved.circuits)).to.deep.equal(["a", "b"]);
+      expect(saved.circuits.a).to.deep.equal(metrics({ constraints: 900 }));
+      expect(loadBaseline(file)).to.deep.equal(saved);
+
+      fs.writeFileSync(file, JSON.stringify({ version: 2 }));
+      expect(() => loadBaseline(file)).to.throw("Unsupported budget baseline version 2");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
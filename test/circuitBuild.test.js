@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  discoverCircuits,
+  resolveIncludes,
+  fingerprintCircuit,
+  artifactRecord,
+  isUpToDate,
+  r1csStats,
+  loadBuildManifest,
+  saveBuildManifest,
+  runPool,
+} = require("../scripts/lib/circuitBuild");
+
+const CIRCUITS_DIR = path.join(__dirname, "../circuits");
+
+describe("Circuit build pipeline", function () {
+  let dir;
+
+  // main/a.circom -> templates/t.circom -> utils/u.circom, plus an unrelated utils/other.circom
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "circuit-build-"));
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), content);
+    };
+    write("main/a.circom", 'pragma circom 2.1.0;\ninclude "../templates/t.circom";\n// include "../utils/other.circom";\ncomponent main = T();\n');
+    write("main/b.circom", 'pragma circom 2.1.0;\ninclude "../utils/u.circom";\ncomponent main = U();\n');
+    write("main/notes.txt", "not a circuit");
+    write("templates/t.circom", 'include "../utils/u.circom";\ntemplate T() { component u = U(); }\n');
+    write("utils/u.circom", "template U() {}\n");
+    write("utils/other.circom", "template Other() {}\n");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should discover main circuits and their transitive includes", function () {
+    expect(discoverCircuits(path.join(dir, "main"))).to.deep.equal(["a", "b"]);
+    expect(discoverCircuits(path.join(CIRCUITS_DIR, "main"))).to.include.members([
+      "private_nft_transfer", "private_nft_transfer_relayed", "loot_box_open", "gaming_item_trade", "card_draw",
+    ]);
+
+    const files = resolveIncludes(path.join(dir, "main/a.circom")).map((f) => path.relative(dir, f));
+    expect(files).to.deep.equal(["main/a.circom", "templates/t.circom", "utils/u.circom"]);
+
+    fs.appendFileSync(path.join(dir, "utils/u.circom"), 'include "missing.circom";\n');
+    expect(() => resolveIncludes(path.join(dir, "main/a.circom"))).to.throw("Included file not found: missing.circom");
+  });
+
+  it("should change the source hash only when a source or build input changes", function () {
+    const fingerprint = (inputs = { ptau: "pot22.ptau" }) => fingerprintCircuit(path.join(dir, "main/a.circom"), { root: dir, inputs });
+    const before = fingerprint();
+    expect(before.sources).to.deep.equal(["main/a.circom", "templates/t.circom", "utils/u.circom"]);
+
+    fs.writeFileSync(path.join(dir, "utils/other.circom"), "template Other() { signal input x; }\n");
+    expect(fingerprint().sourceHash).to.equal(before.sourceHash);
+
+    expect(fingerprint({ ptau: "pot20.ptau" }).sourceHash).to.not.equal(before.sourceHash);
+
+    fs.appendFileSync(path.join(dir, "utils/u.circom"), "// nested include edited\n");
+    expect(fingerprint().sourceHash).to.not.equal(before.sourceHash);
+  });
+
+  it("should treat a build as up to date only while its artifacts are untouched", function () {
+    const { sourceHash } = fingerprintCircuit(path.join(dir, "main/b.circom"), { root: dir });
+    fs.mkdirSync(path.join(dir, "build/b"), { recursive: true });
+    fs.writeFileSync(path.join(dir, "build/b/b.zkey"), "zkey");
+    fs.writeFileSync(path.join(dir, "build/b/b_vkey.json"), "{}");
+
+    const buildDir = path.join(dir, "build");
+    const manifest = loadBuildManifest(buildDir);
+    expect(manifest).to.deep.equal({ version: 1, circuits: {} });
+    manifest.circuits.b = {
+      sourceHash,
+      artifacts: {
+        zkey: artifactRecord(path.join(dir, "build/b/b.zkey"), dir),
+        vkey: artifactRecord(path.join(dir, "build/b/b_vkey.json"), dir),
+      },
+    };
+    manifest.circuits.a = { sourceHash: "00", artifacts: {} };
+    saveBuildManifest(buildDir, manifest);
+
+    const saved = loadBuildManifest(buildDir);
+    expect(Object.keys(saved.circuits)).to.deep.equal(["a", "b"]);
+    expect(saved.circuits.b.artifacts.zkey.path).to.equal("build/b/b.zkey");
+    expect(isUpToDate(saved.circuits.b, sourceHash, dir)).to.be.true;
+    expect(isUpToDate(saved.circuits.b, "ff", dir)).to.be.false;
+    expect(isUpToDate(undefined, sourceHash, dir)).to.be.false;
+
+    // A manually regenerated zkey no longer matches the recorded build
+    fs.writeFileSync(path.join(dir, "build/b/b.zkey"), "another zkey");
+    expect(isUpToDate(saved.circuits.b, sourceHash, dir)).to.be.false;
+    fs.rmSync(path.join(dir, "build/b/b.zkey"));
+    expect(isUpToDate(saved.circuits.b, sourceHash, dir)).to.be.false;
+  });
+
+  it("should read constraint counts from the r1cs header", function () {
+    const r1cs = path.join(CIRCUITS_DIR, "build/private_nft_transfer/private_nft_transfer.r1cs");
+    if (!fs.existsSync(r1cs)) this.skip();
+    expect(r1csStats(r1cs)).to.deep.equal({ constraints: 6404, publicInputs: 5, privateInputs: 7, outputs: 0, wires: 6412 });
+
+    const notR1cs = path.join(dir, "main/a.circom");
+    expect(() => r1csStats(notR1cs)).to.throw("Not an r1cs file");
+  });
+
+  it("should run builds in parallel up to the job limit and keep going past failures", async function () {
+    let running = 0;
+    let peak = 0;
+    const outcomes = await runPool(["a", "b", "c", "d", "e"], 2, async (name) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      running--;
+      if (name === "b") throw new Error("circom failed");
+      return name.toUpperCase();
+    });
+    expect(peak).to.equal(2);
+    expect(outcomes.map((o) => o.result)).to.deep.equal(["A", undefined, "C", "D", "E"]);
+    expect(outcomes[1].error.message).to.equal("circom failed");
+  });
+});
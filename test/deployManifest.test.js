@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DeploymentManifest, hashVkey, manifestPath, DEPLOYMENTS_DIR } = require("../scripts/lib/deployManifest");
+const { hasFrontendDeps, withFrontendModules } = require("./helpers/frontendModules");
+
+describe("Deployment manifests", function () {
+  let dir, deployer;
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    [deployer] = await ethers.getSigners();
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const load = () => DeploymentManifest.load(ethers.provider, { dir, network: "hardhat", deployer: deployer.address });
+  const read = () => JSON.parse(fs.readFileSync(manifestPath(1337, dir), "utf8"));
+
+  it("should record deployments and steps and skip them on a rerun", async function () {
+    const manifest = await load();
+    const factory = await ethers.getContractFactory("MockERC20");
+    const token = await manifest.deploy("mockERC20", factory, { contract: "MockERC20" });
+    expect(token.reused).to.be.false;
+
+    const holder = ethers.Wallet.createRandom().address;
+    const mint = () => manifest.step("mockERC20.mint", [holder, 5n], async () => {
+      const contract = await ethers.getContractAt("MockERC20", token.address);
+      return contract.mint(holder, 5n);
+    });
+    expect(await mint()).to.be.true;
+
+    const saved = read();
+    expect(saved).to.include({ version: 1, chainId: 1337, network: "hardhat", deployer: deployer.address });
+    expect(saved.contracts.mockERC20).to.include({ contract: "MockERC20", address: token.address });
+    expect(saved.contracts.mockERC20.blockNumber).to.be.a("number");
+    expect(saved.steps["mockERC20.mint"].args).to.deep.equal([holder, "5"]);
+
+    const resumed = await load();
+    expect(await resumed.deploy("mockERC20", factory, { contract: "MockERC20" })).to.deep.equal({ address: token.address, reused: true });
+    expect(await resumed.step("mockERC20.mint", [holder, 5n], () => {
+      throw new Error("should not resend");
+    })).to.be.false;
+    const contract = await ethers.getContractAt("MockERC20", token.address);
+    expect(await contract.balanceOf(holder)).to.equal(5n);
+  });
+
+  it("should redeploy when args, vkey or code change, dropping the old instance's steps", async function () {
+    const manifest = await load();
+    const verifierFactory = await ethers.getContractFactory("MockNFTTransferVerifier");
+    const nftFactory = await ethers.getContractFactory("PrivateNFT");
+
+    const v1 = await manifest.deploy("verifier", verifierFactory, { contract: "MockNFTTransferVerifier", circuit: "private_nft_transfer", vkeyHash: "0x01" });
+    const nft = await manifest.deploy("privateNFT", nftFactory, { contract: "PrivateNFT", args: [v1.address] });
+    await manifest.step("privateNFT.depositRelayFees", [1n], async () => {
+      const contract = await ethers.getContractAt("PrivateNFT", nft.address);
+      return contract.depositRelayFees({ value: 1n });
+    });
+
+    // A recompiled circuit invalidates the verifier and everything built on it
+    const v2 = await manifest.deploy("verifier", verifierFactory, { contract: "MockNFTTransferVerifier", circuit: "private_nft_transfer", vkeyHash: "0x02" });
+    expect(v2.reused).to.be.false;
+    const nft2 = await manifest.deploy("privateNFT", nftFactory, { contract: "PrivateNFT", args: [v2.address] });
+    expect(nft2.reused).to.be.false;
+    expect(read().steps).to.deep.equal({});
+
+    // After a chain reset the recorded address holds no code (or other code)
+    const reset = read();
+    reset.contracts.privateNFT.address = v2.address;
+    fs.writeFileSync(manifestPath(1337, dir), JSON.stringify(reset));
+    const resumed = await load();
+    expect((await resumed.deploy("privateNFT", nftFactory, { contract: "PrivateNFT", args: [v2.address] })).reused).to.be.false;
+    expect(resumed.addresses(["privateNFT", "missing"])).to.deep.equal({ privateNFT: resumed.address("privateNFT") });
+  });
+
+  it("should refuse a manifest written for another chain", async function () {
+    fs.writeFileSync(manifestPath(1337, dir), JSON.stringify({ version: 1, chainId: 5, contracts: {}, steps: {} }));
+    let error;
+    try {
+      await load();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.include("is not a version 1 manifest for chain 1337");
+  });
+
+  it("should let the frontend pick the manifest of the connected chain", function () {
+    if (!hasFrontendDeps()) this.skip();
+    const shipped = JSON.parse(fs.readFileSync(manifestPath(1337, DEPLOYMENTS_DIR), "utf8"));
+    const flat = require("../frontend/src/config/deployedAddresses.json");
+    const contracts = withFrontendModules((load) => load("contracts"));
+    try {
+      expect(contracts.getContractAddress("PrivateNFT")).to.equal(flat.privateNFT);
+
+      contracts.setActiveChain(1337);
+      expect(contracts.getContractAddress("CardDraw")).to.equal(shipped.contracts.cardDraw.address);
+      // The shipped manifest names the vkey each verifier was generated from
+      expect(contracts.getDeployment().contracts.privateNFTVerifier.vkeyHash).to.equal(
+        hashVkey(path.join(__dirname, "../circuits/build/private_nft_transfer/private_nft_transfer_vkey.json"))
+      );
+
+      contracts.setActiveChain(5);
+      expect(contracts.getDeployment()).to.be.null;
+      expect(contracts.getContractAddress("PrivateNFT")).to.be.null;
+      expect(() => contracts.getContract("PrivateNFT", deployer)).to.throw("No deployed address for PrivateNFT on chain 5");
+    } finally {
+      contracts.setActiveChain(null);
+    }
+  });
+});
@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const {
+  encryptForRecipient,
+  decryptWithSecretKey,
+  isECDHEncrypted,
+  getEnvelopeVersion,
+  registerEnvelopeVersion,
+  ECDH_VERSION,
+} = require("../scripts/lib/ecdhCrypto");
+const { Note, decrypt, decryptLegacy, migrateLegacyNote } = require("../scripts/lib/Note");
+const { randomSecretKey, getPublicKey } = require("../scripts/lib/circomlibBabyJub");
+const { ItemNote, deserializeNote } = require("../scripts/lib/FeatureNotes");
+const { hasFrontendDeps, withFrontendModules } = require("./helpers/frontendModules");
+
+describe("ecdhCrypto envelope", function () {
+  let sk, pk, otherSk;
+
+  before(async function () {
+    sk = await randomSecretKey();
+    pk = await getPublicKey(sk);
+    otherSk = await randomSecretKey();
+  });
+
+  function sampleNote() {
+    return new Note(pk.x.toString(), pk.y.toString(), 100, 0, pk.x.toString(), pk.y.toString(), 7);
+  }
+
+  it("should round-trip a v1 envelope and reject other keys", async function () {
+    const hex = await encryptForRecipient(Buffer.from("hello"), pk);
+
+    expect(getEnvelopeVersion(hex)).to.equal(ECDH_VERSION);
+    expect(isECDHEncrypted(hex)).to.be.true;
+    expect((await decryptWithSecretKey(hex, sk)).toString()).to.equal("hello");
+    expect(await decryptWithSecretKey(hex, otherSk)).to.be.null;
+  });
+
+  it("should dispatch on the version byte and refuse unknown versions", async function () {
+    const unknown = "0x7f" + "00".repeat(100);
+    expect(getEnvelopeVersion(unknown)).to.be.null;
+    expect(isECDHEncrypted(unknown)).to.be.false;
+    expect(await decryptWithSecretKey(unknown, sk)).to.be.null;
+
+    let error;
+    try {
+      await encryptForRecipient(Buffer.from("x"), pk, 0x7f);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.include("Unknown envelope version");
+
+    expect(() => registerEnvelopeVersion(ECDH_VERSION, {})).to.throw("already registered");
+    expect(() => registerEnvelopeVersion(0, {})).to.throw("Invalid envelope version");
+  });
+
+  it("should encrypt and decrypt notes with the envelope", async function () {
+    const note = sampleNote();
+    const encrypted = await note.encrypt(pk);
+
+    expect(isECDHEncrypted(encrypted)).to.be.true;
+    expect((await decrypt(encrypted, sk)).toString()).to.equal(note.toString());
+
+    let error;
+    try {
+      await decrypt(encrypted, otherSk);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.include("Failed to decrypt note");
+  });
+
+  it("should decode and migrate legacy createCipher ciphertexts", async function () {
+    // Recorded from the old Note.encrypt, since createCipher no longer exists to reproduce it
+    const { key, note, ciphertext } = require("./fixtures/legacyNote.json");
+
+    expect(JSON.parse(decryptLegacy(ciphertext, key).toString())).to.deep.equal(note);
+    expect(() => decryptLegacy(ciphertext, "0x00ab12ce")).to.throw();
+
+    const migrated = await migrateLegacyNote(ciphertext, key, pk);
+    expect(getEnvelopeVersion(migrated)).to.equal(ECDH_VERSION);
+    expect(JSON.parse((await decrypt(migrated, sk)).toString())).to.deep.equal(note);
+  });
+});
+
+describe("ecdhCrypto browser compatibility", function () {
+  let browser, browserNotes, sk, pk;
+
+  before(async function () {
+    if (!hasFrontendDeps()) this.skip();
+
+    withFrontendModules((load) => {
+      browser = load("ecdhCrypto");
+      browserNotes = load("featureNotes");
+    });
+    sk = await randomSecretKey();
+    pk = await getPublicKey(sk);
+  });
+
+  it("should decrypt browser envelopes with decryptWithSecretKey", async function () {
+    const note = new browserNotes.ItemNote({ pk, itemId: 1n, itemType: 2n, itemAttributes: 3n, gameId: 4n });
+    const hex = await browser.encryptForRecipient(note.serialize(), pk);
+
+    expect(getEnvelopeVersion(hex)).to.equal(ECDH_VERSION);
+    const plaintext = await decryptWithSecretKey(hex, sk);
+    const decoded = deserializeNote(plaintext);
+    expect(decoded).to.be.instanceOf(ItemNote);
+    expect(await decoded.hash()).to.equal(await note.hash());
+  });
+
+  it("should decrypt Node envelopes in the browser implementation", async function () {
+    const note = new ItemNote({ pk, itemId: 9, itemType: 1, itemAttributes: 0, gameId: 7 });
+    const hex = await encryptForRecipient(note.serialize(), pk);
+
+    const plaintext = await browser.decryptWithSecretKey(hex, sk);
+    expect(Buffer.from(plaintext).equals(note.serialize())).to.be.true;
+    expect(await browser.decryptWithSecretKey(hex, sk + 1n)).to.be.null;
+    expect(browser.isECDHEncrypted(hex)).to.be.true;
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Load frontend/src/lib TypeScript modules in the hardhat test run so the
+ * browser implementations can be checked against scripts/lib byte for byte.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const ts = require("typescript");
+
+const FRONTEND_DIR = path.join(__dirname, "../../frontend");
+const FRONTEND_LIB = path.join(FRONTEND_DIR, "src/lib");
+
+/** True when frontend dependencies are installed (circomlibjs resolves from there) */
+function hasFrontendDeps() {
+  return fs.existsSync(path.join(FRONTEND_DIR, "node_modules/circomlibjs"));
+}
+
+/**
+ * Load frontend/src/lib modules by transpiling their TypeScript to CommonJS.
+ * Relative .ts imports resolve through the same hook while it is installed.
+ * @param {(load: (name: string) => object) => T} fn - Receives a loader by module name
+ * @returns {T} Whatever fn returns
+ * @template T
+ */
+function withFrontendModules(fn) {
+  require.extensions[".ts"] = (module, filename) => {
+    const { outputText } = ts.transpileModule(fs.readFileSync(filename, "utf8"), {
+      compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2022, esModuleInterop: true },
+      fileName: filename,
+    });
+    // Vite-only syntax: worker URLs resolve to the file, env lookups read process.env,
+    // globs list the directory
+    const commonJs = outputText
+      .replace(/import\.meta\.url/g, "require(\"url\").pathToFileURL(__filename).href")
+      .replace(/import\.meta\.env/g, "process.env")
+      .replace(/import\.meta\.glob\(/g, `require(${JSON.stringify(__filename)}).viteGlob(__dirname, `);
+    module._compile(commonJs, filename);
+  };
+  try {
+    return fn((name) => require(path.join(FRONTEND_LIB, `${name}.ts`)));
+  } finally {
+    delete require.extensions[".ts"];
+  }
+}
+
+/**
+ * Eager import.meta.glob over one directory, e.g.
+ * import.meta.glob("../config/deployments/*.json", { eager: true, import: "default" }).
+ * @param {string} dir - Directory of the importing module
+ * @param {string} pattern - Relative pattern; only the file name may contain *
+ * @param {{eager?: boolean, import?: string}} [options] - Vite glob options
+ * @returns {Object<string, object>} Modules keyed by their pattern-relative path
+ */
+function viteGlob(dir, pattern, options = {}) {
+  if (!options.eager) throw new Error("Only eager import.meta.glob is supported outside Vite");
+  const base = path.resolve(dir, path.dirname(pattern));
+  const escaped = path.basename(pattern).replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  const matcher = new RegExp(`^${escaped}$`);
+  const modules = {};
+  if (!fs.existsSync(base)) return modules;
+  for (const file of fs.readdirSync(base).filter((name) => matcher.test(name)).sort()) {
+    const mod = require(path.join(base, file));
+    modules[`${path.dirname(pattern)}/${file}`] = options.import === "default" && mod.default !== undefined ? mod.default : mod;
+  }
+  return modules;
+}
+
+module.exports = { hasFrontendDeps, withFrontendModules, viteGlob };
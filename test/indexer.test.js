@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { IndexerDb, NOTE_STATE } = require("../scripts/indexer/IndexerDb");
+const { Indexer } = require("../scripts/indexer/Indexer");
+const { createServer } = require("../scripts/indexer/server");
+
+describe("Indexer", function () {
+  let privateNFT, db, indexer;
+
+  const collection = "0x0000000000000000000000000000000000000001";
+  const dummyA = [0, 0];
+  const dummyB = [[0, 0], [0, 0]];
+  const dummyC = [0, 0];
+  const hash = (label) => ethers.keccak256(ethers.toUtf8Bytes(label));
+
+  beforeEach(async function () {
+    const MockVerifier = await ethers.getContractFactory("MockNFTTransferVerifier");
+    const mockVerifier = await MockVerifier.deploy();
+
+    const PrivateNFT = await ethers.getContractFactory("PrivateNFT");
+    privateNFT = await PrivateNFT.deploy(await mockVerifier.getAddress());
+
+    db = new IndexerDb(":memory:");
+    indexer = new Indexer(ethers.provider, db, { privateNFT: privateNFT.target }, {
+      startBlock: await ethers.provider.getBlockNumber()
+    });
+  });
+
+  afterEach(function () {
+    db.close();
+  });
+
+  async function register(label, nftId) {
+    await privateNFT.registerNFT(hash(label), collection, nftId, ethers.toUtf8Bytes(label));
+  }
+
+  it("should index created and spent notes with their states", async function () {
+    await register("note-1", 1);
+    await register("note-2", 2);
+    await privateNFT.transferNFT(
+      dummyA, dummyB, dummyC,
+      hash("note-1"), hash("note-3"), 1, collection, hash("nullifier-1"), ethers.toUtf8Bytes("note-3")
+    );
+
+    const result = await indexer.sync();
+    expect(result.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(result.reorged).to.be.false;
+
+    expect(db.getNoteStates([hash("note-1"), hash("note-2"), hash("note-3"), hash("unknown")])).to.deep.equal({
+      [hash("note-1")]: NOTE_STATE.Spent,
+      [hash("note-2")]: NOTE_STATE.Valid,
+      [hash("note-3")]: NOTE_STATE.Valid,
+      [hash("unknown")]: NOTE_STATE.Invalid,
+    });
+    expect(db.getNullifier(hash("nullifier-1")).noteHash).to.equal(hash("note-1"));
+    expect(db.listNotes().map((n) => ethers.toUtf8String(n.encryptedNote)))
+      .to.deep.equal(["note-1", "note-2", "note-3"]);
+
+    const registered = db.listEvents({ event: "NFTRegistered" });
+    expect(registered).to.have.length(2);
+    expect(registered[0].args.nftId).to.equal("1");
+
+    // Nothing new: the next sync is a no-op
+    expect((await indexer.sync()).indexed).to.equal(0);
+  });
+
+  it("should roll back notes from blocks removed by a reorg", async function () {
+    await register("kept", 1);
+    await indexer.sync();
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await register("orphaned", 2);
+    await indexer.sync();
+    expect(db.getNote(hash("orphaned"))).to.not.be.null;
+
+    await network.provider.send("evm_revert", [snapshot]);
+    await register("replacement", 3);
+    await network.provider.send("evm_mine");
+
+    const reorgs = [];
+    indexer.on("reorg", (e) => reorgs.push(e));
+    const result = await indexer.sync();
+
+    expect(result.reorged).to.be.true;
+    expect(reorgs).to.have.length(1);
+    expect(db.getNote(hash("orphaned"))).to.be.null;
+    expect(db.getNote(hash("kept"))).to.not.be.null;
+    expect(db.getNote(hash("replacement"))).to.not.be.null;
+    expect(db.listEvents({ event: "NFTRegistered" }).map((e) => e.args.nftId)).to.deep.equal(["1", "3"]);
+  });
+
+  it("should refuse a database indexed on another chain", async function () {
+    db.setMeta("chainId", "1");
+    let error;
+    try {
+      await indexer.sync();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.contain("database is for chain 1");
+  });
+
+  describe("REST API", function () {
+    let server, baseUrl;
+
+    beforeEach(async function () {
+      server = createServer(db);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("should serve notes, states, nullifiers and events", async function () {
+      await register("note-1", 1);
+      await privateNFT.transferNFT(
+        dummyA, dummyB, dummyC,
+        hash("note-1"), hash("note-2"), 1, collection, hash("nullifier-1"), ethers.toUtf8Bytes("note-2")
+      );
+      await indexer.sync();
+
+      const health = await (await fetch(`${baseUrl}/health`)).json();
+      expect(health.chainId).to.equal("1337");
+      expect(health.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+
+      const note = await (await fetch(`${baseUrl}/notes/${hash("note-1")}`)).json();
+      expect(note.state).to.equal(NOTE_STATE.Spent);
+      expect(note.nullifier).to.equal(hash("nullifier-1"));
+
+      const statesRes = await fetch(`${baseUrl}/notes/states`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ hashes: [hash("note-1"), hash("note-2")] }),
+      });
+      expect(statesRes.headers.get("access-control-allow-origin")).to.equal("*");
+      expect((await statesRes.json()).states).to.deep.equal({
+        [hash("note-1")]: NOTE_STATE.Spent,
+        [hash("note-2")]: NOTE_STATE.Valid,
+      });
+
+      const nullifier = await (await fetch(`${baseUrl}/nullifiers/${hash("nullifier-1")}`)).json();
+      expect(nullifier.used).to.be.true;
+
+      const notes = await (await fetch(`${baseUrl}/notes?limit=1`)).json();
+      expect(notes.notes.map((n) => n.noteHash)).to.deep.equal([hash("note-1")]);
+      expect(notes.next).to.equal(`${notes.notes[0].blockNumber}:${notes.notes[0].logIndex}`);
+
+      const events = await (await fetch(`${baseUrl}/events?contract=PrivateNFT&event=NoteSpent`)).json();
+      expect(events.events).to.have.length(1);
+    });
+
+    it("should page through a block holding more notes than the page size", async function () {
+      await network.provider.send("evm_setAutomine", [false]);
+      try {
+        for (let i = 1; i <= 5; i++) await register(`batch-${i}`, i);
+        await network.provider.send("evm_mine");
+      } finally {
+        await network.provider.send("evm_setAutomine", [true]);
+      }
+      await register("later", 6);
+      await indexer.sync();
+
+      const seen = [];
+      let after;
+      for (let page = 0; page < 10; page++) {
+        const query = after ? `limit=2&after=${after}` : "limit=2";
+        const { notes, next } = await (await fetch(`${baseUrl}/notes?${query}`)).json();
+        seen.push(...notes.map((n) => ethers.toUtf8String(n.encryptedNote)));
+        if (!next) break;
+        after = next;
+      }
+      expect(seen).to.deep.equal(["batch-1", "batch-2", "batch-3", "batch-4", "batch-5", "later"]);
+    });
+
+    it("should reject malformed requests", async function () {
+      expect((await fetch(`${baseUrl}/notes/0x1234`)).status).to.equal(400);
+      expect((await fetch(`${baseUrl}/notes/${hash("missing")}`)).status).to.equal(404);
+      expect((await fetch(`${baseUrl}/notes?limit=-1`)).status).to.equal(400);
+      expect((await fetch(`${baseUrl}/notes?after=12`)).status).to.equal(400);
+      expect((await fetch(`${baseUrl}/unknown`)).status).to.equal(404);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  deriveKeypairFromSigner,
+  deriveSecretKeyFromSignature,
+  keyDerivationMessage,
+  getPublicKey,
+  getSubOrder,
+  KEY_DERIVATION_DOMAIN,
+  KEY_DERIVATION_TYPES,
+  deriveMasterSeedFromSigner,
+  deriveKeyAtPath,
+  discoverKeys,
+  deriveViewingKey,
+  deriveZkAddress,
+  encodeViewingKey,
+  decodeViewingKey,
+  createStealthKey,
+  deriveStealthPublicKey,
+  recoverStealthSecretKey,
+} = require("../scripts/lib/circomlibBabyJub");
+const { hasFrontendDeps, withFrontendModules } = require("./helpers/frontendModules");
+
+describe("wallet-derived BabyJubJub keys", function () {
+  let alice, bob;
+
+  before(async function () {
+    [alice, bob] = await ethers.getSigners();
+  });
+
+  it("should derive the same keypair for the same wallet", async function () {
+    const first = await deriveKeypairFromSigner(alice);
+    const second = await deriveKeypairFromSigner(alice);
+
+    expect(first.sk).to.equal(second.sk);
+    expect(first.pk).to.deep.equal(await getPublicKey(first.sk));
+    expect(first.sk > 0n && first.sk < await getSubOrder()).to.be.true;
+  });
+
+  it("should derive different keys for different wallets", async function () {
+    const a = await deriveKeypairFromSigner(alice);
+    const b = await deriveKeypairFromSigner(bob);
+    expect(a.sk).to.not.equal(b.sk);
+  });
+
+  it("should sign the fixed EIP-712 message of the account", async function () {
+    const signature = await alice.signTypedData(
+      KEY_DERIVATION_DOMAIN, KEY_DERIVATION_TYPES, keyDerivationMessage(alice.address)
+    );
+    const recovered = ethers.verifyTypedData(
+      KEY_DERIVATION_DOMAIN, KEY_DERIVATION_TYPES, keyDerivationMessage(alice.address), signature
+    );
+
+    expect(recovered).to.equal(alice.address);
+    expect((await deriveKeypairFromSigner(alice)).sk)
+      .to.equal(await deriveSecretKeyFromSignature(signature));
+
+    let error;
+    try {
+      await deriveSecretKeyFromSignature("0x1234");
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.include("65-byte signature");
+  });
+
+  it("should match the browser derivation", async function () {
+    if (!hasFrontendDeps()) this.skip();
+    const browser = withFrontendModules((load) => load("crypto"));
+
+    const expected = await deriveKeypairFromSigner(alice);
+    const keypair = await browser.deriveKeypairFromSigner(alice);
+    expect(keypair.sk).to.equal(expected.sk);
+    expect(keypair.pk).to.deep.equal(expected.pk);
+  });
+});
+
+describe("hierarchical BabyJubJub keys", function () {
+  let seed;
+
+  before(async function () {
+    const [alice] = await ethers.getSigners();
+    seed = await deriveMasterSeedFromSigner(alice);
+  });
+
+  it("should derive stable, distinct keys per purpose, game and index", async function () {
+    const a = await deriveKeyAtPath(seed, { purpose: "item", gameId: 7n, index: 0 });
+    const again = await deriveKeyAtPath(seed, { purpose: 5, gameId: 7, index: 0n });
+    expect(a.sk).to.equal(again.sk);
+    expect(a.path).to.equal("m/5/7/0");
+
+    const others = [
+      await deriveKeyAtPath(seed, { purpose: "item", gameId: 7n, index: 1 }),
+      await deriveKeyAtPath(seed, { purpose: "item", gameId: 8n, index: 0 }),
+      await deriveKeyAtPath(seed, { purpose: "card", gameId: 7n, index: 0 }),
+      await deriveKeyAtPath(seed, { purpose: "item", gameId: (1n << 250n) + 7n, index: 0 }),
+    ];
+    const sks = new Set([a.sk, ...others.map((k) => k.sk)]);
+    expect(sks.size).to.equal(5);
+    expect(a.pk).to.deep.equal(await getPublicKey(a.sk));
+    expect(a.sk < await getSubOrder()).to.be.true;
+  });
+
+  it("should stop discovery after the gap limit", async function () {
+    const usedIndexes = new Set([0, 2, 6]);
+    const checked = [];
+
+    const { used, nextIndex } = await discoverKeys(seed, { purpose: "nft" }, async (keypair, index) => {
+      checked.push(index);
+      return usedIndexes.has(index);
+    }, 3);
+
+    expect(used.map((k) => k.index)).to.deep.equal([0, 2]);
+    expect(used[1].path).to.equal("m/1/0/2");
+    expect(nextIndex).to.equal(3);
+    expect(checked).to.deep.equal([0, 1, 2, 3, 4, 5]); // index 6 is past the gap
+  });
+
+  it("should match the browser derivation", async function () {
+    if (!hasFrontendDeps()) this.skip();
+    const browser = withFrontendModules((load) => load("crypto"));
+    const [alice] = await ethers.getSigners();
+
+    const { seed: browserSeed } = await browser.deriveIdentityFromSigner(alice);
+    expect(Buffer.from(browserSeed).equals(seed)).to.be.true;
+
+    const path = { purpose: "card", gameId: 42n, index: 3 };
+    const expected = await deriveKeyAtPath(seed, path);
+    const keypair = await browser.deriveKeyAtPath(browserSeed, path);
+    expect(keypair.sk).to.equal(expected.sk);
+    expect(keypair.path).to.equal(expected.path);
+  });
+});
+
+describe("viewing keys", function () {
+  let sk;
+
+  before(async function () {
+    const [alice] = await ethers.getSigners();
+    sk = (await deriveKeypairFromSigner(alice)).sk;
+  });
+
+  it("should derive a stable viewing key distinct from the spending key", async function () {
+    const vsk = await deriveViewingKey(sk);
+    expect(await deriveViewingKey(sk)).to.equal(vsk);
+    expect(vsk).to.not.equal(sk);
+    expect(vsk < await getSubOrder()).to.be.true;
+
+    const address = await deriveZkAddress(sk);
+    expect(address.spendingPk).to.deep.equal(await getPublicKey(sk));
+    expect(address.viewingPk).to.deep.equal(await getPublicKey(vsk));
+  });
+
+  it("should encode and decode viewing keys", async function () {
+    const vsk = await deriveViewingKey(sk);
+    const spendingPk = await getPublicKey(sk);
+    const encoded = encodeViewingKey(vsk, spendingPk);
+
+    expect(encoded).to.match(/^0x[0-9a-f]{192}$/);
+    expect(decodeViewingKey(encoded)).to.deep.equal({ vsk, spendingPk });
+    expect(() => decodeViewingKey("0x1234")).to.throw("Invalid viewing key");
+  });
+
+  it("should match the browser derivation", async function () {
+    if (!hasFrontendDeps()) this.skip();
+    const browser = withFrontendModules((load) => load("crypto"));
+
+    const expected = await deriveZkAddress(sk);
+    expect(await browser.deriveZkAddress(sk)).to.deep.equal(expected);
+    const vsk = await deriveViewingKey(sk);
+    expect(browser.encodeViewingKey(vsk, expected.spendingPk))
+      .to.equal(encodeViewingKey(vsk, expected.spendingPk));
+  });
+});
+
+describe("stealth keys", function () {
+  let sk, address;
+
+  before(async function () {
+    const [, bob] = await ethers.getSigners();
+    sk = (await deriveKeypairFromSigner(bob)).sk;
+    address = await deriveZkAddress(sk);
+  });
+
+  it("should give the recipient the secret key of a fresh one-time key", async function () {
+    const first = await createStealthKey(address);
+    const second = await createStealthKey(address);
+    expect(first.pk).to.not.deep.equal(second.pk);
+    expect(first.pk).to.not.deep.equal(address.spendingPk);
+
+    expect(await deriveStealthPublicKey(await deriveViewingKey(sk), address.spendingPk, first.ephemeralPk))
+      .to.deep.equal(first.pk);
+    const oneTimeSk = await recoverStealthSecretKey(sk, first.ephemeralPk);
+    expect(await getPublicKey(oneTimeSk)).to.deep.equal(first.pk);
+
+    const other = await deriveZkAddress(sk + 1n);
+    expect(await deriveStealthPublicKey(await deriveViewingKey(sk + 1n), other.spendingPk, first.ephemeralPk))
+      .to.not.deep.equal(first.pk);
+  });
+
+  it("should match the browser derivation", async function () {
+    if (!hasFrontendDeps()) this.skip();
+    const browser = withFrontendModules((load) => load("crypto"));
+
+    const expected = await createStealthKey(address, 12345n);
+    expect(await browser.createStealthKey(address, 12345n)).to.deep.equal(expected);
+    expect(await browser.recoverStealthSecretKey(sk, expected.ephemeralPk))
+      .to.equal(await recoverStealthSecretKey(sk, expected.ephemeralPk));
+  });
+});
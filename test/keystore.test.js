@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  encryptKeystore,
+  decryptKeystore,
+  KeystoreSession,
+  KeystoreError,
+  readKeystoreFile,
+  writeKeystoreFile,
+} = require("../scripts/lib/keystore");
+const { ItemNote } = require("../scripts/lib/FeatureNotes");
+const { randomSecretKey, getPublicKey, keyIdOf } = require("../scripts/lib/circomlibBabyJub");
+const { hasFrontendDeps, withFrontendModules } = require("./helpers/frontendModules");
+
+// Cheap KDF settings so the suite stays fast; defaults are checked in the format test
+const FAST = {
+  scrypt: { kdf: "scrypt", kdfParams: { n: 1024 } },
+  pbkdf2: { kdf: "pbkdf2", kdfParams: { c: 1000 } },
+};
+
+async function expectKeystoreError(promise, message) {
+  let error;
+  try {
+    await promise;
+  } catch (e) {
+    error = e;
+  }
+  expect(error).to.be.instanceOf(KeystoreError);
+  expect(error.message).to.include(message);
+}
+
+describe("keystore", function () {
+  let sk, pk;
+
+  before(async function () {
+    sk = await randomSecretKey();
+    pk = await getPublicKey(sk);
+  });
+
+  it("should write a versioned JSON keystore with either KDF", async function () {
+    for (const options of Object.values(FAST)) {
+      const json = await encryptKeystore({ keys: {}, notes: {} }, "pw", options);
+
+      expect(json.version).to.equal(1);
+      expect(json.crypto.kdf).to.equal(options.kdf);
+      expect(json.crypto.cipher).to.equal("aes-256-gcm");
+      expect(json.crypto.kdfparams.salt).to.have.length(64);
+      expect(await decryptKeystore(JSON.stringify(json), "pw")).to.deep.equal({ keys: {}, notes: {} });
+    }
+
+    const scrypt = await encryptKeystore({}, "pw", { kdf: "scrypt" });
+    expect(scrypt.crypto.kdfparams).to.include({ n: 131072, r: 8, p: 1, dklen: 32 });
+  });
+
+  it("should reject a wrong password and unknown versions", async function () {
+    const json = await encryptKeystore({ keys: {}, notes: {} }, "right", FAST.scrypt);
+
+    await expectKeystoreError(decryptKeystore(json, "wrong"), "Wrong password");
+    await expectKeystoreError(decryptKeystore({ ...json, version: 2 }, "right"), "Unsupported keystore version");
+  });
+
+  it("should store keys and note preimages across lock and unlock", async function () {
+    const session = await KeystoreSession.create("pw", FAST.scrypt);
+    const note = new ItemNote({ pk, itemId: 1, itemType: 2, itemAttributes: 3, gameId: 4 });
+    const hash = "0x" + (await note.hash()).toString(16).padStart(64, "0");
+
+    const keyId = await session.addKey(sk, "main");
+    session.putNote(hash, note, keyId);
+    const json = session.export();
+    session.lock();
+
+    expect(session.isUnlocked).to.be.false;
+    expect(() => session.getKey(keyId)).to.throw("Keystore is locked");
+    expect(JSON.stringify(json)).to.not.include(sk.toString(16));
+
+    const reopened = await KeystoreSession.unlock(json, "pw");
+    expect(reopened.getKey(keyId)).to.equal(sk);
+    expect(reopened.listKeys()).to.deep.equal([{ id: keyId, label: "main", pk }]);
+    expect(reopened.getNote(hash)).to.deep.equal({ note: note.toJSON(), keyId });
+    reopened.lock();
+  });
+
+  it("should lock itself after the idle timeout", async function () {
+    const session = await KeystoreSession.create("pw", { ...FAST.pbkdf2, idleTimeoutMs: 50 });
+    let locked = false;
+    session.on("lock", () => { locked = true; });
+
+    await session.addKey(sk);
+    await new Promise((resolve) => setTimeout(resolve, 120));
+
+    expect(locked).to.be.true;
+    expect(session.isUnlocked).to.be.false;
+  });
+
+  it("should round-trip keystore files", async function () {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "keystore-")), "keys.json");
+    try {
+      const session = await KeystoreSession.create("pw", FAST.scrypt);
+      const keyId = await session.addKey(sk);
+      writeKeystoreFile(file, session.export());
+      session.lock();
+
+      expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+      const reopened = await KeystoreSession.unlock(readKeystoreFile(file), "pw");
+      expect(reopened.getKey(keyId)).to.equal(sk);
+      reopened.lock();
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+
+  it("should open keystores written by the browser implementation and vice versa", async function () {
+    if (!hasFrontendDeps()) this.skip();
+    const browser = withFrontendModules((load) => load("keystore"));
+
+    for (const options of Object.values(FAST)) {
+      const browserSession = await browser.KeystoreSession.create("pw", options);
+      const keyId = await browserSession.addKey(sk, "web");
+      expect(keyId).to.equal(keyIdOf(await getPublicKey(sk)));
+      const fromBrowser = await browserSession.export();
+      browserSession.lock();
+
+      const nodeSession = await KeystoreSession.unlock(fromBrowser, "pw");
+      expect(nodeSession.getKey(keyId)).to.equal(sk);
+      nodeSession.putNote("0xabc", { type: "nft", nftId: "1" });
+      const fromNode = nodeSession.export();
+      nodeSession.lock();
+
+      const payload = await browser.decryptKeystore(fromNode, "pw");
+      expect(payload.keys[keyId].label).to.equal("web");
+      expect(payload.notes["0xabc"].note.nftId).to.equal("1");
+    }
+  });
+});
@@ -0,0 +1,84 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  buildLootBoxOpenInputs,
+  getNftTransferProof,
+  verifyProofLocal,
+  setProverMode,
+  toBytes32,
+} = require("../scripts/lib/snarkjsUtils");
+const { mockProve, MOCK_PROOF } = require("../scripts/lib/mockProver");
+const { WitnessValidationError } = require("../scripts/lib/witnessValidator");
+const { NFTNote, BoxNote } = require("../scripts/lib/FeatureNotes");
+const { randomSecretKey, getPublicKey } = require("../scripts/lib/circomlibBabyJub");
+const { hasFrontendDeps, withFrontendModules } = require("./helpers/frontendModules");
+
+describe("mock prover", function () {
+  let aliceSk, alicePk, bobPk;
+
+  before(async function () {
+    aliceSk = await randomSecretKey();
+    alicePk = await getPublicKey(aliceSk);
+    bobPk = await getPublicKey(await randomSecretKey());
+  });
+
+  beforeEach(function () {
+    setProverMode("mock");
+  });
+
+  afterEach(function () {
+    setProverMode("groth16");
+  });
+
+  it("should transfer an NFT against the mock verifier without proving", async function () {
+    const MockVerifier = await ethers.getContractFactory("MockNFTTransferVerifier");
+    const verifier = await MockVerifier.deploy();
+    const PrivateNFT = await ethers.getContractFactory("PrivateNFT");
+    const privateNFT = await PrivateNFT.deploy(await verifier.getAddress());
+
+    const oldNote = new NFTNote({ pk: alicePk, nftId: 1, collection: 0x1234 });
+    const newNote = new NFTNote({ pk: bobPk, nftId: 1, collection: 0x1234 });
+    const proof = await getNftTransferProof({ oldNote, newNote, oldOwnerSk: aliceSk });
+
+    expect(proof.a).to.deep.equal(MOCK_PROOF.a);
+    expect(proof.input).to.deep.equal(
+      [await oldNote.hash(), await newNote.hash(), 1n, 0x1234n, proof.signals.nullifier].map(String)
+    );
+    expect(await verifyProofLocal("private_nft_transfer", proof, proof.input)).to.be.true;
+
+    await privateNFT.registerNFT(toBytes32(await oldNote.hash()), proof.args[6], 1, "0x");
+    await privateNFT.transferNFT(...proof.args);
+    expect(await privateNFT.getNoteState(toBytes32(await newNote.hash()))).to.equal(1);
+  });
+
+  it("should refuse inputs a real proof would fail on", async function () {
+    const oldNote = new NFTNote({ pk: alicePk, nftId: 1, collection: 0x1234 });
+    const newNote = new NFTNote({ pk: bobPk, nftId: 2, collection: 0x1234 });
+
+    let error;
+    try {
+      await getNftTransferProof({ oldNote, newNote, oldOwnerSk: aliceSk });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(WitnessValidationError);
+    expect(() => setProverMode("fast")).to.throw("Unknown prover mode: fast");
+  });
+
+  it("should append relayer and fee for relayed circuits, like the browser prover", async function () {
+    const boxNote = new BoxNote({ pk: alicePk, boxId: 3, boxType: 0 });
+    const { inputs, signals } = await buildLootBoxOpenInputs({ boxNote, ownerSk: aliceSk, itemId: 9n });
+    const relayed = { ...inputs, relayer: "4660", fee: "1000" };
+
+    const node = await mockProve("loot_box_open_relayed", relayed);
+    expect(node.input).to.have.length(7);
+    expect(node.input.slice(2)).to.deep.equal([signals.vrfOutput, 3n, signals.nullifier, 4660n, 1000n].map(String));
+
+    if (!hasFrontendDeps()) return;
+    const browser = withFrontendModules((load) => load("mockProver"));
+    const result = await browser.mockProve("loot_box_open_relayed", relayed);
+    expect(result.circuitName).to.equal("loot_box_open_relayed");
+    expect(result.publicSignals).to.deep.equal(node.input);
+    expect(result.proof).to.deep.equal({ a: node.a, b: node.b, c: node.c });
+  });
+});
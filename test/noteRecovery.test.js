@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const circomlibBabyJub = require("../scripts/lib/circomlibBabyJub");
+const { encryptForRecipient } = require("../scripts/lib/ecdhCrypto");
+const { NFTNote, createStealthNote } = require("../scripts/lib/FeatureNotes");
+const { hasFrontendDeps, withFrontendModules } = require("./helpers/frontendModules");
+
+describe("browser note recovery", function () {
+  let privateNFT, recovery, identity;
+
+  const collection = "0x0000000000000000000000000000000000000001";
+  const seed = new Uint8Array(32).fill(9);
+
+  before(async function () {
+    if (!hasFrontendDeps()) this.skip();
+    recovery = withFrontendModules((load) => load("noteRecovery"));
+    const sk = await circomlibBabyJub.randomSecretKey();
+    identity = { keypair: { sk, pk: await circomlibBabyJub.getPublicKey(sk) }, seed };
+  });
+
+  beforeEach(async function () {
+    const MockVerifier = await ethers.getContractFactory("MockNFTTransferVerifier");
+    const mockVerifier = await MockVerifier.deploy();
+    const PrivateNFT = await ethers.getContractFactory("PrivateNFT");
+    privateNFT = await PrivateNFT.deploy(await mockVerifier.getAddress());
+  });
+
+  async function registerToHdKey(index, nftId) {
+    const owner = await circomlibBabyJub.deriveKeyAtPath(Buffer.from(seed), { purpose: "nft", index });
+    const note = new NFTNote({ pk: owner.pk, nftId, collection });
+    const noteHash = ethers.toBeHex(await note.hash(), 32);
+    const { viewingPk } = await circomlibBabyJub.deriveZkAddress(owner.sk);
+    await privateNFT.registerNFT(noteHash, collection, nftId, await encryptForRecipient(note.serialize(), viewingPk));
+    return noteHash;
+  }
+
+  it("should recover HD and stealth notes across a stopped and resumed rescan", async function () {
+    const startBlock = await ethers.provider.getBlockNumber();
+    const first = await registerToHdKey(0, 1);
+    const second = await registerToHdKey(2, 2);
+    const address = await circomlibBabyJub.deriveZkAddress(identity.keypair.sk);
+    const { note: stealthNote, encryptedNote, stealth } = await createStealthNote(NFTNote, { nftId: 3, collection }, address);
+    const third = ethers.toBeHex(await stealthNote.hash(), 32);
+    await privateNFT.registerNFT(third, collection, 3, encryptedNote);
+    await privateNFT.transferNFT(
+      [0, 0], [[0, 0], [0, 0]], [0, 0],
+      first, ethers.keccak256(ethers.toUtf8Bytes("elsewhere")), 1, collection,
+      ethers.keccak256(ethers.toUtf8Bytes("nullifier-1")), ethers.toUtf8Bytes("demo")
+    );
+
+    const options = { addresses: { PrivateNFT: privateNFT.target }, chunkSize: 2, gapLimit: 3 };
+    const recovered = new Map();
+    const controller = new AbortController();
+    let chunks = 0;
+    const spent = new Set();
+    const onChunk = ({ notes, spent: spentKnown }) => {
+      for (const note of notes) recovered.set(note.hash, note);
+      spentKnown.forEach((hash) => spent.add(hash));
+      if (++chunks === 1) controller.abort();
+    };
+
+    const cursor = { lastBlock: startBlock, nextIndexes: {}, gameIds: [] };
+    const stopped = await recovery.recoverNotes(ethers.provider, identity, {
+      ...options, cursor, signal: controller.signal, onChunk,
+    });
+    expect(stopped.complete).to.be.false;
+    expect(stopped.cursor.lastBlock).to.equal(startBlock + 2);
+
+    // The caller passes what it stored so far; spends of those arrive in `spent`
+    const knownNotes = [...recovered.values()].filter((n) => !n.spent).map((n) => n.hash);
+    const resumed = await recovery.recoverNotes(ethers.provider, identity, {
+      ...options, cursor: stopped.cursor, knownNotes, onChunk,
+    });
+    expect(resumed.complete).to.be.true;
+    expect(resumed.cursor.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(resumed.cursor.nextIndexes["1/0"]).to.equal(3);
+
+    expect([...recovered.keys()].sort()).to.deep.equal([first, second, third].sort());
+    expect(recovered.get(first).spent || spent.has(first)).to.be.true;
+    expect(recovered.get(second).spent || spent.has(second)).to.be.false;
+    expect(recovered.get(second).label).to.equal("NFT #2");
+    expect(recovered.get(second).contractName).to.equal("PrivateNFT");
+    expect(await circomlibBabyJub.getPublicKey(recovered.get(third).ownerSk)).to.deep.equal(stealth.pk);
+  });
+
+  it("should report known notes spent after the cursor", async function () {
+    const known = await registerToHdKey(0, 1);
+    const cursor = { lastBlock: await ethers.provider.getBlockNumber(), nextIndexes: { "1/0": 1 }, gameIds: [] };
+    await privateNFT.transferNFT(
+      [0, 0], [[0, 0], [0, 0]], [0, 0],
+      known, ethers.keccak256(ethers.toUtf8Bytes("elsewhere")), 1, collection,
+      ethers.keccak256(ethers.toUtf8Bytes("nullifier-1")), ethers.toUtf8Bytes("demo")
+    );
+
+    const spent = [];
+    await recovery.recoverNotes(ethers.provider, identity, {
+      addresses: { PrivateNFT: privateNFT.target },
+      cursor,
+      knownNotes: [known],
+      gapLimit: 2,
+      onChunk: (chunk) => spent.push(...chunk.spent),
+    });
+    expect(spent).to.deep.equal([known]);
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const path = require("path");
+const fs = require("fs");
+const snarkjs = require("snarkjs");
+const {
+  poseidonHash,
+  randomSecretKey,
+  getPublicKey,
+  init: initBabyJub,
+} = require("../scripts/lib/circomlibBabyJub");
+const { hasFrontendDeps, withFrontendModules } = require("./helpers/frontendModules");
+
+const CIRCUIT_NAME = "private_nft_transfer";
+const CIRCUITS_DIR = path.join(__dirname, "../frontend/public/circuits");
+const WASM_PATH = path.join(CIRCUITS_DIR, CIRCUIT_NAME, `${CIRCUIT_NAME}.wasm`);
+const ZKEY_PATH = path.join(CIRCUITS_DIR, CIRCUIT_NAME, `${CIRCUIT_NAME}.zkey`);
+
+async function proveTransfer() {
+  const oldSk = await randomSecretKey();
+  const oldPk = await getPublicKey(oldSk);
+  const newPk = await getPublicKey(await randomSecretKey());
+  const nftId = 7n;
+  const collection = 12345n;
+  const oldSalt = 11n;
+  const newSalt = 13n;
+
+  const inputs = {
+    oldNftHash: (await poseidonHash([oldPk.x, oldPk.y, nftId, collection, oldSalt])).toString(),
+    newNftHash: (await poseidonHash([newPk.x, newPk.y, nftId, collection, newSalt])).toString(),
+    nftId: nftId.toString(),
+    collectionAddress: collection.toString(),
+    nullifier: (await poseidonHash([nftId, oldSalt, oldSk])).toString(),
+    oldOwnerPkX: oldPk.x.toString(),
+    oldOwnerPkY: oldPk.y.toString(),
+    oldOwnerSk: oldSk.toString(),
+    oldSalt: oldSalt.toString(),
+    newOwnerPkX: newPk.x.toString(),
+    newOwnerPkY: newPk.y.toString(),
+    newSalt: newSalt.toString(),
+  };
+  return snarkjs.groth16.fullProve(inputs, WASM_PATH, ZKEY_PATH);
+}
+
+describe("transaction preflight", function () {
+  this.timeout(120000);
+
+  let preflight, snarkProver, originalFetch;
+
+  before(async function () {
+    if (!hasFrontendDeps()) this.skip();
+    await initBabyJub();
+    ({ preflight, snarkProver } = withFrontendModules((load) => ({
+      preflight: load("preflight"),
+      snarkProver: load("snarkProver"),
+    })));
+  });
+
+  beforeEach(function () {
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url) => {
+      const file = path.join(CIRCUITS_DIR, url.replace(/^\/circuits\//, ""));
+      return fs.existsSync(file) ? new Response(fs.readFileSync(file)) : new Response("", { status: 404 });
+    };
+  });
+
+  afterEach(function () {
+    globalThis.fetch = originalFetch;
+  });
+
+  it("should verify a contract-formatted proof against the shipped vkey", async function () {
+    if (!fs.existsSync(ZKEY_PATH)) this.skip();
+    const { proof, publicSignals } = await proveTransfer();
+    const formatted = snarkProver.formatProofForContract(proof);
+    expect(preflight.toSnarkjsProof(formatted)).to.deep.equal(proof);
+
+    await preflight.verifyProofLocally(CIRCUIT_NAME, { proof: formatted, publicSignals, duration: 0 });
+
+    const tampered = [...publicSignals];
+    tampered[2] = "8";
+    let error;
+    try {
+      await preflight.verifyProofLocally(CIRCUIT_NAME, { proof: formatted, publicSignals: tampered, duration: 0 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(preflight.PreflightError);
+    expect(error.message).to.include(`${CIRCUIT_NAME}_vkey.json`);
+  });
+
+  it("should surface the revert reason of a call that would fail", async function () {
+    const MockVerifier = await ethers.getContractFactory("MockNFTTransferVerifier");
+    const verifier = await MockVerifier.deploy();
+    const PrivateNFT = await ethers.getContractFactory("PrivateNFT");
+    const privateNFT = await PrivateNFT.deploy(await verifier.getAddress());
+
+    const args = [ethers.zeroPadValue("0x01", 32), ethers.ZeroAddress.replace(/0$/, "1"), 1n, "0x"];
+    await preflight.simulateCall(privateNFT.registerNFT, ...args);
+    await privateNFT.registerNFT(...args);
+
+    let error;
+    try {
+      await preflight.simulateCall(privateNFT.registerNFT, ...args);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(preflight.PreflightError);
+    expect(error.message).to.equal("NFT already registered");
+  });
+});
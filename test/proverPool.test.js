@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const { hasFrontendDeps, withFrontendModules } = require("./helpers/frontendModules");
+
+/** Stand-in for a prover worker: reports one progress step, then a result */
+class FakeWorker {
+  constructor() {
+    FakeWorker.created.push(this);
+    this.terminated = false;
+  }
+
+  postMessage({ id, circuitName }) {
+    setTimeout(() => {
+      if (this.terminated) return;
+      this.onmessage({ data: { type: "progress", id, progress: { phase: "msm", progress: 0.55, message: "" } } });
+      setTimeout(() => {
+        if (this.terminated) return;
+        const result = { proof: null, publicSignals: [circuitName], duration: 1 };
+        this.onmessage({ data: { type: "result", id, result } });
+      }, 20);
+    }, 5);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe("browser proving", function () {
+  let snarkProver, proverPool;
+
+  before(function () {
+    if (!hasFrontendDeps()) this.skip();
+    ({ snarkProver, proverPool } = withFrontendModules((load) => ({
+      snarkProver: load("snarkProver"),
+      proverPool: load("proverPool"),
+    })));
+  });
+
+  beforeEach(function () {
+    FakeWorker.created = [];
+    globalThis.Worker = FakeWorker;
+  });
+
+  afterEach(function () {
+    delete globalThis.Worker;
+  });
+
+  it("should map snarkjs log lines to proving phases", function () {
+    expect(snarkProver.progressFromLog("Reading Wtns")).to.deep.equal({ phase: "fft", progress: 0.15 });
+    expect(snarkProver.progressFromLog("IFFT_A: fft 14 mix start: 0/8")).to.deep.equal({ phase: "fft", progress: 0.2 });
+    expect(snarkProver.progressFromLog("FFT_C: fft 14 join: 3/14")).to.deep.equal({ phase: "fft", progress: 0.45 });
+    expect(snarkProver.progressFromLog("Multiexp start: multiexp B2: 0/1024")).to.deep.equal({ phase: "msm", progress: 0.73 });
+    expect(snarkProver.progressFromLog("QAP AB: 0/4096")).to.be.null;
+  });
+
+  it("should queue jobs and report progress", async function () {
+    const pool = new proverPool.ProverPool(1);
+    const progress = [];
+    const [first, second] = await Promise.all([
+      pool.prove("private_nft_transfer", {}, { onProgress: (p) => progress.push(p.phase) }),
+      pool.prove("loot_box_open", {}),
+    ]);
+
+    expect(first.publicSignals).to.deep.equal(["private_nft_transfer"]);
+    expect(second.publicSignals).to.deep.equal(["loot_box_open"]);
+    expect(progress).to.deep.equal(["msm"]);
+    expect(FakeWorker.created).to.have.length(1);
+  });
+
+  it("should terminate the worker of a cancelled proof and keep serving the queue", async function () {
+    const pool = new proverPool.ProverPool(1);
+    const controller = new AbortController();
+    const cancelled = pool.prove("card_draw", {}, {
+      signal: controller.signal,
+      onProgress: () => controller.abort(),
+    });
+    const queued = pool.prove("gaming_item_trade", {});
+
+    let error;
+    try {
+      await cancelled;
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(proverPool.ProofCancelledError);
+    expect(error.name).to.equal("AbortError");
+    expect(FakeWorker.created[0].terminated).to.be.true;
+
+    expect((await queued).publicSignals).to.deep.equal(["gaming_item_trade"]);
+    expect(FakeWorker.created).to.have.length(2);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Tests for the feature circuit builders in scripts/lib/snarkjsUtils.js
+ *
+ * Input builders are checked against the circuit formulas directly. Full proofs
+ * are generated and submitted on-chain (real verifier) only for circuits whose
+ * zkey is present in circuits/build.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const path = require("path");
+const fs = require("fs");
+const {
+  buildNftTransferInputs,
+  buildLootBoxOpenInputs,
+  buildGamingItemTradeInputs,
+  buildCardDrawInputs,
+  getNftTransferProof,
+  getLootBoxOpenProof,
+  getGamingItemTradeProof,
+  verifyProofLocal,
+  determineRarity,
+  toBytes32,
+} = require("../scripts/lib/snarkjsUtils");
+const { NFTNote, ItemNote, PaymentNote, BoxNote } = require("../scripts/lib/FeatureNotes");
+const { fisherYatesShuffle } = require("../scripts/lib/cardUtils");
+const {
+  poseidonHash,
+  randomSecretKey,
+  getPublicKey,
+} = require("../scripts/lib/circomlibBabyJub");
+
+const BUILD_DIR = path.join(__dirname, "../circuits/build");
+
+function hasZkey(circuitName) {
+  return fs.existsSync(path.join(BUILD_DIR, circuitName, `${circuitName}.zkey`));
+}
+
+async function deployVerifier(file) {
+  const Verifier = await ethers.getContractFactory(`contracts/verifiers/${file}:Groth16Verifier`);
+  const verifier = await Verifier.deploy();
+  return verifier.getAddress();
+}
+
+describe("snarkjsUtils feature builders", function () {
+  this.timeout(300000);
+
+  let aliceSk, alicePk, bobSk, bobPk;
+
+  before(async function () {
+    aliceSk = await randomSecretKey();
+    alicePk = await getPublicKey(aliceSk);
+    bobSk = await randomSecretKey();
+    bobPk = await getPublicKey(bobSk);
+  });
+
+  describe("input builders", function () {
+    it("should derive private_nft_transfer public signals", async function () {
+      const oldNote = new NFTNote({ pk: alicePk, nftId: 5, collection: 0xabc });
+      const newNote = new NFTNote({ pk: bobPk, nftId: 5, collection: 0xabc });
+
+      const { inputs, signals } = await buildNftTransferInputs({
+        oldNote, newNote, oldOwnerSk: aliceSk,
+      });
+
+      expect(signals.oldNftHash).to.equal(await oldNote.hash());
+      expect(signals.nullifier).to.equal(await poseidonHash([5n, oldNote.salt, aliceSk]));
+      expect(inputs.newOwnerPkX).to.equal(bobPk.x.toString());
+      expect(inputs.collectionAddress).to.equal("2748");
+    });
+
+    it("should derive loot_box_open VRF output, rarity and outcome note", async function () {
+      const boxNote = new BoxNote({ pk: alicePk, boxId: 1, boxType: 0 });
+
+      const { inputs, signals, outcomeNote } = await buildLootBoxOpenInputs({
+        boxNote, ownerSk: aliceSk, itemId: 77n,
+      });
+
+      const nullifier = await poseidonHash([1n, boxNote.salt, aliceSk]);
+      const vrfOutput = await poseidonHash([aliceSk, nullifier]);
+      expect(signals.nullifier).to.equal(nullifier);
+      expect(signals.vrfOutput).to.equal(vrfOutput);
+      expect(outcomeNote.itemRarity).to.equal(BigInt(determineRarity(vrfOutput)));
+      expect(signals.outcomeCommitment).to.equal(await outcomeNote.hash());
+      expect(inputs.rarityThresholds).to.deep.equal(["100", "500", "2000", "10000"]);
+    });
+
+    it("should map VRF values to rarity tiers like the circuit", function () {
+      expect(determineRarity(0n)).to.equal(0);
+      expect(determineRarity(499n)).to.equal(1);
+      expect(determineRarity(1999n)).to.equal(2);
+      expect(determineRarity(9999n)).to.equal(3);
+      expect(determineRarity(10000n + 150n)).to.equal(1); // 10150 wraps to 150
+      expect(determineRarity((1n << 20n) | 50n)).to.equal(0); // only the lower 14 bits count
+    });
+
+    it("should use a zero payment hash for gifts", async function () {
+      const item = { itemId: 1, itemType: 2, itemAttributes: 3, gameId: 42 };
+      const oldNote = new ItemNote({ pk: alicePk, ...item });
+      const newNote = new ItemNote({ pk: bobPk, ...item });
+
+      const gift = await buildGamingItemTradeInputs({ oldNote, newNote, sellerSk: aliceSk });
+      expect(gift.signals.paymentNoteHash).to.equal(0n);
+      expect(gift.inputs.price).to.equal("0");
+
+      const paymentNote = new PaymentNote({ pk: alicePk, price: 1000, paymentToken: 1 });
+      const paid = await buildGamingItemTradeInputs({
+        oldNote, newNote, paymentNote, sellerSk: aliceSk,
+      });
+      expect(paid.signals.paymentNoteHash).to.equal(await paymentNote.hash());
+      expect(paid.signals.gameId).to.equal(42n);
+    });
+
+    it("should reshuffle the deck and commit to the drawn card", async function () {
+      const { inputs, signals, drawNote, deckCards } = await buildCardDrawInputs({
+        playerSk: aliceSk, gameId: 9n, shuffleSeed: 1234n, deckSalt: 55n, drawIndex: 3,
+      });
+
+      expect(deckCards).to.deep.equal(await fisherYatesShuffle(1234n));
+      expect(drawNote.drawnCard).to.equal(deckCards[3]);
+      expect(signals.playerCommitment).to.equal(await poseidonHash([alicePk.x, alicePk.y, 9n]));
+      expect(inputs.deckCards).to.have.length(52);
+
+      let error;
+      try {
+        await buildCardDrawInputs({
+          playerSk: aliceSk, gameId: 9n, shuffleSeed: 1n, deckSalt: 1n, drawIndex: 52,
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.include("drawIndex out of range");
+    });
+  });
+
+  describe("proof calldata", function () {
+    it("should transfer an NFT on-chain with builder calldata", async function () {
+      if (!hasZkey("private_nft_transfer")) this.skip();
+
+      const PrivateNFT = await ethers.getContractFactory("PrivateNFT");
+      const privateNFT = await PrivateNFT.deploy(await deployVerifier("PrivateNftTransferVerifier.sol"));
+
+      const oldNote = new NFTNote({ pk: alicePk, nftId: 1, collection: 0x1234 });
+      const newNote = new NFTNote({ pk: bobPk, nftId: 1, collection: 0x1234 });
+      const proof = await getNftTransferProof({ oldNote, newNote, oldOwnerSk: aliceSk });
+
+      expect(await verifyProofLocal("private_nft_transfer", proof, proof.input)).to.be.true;
+
+      await privateNFT.registerNFT(toBytes32(await oldNote.hash()), proof.args[6], 1, "0x");
+      await privateNFT.transferNFT(...proof.args);
+
+      expect(await privateNFT.getNoteState(toBytes32(await newNote.hash()))).to.equal(1);
+    });
+
+    it("should open a loot box on-chain with builder calldata", async function () {
+      if (!hasZkey("loot_box_open")) this.skip();
+
+      const [owner] = await ethers.getSigners();
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy();
+      const LootBoxOpen = await ethers.getContractFactory("LootBoxOpen");
+      const lootBox = await LootBoxOpen.deploy(
+        await deployVerifier("LootBoxOpenVerifier.sol"),
+        await token.getAddress(),
+        1
+      );
+
+      await token.mint(owner.address, 1);
+      await token.approve(await lootBox.getAddress(), 1);
+      await lootBox.mintBox(0);
+
+      const boxNote = new BoxNote({ pk: alicePk, boxId: 1, boxType: 0 });
+      await lootBox.registerBox(toBytes32(await boxNote.hash()), 1, "0x");
+
+      const proof = await getLootBoxOpenProof({ boxNote, ownerSk: aliceSk, itemId: 10n });
+      await lootBox.openBox(...proof.args);
+
+      expect(await lootBox.getNoteState(proof.args[4])).to.equal(1);
+    });
+
+    it("should trade an item on-chain with builder calldata", async function () {
+      if (!hasZkey("gaming_item_trade")) this.skip();
+
+      const GamingItemTrade = await ethers.getContractFactory("GamingItemTrade");
+      const trade = await GamingItemTrade.deploy(await deployVerifier("GamingItemTradeVerifier.sol"));
+
+      const item = { itemId: 3, itemType: 1, itemAttributes: 500, gameId: 7 };
+      const oldNote = new ItemNote({ pk: alicePk, ...item });
+      const newNote = new ItemNote({ pk: bobPk, ...item });
+      const paymentNote = new PaymentNote({ pk: alicePk, price: 100, paymentToken: 1 });
+
+      await trade.registerItem(toBytes32(await oldNote.hash()), 7, 3, "0x");
+      const proof = await getGamingItemTradeProof({
+        oldNote, newNote, paymentNote, sellerSk: aliceSk,
+      });
+      await trade.tradeItem(...proof.args);
+
+      expect(await trade.getNoteState(proof.args[4])).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const {
+  validateWitnessInputs,
+  explainWitnessError,
+  loadSymSignals,
+  WitnessValidationError,
+} = require("../scripts/lib/witnessValidator");
+const {
+  buildNftTransferInputs,
+  buildLootBoxOpenInputs,
+  buildGamingItemTradeInputs,
+  buildCardDrawInputs,
+  generateProof,
+} = require("../scripts/lib/snarkjsUtils");
+const { NFTNote, ItemNote, PaymentNote, BoxNote } = require("../scripts/lib/FeatureNotes");
+const { randomSecretKey, getPublicKey } = require("../scripts/lib/circomlibBabyJub");
+
+describe("witnessValidator", function () {
+  let sk, pk, otherPk;
+
+  before(async function () {
+    sk = await randomSecretKey();
+    pk = await getPublicKey(sk);
+    otherPk = await getPublicKey(await randomSecretKey());
+  });
+
+  function constraintsOf(result) {
+    return result.failures.map((f) => f.constraint);
+  }
+
+  async function nftInputs() {
+    const { inputs } = await buildNftTransferInputs({
+      oldNote: new NFTNote({ pk, nftId: 1, collection: 2 }),
+      newNote: new NFTNote({ pk: otherPk, nftId: 1, collection: 2 }),
+      oldOwnerSk: sk,
+    });
+    return inputs;
+  }
+
+  it("should accept inputs produced by every builder", async function () {
+    const item = { itemId: 1, itemType: 2, itemAttributes: 3, gameId: 4 };
+    const cases = {
+      private_nft_transfer: await nftInputs(),
+      loot_box_open: (await buildLootBoxOpenInputs({
+        boxNote: new BoxNote({ pk, boxId: 1, boxType: 0 }), ownerSk: sk, itemId: 5n,
+      })).inputs,
+      gaming_item_trade: (await buildGamingItemTradeInputs({
+        oldNote: new ItemNote({ pk, ...item }),
+        newNote: new ItemNote({ pk: otherPk, ...item }),
+        paymentNote: new PaymentNote({ pk, price: 10, paymentToken: 1 }),
+        sellerSk: sk,
+      })).inputs,
+      card_draw: (await buildCardDrawInputs({
+        playerSk: sk, gameId: 1n, shuffleSeed: 42n, deckSalt: 7n, drawIndex: 0,
+      })).inputs,
+    };
+
+    for (const [circuitName, inputs] of Object.entries(cases)) {
+      const result = await validateWitnessInputs(circuitName, inputs);
+      expect(result.failures, circuitName).to.deep.equal([]);
+      expect(result.valid).to.be.true;
+    }
+  });
+
+  it("should name the ownership and nullifier constraints for a wrong key", async function () {
+    const inputs = await nftInputs();
+    inputs.oldOwnerSk = "5";
+
+    const result = await validateWitnessInputs("private_nft_transfer", inputs);
+    expect(constraintsOf(result)).to.deep.equal([
+      "ownership.valid === 1",
+      "nullifierCalc.out === nullifier",
+    ]);
+    expect(result.failures[0].section).to.equal("Verify Ownership");
+  });
+
+  it("should report missing and unknown inputs", async function () {
+    const inputs = await nftInputs();
+    delete inputs.newSalt;
+    inputs.newSlat = "1";
+
+    const result = await validateWitnessInputs("private_nft_transfer", inputs);
+    expect(result.failures.map((f) => f.message)).to.deep.equal([
+      "missing",
+      "not an input of this circuit",
+    ]);
+  });
+
+  it("should enforce the gift rule on the payment hash", async function () {
+    const item = { itemId: 1, itemType: 2, itemAttributes: 3, gameId: 4 };
+    const { inputs } = await buildGamingItemTradeInputs({
+      oldNote: new ItemNote({ pk, ...item }),
+      newNote: new ItemNote({ pk: otherPk, ...item }),
+      sellerSk: sk,
+    });
+    inputs.paymentNoteHash = "123";
+
+    const result = await validateWitnessInputs("gaming_item_trade", inputs);
+    expect(constraintsOf(result)).to.deep.equal(["paymentNoteHash === expectedPaymentHash"]);
+    expect(result.failures[0].message).to.include("gift");
+  });
+
+  it("should check rarity tier and thresholds", async function () {
+    const { inputs } = await buildLootBoxOpenInputs({
+      boxNote: new BoxNote({ pk, boxId: 1, boxType: 0 }), ownerSk: sk, itemId: 5n,
+    });
+
+    const wrongTier = { ...inputs, itemRarity: String((Number(inputs.itemRarity) + 1) % 4) };
+    expect(constraintsOf(await validateWitnessInputs("loot_box_open", wrongTier)))
+      .to.include("tierSum[NUM_TIERS] === 1");
+
+    const badThresholds = { ...inputs, rarityThresholds: ["100", "100", "2000", "9000"] };
+    expect(constraintsOf(await validateWitnessInputs("loot_box_open", badThresholds)))
+      .to.include.members(["thresholdLT[i].out === 1", "rarityThresholds[NUM_TIERS - 1] === 10000"]);
+  });
+
+  it("should detect a deck that is not the shuffle of the seed", async function () {
+    const { inputs } = await buildCardDrawInputs({
+      playerSk: sk, gameId: 1n, shuffleSeed: 42n, deckSalt: 7n, drawIndex: 0,
+    });
+    inputs.shuffleSeed = "43";
+
+    const result = await validateWitnessInputs("card_draw", inputs);
+    expect(constraintsOf(result)).to.deep.equal(["deckState[N - 2][k] === verifyDeck[k]"]);
+  });
+
+  it("should read main signals from the .sym file when present", function () {
+    const signals = loadSymSignals("private_nft_transfer");
+    if (!signals) this.skip();
+
+    expect(signals.has("oldOwnerSk")).to.be.true;
+    expect(signals.has("ownership")).to.be.false;
+  });
+
+  it("should map witness calculator errors to circom source lines", function () {
+    const frames = explainWitnessError(
+      new Error("Error: Assert Failed. Error in template PrivateNFTTransfer_159 line: 50\n")
+    );
+
+    expect(frames).to.have.length(1);
+    expect(frames[0].file).to.equal("main/private_nft_transfer.circom");
+    expect(frames[0].constraint).to.equal("ownership.valid === 1;");
+    expect(frames[0].section).to.equal("Verify Ownership");
+    expect(explainWitnessError(new Error("something else"))).to.deep.equal([]);
+  });
+
+  it("should stop generateProof before proving", async function () {
+    const inputs = await nftInputs();
+    inputs.nullifier = "1";
+
+    let error;
+    try {
+      await generateProof("private_nft_transfer", inputs);
+    } catch (e) {
+      error = e;
+    }
+    if (error && /not found/.test(error.message)) this.skip();
+    expect(error).to.be.instanceOf(WitnessValidationError);
+    expect(error.message).to.include("nullifierCalc.out === nullifier");
+  });
+});
@@ -0,0 +1,64 @@
+const { expect } = require("chai");
+const { encodeZkAddress, decodeZkAddress } = require("../scripts/lib/zkAddress");
+const { randomSecretKey, deriveZkAddress } = require("../scripts/lib/circomlibBabyJub");
+const { hasFrontendDeps, withFrontendModules } = require("./helpers/frontendModules");
+
+async function expectDecodeError(encoded, message) {
+  let error;
+  try {
+    await decodeZkAddress(encoded);
+  } catch (e) {
+    error = e;
+  }
+  expect(error, `decoding ${encoded}`).to.be.instanceOf(Error);
+  expect(error.message).to.include(message);
+}
+
+describe("ZK address encoding", function () {
+  let address;
+
+  before(async function () {
+    address = await deriveZkAddress(await randomSecretKey());
+  });
+
+  it("should round-trip keys and chain metadata", async function () {
+    const full = await encodeZkAddress({ ...address, chainId: 31337 });
+    expect(full).to.match(/^zk[1-9A-HJ-NP-Za-km-z]+$/);
+    expect(await decodeZkAddress(full)).to.deep.equal({ ...address, chainId: 31337n });
+
+    const spendOnly = await encodeZkAddress({ spendingPk: address.spendingPk });
+    expect(spendOnly.length).to.be.lessThan(full.length);
+    expect(await decodeZkAddress(spendOnly)).to.deep.equal({
+      spendingPk: address.spendingPk, viewingPk: null, chainId: null,
+    });
+  });
+
+  it("should reject typos, bad prefixes and malformed input", async function () {
+    const encoded = await encodeZkAddress(address);
+    const last = encoded[encoded.length - 1];
+    await expectDecodeError(encoded.slice(0, -1) + (last === "2" ? "3" : "2"), "bad checksum");
+    await expectDecodeError("xy" + encoded.slice(2), "prefix");
+    await expectDecodeError("zk0OIl", "not base58");
+    await expectDecodeError("zk111", "too short");
+  });
+
+  it("should interoperate with the browser implementation", async function () {
+    if (!hasFrontendDeps()) this.skip();
+    const browser = withFrontendModules((load) => load("zkAddress"));
+
+    const fromNode = await encodeZkAddress({ ...address, chainId: 1 });
+    expect(await browser.encodeZkAddress({ ...address, chainId: 1 })).to.equal(fromNode);
+    expect(await browser.decodeZkAddress(fromNode)).to.deep.equal({ ...address, chainId: 1n });
+
+    const recipient = await browser.parseRecipientAddress(fromNode, 1);
+    expect(recipient).to.deep.equal(address);
+
+    let error;
+    try {
+      await browser.parseRecipientAddress(fromNode, 5);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.include("is for chain 1");
+  });
+});
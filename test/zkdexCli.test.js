@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runCommand, parseArgs, CliError } = require("../scripts/cli/commands");
+const { setProverMode, getNftTransferProof } = require("../scripts/lib/snarkjsUtils");
+const { NFTNote } = require("../scripts/lib/FeatureNotes");
+const { randomSecretKey, getPublicKey } = require("../scripts/lib/circomlibBabyJub");
+
+describe("zkdex CLI", function () {
+  let tmpDir, addresses, alice, bob;
+
+  before(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "zkdex-cli-"));
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    setProverMode("mock");
+    const [, aliceSigner, bobSigner] = await ethers.getSigners();
+
+    const deploy = async (name, ...args) => {
+      const contract = await (await ethers.getContractFactory(name)).deploy(...args);
+      return contract.getAddress();
+    };
+    const token = await ethers.getContractAt("MockERC20", await deploy("MockERC20"));
+    await token.mint(aliceSigner.address, ethers.parseEther("100"));
+    addresses = {
+      mockERC20: await token.getAddress(),
+      privateNFT: await deploy("PrivateNFT", await deploy("MockNFTTransferVerifier")),
+      lootBoxOpen: await deploy("LootBoxOpen", await deploy("MockLootBoxVerifier"), await token.getAddress(), ethers.parseEther("10")),
+      gamingItemTrade: await deploy("GamingItemTrade", await deploy("MockGamingItemTradeVerifier")),
+      cardDraw: await deploy("CardDraw", await deploy("MockCardDrawVerifier")),
+    };
+
+    // One keystore and one Ethereum account per user
+    const user = (name, signer) => {
+      const ctx = {
+        keystore: path.join(tmpDir, `${name}-${Date.now()}.json`),
+        password: `${name}-password`,
+        keystoreOptions: { kdfParams: { n: 1024 } },
+        addresses,
+        provider: ethers.provider,
+        getSigner: async () => signer,
+      };
+      return (...argv) => {
+        const { command, options } = parseArgs(argv);
+        return runCommand(command, options, ctx);
+      };
+    };
+    alice = user("alice", aliceSigner);
+    bob = user("bob", bobSigner);
+  });
+
+  afterEach(function () {
+    setProverMode("groth16");
+  });
+
+  async function rejection(promise) {
+    try {
+      await promise;
+    } catch (e) {
+      return e;
+    }
+    throw new Error("expected rejection");
+  }
+
+  it("should register an NFT and transfer it to a stealth key the recipient finds by scanning", async function () {
+    const { keyId } = await alice("keygen", "--label", "main");
+    const { zkAddress: bobAddress } = await bob("keygen");
+    expect(bobAddress).to.match(/^zk/);
+
+    const collection = "0x0000000000000000000000000000000000001234";
+    const registered = await alice("register-nft", "--collection", collection, "--nft-id", "7");
+    expect(registered.keyId).to.equal(keyId);
+
+    const transfer = await alice("transfer-nft", "--note", registered.noteHash, "--to", bobAddress);
+    expect(transfer.spentNoteHash).to.equal(registered.noteHash);
+
+    const scan = await bob("notes", "scan");
+    expect(scan.notes).to.have.length(1);
+    expect(scan.notes[0]).to.include({ noteHash: transfer.noteHash, type: "nft", contract: "privateNFT", spent: false, new: true });
+
+    // The recovered one-time key spends the note
+    const { notes } = await bob("notes", "list");
+    expect(notes[0]).to.deep.include({ noteHash: transfer.noteHash, state: "Valid", keyId: scan.notes[0].keyId });
+    const back = await bob("transfer-nft", "--note", transfer.noteHash, "--to", (await alice("import", "--sk", "0x1234")).zkAddress);
+    expect(back.noteHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    expect((await alice("notes", "list")).notes).to.have.length(0);
+    const withSpent = await alice("notes", "list", "--include-spent");
+    expect(withSpent.notes.map((n) => n.state)).to.deep.equal(["Spent"]);
+  });
+
+  it("should mint, register and open a loot box", async function () {
+    await alice("keygen");
+    const minted = await alice("mint-box", "--box-type", "2");
+    expect(minted).to.include({ boxId: "1", boxType: "2", price: ethers.parseEther("10").toString() });
+
+    const box = await alice("register-box", "--box-id", minted.boxId);
+    expect(box.boxType).to.equal("2");
+    const opened = await alice("open-box", "--note", box.noteHash, "--item-id", "42");
+    expect(opened).to.include({ spentNoteHash: box.noteHash, itemId: "42" });
+    expect(opened.itemRarity).to.be.within(0, 3);
+
+    const states = Object.fromEntries((await alice("notes", "list", "--include-spent")).notes.map((n) => [n.noteHash, n.state]));
+    expect(states).to.deep.equal({ [box.noteHash]: "Spent", [opened.noteHash]: "Valid" });
+
+    const error = await rejection(bob("register-box", "--box-id", minted.boxId));
+    expect(error).to.be.instanceOf(CliError);
+    expect(error.message).to.match(/^Keystore not found/);
+    await bob("keygen");
+    expect((await rejection(bob("register-box", "--box-id", minted.boxId))).message).to.include("is not owned by");
+  });
+
+  it("should trade an item and keep the seller's payment note", async function () {
+    await alice("keygen");
+    const { zkAddress: bobAddress } = await bob("keygen");
+    const item = await alice("register-item", "--game-id", "3", "--item-id", "9", "--item-type", "1", "--attributes", "500");
+    const trade = await alice("trade-item", "--note", item.noteHash, "--to", bobAddress, "--price", "100", "--payment-token", addresses.mockERC20);
+    expect(BigInt(trade.paymentNoteHash)).to.not.equal(0n);
+
+    const payment = (await alice("notes", "list")).notes.find((n) => n.noteHash === trade.paymentNoteHash);
+    expect(payment).to.deep.include({ contract: null, state: null });
+    expect(payment.note).to.include({ type: "payment", price: "100", paymentToken: BigInt(addresses.mockERC20).toString() });
+
+    const [received] = (await bob("notes", "scan")).notes;
+    expect(received).to.include({ noteHash: trade.noteHash, type: "item" });
+    const bobItem = (await bob("notes", "list")).notes[0].note;
+    expect(bobItem).to.include({ itemId: "9", itemType: "1", itemAttributes: "500", gameId: "3" });
+  });
+
+  it("should draw cards from a deck recovered from its registration", async function () {
+    await alice("keygen");
+    const deck = await alice("register-deck", "--game-id", "5", "--seed", "12345", "--deck-salt", "678");
+    const first = await alice("draw-card", "--game-id", "5", "--index", "0");
+    const second = await alice("draw-card", "--game-id", "5", "--index", "1");
+    expect(first.card).to.not.equal(second.card);
+    expect([first.card, second.card].every((card) => card >= 0 && card < 52)).to.be.true;
+
+    const cardDraw = await ethers.getContractAt("CardDraw", addresses.cardDraw);
+    expect(await cardDraw.registeredDecks(5)).to.equal(deck.deckCommitment);
+    expect(await cardDraw.getNoteState(first.noteHash)).to.equal(1);
+
+    await bob("keygen");
+    expect((await rejection(bob("draw-card", "--game-id", "5", "--index", "2"))).message).to.include("was not registered with key");
+    expect((await rejection(alice("draw-card", "--game-id", "6", "--index", "0"))).message).to.equal("No deck registered for game 6");
+  });
+
+  it("should verify proof files and reject bad invocations", async function () {
+    const sk = await randomSecretKey();
+    const pk = await getPublicKey(sk);
+    const proof = await getNftTransferProof({
+      oldNote: new NFTNote({ pk, nftId: 1, collection: 1 }),
+      newNote: new NFTNote({ pk, nftId: 1, collection: 1 }),
+      oldOwnerSk: sk,
+    });
+    const proofFile = path.join(tmpDir, "proof.json");
+    fs.writeFileSync(proofFile, JSON.stringify({ a: proof.a, b: proof.b, c: proof.c, input: proof.input }));
+
+    expect(await alice("proof", "verify", "--circuit", "private_nft_transfer", "--proof", proofFile))
+      .to.deep.equal({ circuit: "private_nft_transfer", valid: true });
+
+    fs.writeFileSync(proofFile, JSON.stringify({
+      circuitName: "private_nft_transfer",
+      proof: { a: ["0", "0"], b: proof.b, c: proof.c },
+      publicSignals: proof.input,
+    }));
+    expect((await alice("proof", "verify", "--proof", proofFile)).valid).to.be.false;
+
+    expect((await rejection(alice("transfer"))).message).to.equal("Unknown command: transfer");
+    expect((await rejection(alice("register-nft", "--nft-id", "1"))).message).to.equal("register-nft requires --collection");
+    expect((await rejection(alice("keygen", "--nft-id", "1"))).message).to.equal("Unknown option for keygen: --nft-id");
+  });
+});